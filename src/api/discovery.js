@@ -0,0 +1,234 @@
+import fetch from 'node-fetch';
+import https from 'https';
+import dgram from 'dgram';
+import net from 'net';
+import dns from 'dns/promises';
+import fs from 'fs';
+import os from 'os';
+
+/*
+ * LAN discovery of Unraid servers. Candidates come from a TCP sweep of one or more
+ * subnets (ports 443/80), mDNS (_http/_https/_smb/_ssh services and their A records)
+ * and SSDP M-SEARCH replies; each candidate counts only if /graphql answers like a
+ * GraphQL endpoint. MACs come from the kernel neighbour table, which the probes fill.
+ */
+
+const MAX_ADDRESSES = 1024;        // a /22; bigger ranges are refused
+const CONCURRENCY = 64;
+const CONNECT_TIMEOUT_MS = 700;
+const PROBE_TIMEOUT_MS = 2500;
+const LISTEN_MS = 2500;            // how long mDNS/SSDP replies are collected
+const MDNS_SERVICES = ['_http._tcp.local', '_https._tcp.local', '_smb._tcp.local', '_ssh._tcp.local'];
+export const DISCOVERY_METHODS = ['scan', 'mdns', 'ssdp'];
+
+const insecure = new https.Agent({ rejectUnauthorized: false });   // only to recognise the endpoint; no token is sent
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const ip2n = ip => ip.split('.').reduce((n, o)=>n * 256 + Number(o), 0);
+const n2ip = n => [24, 16, 8, 0].map(s=>Math.floor(n / 2 ** s) % 256).join('.');
+
+/* ------------------------------ subnets ------------------------------ */
+
+/** "192.168.1.0/24" → host addresses (network and broadcast excluded). Throws on bad input or > /22. */
+export function expandCidr(cidr){
+  const m = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/.exec(String(cidr).trim());
+  if (!m || m[1].split('.').some(o=>+o > 255) || +m[2] > 32) throw new Error(`Invalid subnet ${cidr}; use CIDR like 192.168.1.0/24.`);
+  const bits = +m[2];
+  const size = 2 ** (32 - bits);
+  if (size > MAX_ADDRESSES) throw new Error(`Subnet ${cidr} is too large; scan /22 or smaller.`);
+  const base = ip2n(m[1]) - ip2n(m[1]) % size;
+  if (size <= 2) return Array.from({ length: size }, (_, i)=>n2ip(base + i));
+  return Array.from({ length: size - 2 }, (_, i)=>n2ip(base + 1 + i));
+}
+
+/** The dashboard's own IPv4 subnets (container bridges skipped), clamped to /24 around the address. */
+export function localSubnets(){
+  const out = new Set();
+  for (const [name, addrs] of Object.entries(os.networkInterfaces())) {
+    if (/^(docker|veth|br-|virbr|lo)/.test(name)) continue;
+    for (const a of addrs || []) {
+      if ((a.family !== 'IPv4' && a.family !== 4) || a.internal) continue;
+      const bits = Math.max(24, Number(String(a.cidr || '').split('/')[1]) || 24);
+      const size = 2 ** (32 - bits);
+      out.add(`${n2ip(ip2n(a.address) - ip2n(a.address) % size)}/${bits}`);
+    }
+  }
+  return [...out];
+}
+
+/* ------------------------------- probes ------------------------------- */
+
+function portOpen(host, port){
+  return new Promise(resolve=>{
+    const sock = net.connect({ host, port });
+    const end = ok => { sock.destroy(); resolve(ok); };
+    sock.setTimeout(CONNECT_TIMEOUT_MS, () => end(false));
+    sock.once('connect', () => end(true));
+    sock.once('error', () => end(false));
+  });
+}
+
+/* an unauthenticated `{ __typename }`: Unraid answers with GraphQL JSON (data or an auth error) */
+async function answersGraphql(baseUrl){
+  const ctl = new AbortController();
+  const t = setTimeout(()=>ctl.abort(), PROBE_TIMEOUT_MS);
+  try{
+    const res = await fetch(`${baseUrl}/graphql`, {
+      method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ query: '{ __typename }' }),
+      agent: baseUrl.startsWith('https:') ? insecure : undefined, signal: ctl.signal, redirect: 'manual'
+    });
+    if (!/json/.test(res.headers.get('content-type') || '')) return false;
+    const body = await res.json().catch(()=>null);
+    return !!body && ('data' in body || Array.isArray(body.errors));
+  }catch{ return false; }
+  finally{ clearTimeout(t); }
+}
+
+/* https first; either scheme counts */
+async function probe(address){
+  for (const [scheme, port] of [['https', 443], ['http', 80]]) {
+    if (!await portOpen(address, port)) continue;
+    const baseUrl = `${scheme}://${address}`;
+    if (await answersGraphql(baseUrl)) return baseUrl;
+  }
+  return null;
+}
+
+async function pool(items, fn){
+  const out = [];
+  let i = 0;
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, async ()=>{
+    while (i < items.length) { const item = items[i++]; out.push([item, await fn(item)]); }
+  }));
+  return out;
+}
+
+/* -------------------------------- mDNS -------------------------------- */
+
+function encodeName(name){
+  return Buffer.concat([...name.split('.').map(l=>Buffer.concat([Buffer.from([l.length]), Buffer.from(l)])), Buffer.from([0])]);
+}
+function mdnsQuery(names){
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(names.length, 4);
+  return Buffer.concat([header, ...names.map(n=>Buffer.concat([encodeName(n), Buffer.from([0, 12, 0, 1])]))]);   // PTR, IN
+}
+function readName(buf, off){
+  const labels = [];
+  let jumped = false, end = off;
+  for (let guard = 0; guard < 128; guard++) {
+    const len = buf[off];
+    if (len === undefined) break;
+    if (len === 0) { if (!jumped) end = off + 1; break; }
+    if ((len & 0xc0) === 0xc0) { if (!jumped) end = off + 2; off = ((len & 0x3f) << 8) | buf[off + 1]; jumped = true; continue; }
+    labels.push(buf.toString('utf8', off + 1, off + 1 + len));
+    off += len + 1;
+  }
+  return { name: labels.join('.'), end };
+}
+/* A records of a response: [{ name, address }] */
+function parseMdns(buf){
+  const out = [];
+  try{
+    let off = 12;
+    const qd = buf.readUInt16BE(4), rr = buf.readUInt16BE(6) + buf.readUInt16BE(8) + buf.readUInt16BE(10);
+    for (let i = 0; i < qd; i++) off = readName(buf, off).end + 4;
+    for (let i = 0; i < rr; i++) {
+      const { name, end } = readName(buf, off);
+      const type = buf.readUInt16BE(end), len = buf.readUInt16BE(end + 8);
+      if (type === 1 && len === 4) out.push({ name, address: [...buf.subarray(end + 10, end + 14)].join('.') });
+      off = end + 10 + len;
+    }
+  }catch{}
+  return out;
+}
+
+/* sent from an ephemeral port, so responders answer by unicast (legacy query) */
+function listen(send, onMessage){
+  return new Promise(resolve=>{
+    const sock = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    sock.on('message', onMessage);
+    sock.on('error', ()=>{ try{ sock.close(); }catch{} resolve(); });
+    sock.bind(0, ()=>{
+      send(sock);
+      setTimeout(()=>{ try{ sock.close(); }catch{} resolve(); }, LISTEN_MS);
+    });
+  });
+}
+
+async function mdnsCandidates(){
+  const found = new Map();   // address -> hostname
+  await listen(
+    sock=>sock.send(mdnsQuery(MDNS_SERVICES), 5353, '224.0.0.251'),
+    (msg, rinfo)=>{
+      const a = parseMdns(msg);
+      for (const r of a) found.set(r.address, r.name.replace(/\.local$/i, ''));
+      if (!a.length && !found.has(rinfo.address)) found.set(rinfo.address, null);
+    }
+  );
+  return found;
+}
+
+/* -------------------------------- SSDP -------------------------------- */
+
+async function ssdpCandidates(){
+  const found = new Map();   // address -> SERVER header
+  const search = Buffer.from('M-SEARCH * HTTP/1.1\r\nHOST: 239.255.255.250:1900\r\nMAN: "ssdp:discover"\r\nMX: 2\r\nST: ssdp:all\r\n\r\n');
+  await listen(
+    sock=>sock.send(search, 1900, '239.255.255.250'),
+    (msg, rinfo)=>{ if (!found.has(rinfo.address)) found.set(rinfo.address, /^server:\s*(.+)$/im.exec(msg.toString())?.[1]?.trim() || null); }
+  );
+  return found;
+}
+
+/* -------------------------------- ARP -------------------------------- */
+
+/** IPv4 → MAC from /proc/net/arp (complete entries only). */
+export function neighbourTable(){
+  const out = {};
+  try{
+    for (const line of fs.readFileSync('/proc/net/arp', 'utf8').split('\n').slice(1)) {
+      const [ip, , flags, mac] = line.trim().split(/\s+/);
+      if (ip && mac && (parseInt(flags, 16) & 2) && mac !== '00:00:00:00:00:00') out[ip] = mac.toUpperCase();
+    }
+  }catch{}
+  return out;
+}
+
+async function reverseName(ip){
+  try{ return (await Promise.race([dns.reverse(ip), sleep(1000).then(()=>[])]))[0]?.split('.')[0] || null; }
+  catch{ return null; }
+}
+
+/**
+ * Find Unraid servers. `subnets` (CIDR list) defaults to localSubnets() when the
+ * scan method is on. Returns { hosts:[{ address, baseUrl, name, mac, via }], subnets, tookMs }.
+ */
+export async function discover({ subnets, methods = DISCOVERY_METHODS } = {}){
+  const t0 = Date.now();
+  const use = new Set(methods.filter(m=>DISCOVERY_METHODS.includes(m)));
+  if (!use.size) throw new Error(`Pick at least one method: ${DISCOVERY_METHODS.join(', ')}.`);
+  const nets = use.has('scan') ? (subnets?.length ? subnets : localSubnets()) : [];
+  const addresses = [...new Set(nets.flatMap(expandCidr))];
+  if (addresses.length > MAX_ADDRESSES * 2) throw new Error('Too many addresses; scan fewer subnets at once.');
+
+  const [mdns, ssdp] = await Promise.all([
+    use.has('mdns') ? mdnsCandidates() : new Map(),
+    use.has('ssdp') ? ssdpCandidates() : new Map()
+  ]);
+  const via = {};
+  const mark = (ip, m) => { (via[ip] ||= new Set()).add(m); };
+  addresses.forEach(ip=>mark(ip, 'scan'));
+  mdns.forEach((_, ip)=>mark(ip, 'mdns'));
+  ssdp.forEach((_, ip)=>mark(ip, 'ssdp'));
+
+  const results = (await pool(Object.keys(via), probe)).filter(([, baseUrl])=>baseUrl);
+  const arp = neighbourTable();
+  const hosts = await Promise.all(results.map(async ([address, baseUrl])=>({
+    address, baseUrl,
+    name: mdns.get(address) || await reverseName(address),
+    mac: arp[address] || null,
+    via: [...via[address]]
+  })));
+  hosts.sort((a, b)=>ip2n(a.address) - ip2n(b.address));
+  return { hosts, subnets: nets, tookMs: Date.now() - t0 };
+}
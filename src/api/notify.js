@@ -0,0 +1,63 @@
+import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
+
+/*
+ * Alert delivery. `channel` comes from configStore.getChannel (secrets decrypted),
+ * `msg` is { title, message, state:'firing'|'resolved'|'test', rule, host, at }.
+ */
+
+const TIMEOUT_MS = 10000;
+
+async function post(url, opts){
+  const ctl = new AbortController();
+  const t = setTimeout(()=>ctl.abort(), TIMEOUT_MS);
+  try{
+    const res = await fetch(url, { method:'POST', ...opts, signal:ctl.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  }catch(e){
+    throw new Error(e.name === 'AbortError' ? 'Request timed out.' : (e.message || String(e)));
+  }finally{ clearTimeout(t); }
+}
+
+/* HTTP headers carry Latin-1 at most: anything else goes as an RFC 2047 encoded word, which ntfy decodes */
+const headerText = s => /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+
+const senders = {
+  webhook: (c, msg) => post(c.url, {
+    headers: { 'content-type':'application/json', ...(c.token ? { authorization:`Bearer ${c.token}` } : {}) },
+    body: JSON.stringify(msg)
+  }),
+
+  ntfy: (c, msg) => post(`${c.url.replace(/\/+$/, '')}/${encodeURIComponent(c.topic)}`, {
+    headers: {
+      title: headerText(msg.title),
+      tags: msg.state === 'resolved' ? 'white_check_mark' : (msg.state === 'test' ? 'test_tube' : 'warning'),
+      ...(c.priority != null ? { priority:String(c.priority) } : {}),
+      ...(c.token ? { authorization:`Bearer ${c.token}` } : {})
+    },
+    body: msg.message
+  }),
+
+  gotify: (c, msg) => post(`${c.url.replace(/\/+$/, '')}/message`, {
+    headers: { 'content-type':'application/json', 'x-gotify-key':c.token },
+    body: JSON.stringify({ title:msg.title, message:msg.message, priority:c.priority ?? 5 })
+  }),
+
+  smtp: async (c, msg) => {
+    const transport = nodemailer.createTransport({
+      host: c.smtpHost, port: c.smtpPort, secure: c.smtpSecure,
+      auth: c.smtpUser ? { user:c.smtpUser, pass:c.smtpPass } : undefined,
+      connectionTimeout: TIMEOUT_MS
+    });
+    await transport.sendMail({
+      from: c.from || c.smtpUser, to: c.to,
+      subject: msg.title, text: `${msg.message}\n\n${new Date(msg.at).toISOString()}`
+    });
+  }
+};
+
+export async function sendNotification(channel, msg){
+  const send = senders[channel?.type];
+  if (!send) throw new Error(`Unsupported channel type: ${channel?.type}`);
+  await send(channel, msg);
+}
@@ -0,0 +1,260 @@
+/*
+ * OpenAPI 3.0 description of /api/v1, served at /api/v1/openapi.json. The routes live in
+ * server.js; this file is their contract — keep both in step.
+ */
+import { VM_ACTIONS } from './schema.js';
+import { CONTAINER_ACTIONS, PARITY_ACTIONS, ARRAY_ACTIONS, NOTIFY_ACTIONS, NOTIFY_LEVELS, CACHE_MODES } from './unraid.js';
+import { API_KEY_SCOPES } from '../store/apiKeyStore.js';
+
+/* machine-readable `code` of every error body, by HTTP status (FAIL in server.js) */
+export const ERROR_CODES = {
+  400: 'bad_request', 401: 'unauthorized', 403: 'forbidden', 404: 'not_found', 409: 'conflict',
+  500: 'internal', 501: 'unsupported', 502: 'host_error', 503: 'host_offline', 504: 'host_unreachable'
+};
+const ERROR_TEXT = {
+  400: 'Invalid parameters or body, or a missing confirmation.',
+  401: 'No API key, or an unknown or revoked one.',
+  403: 'The key’s scope does not allow this.',
+  404: 'Unknown host, item or endpoint.',
+  409: 'Another power action is still running for this host.',
+  501: 'The host’s API version does not support this.',
+  502: 'The host answered with an error.',
+  503: 'The host failed repeatedly and is skipped for a while.',
+  504: 'The host did not answer.'
+};
+
+/* ------------------------------- helpers ------------------------------- */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const str = (description, extra = {}) => ({ type: 'string', ...(description ? { description } : {}), ...extra });
+const num = (description, extra = {}) => ({ type: 'number', nullable: true, ...(description ? { description } : {}), ...extra });
+const int = (description, extra = {}) => ({ type: 'integer', ...(description ? { description } : {}), ...extra });
+const bool = (description, extra = {}) => ({ type: 'boolean', ...(description ? { description } : {}), ...extra });
+const arr = items => ({ type: 'array', items });
+const obj = (properties, required) => ({ type: 'object', properties, ...(required ? { required } : {}) });
+const nullable = s => ({ ...s, nullable: true });
+
+const pathParam = (name, description, schema = str()) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, description, schema = str()) => ({ name, in: 'query', required: false, description, schema });
+
+const HOST_ID = pathParam('hostId', 'Host id (`id` in GET /hosts); stays the same when the host is renamed.');
+
+/* one operation: OK body wrapped as { ok: true, …fields }; errors as the shared Error body */
+function op(summary, { tag, scope = 'read', params = [], body, fields = {}, status = 200, errors = [], description }){
+  const responses = {
+    [status]: { description: status === 202 ? 'Accepted; follow the job with GET …/power' : 'OK',
+      content: { 'application/json': { schema: obj({ ok: bool(null, { enum: [true] }), ...fields }, ['ok', ...Object.keys(fields)]) } } }
+  };
+  for (const code of [401, ...(scope === 'control' ? [403] : []), ...errors]) responses[code] = { $ref: `#/components/responses/E${code}` };
+  return {
+    tags: [tag], summary, ...(description ? { description } : {}),
+    'x-scope': scope,
+    parameters: params,
+    ...(body ? { requestBody: { required: false, content: { 'application/json': { schema: body } } } } : {}),
+    responses
+  };
+}
+
+/* ------------------------------- schemas ------------------------------- */
+
+const schemas = {
+  Error: obj({
+    ok: bool(null, { enum: [false] }),
+    code: str('Machine-readable reason', { enum: [...new Set(Object.values(ERROR_CODES))] }),
+    message: str('Human-readable reason'),
+    error: str('Same as message (kept for older clients)'),
+    details: { description: 'Extra context where available, e.g. per-item failures', nullable: true }
+  }, ['ok', 'code', 'message']),
+  Host: obj({
+    id: str('Stable host id'),
+    name: str(),
+    baseUrl: str('Unraid API address'),
+    mac: nullable(str('Wake-on-LAN MAC address')),
+    online: bool('The last poll succeeded'),
+    error: nullable(str('Why the last poll failed')),
+    status: nullable(obj({
+      system: nullable(obj({ hostname: nullable(str()), osVersion: nullable(str()), uptime: nullable(str()), array: nullable(obj({ status: str(), storagePct: num() })) })),
+      docker: nullable(obj({ running: int(), total: int() })),
+      vms: nullable(obj({ running: int(), total: int() })),
+      metrics: nullable(obj({ cpuPct: num(), ramPct: num(), storagePct: num() })),
+      parity: nullable(ref('ParityStatus')),
+      notifications: nullable(obj({ alert: int(), warning: int(), info: int(), total: int() }))
+    })),
+    capabilities: nullable(obj({
+      detected: bool(),
+      sections: obj({}),
+      actions: obj({})
+    }))
+  }, ['id', 'name', 'baseUrl', 'online']),
+  Container: obj({
+    id: str(), name: str(), image: str(), state: str(), status: nullable(str()), autoStart: nullable(bool()),
+    ports: arr(obj({ ip: nullable(str()), privatePort: num(), publicPort: num(), type: str() })),
+    networkMode: nullable(str()), webUi: nullable(str()), restartCount: num(),
+    cpuPct: num(), memBytes: num(), memLimitBytes: num(), memPct: num()
+  }),
+  Vm: obj({ id: str(), name: str(), state: str('RUNNING, PAUSED, SHUTOFF, …'), autoStart: nullable(bool()) }),
+  Disk: obj({
+    id: nullable(str()), name: str(), role: str(null, { enum: ['parity', 'data', 'cache', 'flash', 'unassigned'] }), device: nullable(str()),
+    sizeBytes: num(), usedBytes: num(), freeBytes: num(), usedPct: num(), fsType: nullable(str()),
+    tempC: num(), spin: nullable(str()), errors: int(), status: nullable(str()), smart: nullable(str()),
+    level: str(null, { enum: ['ok', 'warn', 'bad'] })
+  }),
+  Export: nullable(obj({ export: str(null, { enum: ['yes', 'hidden', 'no'] }), security: nullable(str()) })),
+  Share: obj({
+    name: str(), comment: str(), sizeBytes: num(), usedBytes: num(), freeBytes: num(), usedPct: num(),
+    include: arr(str()), exclude: arr(str()),
+    cache: nullable(str(null, { enum: CACHE_MODES })), cachePool: nullable(str()),
+    smb: ref('Export'), nfs: ref('Export')
+  }),
+  ParityStatus: obj({
+    running: bool(), paused: bool(), correcting: bool(), progress: num('Percent'),
+    speed: num('Bytes per second'), speedText: nullable(str()), elapsedSeconds: num(), etaSeconds: num(), errors: num(),
+    status: str(null, { enum: ['RUNNING', 'PAUSED', 'IDLE'] }),
+    last: nullable(obj({ date: num('ms since epoch'), exit: num() }))
+  }),
+  ParityResult: obj({ date: num('ms since epoch'), durationSeconds: num(), speed: nullable(str()), status: nullable(str()), errors: num() }),
+  Notification: obj({
+    id: str(), title: str(), subject: str(), description: str(),
+    importance: str(null, { enum: NOTIFY_LEVELS }), link: nullable(str()), timestamp: num('ms since epoch'),
+    archived: bool(), acknowledged: nullable(bool('null when the host does not track it'))
+  }),
+  PowerJob: nullable(obj({
+    action: str(null, { enum: ['wake', 'reboot', 'shutdown'] }), startedAt: num('ms since epoch'), finished: bool(), ok: nullable(bool()),
+    state: nullable(str('wake: sent, pinging, api (API answers), array (array started)')),
+    steps: arr(obj({ message: str(), level: str(), at: num('ms since epoch') }))
+  }))
+};
+
+/* ------------------------------- paths ------------------------------- */
+
+const confirmBody = obj({ confirm: str('The host name, as a safeguard') });
+
+function paths(){
+  const H = '/hosts/{hostId}';
+  return {
+    '/hosts': {
+      get: op('List hosts with their last polled status', { tag: 'hosts', fields: { hosts: arr(ref('Host')) } })
+    },
+    [H]: {
+      get: op('One host with its last polled status', { tag: 'hosts', params: [HOST_ID], fields: { host: ref('Host') }, errors: [404] })
+    },
+    [`${H}/history`]: {
+      get: op('Metrics history', {
+        tag: 'hosts', errors: [400, 404],
+        params: [HOST_ID,
+          queryParam('metric', 'Comma-separated: cpuPct, ramPct, storagePct, …', str(null, { default: 'cpuPct' })),
+          queryParam('range', 'Time range', str(null, { enum: ['1h', '6h', '24h', '7d', '30d', '90d'], default: '24h' }))],
+        fields: { range: str(), series: obj({}) }
+      })
+    },
+    [`${H}/containers`]: {
+      get: op('Docker containers', { tag: 'containers', params: [HOST_ID], fields: { containers: arr(ref('Container')) }, errors: [404, 501, 502, 503, 504] })
+    },
+    [`${H}/containers/{containerId}`]: {
+      get: op('One container with CPU/memory usage', {
+        tag: 'containers', params: [HOST_ID, pathParam('containerId', 'Container id')],
+        fields: { container: ref('Container') }, errors: [404, 502, 503, 504]
+      })
+    },
+    [`${H}/containers/{containerId}/{action}`]: {
+      post: op('Start, stop or restart a container', {
+        tag: 'containers', scope: 'control', errors: [400, 404, 501, 502, 503, 504],
+        params: [HOST_ID, pathParam('containerId', 'Container id'), pathParam('action', 'Action', str(null, { enum: CONTAINER_ACTIONS }))]
+      })
+    },
+    [`${H}/vms`]: {
+      get: op('Virtual machines', { tag: 'vms', params: [HOST_ID], fields: { vms: arr(ref('Vm')) }, errors: [404, 501, 502, 503, 504] })
+    },
+    [`${H}/vms/{vmId}/{action}`]: {
+      post: op('Control a virtual machine', {
+        tag: 'vms', scope: 'control', errors: [400, 404, 501, 502, 503, 504],
+        params: [HOST_ID, pathParam('vmId', 'VM id'), pathParam('action', 'Action', str(null, { enum: VM_ACTIONS }))]
+      })
+    },
+    [`${H}/disks`]: {
+      get: op('Array, cache and unassigned disks', {
+        tag: 'storage', params: [HOST_ID], errors: [404, 502, 503, 504],
+        fields: { disks: arr(ref('Disk')), thresholds: obj({ warnC: num(), hotC: num() }) }
+      })
+    },
+    [`${H}/shares`]: {
+      get: op('User shares, largest first', { tag: 'storage', params: [HOST_ID], fields: { shares: arr(ref('Share')) }, errors: [404, 501, 502, 503, 504] })
+    },
+    [`${H}/parity`]: {
+      get: op('Parity check status and past results', {
+        tag: 'storage', params: [HOST_ID], errors: [404, 502, 503, 504],
+        fields: { status: ref('ParityStatus'), history: arr(ref('ParityResult')), historySource: str(null, { enum: ['host', 'local'] }) }
+      })
+    },
+    [`${H}/parity/{action}`]: {
+      post: op('Start, pause, resume or cancel a parity check', {
+        tag: 'storage', scope: 'control', errors: [400, 404, 501, 502, 503, 504],
+        params: [HOST_ID, pathParam('action', 'Action', str(null, { enum: PARITY_ACTIONS }))],
+        body: obj({ correct: bool('start: write corrections to parity', { default: false }) })
+      })
+    },
+    [`${H}/array/{action}`]: {
+      post: op('Start or stop the array', {
+        tag: 'power', scope: 'control', errors: [400, 404, 501, 502, 503, 504],
+        description: 'Stopping needs `confirm` set to the host name.',
+        params: [HOST_ID, pathParam('action', 'Action', str(null, { enum: ARRAY_ACTIONS }))],
+        body: confirmBody
+      })
+    },
+    [`${H}/power`]: {
+      get: op('The last reboot, shutdown or wake sequence', { tag: 'power', params: [HOST_ID], fields: { job: ref('PowerJob') }, errors: [404] })
+    },
+    [`${H}/power/{action}`]: {
+      post: op('Wake, reboot or shut down a host', {
+        tag: 'power', scope: 'control', status: 202, errors: [400, 404, 409, 502],
+        description: 'Reboot and shutdown need `confirm` set to the host name and run in the background; '
+          + 'wake sends the magic packet, or follows the host until it is up with `wait: true`.',
+        params: [HOST_ID, pathParam('action', 'Action', str(null, { enum: ['wake', 'reboot', 'shutdown'] }))],
+        body: obj({ confirm: str('The host name (reboot, shutdown)'), wait: bool('wake: follow the host until it is up'), timeoutSeconds: int('wake with wait') }),
+        fields: { started: bool(), job: ref('PowerJob') }
+      })
+    },
+    [`${H}/notifications`]: {
+      get: op('Unraid notifications, most severe first', {
+        tag: 'notifications', params: [HOST_ID, queryParam('archived', 'true for the archive', bool(null, { default: false }))],
+        fields: { notifications: arr(ref('Notification')) }, errors: [404, 501, 502, 503, 504]
+      })
+    },
+    [`${H}/notifications/{notificationId}/{action}`]: {
+      post: op('Archive or acknowledge a notification', {
+        tag: 'notifications', scope: 'control', errors: [400, 404, 501, 502, 503, 504],
+        params: [HOST_ID, pathParam('notificationId', 'Notification id'), pathParam('action', 'Action', str(null, { enum: NOTIFY_ACTIONS }))]
+      })
+    }
+  };
+}
+
+/** The document; `version` is the app version. */
+export function openapiDocument({ version = '0.0.0' } = {}){
+  const scopes = Object.entries(API_KEY_SCOPES).map(([s, role]) => `\`${s}\` (acts as ${role})`).join(', ');
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Unraid Control API',
+      version: `1 (app ${version})`,
+      description: 'Hosts are addressed by their stable id. Authenticate with an API key created under '
+        + `Settings → API keys, sent as \`Authorization: Bearer <key>\` or \`X-API-Key\`. Scopes: ${scopes}; `
+        + 'read keys may use every GET, control keys also the POST actions (see `x-scope`). '
+        + 'Successful responses are `{ ok: true, … }`; errors are `{ ok: false, code, message }` with the status codes listed per operation.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearer: [] }, { apiKey: [] }],
+    tags: ['hosts', 'containers', 'vms', 'storage', 'power', 'notifications'].map(name => ({ name })),
+    paths: paths(),
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas,
+      responses: Object.fromEntries(Object.entries(ERROR_TEXT).map(([code, description]) => [`E${code}`, {
+        description, content: { 'application/json': { schema: ref('Error') } }
+      }]))
+    }
+  };
+}
@@ -0,0 +1,143 @@
+/*
+ * GraphQL schema capability profiles.
+ *
+ * A profile is built once per host from an introspection result and lists the
+ * field paths the host understands (with their argument names), e.g.
+ *   queries:   { 'array.capacity.used': [], 'vms.domain': ['id'], ... }
+ *   mutations: { 'docker.start': ['id'], 'vm.forceStop': ['id'], ... }
+ * compatible() checks a query text against it, so the client can send the right
+ * variant first instead of probing with "cannot query field" errors.
+ */
+
+/* Query roots worth profiling (the rest of the schema is never queried) */
+export const QUERY_ROOTS = ['info', 'system', 'array', 'docker', 'vms', 'metrics', 'disks', 'vars', 'parityHistory', 'notifications', 'shares'];
+const QUERY_DEPTH = 3;
+const MUTATION_DEPTH = 2;
+
+export const INTROSPECTION_QUERY = `query {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    types { name fields { name args { name } type { ...T } } }
+  }
+}
+fragment T on __Type { kind name ofType { kind name ofType { kind name ofType { kind name } } } }`;
+
+const namedType = t => { while (t && !t.name) t = t.ofType; return t?.name || null; };
+
+function collect(types, typeName, prefix, depth, maxDepth, out, roots){
+  const t = types.get(typeName);
+  if (!t?.fields) return;
+  for (const f of t.fields) {
+    if (roots && !roots.includes(f.name)) continue;
+    const p = prefix ? `${prefix}.${f.name}` : f.name;
+    out[p] = (f.args || []).map(a => a.name);
+    if (depth < maxDepth) collect(types, namedType(f.type), p, depth + 1, maxDepth, out, null);
+  }
+}
+
+/** Profile from an introspection `__schema` object. */
+export function buildProfile(schema){
+  const types = new Map((schema?.types || []).map(t => [t.name, t]));
+  const queries = {}, mutations = {};
+  if (schema?.queryType?.name) collect(types, schema.queryType.name, '', 1, QUERY_DEPTH, queries, QUERY_ROOTS);
+  if (schema?.mutationType?.name) collect(types, schema.mutationType.name, '', 1, MUTATION_DEPTH, mutations, null);
+  return { queries, mutations };
+}
+
+/* ------------------------- selection-set parsing ------------------------- */
+
+const parsed = new Map();   // query text -> [{ path, args }]
+
+/** Every field occurrence of a (fragment-free) operation as { path, args }. */
+export function selectionPaths(query){
+  if (parsed.has(query)) return parsed.get(query);
+  const tok = String(query).match(/"(?:[^"\\]|\\.)*"|\$?[A-Za-z_][A-Za-z0-9_]*|[{}():!\[\],=]|[^\s]/g) || [];
+  let i = 0;
+  const out = [];
+
+  // operation header: [query|mutation] [Name] [( $var: Type … )]
+  if (tok[i] === 'query' || tok[i] === 'mutation') i++;
+  if (tok[i] && /^[A-Za-z_]/.test(tok[i])) i++;
+  if (tok[i] === '(') { let d = 0; do { if (tok[i] === '(') d++; else if (tok[i] === ')') d--; i++; } while (d && i < tok.length); }
+
+  const selection = prefix => {
+    if (tok[i] !== '{') return;
+    i++;
+    while (i < tok.length && tok[i] !== '}') {
+      const name = tok[i++];
+      if (!/^[A-Za-z_]/.test(name)) continue;
+      const path = prefix ? `${prefix}.${name}` : name;
+      const args = [];
+      if (tok[i] === '(') {
+        let d = 0;
+        do {
+          if (tok[i] === '(' || tok[i] === '{' || tok[i] === '[') d++;
+          else if (tok[i] === ')' || tok[i] === '}' || tok[i] === ']') d--;
+          else if (d === 1 && tok[i + 1] === ':' && /^[A-Za-z_]/.test(tok[i])) args.push(tok[i]);
+          i++;
+        } while (d && i < tok.length);
+      }
+      if (!name.startsWith('__')) out.push({ path, args });
+      if (tok[i] === '{') selection(path);
+    }
+    i++;
+  };
+  selection('');
+  parsed.set(query, out);
+  return out;
+}
+
+/** true/false when the profile can tell, null when the query is outside what was profiled. */
+export function compatible(profile, query){
+  if (!profile?.queries) return null;
+  const isMutation = /^\s*mutation\b/.test(query);
+  const known = isMutation ? profile.mutations : profile.queries;
+  const maxDepth = isMutation ? MUTATION_DEPTH : QUERY_DEPTH;
+  let checked = false;
+  for (const { path, args } of selectionPaths(query)) {
+    const parts = path.split('.');
+    if (parts.length > maxDepth) continue;
+    if (!isMutation && !QUERY_ROOTS.includes(parts[0])) continue;
+    checked = true;
+    if (!(path in known)) return false;
+    if (args.some(a => !known[path].includes(a))) return false;
+  }
+  return checked ? true : null;
+}
+
+export const VM_ACTIONS = ['start', 'stop', 'pause', 'resume', 'forceStop', 'reboot', 'reset'];
+
+/** Compact summary for the UI: which sections and actions the host supports. */
+export function summarize(profile){
+  if (!profile) return null;
+  if (!profile.queries) return { detected:false, at:profile.at, error:profile.error || null };
+  const q = profile.queries, m = profile.mutations || {};
+  const docker = ['start', 'stop'].filter(a => `docker.${a}` in m);
+  if (docker.length === 2) docker.push('restart');
+  return {
+    detected: true,
+    at: profile.at,
+    osVersion: profile.osVersion || null,
+    sections: {
+      info: 'info.os' in q || 'system' in q,
+      array: 'array' in q,
+      docker: 'docker.containers' in q || 'docker.list' in q,
+      vms: 'vms.domains' in q || 'vms.domain' in q,
+      metrics: 'metrics.cpu' in q || 'metrics.memory' in q,
+      disks: 'array.disks' in q || 'disks' in q,
+      notifications: 'notifications' in q,
+      shares: 'shares' in q
+    },
+    actions: {
+      docker,
+      vm: VM_ACTIONS.filter(a => `vm.${a}` in m),
+      parity: ['start', 'pause', 'resume', 'cancel'].filter(a =>
+        `parityCheck.${a}` in m || `array.${a}ParityCheck` in m || `${a}ParityCheck` in m),
+      array: ['start', 'stop'].filter(a => 'array.setState' in m || `array.${a}` in m || `${a}Array` in m),
+      power: ['reboot', 'shutdown'].filter(a => a in m || `system.${a}` in m),
+      notifications: [['archive', 'archiveNotification'], ['acknowledge', 'acknowledgeNotification']]
+        .filter(([a, root]) => root in m || `notifications.${a}` in m).map(([a]) => a)
+    }
+  };
+}
@@ -1,6 +1,8 @@
 import fetch from 'node-fetch';
 import https from 'https';
-import { getToken, getAppSettings } from '../store/configStore.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getToken, getAppSettings, getCapabilities, setCapabilities } from '../store/configStore.js';
+import { INTROSPECTION_QUERY, buildProfile, compatible, summarize } from './schema.js';
 
 /* ============================ helpers ============================ */
 
@@ -21,23 +23,159 @@ function netHint(err) {
   return null;
 }
 
+const TIMEOUT_MS = Math.max(500, Number(process.env.REQUEST_TIMEOUT_MS) || 8000);
+const RETRIES = Math.max(0, Number(process.env.REQUEST_RETRIES ?? 2) || 0);
+const BREAKER_THRESHOLD = Math.max(1, Number(process.env.BREAKER_THRESHOLD) || 3);
+const BREAKER_COOLDOWN_MS = Math.max(1000, Number(process.env.BREAKER_COOLDOWN_MS) || 30000);
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/* single request with an AbortController timeout; err._transient marks retryable failures */
 async function httpJSON(endpoint, opts) {
-  let res;
-  try { res = await fetch(endpoint, { ...opts, agent: agentFor(endpoint) }); }
-  catch (e) { throw new Error(netHint(e) || `Network error: ${e.message || e}`); }
-  const text = await res.text();
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), TIMEOUT_MS);
+  let res, text;
+  try {
+    res = await fetch(endpoint, { ...opts, agent: agentFor(endpoint), signal: ctl.signal });
+    text = await res.text();
+  } catch (e) {
+    const err = e.name === 'AbortError'
+      ? new Error(`Request timed out after ${TIMEOUT_MS} ms.`)
+      : new Error(netHint(e) || `Network error: ${e.message || e}`);
+    err._transient = true;
+    throw err;
+  } finally { clearTimeout(timer); }
   let json; try { json = text ? JSON.parse(text) : {}; } catch { json = { raw: text }; }
   return { ok: res.ok, status: res.status, json };
 }
 
+/* ======================== per-host circuit breaker ======================== */
+
+/*
+ * closed    → requests flow; BREAKER_THRESHOLD consecutive transport failures open it
+ * open      → requests fail fast ("offline") until BREAKER_COOLDOWN_MS has passed
+ * half-open → one trial request; success closes, failure re-opens
+ */
+const breakers = new Map();   // baseUrl -> { state, failures, openedAt, lastError, trial }
+
+function breakerFor(baseUrl) {
+  if (!breakers.has(baseUrl)) breakers.set(baseUrl, { state: 'closed', failures: 0, openedAt: null, lastError: null, trial: false });
+  return breakers.get(baseUrl);
+}
+
+function breakerAdmit(baseUrl) {
+  const b = breakerFor(baseUrl);
+  if (b.state === 'open' && Date.now() - b.openedAt >= BREAKER_COOLDOWN_MS) { b.state = 'half-open'; b.trial = false; }
+  if (b.state === 'closed') return;
+  if (b.state === 'half-open' && !b.trial) { b.trial = true; return; }
+  const wait = Math.max(0, Math.ceil((b.openedAt + BREAKER_COOLDOWN_MS - Date.now()) / 1000));
+  const why = b.state === 'half-open' ? 'probe in progress' : `skipped for ${wait}s after repeated failures`;
+  const err = new Error(`Host offline (${why}): ${b.lastError || 'unreachable'}`);
+  err._breaker = true;
+  throw err;
+}
+
+function breakerResult(baseUrl, err) {
+  const b = breakerFor(baseUrl);
+  b.trial = false;
+  if (!err) { b.state = 'closed'; b.failures = 0; b.openedAt = null; b.lastError = null; return; }
+  b.failures++; b.lastError = err.message;
+  if (b.state === 'half-open' || b.failures >= BREAKER_THRESHOLD) { b.state = 'open'; b.openedAt = Date.now(); }
+}
+
+/** Breaker snapshot for the API: { state, failures, retryAt, lastError }. */
+export function breakerState(baseUrl) {
+  const b = breakerFor(baseUrl);
+  return {
+    state: b.state, failures: b.failures, lastError: b.lastError,
+    retryAt: b.state === 'open' ? b.openedAt + BREAKER_COOLDOWN_MS : null
+  };
+}
+
+/** Close the breaker (e.g. after the host was edited or tested by hand). */
+export function resetBreaker(baseUrl) { breakers.delete(baseUrl); }
+
 /* ============================ GraphQL core ============================ */
 
+/*
+ * Queries are retried with exponential backoff on transport errors and 5xx;
+ * mutations are sent exactly once.
+ */
+async function postGraphQL(baseUrl, endpoint, opts, idempotent) {
+  breakerAdmit(baseUrl);
+  let lastErr;
+  for (let attempt = 0; attempt <= (idempotent ? RETRIES : 0); attempt++) {
+    if (attempt) await sleep(Math.min(4000, 300 * 2 ** (attempt - 1)) + Math.floor(Math.random() * 100));
+    try {
+      const r = await httpJSON(endpoint, opts);
+      if (r.status >= 500) { lastErr = new Error(`HTTP ${r.status} from ${endpoint}`); lastErr._transient = true; lastErr._response = r; continue; }
+      breakerResult(baseUrl, null);
+      return r;
+    } catch (e) {
+      lastErr = e;
+      if (!e._transient) break;
+    }
+  }
+  if (lastErr._response) { breakerResult(baseUrl, lastErr); return lastErr._response; }
+  breakerResult(baseUrl, lastErr);
+  throw lastErr;
+}
+
+/* ========================= request metrics ========================= */
+
+/* per host and operation (query|mutation): count, errors by kind, latency histogram; read by /metrics */
+export const GQL_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const gqlStats = new Map();   // `${baseUrl}|${op}` -> { baseUrl, op, count, sum, buckets[], errors:{ kind:n } }
+
+function recordGql(baseUrl, op, seconds, errKind) {
+  const key = `${baseUrl}|${op}`;
+  if (!gqlStats.has(key)) gqlStats.set(key, { baseUrl, op, count: 0, sum: 0, buckets: GQL_BUCKETS.map(() => 0), errors: {} });
+  const s = gqlStats.get(key);
+  s.count++; s.sum += seconds;
+  GQL_BUCKETS.forEach((b, i) => { if (seconds <= b) s.buckets[i]++; });
+  if (errKind) s.errors[errKind] = (s.errors[errKind] || 0) + 1;
+}
+
+/** Snapshot of the GraphQL counters (cumulative since start). */
+export function gqlMetrics() {
+  return [...gqlStats.values()].map(s => ({ ...s, buckets: s.buckets.slice(), errors: { ...s.errors } }));
+}
+
+/* error kinds: breaker (not sent), transport (network/timeout/5xx), http, validation (schema probe miss), graphql */
+function errorKind(e) {
+  if (e._breaker) return 'breaker';
+  if (e._transient) return 'transport';
+  if (e._http) return 'http';
+  return e._validation ? 'validation' : 'graphql';
+}
+
 async function gql(baseUrl, query, variables = {}) {
-  const token = getToken(baseUrl);
+  const op = /^\s*mutation\b/i.test(query) ? 'mutation' : 'query';
+  const t0 = process.hrtime.bigint();
+  try {
+    const data = await gqlOnce(baseUrl, query, variables);
+    recordGql(baseUrl, op, Number(process.hrtime.bigint() - t0) / 1e9, null);
+    return data;
+  } catch (e) {
+    recordGql(baseUrl, op, Number(process.hrtime.bigint() - t0) / 1e9, errorKind(e));
+    throw e;
+  }
+}
+
+/* a candidate token for one host, used only by the calls made inside withToken() */
+const trialToken = new AsyncLocalStorage();
+
+/** Run `fn` with `token` for `baseUrl` instead of the stored one (to test a token before saving it). */
+export function withToken(baseUrl, token, fn) { return trialToken.run({ baseUrl, token }, fn); }
+
+async function gqlOnce(baseUrl, query, variables) {
+  const trial = trialToken.getStore();
+  const token = trial?.baseUrl === baseUrl ? trial.token : getToken(baseUrl);
   if (!token) throw new Error(`No API token configured for ${baseUrl}`);
   const endpoint = new URL('/graphql', baseUrl).toString();
+  const idempotent = !/^\s*mutation\b/i.test(query);
 
-  const { ok, status, json } = await httpJSON(endpoint, {
+  const { ok, status, json } = await postGraphQL(baseUrl, endpoint, {
     method: 'POST',
     headers: {
       'content-type': 'application/json',
@@ -45,29 +183,83 @@ async function gql(baseUrl, query, variables = {}) {
       'x-api-key': token
     },
     body: JSON.stringify({ query, variables })
-  });
+  }, idempotent);
 
   if (!ok) {
     const msg = (json?.errors && json.errors[0]?.message) || `HTTP ${status}`;
-    throw new Error(`HTTP ${status} from ${endpoint}: ${msg}`);
+    const err = new Error(`HTTP ${status} from ${endpoint}: ${msg}`);
+    err._http = true;
+    throw err;
   }
   if (json?.errors?.length) {
     const msg = json.errors.map(e => e.message).join('; ');
     const err = new Error(msg);
-    err._validation = /cannot query field/i.test(msg);
+    err._validation = /cannot query field|unknown argument/i.test(msg);
     throw err;
   }
   return json.data;
 }
 
+/* ====================== schema capability profiles ====================== */
+
+/*
+ * Order variants by the host's capability profile: compatible ones first,
+ * unknown next, incompatible last (kept only as a fallback for stale profiles).
+ * Returns [{ i, q }] so callers can keep per-variant variables aligned.
+ */
+function rankVariants(baseUrl, variants) {
+  const profile = getCapabilities(baseUrl);
+  const rank = q => ({ true: 0, null: 1, false: 2 })[String(compatible(profile, q))];
+  return variants.map((q, i) => ({ i, q, r: rank(q) })).sort((a, b) => a.r - b.r || a.i - b.i);
+}
+
+/* a variant the profile vouched for failed validation: profile is stale (host upgraded?) */
+function profileMiss(baseUrl, q) {
+  const profile = getCapabilities(baseUrl);
+  if (profile && !profile.stale && compatible(profile, q) === true) setCapabilities(baseUrl, { ...profile, stale: true });
+}
+
+/**
+ * Introspect the host's schema once and cache its capability profile.
+ * Introspection may be disabled on the host; that is cached too (variants are then probed).
+ */
+export async function detectCapabilities(baseUrl, osVersion = null) {
+  osVersion = osVersion ?? getCapabilities(baseUrl)?.osVersion ?? null;
+  let profile;
+  try {
+    const data = await gql(baseUrl, INTROSPECTION_QUERY);
+    profile = { ...buildProfile(data.__schema), at: Date.now(), osVersion };
+  } catch (e) {
+    if (e._breaker || e._transient) throw e;   // host down: keep the previous profile
+    profile = { at: Date.now(), osVersion, error: e.message };
+  }
+  setCapabilities(baseUrl, profile);
+  return summarize(profile);
+}
+
+/** UI summary of the cached profile (null when never detected). */
+export function capabilitiesOf(baseUrl) {
+  const profile = getCapabilities(baseUrl);
+  const sum = summarize(profile);
+  return sum && { ...sum, stale: !!profile.stale };
+}
+
+/** Whether detection should run again: never done, marked stale, or the OS version changed. */
+export function capabilitiesOutdated(baseUrl, osVersion) {
+  const p = getCapabilities(baseUrl);
+  if (!p || p.stale) return true;
+  return !!osVersion && !!p.osVersion && osVersion !== p.osVersion;
+}
+
 async function tryQueries(baseUrl, variants, variables) {
   let lastErr;
-  for (const q of variants) {
+  for (const { q } of rankVariants(baseUrl, variants)) {
     try { return await gql(baseUrl, q, variables); }
     catch (e) {
       lastErr = e;
       // stop only on non-schema problems; keep trying on “cannot query field …”
       if (!e._validation) break;
+      profileMiss(baseUrl, q);
     }
   }
   throw lastErr;
@@ -103,6 +295,29 @@ const Q_DOCKERS = [
   `query { docker { list { id name image status state } } }`
 ];
 
+// Container detail: richest variants first, the plain list as last resort
+const Q_DOCKERS_DETAIL = [
+  `query { docker { containers { id names image status state autoStart created ports { ip privatePort publicPort type } hostConfig { networkMode } labels } } }`,
+  `query { docker { list { id name image status state ports { privatePort publicPort type } networkMode labels } } }`,
+  ...Q_DOCKERS
+];
+
+const Q_CONTAINER = [
+  `query($id:ID!){ docker { container(id:$id) { id names image status state autoStart created restartCount ports { ip privatePort publicPort type } hostConfig { networkMode } labels stats { cpuPercent memoryUsage memoryLimit } } } }`,
+  `query($id:ID!){ docker { container(id:$id) { id names image status state autoStart created ports { ip privatePort publicPort type } hostConfig { networkMode } labels } } }`
+];
+
+// Per-container CPU/memory when the detail query has no stats
+const Q_CONTAINER_STATS = [
+  `query { docker { stats { id cpuPercent memoryUsage memoryLimit } } }`,
+  `query { metrics { docker { id cpuPercent memoryUsage memoryLimit } } }`
+];
+
+const Q_CONTAINER_LOGS = [
+  `query($id:ID!, $tail:Int){ docker { logs(id:$id, tail:$tail) { lines { timestamp message } } } }`,
+  `query($id:ID!, $tail:Int){ docker { containerLogs(id:$id, tail:$tail) } }`
+];
+
 const Q_VMS = [
   `query { vms { domains { id name state } } }`,
   `query { vms { domain(id:"*") { id name state } } }`
@@ -114,6 +329,66 @@ const Q_METRICS = [
   `query { info { versions { id } } }`
 ];
 
+// Array layout: parity / data / cache(pool) slots. Sizes are reported in KiB.
+const Q_ARRAY_DISKS = [
+  `query { array {
+    parities { id idx name device size status temp numErrors type color }
+    disks { id idx name device size status temp numErrors fsType fsSize fsFree fsUsed type color }
+    caches { id idx name device size status temp numErrors fsType fsSize fsFree fsUsed type color }
+  } }`,
+  // builds without the color (spin) field
+  `query { array {
+    parities { id idx name device size status temp numErrors type }
+    disks { id idx name device size status temp numErrors fsType fsSize fsFree fsUsed type }
+    caches { id idx name device size status temp numErrors fsType fsSize fsFree fsUsed type }
+  } }`,
+  // older: single disk list, role in "type"
+  `query { array { disks { name device size status temp numErrors fsType fsSize fsFree type } } }`
+];
+
+// Parity check state: dedicated status object, else the raw md driver vars (KiB / seconds)
+const Q_PARITY_STATUS = [
+  `query { array { parityCheckStatus { status progress speed errors elapsed estimated correcting paused running } } }`,
+  `query { vars { mdResync mdResyncPos mdResyncSize mdResyncCorr mdResyncDt mdResyncDb sbSyncErrs sbSynced sbSynced2 sbSyncExit } }`,
+  `query { vars { mdResync mdResyncPos mdResyncSize mdResyncCorr mdResyncDt mdResyncDb sbSyncErrs } }`
+];
+
+const Q_PARITY_HISTORY = [
+  `query { parityHistory { date duration speed status errors } }`,
+  `query { array { parityHistory { date duration speed status errors } } }`
+];
+
+// Physical disks: SMART health, spin state, temperature. Sizes in bytes.
+const Q_PHYSICAL_DISKS = [
+  `query { disks { id device name size temperature smartStatus isSpinning interfaceType } }`,
+  `query { disks { id device name size temperature smartStatus } }`
+];
+
+// User shares: usage (KiB), disk include/exclude, cache mode, SMB/NFS export
+const Q_SHARES = [
+  `query { shares { id name comment size used free include exclude useCache cachePool smb { export security } nfs { export security } } }`,
+  // flat shares.ini / sec.ini fields
+  `query { shares { name comment size used free include exclude useCache export security nfsExport nfsSecurity } }`,
+  // older: cache as a flag, no export settings
+  `query { shares { name comment size free include exclude cache } }`
+];
+
+// Host notifications (disk warnings, plugin updates, parity results). type: UNREAD | ARCHIVE
+const NOTIFY_LIMIT = 200;
+const NOTIFY_FIELDS = 'id title subject description importance link type timestamp';
+const Q_NOTIFICATIONS = type => [
+  `query { notifications { list(filter:{ type:${type}, offset:0, limit:${NOTIFY_LIMIT} }) { ${NOTIFY_FIELDS} acknowledged } } }`,
+  `query { notifications { list(filter:{ type:${type}, offset:0, limit:${NOTIFY_LIMIT} }) { ${NOTIFY_FIELDS} } } }`,
+  // older: one flat list, unread and archived mixed
+  `query { notifications { ${NOTIFY_FIELDS} } }`
+];
+
+// Unread counts for the dashboard row: the host's own overview, else counted from the unread list
+const Q_NOTIFY_OVERVIEW = [
+  `query { notifications { overview { unread { info warning alert total } } } }`,
+  ...Q_NOTIFICATIONS('UNREAD')
+];
+
 /* ============================== public API ============================== */
 
 /**
@@ -125,7 +400,7 @@ const Q_METRICS = [
 export async function getHostStatus(baseUrl) {
   const warnings = [];
   const sections = {
-    system: null, docker: null, vms: null, metrics: null
+    system: null, docker: null, vms: null, metrics: null, parity: null, notifications: null
   };
 
   const tasks = {
@@ -172,13 +447,12 @@ export async function getHostStatus(baseUrl) {
         state: c.state || (String(c.status || '').toLowerCase().includes('up') ? 'running' : 'stopped')
       }));
       const running = mapped.filter(c => String(c.state).toLowerCase() === 'running').length;
-      sections.docker = { running, total: mapped.length };
+      sections.docker = { running, total: mapped.length, containers: mapped.map(({ id, name, state }) => ({ id, name, state })) };
     })(),
 
     vms: (async () => {
       try {
-        const v = await tryQueries(baseUrl, Q_VMS);
-        const domains = v?.vms?.domains || [];
+        const domains = domainsOf(await tryQueries(baseUrl, Q_VMS));
         const running = domains.filter(d => String(d.state).toLowerCase() === 'running').length;
         sections.vms = { running, total: domains.length };
       } catch (e) {
@@ -187,6 +461,18 @@ export async function getHostStatus(baseUrl) {
       }
     })(),
 
+    parity: (async () => {
+      // optional: hosts without any parity query simply report no parity section
+      try { sections.parity = parseParity(await tryQueries(baseUrl, Q_PARITY_STATUS)); }
+      catch { sections.parity = null; }
+    })(),
+
+    notifications: (async () => {
+      // optional as well: older APIs have no notification feed
+      try { sections.notifications = notifyCounts(await tryQueries(baseUrl, Q_NOTIFY_OVERVIEW)); }
+      catch { sections.notifications = null; }
+    })(),
+
     metrics: (async () => {
       try {
         const m = await tryQueries(baseUrl, Q_METRICS);
@@ -221,38 +507,401 @@ export async function getHostStatus(baseUrl) {
   return { ok: true, data: sections, warnings };
 }
 
-export async function listContainers(baseUrl) {
-  const d = await tryQueries(baseUrl, Q_DOCKERS);
-  const arr = d.docker?.containers || d.docker?.list || [];
-  return arr.map(c => ({
+/* Unraid WebUI template, e.g. "http://[IP]:[PORT:8080]/", resolved against the host address and port mappings */
+function webUiUrl(template, baseUrl, ports) {
+  if (!template) return null;
+  let host;
+  try { host = new URL(baseUrl).hostname; } catch { return null; }
+  return String(template)
+    .replace(/\[IP\]/gi, host)
+    .replace(/\[PORT:(\d+)\]/gi, (_, p) => String(ports.find(x => String(x.privatePort) === p)?.publicPort || p));
+}
+
+function labelsOf(c) {
+  if (!c.labels) return {};
+  if (typeof c.labels === 'string') { try { return JSON.parse(c.labels); } catch { return {}; } }
+  return c.labels;
+}
+
+/**
+ * Normalized container: { id, name, image, state, status, autoStart, created,
+ *   ports: [{ ip, privatePort, publicPort, type }], networkMode, webUi, restartCount,
+ *   cpuPct, memBytes, memLimitBytes, memPct } — fields the host does not report are null.
+ */
+function shapeContainer(c, baseUrl) {
+  const labels = labelsOf(c);
+  const ports = (c.ports || []).map(p => ({
+    ip: p.ip || null, privatePort: num(p.privatePort), publicPort: num(p.publicPort), type: p.type ? String(p.type).toLowerCase() : 'tcp'
+  }));
+  const stats = shapeStats(c.stats);
+  return {
     id: c.id,
     name: Array.isArray(c.names) ? (c.names[0] || c.id) : (c.name || c.id),
     image: c.image || '',
-    state: c.state || (String(c.status || '').toLowerCase().includes('up') ? 'running' : 'stopped')
-  }));
+    state: c.state || (String(c.status || '').toLowerCase().includes('up') ? 'running' : 'stopped'),
+    status: c.status || null,
+    autoStart: c.autoStart ?? null,
+    created: num(c.created),
+    ports,
+    networkMode: c.hostConfig?.networkMode || c.networkMode || labels['net.unraid.docker.network'] || null,
+    webUi: webUiUrl(labels['net.unraid.docker.webui'], baseUrl, ports),
+    restartCount: num(c.restartCount),
+    ...stats
+  };
 }
 
+function shapeStats(s) {
+  const memBytes = num(s?.memoryUsage), memLimitBytes = num(s?.memoryLimit);
+  return {
+    cpuPct: num(s?.cpuPercent) != null ? Math.round(num(s.cpuPercent) * 10) / 10 : null,
+    memBytes, memLimitBytes,
+    memPct: memBytes != null && memLimitBytes ? Math.round((memBytes / memLimitBytes) * 1000) / 10 : null
+  };
+}
+
+export async function listContainers(baseUrl) {
+  const d = await tryQueries(baseUrl, Q_DOCKERS_DETAIL);
+  const arr = d.docker?.containers || d.docker?.list || [];
+  return arr.map(c => shapeContainer(c, baseUrl));
+}
+
+/* ------------------------------- shares ------------------------------- */
+
+export const CACHE_MODES = ['yes', 'no', 'prefer', 'only'];
+
+const diskList = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(x => String(x).trim()).filter(Boolean);
+
+function cacheMode(s) {
+  const m = String(s.useCache ?? '').toLowerCase();
+  if (CACHE_MODES.includes(m)) return m;
+  if (typeof s.cache === 'boolean') return s.cache ? 'yes' : 'no';
+  return null;
+}
+
+/* sec.ini export values: 'e' exported, 'eh' exported hidden, '-' not exported; null when the host does not say */
+function exportOf(exp, security) {
+  if (exp == null && security == null) return null;
+  const e = String(exp ?? '').toLowerCase();
+  const state = e === 'eh' || e === 'hidden' ? 'hidden' : (['e', 'yes', 'true'].includes(e) ? 'yes' : 'no');
+  return { export: state, security: security ? String(security).toLowerCase() : null };
+}
+
+/**
+ * Normalized share: { name, comment, sizeBytes, usedBytes, freeBytes, usedPct, include, exclude,
+ *   cache: 'yes'|'no'|'prefer'|'only'|null, cachePool, smb, nfs } — smb/nfs are
+ *   { export: 'yes'|'hidden'|'no', security } or null when the host does not report them.
+ */
+function shapeShare(s) {
+  const kib = v => num(v) == null ? null : num(v) * 1024;
+  const freeBytes = kib(s.free);
+  // without a used field, size is the share's computed usage (older APIs); otherwise it is used + free
+  const usedBytes = s.used === undefined ? kib(s.size) : kib(s.used);
+  const sizeBytes = usedBytes != null && freeBytes != null ? usedBytes + freeBytes : (s.used === undefined ? null : kib(s.size));
+  return {
+    name: s.name,
+    comment: s.comment || '',
+    sizeBytes, usedBytes, freeBytes,
+    usedPct: sizeBytes ? Math.round((usedBytes / sizeBytes) * 100) : null,
+    include: diskList(s.include),
+    exclude: diskList(s.exclude),
+    cache: cacheMode(s),
+    cachePool: s.cachePool || null,
+    smb: s.smb !== undefined ? exportOf(s.smb?.export, s.smb?.security) : exportOf(s.export, s.security),
+    nfs: s.nfs !== undefined ? exportOf(s.nfs?.export, s.nfs?.security) : exportOf(s.nfsExport, s.nfsSecurity)
+  };
+}
+
+/** User shares, largest first. */
+export async function listShares(baseUrl) {
+  const d = await tryQueries(baseUrl, Q_SHARES);
+  return (d.shares || []).map(shapeShare).sort((a, b) => (b.usedBytes ?? -1) - (a.usedBytes ?? -1));
+}
+
+/** One container with resource usage; falls back to the list (and separate stats) on older schemas. */
+export async function getContainer(baseUrl, id) {
+  let c = null;
+  try { c = (await tryQueries(baseUrl, Q_CONTAINER, { id }))?.docker?.container || null; }
+  catch (e) { if (!e._validation) throw e; }
+  const out = c ? shapeContainer(c, baseUrl) : (await listContainers(baseUrl)).find(x => x.id === id);
+  if (!out) throw new Error('Container not found.');
+  if (out.cpuPct == null && out.memBytes == null) {
+    try {
+      const d = await tryQueries(baseUrl, Q_CONTAINER_STATS);
+      Object.assign(out, shapeStats((d?.docker?.stats || d?.metrics?.docker || []).find(x => x.id === id)));
+    } catch {}   // stats are optional
+  }
+  return out;
+}
+
+/** Last `tail` log lines: [{ ts, text }], or null when the host's API has no log query. */
+export async function getContainerLogs(baseUrl, id, tail = 200) {
+  let d;
+  try { d = await tryQueries(baseUrl, Q_CONTAINER_LOGS, { id, tail }); }
+  catch (e) { if (e._validation) return null; throw e; }
+  const raw = d?.docker?.logs?.lines ?? d?.docker?.containerLogs ?? [];
+  const lines = typeof raw === 'string' ? raw.split('\n').filter(Boolean).map(text => ({ ts: null, text })) :
+    raw.map(l => ({ ts: l.timestamp || null, text: String(l.message ?? '') }));
+  return lines.slice(-tail);
+}
+
+/* vms.domains, or vms.domain(id:"*") — a list, or a single object on some builds */
+const domainsOf = d => d?.vms?.domains || [].concat(d?.vms?.domain || []);
+
+/** VMs as { id, name, state }; throws when the list cannot be read. */
+export async function queryVMs(baseUrl) {
+  return domainsOf(await tryQueries(baseUrl, Q_VMS)).map(v => ({ id: v.id, name: v.name, state: v.state }));
+}
+
+/** Like queryVMs, but [] when the list cannot be read (VM service off, older builds). */
 export async function listVMs(baseUrl) {
-  try {
-    const d = await tryQueries(baseUrl, Q_VMS);
-    const arr = d?.vms?.domains || [];
-    return arr.map(v => ({ id: v.id, name: v.name, state: v.state }));
-  } catch {
-    return [];
+  try { return await queryVMs(baseUrl); } catch { return []; }
+}
+
+/* Unraid defaults for disk temperature warning/critical (°C) */
+export const DISK_TEMP_WARN = 45;
+export const DISK_TEMP_HOT = 55;
+
+const num = v => (v == null || v === '' || isNaN(Number(v))) ? null : Number(v);
+const devKey = d => String(d || '').replace(/^\/dev\//, '');
+
+function spinFrom(color) {
+  const c = String(color || '').toLowerCase();
+  if (!c) return null;
+  if (c.includes('blink')) return 'standby';
+  if (c.includes('on')) return 'active';
+  return null;
+}
+
+function roleOf(d, fallback) {
+  const t = String(d.type || '').toLowerCase();
+  if (t.includes('parity')) return 'parity';
+  if (t.includes('cache') || t.includes('pool')) return 'cache';
+  if (t.includes('flash') || t.includes('boot')) return 'flash';
+  return fallback;
+}
+
+/**
+ * Per-host storage detail: every parity, data and cache/pool device merged
+ * with physical disk data (SMART, spin) when the host exposes it.
+ * Returns [{ id, name, role, device, sizeBytes, usedBytes, freeBytes, usedPct,
+ *            fsType, tempC, spin, errors, status, smart, level }]
+ * where level is 'ok' | 'warn' (hot) | 'bad' (critical temp, errors, SMART fail, disabled).
+ */
+export async function listDisks(baseUrl) {
+  const [layout, physical] = await Promise.allSettled([
+    tryQueries(baseUrl, Q_ARRAY_DISKS),
+    tryQueries(baseUrl, Q_PHYSICAL_DISKS)
+  ]);
+  if (layout.status === 'rejected' && physical.status === 'rejected') throw layout.reason;
+
+  const phys = new Map();
+  for (const p of (physical.value?.disks || [])) phys.set(devKey(p.device), p);
+
+  const a = layout.value?.array || {};
+  const slots = [
+    ...(a.parities || []).map(d => [d, 'parity']),
+    ...(a.disks || []).map(d => [d, roleOf(d, 'data')]),
+    ...(a.caches || []).map(d => [d, 'cache'])
+  ];
+
+  const out = slots.map(([d, role]) => {
+    const p = phys.get(devKey(d.device));
+    if (p) phys.delete(devKey(d.device));
+    const kib = v => num(v) == null ? null : num(v) * 1024;
+    const sizeBytes = kib(d.fsSize) ?? kib(d.size) ?? num(p?.size);
+    const freeBytes = kib(d.fsFree);
+    const usedBytes = kib(d.fsUsed) ?? (sizeBytes != null && freeBytes != null ? sizeBytes - freeBytes : null);
+    return {
+      id: d.id || d.name, name: d.name || d.device, role: roleOf(d, role),
+      device: d.device || p?.device || null,
+      sizeBytes, usedBytes, freeBytes,
+      usedPct: (usedBytes != null && sizeBytes) ? Math.round((usedBytes / sizeBytes) * 100) : null,
+      fsType: d.fsType || null,
+      tempC: num(d.temp) ?? num(p?.temperature),
+      spin: (p?.isSpinning != null) ? (p.isSpinning ? 'active' : 'standby') : spinFrom(d.color),
+      errors: num(d.numErrors) ?? 0,
+      status: d.status || null,
+      smart: p?.smartStatus || null
+    };
+  });
+
+  // physical disks not assigned to the array (unassigned devices)
+  for (const p of phys.values()) {
+    out.push({
+      id: p.id || p.device, name: p.name || p.device, role: 'unassigned', device: p.device,
+      sizeBytes: num(p.size), usedBytes: null, freeBytes: null, usedPct: null, fsType: null,
+      tempC: num(p.temperature), spin: p.isSpinning == null ? null : (p.isSpinning ? 'active' : 'standby'),
+      errors: 0, status: null, smart: p.smartStatus || null
+    });
+  }
+
+  const order = { parity: 0, data: 1, cache: 2, flash: 3, unassigned: 4 };
+  return out
+    .map(d => ({ ...d, level: diskLevel(d) }))
+    .sort((x, y) => (order[x.role] ?? 9) - (order[y.role] ?? 9) || String(x.name).localeCompare(String(y.name), undefined, { numeric: true }));
+}
+
+function diskLevel(d) {
+  const smart = String(d.smart || '').toUpperCase();
+  const status = String(d.status || '').toUpperCase();
+  if (d.errors > 0 || (smart && smart !== 'OK' && smart !== 'UNKNOWN')) return 'bad';
+  if (/DSBL|INVALID|WRONG|MISSING|NP_DSBL/.test(status)) return 'bad';
+  if (d.tempC != null && d.tempC >= DISK_TEMP_HOT) return 'bad';
+  if (d.tempC != null && d.tempC >= DISK_TEMP_WARN) return 'warn';
+  return 'ok';
+}
+
+/* ============================== parity check ============================== */
+
+/**
+ * Normalized parity-check state:
+ * { running, paused, correcting, progress (0–100), speed (B/s), speedText,
+ *   elapsedSeconds, etaSeconds, errors, status, last: { date, exit } | null }
+ */
+function parseParity(d) {
+  const p = d?.array?.parityCheckStatus;
+  if (p) {
+    const status = String(p.status || '').toUpperCase();
+    const running = p.running ?? (status === 'RUNNING' || status === 'PAUSED');
+    const speedNum = num(p.speed);
+    return {
+      running: !!running,
+      paused: !!(p.paused ?? status === 'PAUSED'),
+      correcting: !!p.correcting,
+      progress: num(p.progress),
+      speed: speedNum, speedText: speedNum == null && p.speed ? String(p.speed) : null,
+      elapsedSeconds: num(p.elapsed), etaSeconds: num(p.estimated),
+      errors: num(p.errors) ?? 0,
+      status: status || (running ? 'RUNNING' : 'IDLE'),
+      last: null
+    };
   }
+  const v = d?.vars;
+  if (!v) return null;
+  const size = num(v.mdResyncSize) || 0, pos = num(v.mdResyncPos) || 0;
+  const running = num(v.mdResync) > 0 && size > 0;
+  const dt = num(v.mdResyncDt) || 0, db = num(v.mdResyncDb) || 0;
+  const speed = running && dt > 0 ? Math.round((db * 1024) / dt) : null;
+  const remaining = (size - pos) * 1024;
+  const paused = running && dt === 0;
+  return {
+    running, paused,
+    correcting: num(v.mdResyncCorr) === 1,
+    progress: running && size ? Math.round((pos / size) * 1000) / 10 : null,
+    speed, speedText: null,
+    elapsedSeconds: running && num(v.sbSynced) ? Math.max(0, Math.round(Date.now() / 1000 - num(v.sbSynced))) : null,
+    etaSeconds: speed ? Math.round(remaining / speed) : null,
+    errors: num(v.sbSyncErrs) ?? 0,
+    status: running ? (paused ? 'PAUSED' : 'RUNNING') : 'IDLE',
+    last: !running && num(v.sbSynced2) ? { date: num(v.sbSynced2) * 1000, exit: num(v.sbSyncExit) } : null
+  };
+}
+
+export async function getParityStatus(baseUrl) {
+  return parseParity(await tryQueries(baseUrl, Q_PARITY_STATUS));
+}
+
+/** Check history as reported by the host: [{ date (ms), durationSeconds, speed, status, errors }] or null when unsupported. */
+export async function getParityHistory(baseUrl) {
+  let d;
+  try { d = await tryQueries(baseUrl, Q_PARITY_HISTORY); }
+  catch (e) { if (e._validation) return null; throw e; }
+  const arr = d?.parityHistory || d?.array?.parityHistory || [];
+  return arr.map(h => ({
+    date: typeof h.date === 'number' ? (h.date < 1e12 ? h.date * 1000 : h.date) : (Date.parse(h.date) || null),
+    durationSeconds: num(h.duration),
+    speed: h.speed ?? null,
+    status: h.status || null,
+    errors: num(h.errors) ?? 0
+  })).sort((a, b) => (b.date || 0) - (a.date || 0));
+}
+
+/* ============================= notifications ============================= */
+
+const IMPORTANCE = { alert: 'alert', warning: 'warning', normal: 'info', info: 'info' };
+export const NOTIFY_LEVELS = ['alert', 'warning', 'info'];   // most severe first
+
+function notifyList(d){
+  const n = d?.notifications;
+  return Array.isArray(n) ? n : (n?.list || []);
+}
+
+/**
+ * Normalized notification: { id, title, subject, description, importance: 'alert'|'warning'|'info',
+ *   link, timestamp (ms), archived, acknowledged (null when the host does not track it) }
+ */
+function shapeNotification(n){
+  const ts = n.timestamp;
+  return {
+    id: String(n.id),
+    title: n.title || '',
+    subject: n.subject || '',
+    description: n.description || '',
+    importance: IMPORTANCE[String(n.importance || '').toLowerCase()] || 'info',
+    link: n.link || null,
+    timestamp: typeof ts === 'number' ? (ts < 1e12 ? ts * 1000 : ts) : (Date.parse(ts) || null),
+    archived: String(n.type || '').toUpperCase() === 'ARCHIVE',
+    acknowledged: n.acknowledged ?? null
+  };
+}
+
+/* { alert, warning, info, total } unread — acknowledged ones no longer count */
+function notifyCounts(d){
+  const o = d?.notifications?.overview?.unread;
+  if (o) return { alert: num(o.alert) ?? 0, warning: num(o.warning) ?? 0, info: num(o.info) ?? 0, total: num(o.total) ?? 0 };
+  const counts = { alert: 0, warning: 0, info: 0, total: 0 };
+  for (const n of notifyList(d).map(shapeNotification)) {
+    if (n.archived || n.acknowledged) continue;
+    counts[n.importance]++; counts.total++;
+  }
+  return counts;
+}
+
+/** Unread (or archived) notifications, newest first; null when the host's API has no notification feed. */
+export async function listNotifications(baseUrl, { archived = false } = {}) {
+  let d;
+  try { d = await tryQueries(baseUrl, Q_NOTIFICATIONS(archived ? 'ARCHIVE' : 'UNREAD')); }
+  catch (e) { if (e._validation) return null; throw e; }
+  return notifyList(d).map(shapeNotification)
+    .filter(n => n.archived === archived)
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+export const NOTIFY_ACTIONS = ['archive', 'acknowledge'];
+
+/** Archive a notification, or acknowledge it (stays in the inbox, no longer unread) where the host supports that. */
+export async function notificationAction(baseUrl, id, action) {
+  if (!NOTIFY_ACTIONS.includes(action)) throw new Error(`Unsupported notification action: ${action}`);
+  const queries = action === 'archive'
+    ? [
+      `mutation($id:ID!){ archiveNotification(id:$id) { id } }`,
+      `mutation($id:ID!){ notifications { archive(id:$id) } }`
+    ]
+    : [
+      `mutation($id:ID!){ notifications { acknowledge(id:$id) } }`,
+      `mutation($id:ID!){ acknowledgeNotification(id:$id) { id } }`
+    ];
+  await tryMutations(baseUrl, queries, queries.map(() => ({ id: String(id) })));
+  return true;
 }
 
 /* ----------------------- mutations (unchanged) ----------------------- */
 
 async function tryMutations(baseUrl, variants, variablesList) {
+  const ranked = rankVariants(baseUrl, variants);
+  if (ranked.every(v => compatible(getCapabilities(baseUrl), v.q) === false) && !getCapabilities(baseUrl)?.stale) {
+    throw new Error('This action is not supported by the host’s API.');
+  }
   let lastErr;
-  for (let i = 0; i < variants.length; i++) {
-    try { return await gql(baseUrl, variants[i], variablesList[i] || {}); }
-    catch (e) { lastErr = e; if (!e._validation) break; }
+  for (const { i, q } of ranked) {
+    try { return await gql(baseUrl, q, variablesList[i] || {}); }
+    catch (e) { lastErr = e; if (!e._validation) break; profileMiss(baseUrl, q); }
   }
   throw lastErr;
 }
 
+export const CONTAINER_ACTIONS = ['start', 'stop', 'restart'];
+
 export async function containerAction(baseUrl, id, action) {
   if (action === 'restart') {
     await containerAction(baseUrl, id, 'stop');
@@ -262,7 +911,7 @@ export async function containerAction(baseUrl, id, action) {
   const queries = [
     `mutation($id:ID!){ docker { ${field}(id:$id) } }`,
     `mutation($id:String!){ docker { ${field}(containerId:$id) } }`,
-    `mutation{ docker { ${field}(id:"${id}") } }`
+    `mutation{ docker { ${field}(id:${JSON.stringify(String(id))}) } }`   // a JSON string is a valid, escaped GraphQL literal
   ];
   const vars = [{ id }, { id }];
   await tryMutations(baseUrl, queries, vars);
@@ -275,13 +924,58 @@ export async function vmAction(baseUrl, id, action) {
   const queries = [
     `mutation($id:ID!){ vm { ${action}(id:$id) } }`,
     `mutation($id:String!){ vm { ${action}(domainId:$id) } }`,
-    `mutation{ vm { ${action}(id:"${id}") } }`
+    `mutation{ vm { ${action}(id:${JSON.stringify(String(id))}) } }`
   ];
   const vars = [{ id }, { id }];
   await tryMutations(baseUrl, queries, vars);
   return true;
 }
 
-export async function powerAction() {
-  throw new Error('System power actions are not available via this Unraid API.');
+export const PARITY_ACTIONS = ['start', 'pause', 'resume', 'cancel'];
+
+/** Start (correcting or not), pause, resume or cancel a parity check. */
+export async function parityAction(baseUrl, action, { correct = false } = {}) {
+  if (!PARITY_ACTIONS.includes(action)) throw new Error(`Unsupported parity action: ${action}`);
+  const queries = action === 'start'
+    ? [
+      `mutation($correct:Boolean!){ parityCheck { start(correct:$correct) } }`,
+      `mutation($correct:Boolean){ array { startParityCheck(correct:$correct) } }`,
+      `mutation($correct:Boolean){ startParityCheck(correct:$correct) }`
+    ]
+    : [
+      `mutation{ parityCheck { ${action} } }`,
+      `mutation{ array { ${action}ParityCheck } }`,
+      `mutation{ ${action}ParityCheck }`
+    ];
+  const vars = action === 'start' ? queries.map(() => ({ correct: !!correct })) : [];
+  await tryMutations(baseUrl, queries, vars);
+  return true;
+}
+
+export const ARRAY_ACTIONS = ['start', 'stop'];
+
+/** Start or stop the array. */
+export async function arrayAction(baseUrl, action) {
+  if (!ARRAY_ACTIONS.includes(action)) throw new Error(`Unsupported array action: ${action}`);
+  const queries = [
+    `mutation($input:ArrayStateInput!){ array { setState(input:$input) { state } } }`,
+    `mutation{ array { ${action} } }`,
+    `mutation{ ${action}Array }`
+  ];
+  const vars = [{ input: { desiredState: action.toUpperCase() } }];
+  await tryMutations(baseUrl, queries, vars);
+  return true;
+}
+
+export const POWER_ACTIONS = ['reboot', 'shutdown'];
+
+/** Reboot or shut down the host (no graceful stop of VMs/containers here — see monitor/power.js). */
+export async function powerAction(baseUrl, action) {
+  if (!POWER_ACTIONS.includes(action)) throw new Error(`Unsupported power action: ${action}`);
+  const queries = [
+    `mutation{ ${action} }`,
+    `mutation{ system { ${action} } }`
+  ];
+  await tryMutations(baseUrl, queries, []);
+  return true;
 }
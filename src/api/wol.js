@@ -2,28 +2,80 @@ import wol from 'wake_on_lan';
 import dgram from 'dgram';
 import os from 'os';
 
-export function sendWol(mac, broadcast = '255.255.255.255', iface = 'eth0') {
-  return new Promise((resolve, reject) => {
-    const packet = wol.createMagicPacket(mac);
-    const sock = dgram.createSocket('udp4');
+/*
+ * Wake-on-LAN. Per-host settings (host.wol) win over the WOL_BROADCAST / WOL_INTERFACE defaults:
+ * { broadcast, iface, port: 9|7, secureOn: 6-byte SecureOn password as AA:BB:CC:DD:EE:FF, repeat: 1–10 }
+ * With an interface and no broadcast, the packet goes to that interface's subnet broadcast,
+ * sent from its address — which is what reaches a host on another VLAN.
+ */
+export const WOL_PORTS = [9, 7];
+const REPEAT_GAP_MS = 100;
+const HEX6 = /^[0-9a-f]{2}([:-]?)[0-9a-f]{2}(\1[0-9a-f]{2}){4}$/i;
+const isIPv4 = s => /^\d{1,3}(\.\d{1,3}){3}$/.test(s) && s.split('.').every(n=>+n <= 255);
+
+/**
+ * Validate WOL settings from the host form. An empty secureOn keeps `prev.secureOn`
+ * unless clearSecureOn is set. Throws with a field-specific message.
+ */
+export function normalizeWol(input = {}, prev = {}){
+  const w = input || {};
+  const broadcast = String(w.broadcast || '').trim();
+  if (broadcast && !isIPv4(broadcast)) throw new Error('WOL broadcast must be an IPv4 address, e.g. 192.168.20.255.');
+  const iface = String(w.iface || '').trim();
+  if (iface && !/^[\w.:@-]{1,32}$/.test(iface)) throw new Error('Invalid WOL interface name.');
+  const port = w.port == null || w.port === '' ? 9 : Number(w.port);
+  if (!WOL_PORTS.includes(port)) throw new Error('WOL port must be 9 or 7.');
+  const repeat = w.repeat == null || w.repeat === '' ? 3 : Number(w.repeat);
+  if (!Number.isInteger(repeat) || repeat < 1 || repeat > 10) throw new Error('WOL repeat must be 1–10.');
+  let secureOn = String(w.secureOn || '').trim();
+  if (secureOn && !HEX6.test(secureOn)) throw new Error('SecureOn password must be 6 bytes in hex, e.g. 01:23:45:67:89:AB.');
+  if (!secureOn && !w.clearSecureOn) secureOn = prev?.secureOn || '';
+  return { broadcast, iface, port, repeat, secureOn: secureOn.toUpperCase() };
+}
+
+function directedBroadcast(address, netmask){
+  const a = address.split('.').map(Number), m = netmask.split('.').map(Number);
+  return a.map((o, i)=>(o | (~m[i] & 255))).join('.');
+}
 
+/* where the packet goes and which local address it leaves from */
+function resolve(w = {}){
+  const envIface = process.env.WOL_INTERFACE || '';
+  const ifaceAddr = name => (os.networkInterfaces()[name] || []).find(a=>(a.family === 'IPv4' || a.family === 4) && !a.internal);
+  const hostAddr = w.iface ? ifaceAddr(w.iface) : null;
+  if (w.iface && !hostAddr) throw new Error(`Network interface ${w.iface} not found or has no IPv4 address.`);
+  const envAddr = !w.iface && envIface ? ifaceAddr(envIface) : null;   // the old default (eth0) may not exist: ignored then
+  const local = hostAddr || envAddr;
+  const address = w.broadcast
+    || (hostAddr && directedBroadcast(hostAddr.address, hostAddr.netmask))
+    || process.env.WOL_BROADCAST
+    || '255.255.255.255';
+  return { address, bind: local?.address, iface: hostAddr ? w.iface : envAddr ? envIface : null, port: w.port || 9, repeat: w.repeat || 1 };
+}
+
+/** Send `repeat` magic packets. Resolves { address, port, count, iface }. */
+export function sendWol(mac, settings = {}) {
+  return new Promise((done, reject) => {
+    let packet, r;
     try {
-      // try to bind to the interface's IP (optional)
-      const ifAddrs = Object.values(os.networkInterfaces())
-        .flat()
-        .filter(Boolean)
-        .filter(a => a.family === 'IPv4' && !a.internal);
-      const match = ifAddrs.find(a => (a?.mac || '').toLowerCase() === mac.toLowerCase());
-      sock.bind(0, match?.address || undefined, () => {
-        sock.setBroadcast(true);
-        sock.send(packet, 0, packet.length, 9, broadcast, (err) => {
-          sock.close();
-          if (err) reject(err); else resolve();
-        });
+      r = resolve(settings);
+      packet = wol.createMagicPacket(mac);
+      if (settings.secureOn) packet = Buffer.concat([packet, Buffer.from(settings.secureOn.replace(/[:-]/g, ''), 'hex')]);
+    } catch (e) { return reject(e); }
+
+    const sock = dgram.createSocket('udp4');
+    const fail = e => { try { sock.close(); } catch {} reject(e); };
+    sock.once('error', fail);
+    sock.bind(0, r.bind, () => {
+      sock.setBroadcast(true);
+      let sent = 0;
+      const next = () => sock.send(packet, 0, packet.length, r.port, r.address, err => {
+        if (err) return fail(err);
+        if (++sent < r.repeat) return setTimeout(next, REPEAT_GAP_MS);
+        sock.close();
+        done({ address: r.address, port: r.port, count: sent, iface: r.iface });
       });
-    } catch (e) {
-      try { sock.close(); } catch {}
-      reject(e);
-    }
+      next();
+    });
   });
 }
@@ -1,13 +1,12 @@
 import auth from 'basic-auth';
+import { verifyUser } from '../store/userStore.js';
 
-export function basicAuth(user, pass) {
-  return (req, res, next) => {
-    if (!user || !pass) return next(); // disabled
-    const creds = auth(req);
-    if (!creds || creds.name !== user || creds.pass !== pass) {
-      res.set('WWW-Authenticate', 'Basic realm="Restricted"');
-      return res.status(401).send('Authentication required.');
-    }
-    next();
-  };
+/**
+ * Resolve HTTP Basic credentials against the user store (for scripts/curl).
+ * Returns the public user record or null.
+ */
+export function basicAuthUser(req) {
+  const creds = auth(req);
+  if (!creds) return null;
+  return verifyUser(creds.name, creds.pass);
 }
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import { parseCookies } from './session.js';
+
+const COOKIE = 'ucp_csrf';
+const HEADER = 'x-csrf-token';
+const SAFE = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Stable across restarts only when CSRF_SECRET is set; otherwise tokens rotate on restart.
+const SECRET = process.env.CSRF_SECRET || crypto.randomBytes(32).toString('hex');
+
+/* token = <nonce>.<hmac(nonce)>: the server can verify it without keeping state */
+function sign(nonce){ return crypto.createHmac('sha256', SECRET).update(nonce).digest('base64url'); }
+function issueToken(){ const nonce = crypto.randomBytes(18).toString('base64url'); return `${nonce}.${sign(nonce)}`; }
+function validToken(token){
+  const [nonce, mac] = String(token || '').split('.');
+  if (!nonce || !mac) return false;
+  const a = Buffer.from(mac), b = Buffer.from(sign(nonce));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function setCookie(req, res, token){
+  // readable by page JS (double-submit), so not HttpOnly
+  res.append('Set-Cookie', `${COOKIE}=${token}; Path=/; SameSite=Strict${req.secure ? '; Secure' : ''}`);
+}
+
+/**
+ * Issue the signed token cookie when missing or stale, and reject mutating
+ * /api requests whose X-CSRF-Token header does not match a valid cookie.
+ * /api/v1 is exempt: it only accepts API keys sent as headers, never cookies.
+ */
+export function csrf(){
+  return (req, res, next) => {
+    let token = parseCookies(req)[COOKIE];
+    if (!validToken(token)) { token = issueToken(); setCookie(req, res, token); req.csrfFresh = true; }
+    req.csrfToken = token;
+
+    if (SAFE.has(req.method) || !req.path.startsWith('/api/') || req.path.startsWith('/api/v1/')) return next();
+    const sent = String(req.get(HEADER) || '');
+    if (req.csrfFresh || !sent || sent !== token || !validToken(sent)) {
+      return res.status(403).json({ ok:false, error:'csrf', message:'Missing or invalid CSRF token. Reload the page and retry.' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import { getUser, roleAtLeast } from '../store/userStore.js';
+import { basicAuthUser } from './basicAuth.js';
+
+const COOKIE = 'ucp_session';
+const IDLE_MS = (Number(process.env.SESSION_IDLE_HOURS) || 12) * 3600 * 1000;
+
+const sessions = new Map();   // id -> { username, seen }
+
+setInterval(()=>{
+  const now = Date.now();
+  for (const [id, s] of sessions) if (now - s.seen > IDLE_MS) sessions.delete(id);
+}, 10 * 60 * 1000).unref();
+
+/* ------------------------------ cookies ------------------------------ */
+
+export function parseCookies(req){
+  const out = {};
+  String(req.headers.cookie || '').split(';').forEach(part=>{
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    const k = part.slice(0, i).trim();
+    try{ out[k] = decodeURIComponent(part.slice(i + 1).trim()); }catch{ out[k] = part.slice(i + 1).trim(); }
+  });
+  return out;
+}
+
+function cookieAttrs(req){ return `Path=/; SameSite=Lax${req.secure ? '; Secure' : ''}`; }
+
+/* ------------------------------ sessions ------------------------------ */
+
+export function startSession(req, res, username){
+  const id = crypto.randomBytes(32).toString('hex');
+  sessions.set(id, { username, seen: Date.now() });
+  res.append('Set-Cookie', `${COOKIE}=${id}; HttpOnly; ${cookieAttrs(req)}; Max-Age=${Math.floor(IDLE_MS/1000)}`);
+}
+
+export function endSession(req, res){
+  const id = parseCookies(req)[COOKIE];
+  if (id) sessions.delete(id);
+  res.append('Set-Cookie', `${COOKIE}=; HttpOnly; ${cookieAttrs(req)}; Max-Age=0`);
+}
+
+/** Drop every session of a user (after deletion or a password change). */
+export function endUserSessions(username, exceptReq){
+  const keep = exceptReq ? parseCookies(exceptReq)[COOKIE] : null;
+  for (const [id, s] of sessions) if (s.username === username && id !== keep) sessions.delete(id);
+}
+
+function sessionUser(req){
+  const id = parseCookies(req)[COOKIE];
+  const s = id && sessions.get(id);
+  if (!s) return null;
+  if (Date.now() - s.seen > IDLE_MS) { sessions.delete(id); return null; }
+  const user = getUser(s.username);          // role changes apply immediately
+  if (!user) { sessions.delete(id); return null; }
+  s.seen = Date.now();
+  return user;
+}
+
+/* ----------------------------- middleware ----------------------------- */
+
+/** Attach req.user from the session cookie or Basic credentials (never rejects). */
+export function authenticate(req, _res, next){
+  req.user = sessionUser(req) || basicAuthUser(req);
+  next();
+}
+
+/** Reject requests without a user of at least `min` role. */
+export function requireRole(min){
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ ok:false, error:'Authentication required.', message:'Authentication required.', code:'unauthorized' });
+    if (!roleAtLeast(req.user.role, min)) return res.status(403).json({ ok:false, error:'Insufficient role.', message:`This action requires the ${min} role.`, code:'forbidden' });
+    next();
+  };
+}
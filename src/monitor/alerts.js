@@ -0,0 +1,121 @@
+import { listAlertRules, getChannel } from '../store/configStore.js';
+import { sendNotification } from '../api/notify.js';
+import { bus } from './bus.js';
+
+/*
+ * Alert rules engine. After every poll each enabled rule is checked against
+ * the rows produced by getHostStatus (via the poller). A rule fires once its
+ * condition has held for forMinutes, re-notifies every cooldownMinutes while
+ * still true, and optionally sends a "resolved" message when it clears.
+ */
+
+const state = new Map();   // `${ruleId}|${baseUrl}` -> { since, firing, lastSent, detail }
+let log = { info(){}, warn(){}, error(){} };
+
+/* condition per kind: returns a detail string when the rule matches, else null */
+const CHECKS = {
+  unreachable: (row) => row.status ? null : `unreachable (${row.error || 'no response'})`,
+  arrayNotStarted: (row) => {
+    const st = row.status?.system?.array?.status;
+    if (!row.status || !st) return null;   // unknown is not "not started"
+    return String(st).toUpperCase() === 'STARTED' ? null : `array is ${st}`;
+  },
+  storageAbove: (row, r) => above(row.status?.system?.array?.storagePct, r.threshold, 'storage'),
+  cpuAbove: (row, r) => above(row.status?.metrics?.cpuPct, r.threshold, 'CPU'),
+  ramAbove: (row, r) => above(row.status?.metrics?.ramPct, r.threshold, 'RAM'),
+  containerNotRunning: (row, r) => {
+    const list = row.status?.docker?.containers;
+    if (!list) return null;
+    const c = list.find(x => x.name.replace(/^\//, '') === r.container.replace(/^\//, ''));
+    if (!c) return `container ${r.container} not found`;
+    return String(c.state).toLowerCase() === 'running' ? null : `container ${r.container} is ${c.state}`;
+  }
+};
+
+function above(v, threshold, label){
+  return (v != null && v > threshold) ? `${label} at ${v}% (> ${threshold}%)` : null;
+}
+
+export function describeRule(r){
+  switch (r.kind) {
+    case 'unreachable': return 'Host unreachable';
+    case 'arrayNotStarted': return 'Array not STARTED';
+    case 'containerNotRunning': return `Container "${r.container}" not running`;
+    default: return `${r.kind.replace('Above', '')} above ${r.threshold}%`;
+  }
+}
+
+/* never rejects: evaluate() fires deliveries without awaiting them */
+async function deliver(rule, row, kind, detail){
+  const host = row.name || row.baseUrl;
+  let channel = null;
+  try{
+    channel = getChannel(rule.channelId);   // throws when a secret cannot be decrypted (wrong TOKENS_KEY)
+    if (!channel) { log.warn('Alert channel missing', { rule:rule.name }); return; }
+    const msg = {
+      state: kind,
+      title: kind === 'resolved' ? `Resolved: ${rule.name} on ${host}` : `${rule.name} on ${host}`,
+      message: kind === 'resolved' ? `${describeRule(rule)} — back to normal.` : `${describeRule(rule)}: ${detail}`,
+      rule: { id:rule.id, name:rule.name, kind:rule.kind },
+      host: { name:row.name, baseUrl:row.baseUrl },
+      at: Date.now()
+    };
+    await sendNotification(channel, msg); log.info('Alert sent', { rule:rule.name, host, state:kind });
+  }catch(e){ log.error('Alert delivery failed', { rule:rule.name, channel:channel?.name ?? rule.channelId, error:e.message }); }
+}
+
+/** Evaluate all rules against the latest rows (called after each poll). */
+export function evaluate(rows, now = Date.now()){
+  const rules = listAlertRules().filter(r => r.enabled);
+  const seen = new Set();
+  for (const rule of rules) {
+    for (const row of rows) {
+      if (rule.host !== '*' && rule.host !== row.baseUrl) continue;
+      const key = `${rule.id}|${row.baseUrl}`;
+      seen.add(key);
+      const st = state.get(key) || { since:null, firing:false, lastSent:0, detail:null };
+      const detail = CHECKS[rule.kind]?.(row, rule) ?? null;
+
+      if (detail) {
+        st.since ??= now;
+        st.detail = detail;
+        const held = now - st.since >= rule.forMinutes * 60e3;
+        const due = !st.firing || (rule.cooldownMinutes > 0 && now - st.lastSent >= rule.cooldownMinutes * 60e3);
+        if (held && due) { st.firing = true; st.lastSent = now; deliver(rule, row, 'firing', detail); }
+      } else {
+        if (st.firing && rule.notifyResolved) deliver(rule, row, 'resolved', null);
+        st.since = null; st.firing = false; st.detail = null;
+      }
+      state.set(key, st);
+    }
+  }
+  // drop state of deleted/disabled rules and removed hosts
+  for (const k of state.keys()) if (!seen.has(k)) state.delete(k);
+}
+
+/** Current state per rule/host for the settings UI. */
+export function alertState(){
+  return [...state.entries()].map(([k, s]) => {
+    const [ruleId, baseUrl] = k.split('|');
+    return { ruleId, baseUrl, pending: !!s.since && !s.firing, firing: s.firing, since: s.since, detail: s.detail };
+  }).filter(s => s.since);
+}
+
+/** Send a sample message through a channel (the Settings "send test" button). */
+export async function sendTest(channelId, rule){
+  const channel = getChannel(channelId);
+  if (!channel) throw new Error('Unknown delivery channel.');
+  await sendNotification(channel, {
+    state: 'test',
+    title: rule ? `Test: ${rule.name}` : 'Test notification',
+    message: rule ? `This is a test of the rule "${describeRule(rule)}".` : `Unraid Control can reach the "${channel.name}" channel.`,
+    rule: rule ? { id:rule.id, name:rule.name, kind:rule.kind } : null,
+    host: null,
+    at: Date.now()
+  });
+}
+
+export function startAlerts(logger){
+  if (logger) log = logger;
+  bus.on('poll', rows => { try{ evaluate(rows); }catch(e){ log.error('Alert evaluation failed', { error:e.message }); } });
+}
@@ -0,0 +1,14 @@
+import { EventEmitter } from 'events';
+
+/*
+ * In-process event bus shared by the poller, the API routes and the live stream.
+ *   'poll'    rows[]                      a full poll round finished (every host)
+ *   'host'    { baseUrl, row, changed }   a host's status row changed
+ *   'removed' { baseUrl }                 a host disappeared from the config
+ *   'action'  { kind, baseUrl, id, action, ok, error, at }   docker/vm/power action finished
+ *   'progress' { baseUrl, action, message, level, at, finished, ok }   reboot/shutdown sequence step
+ *   'group'   { groupId, run }            a group run changed (whole run, see groups.js)
+ *   'schedule' { id, entry }              a scheduled job ran (entry as in its history)
+ */
+export const bus = new EventEmitter();
+bus.setMaxListeners(0);   // one listener per open dashboard tab
@@ -0,0 +1,86 @@
+/*
+ * Minimal 5-field cron: minute hour day-of-month month day-of-week.
+ * Supports *, lists (1,2), ranges (1-5), steps (0-59/15, 8-18/2), month/day names
+ * (JAN, MON) and the @hourly/@daily/@weekly/@monthly/@yearly macros. Times are
+ * local to the process, i.e. the container's TZ.
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *', '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *'
+};
+const MONTHS = ['JAN','FEB','MAR','APR','MAY','JUN','JUL','AUG','SEP','OCT','NOV','DEC'];
+const DAYS = ['SUN','MON','TUE','WED','THU','FRI','SAT'];
+const FIELDS = [
+  { name:'minute', min:0, max:59 },
+  { name:'hour', min:0, max:23 },
+  { name:'day of month', min:1, max:31 },
+  { name:'month', min:1, max:12, names:MONTHS, base:1 },
+  { name:'day of week', min:0, max:7, names:DAYS, base:0 }
+];
+
+function value(f, s){
+  const i = f.names?.indexOf(s.toUpperCase()) ?? -1;
+  const n = i >= 0 ? i + f.base : (/^\d+$/.test(s) ? Number(s) : NaN);
+  if (!(n >= f.min && n <= f.max)) throw new Error(`Invalid ${f.name}: ${s}`);
+  return n;
+}
+
+function field(f, text){
+  const out = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText == null ? 1 : Number(stepText);
+    if (!(step >= 1) || !Number.isInteger(step)) throw new Error(`Invalid step in ${f.name}: ${part}`);
+    let lo, hi;
+    if (range === '*') { lo = f.min; hi = f.max; }
+    else if (range.includes('-')) { const [a, b] = range.split('-'); lo = value(f, a); hi = value(f, b); }
+    else { lo = value(f, range); hi = stepText == null ? lo : f.max; }
+    if (lo > hi) throw new Error(`Invalid range in ${f.name}: ${part}`);
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return out;
+}
+
+/** Parse an expression; throws with a readable message when it is invalid. */
+export function parseCron(expr){
+  const text = MACROS[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expression needs 5 fields: minute hour day month weekday.');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => field(FIELDS[i], p));
+  if (dow.has(7)) { dow.delete(7); dow.add(0); }
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+/* classic cron: when both day fields are restricted, either one matching is enough */
+function dayMatches(c, d){
+  const dom = c.dom.has(d.getDate()), dow = c.dow.has(d.getDay());
+  if (c.domAny || c.dowAny) return (c.domAny || dom) && (c.dowAny || dow);
+  return dom || dow;
+}
+
+/** First matching minute strictly after `from` (ms), or null if none within ~5 years. */
+export function nextRun(expr, from = Date.now()){
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  for (let i = 0; i < 200000; i++) {
+    if (d.getFullYear() - new Date(from).getFullYear() > 5) return null;
+    if (!c.month.has(d.getMonth() + 1)) { d.setMonth(d.getMonth() + 1, 1); d.setHours(0, 0, 0, 0); continue; }
+    if (!dayMatches(c, d)) { d.setDate(d.getDate() + 1); d.setHours(0, 0, 0, 0); continue; }
+    if (!c.hour.has(d.getHours())) { d.setHours(d.getHours() + 1, 0, 0, 0); continue; }
+    if (!c.minute.has(d.getMinutes())) { d.setMinutes(d.getMinutes() + 1, 0, 0); continue; }
+    return d.getTime();
+  }
+  return null;
+}
+
+/** The next `count` run times (ms) after `from`. */
+export function nextRuns(expr, count = 5, from = Date.now()){
+  const c = parseCron(expr);
+  const out = [];
+  let t = from;
+  while (out.length < count && (t = nextRun(c, t)) != null) out.push(t);
+  return out;
+}
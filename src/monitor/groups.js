@@ -0,0 +1,112 @@
+import { getGroup, listHosts } from '../store/configStore.js';
+import { listContainers, listVMs, containerAction, vmAction } from '../api/unraid.js';
+import { refreshHost } from './poller.js';
+import { bus } from './bus.js';
+
+/*
+ * Group runs. start walks the steps in order, stop in reverse, restart does a
+ * full stop then a full start. Each step resolves its target by name, skips it
+ * if it is already in the wanted state, optionally waits for the state to
+ * settle, then pauses for delaySeconds. The first failure ends the run and the
+ * remaining steps are marked skipped. Every change is published on the bus as
+ * 'group' with the whole run, so the UI can redraw it as-is.
+ */
+
+export const GROUP_ACTIONS = ['start', 'stop', 'restart'];
+const WAIT_POLL_MS = 3000;
+
+const runs = new Map();   // groupId -> last run
+let log = { info(){}, warn(){}, error(){} };
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const isRunning = s => String(s || '').toLowerCase() === 'running';
+const bare = n => String(n || '').replace(/^\//, '');
+
+/** Last run per group (running or finished), for the page on load. */
+export function groupRuns(){ return Object.fromEntries(runs); }
+
+function publish(run){ bus.emit('group', { groupId: run.groupId, run }); }
+
+async function findTarget(step){
+  const list = step.kind === 'docker' ? await listContainers(step.baseUrl) : await listVMs(step.baseUrl);
+  const hit = list.find(x => bare(x.name).toLowerCase() === step.target.toLowerCase());
+  if (!hit) throw new Error(`${step.kind === 'docker' ? 'container' : 'VM'} "${step.target}" not found`);
+  return hit;
+}
+
+async function waitFor(step, want){
+  const deadline = Date.now() + step.waitTimeoutSeconds * 1000;
+  while (Date.now() < deadline) {
+    await sleep(WAIT_POLL_MS);
+    const t = await findTarget(step).catch(() => null);
+    if (t && isRunning(t.state) === (want === 'start')) return;
+  }
+  throw new Error(`not ${want === 'start' ? 'running' : 'stopped'} after ${step.waitTimeoutSeconds}s`);
+}
+
+async function runStep(run, s){
+  const { step, action } = s;
+  s.status = 'running'; s.startedAt = Date.now(); publish(run);
+  const target = await findTarget(step);
+  if (isRunning(target.state) === (action === 'start')) {
+    s.message = `already ${action === 'start' ? 'running' : 'stopped'}`;
+  } else {
+    if (step.kind === 'docker') await containerAction(step.baseUrl, target.id, action);
+    else await vmAction(step.baseUrl, target.id, action);
+    if (step.waitRunning) {
+      s.message = `waiting until ${action === 'start' ? 'running' : 'stopped'}…`; publish(run);
+      await waitFor(step, action);
+    }
+    s.message = action === 'start' ? 'started' : 'stopped';
+    refreshHost(step.baseUrl).catch(() => {});
+  }
+  s.status = 'ok'; publish(run);
+  if (step.delaySeconds) await sleep(step.delaySeconds * 1000);
+}
+
+/**
+ * Start a run in the background and return it. Throws when the group is unknown
+ * or already running.
+ */
+export function startGroupRun(groupId, action, actor = null){
+  const group = getGroup(groupId);
+  if (!group) throw new Error('Unknown group.');
+  if (!GROUP_ACTIONS.includes(action)) throw new Error(`Unsupported group action: ${action}`);
+  if (runs.get(groupId)?.finished === false) throw new Error('This group is already running.');
+
+  const names = new Map(listHosts().map(h => [h.baseUrl, h.name]));
+  const plan = [];
+  if (action !== 'start') plan.push(...[...group.steps].reverse().map(step => ({ step, action:'stop' })));
+  if (action !== 'stop') plan.push(...group.steps.map(step => ({ step, action:'start' })));
+
+  const run = {
+    groupId, name: group.name, action, actor, startedAt: Date.now(), finished: false, ok: null, error: null,
+    steps: plan.map(({ step, action }) => ({
+      action, step, host: names.get(step.baseUrl) || step.baseUrl,
+      label: `${action} ${step.kind === 'docker' ? 'container' : 'VM'} ${step.target}`,
+      status: 'pending', message: null
+    }))
+  };
+  runs.set(groupId, run);
+  publish(run);
+
+  (async () => {
+    for (const [i, s] of run.steps.entries()) {
+      try { await runStep(run, s); }
+      catch (e) {
+        s.status = 'failed'; s.message = e.message;
+        run.steps.slice(i + 1).forEach(x => { x.status = 'skipped'; });
+        run.finished = true; run.ok = false;
+        run.error = `Step ${i + 1} (${s.host}: ${s.label}) failed: ${e.message}`;
+        log.error(`Group ${action} failed`, { group: group.name, step: i + 1, error: e.message });
+        return publish(run);
+      }
+    }
+    run.finished = true; run.ok = true;
+    log.info(`Group ${action} finished`, { group: group.name, steps: run.steps.length });
+    publish(run);
+  })();
+  return run;
+}
+
+export function setGroupLogger(logger){ if (logger) log = logger; }
@@ -0,0 +1,83 @@
+import { cachedServers } from './poller.js';
+import { gqlMetrics, breakerState, GQL_BUCKETS } from '../api/unraid.js';
+
+/*
+ * Prometheus text exposition (format 0.0.4) of the poller's cached results and
+ * the GraphQL client counters. Scrapes never reach the Unraid hosts.
+ */
+
+const esc = v => String(v ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labels = o => `{${Object.entries(o).map(([k, v])=>`${k}="${esc(v)}"`).join(',')}}`;
+const bare = n => String(n || '').replace(/^\//, '');
+
+/* collects samples per family (a histogram's _bucket/_sum/_count share one) so HELP/TYPE print once */
+function registry(){
+  const families = new Map();
+  const add = (name, type, help, lbl, value, family = name) => {
+    if (value == null || Number.isNaN(Number(value))) return;
+    if (!families.has(family)) families.set(family, { type, help, samples: [] });
+    families.get(family).samples.push(`${name}${lbl ? labels(lbl) : ''} ${Number(value)}`);
+  };
+  const text = () => [...families].map(([name, f])=>
+    `# HELP ${name} ${f.help}\n# TYPE ${name} ${f.type}\n${f.samples.join('\n')}`).join('\n') + '\n';
+  return { add, text };
+}
+
+/** Render /metrics; `version` goes into unraid_dashboard_info. */
+export function renderMetrics(version){
+  const { add, text } = registry();
+  const now = Date.now();
+  add('unraid_dashboard_info', 'gauge', 'Dashboard build information.', { version }, 1);
+
+  for (const { host, at, row } of cachedServers()) {
+    const l = { host: host.baseUrl, name: host.name };
+    const st = row?.status;
+    add('unraid_up', 'gauge', 'Whether the last poll of the host succeeded (1) or not (0).', l, st ? 1 : 0);
+    if (at) add('unraid_last_poll_age_seconds', 'gauge', 'Seconds since the cached sample was taken.', l, Math.round((now - at) / 1000));
+    add('unraid_breaker_open', 'gauge', 'Whether the circuit breaker for the host is open (requests short-circuited).', l, breakerState(host.baseUrl).state === 'open' ? 1 : 0);
+    if (!st) continue;
+
+    add('unraid_cpu_percent', 'gauge', 'CPU utilisation in percent.', l, st.metrics?.cpuPct);
+    add('unraid_memory_percent', 'gauge', 'RAM utilisation in percent.', l, st.metrics?.ramPct);
+    add('unraid_storage_percent', 'gauge', 'Array capacity used in percent.', l, st.system?.array?.storagePct);
+    const arr = String(st.system?.array?.status || '').toUpperCase();
+    if (arr) {
+      add('unraid_array_started', 'gauge', 'Whether the array is STARTED (1) or not (0).', l, arr === 'STARTED' ? 1 : 0);
+      add('unraid_array_state', 'gauge', 'Array state as reported by the host (value is always 1).', { ...l, state: arr }, 1);
+    }
+    if (st.parity) {
+      add('unraid_parity_check_running', 'gauge', 'Whether a parity check is running.', l, st.parity.running ? 1 : 0);
+      if (st.parity.running) add('unraid_parity_check_progress_percent', 'gauge', 'Progress of the running parity check.', l, st.parity.progress);
+    }
+    if (st.docker) {
+      add('unraid_containers_running', 'gauge', 'Running containers.', l, st.docker.running);
+      add('unraid_containers_total', 'gauge', 'Containers defined on the host.', l, st.docker.total);
+      for (const c of st.docker.containers || []) {
+        const state = String(c.state || 'unknown').toLowerCase();
+        const cl = { ...l, container: bare(c.name) };
+        add('unraid_container_running', 'gauge', 'Whether the container is running (1) or not (0).', cl, state === 'running' ? 1 : 0);
+        add('unraid_container_state', 'gauge', 'Container state as reported by the host (value is always 1).', { ...cl, state }, 1);
+      }
+    }
+    if (st.vms) {
+      add('unraid_vms_running', 'gauge', 'Running VMs.', l, st.vms.running);
+      add('unraid_vms_total', 'gauge', 'VMs defined on the host.', l, st.vms.total);
+    }
+  }
+
+  const names = Object.fromEntries(cachedServers().map(({ host })=>[host.baseUrl, host.name]));
+  for (const s of gqlMetrics()) {
+    const l = { host: s.baseUrl, name: names[s.baseUrl] ?? '', operation: s.op };
+    add('unraid_graphql_requests_total', 'counter', 'GraphQL requests sent to the host (retries count once).', l, s.count);
+    for (const [kind, n] of Object.entries(s.errors)) {
+      add('unraid_graphql_errors_total', 'counter', 'Failed GraphQL requests by kind: breaker, transport, http, validation (schema probe miss), graphql.', { ...l, kind }, n);
+    }
+    const h = 'unraid_graphql_request_duration_seconds';
+    const hist = (suffix, lbl, v) => add(`${h}_${suffix}`, 'histogram', 'GraphQL request latency including retries.', lbl, v, h);
+    GQL_BUCKETS.forEach((b, i)=>hist('bucket', { ...l, le: b }, s.buckets[i]));
+    hist('bucket', { ...l, le: '+Inf' }, s.count);
+    hist('sum', l, s.sum.toFixed(6));
+    hist('count', l, s.count);
+  }
+  return text();
+}
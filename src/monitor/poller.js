@@ -0,0 +1,157 @@
+import { listHosts, getAppSettings } from '../store/configStore.js';
+import { getHostStatus, breakerState, capabilitiesOf, capabilitiesOutdated, detectCapabilities } from '../api/unraid.js';
+import { initHistory, recordSample, compactHistory } from '../store/historyStore.js';
+import { initParity, recordParityResult } from '../store/parityStore.js';
+import { bus } from './bus.js';
+
+/*
+ * Background poller: samples every host each refreshSeconds, keeps the latest
+ * result per host in memory (served by /api/servers) and feeds the history store.
+ */
+
+const COMPACT_EVERY_MS = 3600e3;
+const DETECT_RETRY_MS = 10 * 60e3;   // min gap between capability detections per host
+
+const latest = new Map();   // baseUrl -> { at, row }
+let inFlight = null;
+let timer = null;
+let lastCompact = 0;
+const lastDetect = new Map();   // baseUrl -> ms
+const parityRuns = new Map();   // baseUrl -> { started, correcting, progress, errors } while a check runs
+let log = { info(){}, warn(){}, error(){} };
+
+function toRow(h, st){
+  const breaker = breakerState(h.baseUrl);
+  const capabilities = capabilitiesOf(h.baseUrl);
+  if (!st.ok) return { id:h.id, name:h.name, baseUrl:h.baseUrl, mac:h.mac, status:null, error:st.error, breaker, capabilities };
+  return { id:h.id, name:h.name, baseUrl:h.baseUrl, mac:h.mac, status:st.data, warnings:st.warnings||[], breaker, capabilities };
+}
+
+/* (re)introspect in the background when the profile is missing, stale or the OS was upgraded */
+function maybeDetect(baseUrl, osVersion){
+  if (!capabilitiesOutdated(baseUrl, osVersion)) return;
+  if (Date.now() - (lastDetect.get(baseUrl) || 0) < DETECT_RETRY_MS) return;
+  lastDetect.set(baseUrl, Date.now());
+  detectCapabilities(baseUrl, osVersion)
+    .then(() => log.info('Capabilities detected', { host:baseUrl, osVersion }))
+    .catch(e => log.warn('Capability detection failed', { host:baseUrl, error:e.message }));
+}
+
+/* top-level keys of the row whose value changed */
+function changedKeys(prev, next){
+  if (!prev) return Object.keys(next);
+  return Object.keys({ ...prev, ...next }).filter(k => JSON.stringify(prev[k]) !== JSON.stringify(next[k]));
+}
+
+async function pollHost(h, { record = true } = {}){
+  let st;
+  try{ st = await getHostStatus(h.baseUrl); }
+  catch(e){ st = { ok:false, error:e.message }; }
+  if (!st.ok) log.warn('Status check failed', { host:h.baseUrl, error:st.error });
+  else if (st.warnings?.length) log.warn('Partial data received', { host:h.baseUrl, warnings:st.warnings });
+
+  if (st.ok) {
+    maybeDetect(h.baseUrl, st.data?.system?.osVersion || null);
+    trackParity(h.baseUrl, st.data?.parity);
+  }
+  const row = toRow(h, st);
+  const changed = changedKeys(latest.get(h.baseUrl)?.row, row);
+  latest.set(h.baseUrl, { at:Date.now(), row });
+  if (changed.length) bus.emit('host', { baseUrl:h.baseUrl, row, changed });
+
+  if (!record) return;
+  try{ recordSample(h.baseUrl, st.ok ? st.data : null); }
+  catch(e){ log.error('History write failed', { host:h.baseUrl, error:e.message }); }
+}
+
+/* remember a running check and record its result when it stops */
+function trackParity(baseUrl, p){
+  if (!p) return;
+  const run = parityRuns.get(baseUrl);
+  if (p.running) {
+    parityRuns.set(baseUrl, {
+      started: run?.started ?? (Date.now() - (p.elapsedSeconds || 0) * 1000),
+      correcting: p.correcting, progress: p.progress, errors: p.errors
+    });
+    return;
+  }
+  if (!run) return;
+  parityRuns.delete(baseUrl);
+  const exit = p.last?.exit;
+  const status = exit != null
+    ? (exit === 0 ? 'completed' : (exit === -4 ? 'canceled' : `error (${exit})`))
+    : ((run.progress ?? 0) >= 99 ? 'completed' : 'canceled');
+  recordParityResult(baseUrl, {
+    date: Date.now(),
+    durationSeconds: Math.round((Date.now() - run.started) / 1000),
+    status, errors: p.errors ?? run.errors ?? 0, correcting: !!run.correcting
+  });
+  log.info('Parity check finished', { host:baseUrl, status });
+}
+
+/** Re-poll a single host right away (e.g. after a container/VM action); not recorded in history. */
+export async function refreshHost(baseUrl){
+  const h = listHosts().find(x => x.baseUrl === baseUrl);
+  if (h) await pollHost(h, { record:false });
+}
+
+/** Poll every host once; concurrent callers share the same run. */
+export function pollNow(){
+  if (inFlight) return inFlight;
+  inFlight = (async () => {
+    const hosts = listHosts();
+    await Promise.all(hosts.map(h => pollHost(h)));
+    // forget hosts removed in the meantime
+    const known = new Set(hosts.map(h=>h.baseUrl));
+    for (const k of latest.keys()) if (!known.has(k)) { latest.delete(k); bus.emit('removed', { baseUrl:k }); }
+    bus.emit('poll', hosts.map(h => latest.get(h.baseUrl)?.row).filter(Boolean));
+
+    if (Date.now() - lastCompact > COMPACT_EVERY_MS) {
+      lastCompact = Date.now();
+      try{ compactHistory(hosts.map(h=>h.baseUrl), getAppSettings().historyRetentionDays); }
+      catch(e){ log.error('History compaction failed', { error:e.message }); }
+    }
+  })().finally(() => { inFlight = null; });
+  return inFlight;
+}
+
+/**
+ * Latest rows in host order. Polls first when a host has no sample yet or the
+ * cache is older than two intervals (e.g. poller stalled).
+ */
+export async function getServers(){
+  const hosts = listHosts();
+  const maxAge = 2 * Math.max(5, getAppSettings().refreshSeconds) * 1000;
+  const stale = hosts.some(h => !latest.has(h.baseUrl) || Date.now() - latest.get(h.baseUrl).at > maxAge);
+  if (stale) await pollNow();
+  return hosts.map(h => {
+    const e = latest.get(h.baseUrl);
+    // name/mac may have been edited since the sample was taken
+    const live = { breaker:breakerState(h.baseUrl), capabilities:capabilitiesOf(h.baseUrl) };
+    return e ? { ...e.row, id:h.id, name:h.name, mac:h.mac, ...live } : { id:h.id, name:h.name, baseUrl:h.baseUrl, mac:h.mac, status:null, error:'Not polled yet', ...live };
+  });
+}
+
+/** Cached sample per configured host without ever polling: [{ host, at, row }] (at/row null before the first poll). */
+export function cachedServers(){
+  return listHosts().map(h => ({ host:h, at:latest.get(h.baseUrl)?.at ?? null, row:latest.get(h.baseUrl)?.row ?? null }));
+}
+
+/** Drop the cached sample of a host (after edit/delete) so the next read re-polls. */
+export function invalidate(baseUrl){
+  lastDetect.delete(baseUrl);
+  if (latest.delete(baseUrl) && !listHosts().some(h => h.baseUrl === baseUrl)) bus.emit('removed', { baseUrl });
+}
+
+export function startPoller(logger){
+  if (logger) log = { ...log, ...logger };
+  initHistory();
+  initParity();
+  const tick = async () => {
+    try{ await pollNow(); }catch(e){ log.error('Poll failed', { error:e.message }); }
+    timer = setTimeout(tick, Math.max(5, getAppSettings().refreshSeconds) * 1000);
+  };
+  tick();
+}
+
+export function stopPoller(){ clearTimeout(timer); timer = null; }
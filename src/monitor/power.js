@@ -0,0 +1,162 @@
+import net from 'net';
+import { listContainers, queryVMs, containerAction, vmAction, powerAction, getHostStatus, resetBreaker } from '../api/unraid.js';
+import { sendWol } from '../api/wol.js';
+import { bus } from './bus.js';
+
+/*
+ * Graceful reboot/shutdown: stop running VMs (waiting for them to power off),
+ * then running containers, then send the power mutation. Wake-and-wait is the
+ * same kind of job in the other direction. Each step is published on the bus as
+ * 'progress' so open dashboards can follow along; one sequence per host at a time.
+ */
+
+const VM_STOP_TIMEOUT_MS = Number(process.env.VM_STOP_TIMEOUT_MS || 120000);
+const VM_POLL_MS = 3000;
+const WAKE_TIMEOUT_MS = Number(process.env.WOL_WAIT_TIMEOUT_SECONDS || 300) * 1000;
+const WAKE_POLL_MS = 5000;
+
+const jobs = new Map();   // baseUrl -> { action, startedAt, steps: [{ message, level, at }], finished, ok, state? }
+let log = { info(){}, warn(){}, error(){} };
+
+const isRunning = s => String(s || '').toLowerCase() === 'running';
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function step(baseUrl, message, level = 'info', extra = {}){
+  const job = jobs.get(baseUrl);
+  const entry = { message, level, at: Date.now() };
+  job.steps.push(entry);
+  Object.assign(job, extra);
+  bus.emit('progress', { baseUrl, action: job.action, ...entry, state: job.state, finished: job.finished, ok: job.ok });
+}
+
+/** Current or last sequence for a host (null when none ran since start-up). */
+export function powerJob(baseUrl){ return jobs.get(baseUrl) || null; }
+
+/* stopVMs/stopContainers resolve false when the list could not be read (nothing was stopped) */
+async function stopVMs(baseUrl){
+  let running;
+  try { running = (await queryVMs(baseUrl)).filter(v => isRunning(v.state)); }
+  catch (e) { step(baseUrl, `Could not list VMs — ${e.message}`, 'warn'); return false; }
+  if (!running.length) { step(baseUrl, 'No running VMs.'); return true; }
+  for (const vm of running) {
+    try { await vmAction(baseUrl, vm.id, 'stop'); step(baseUrl, `Stopping VM ${vm.name}…`); }
+    catch (e) { step(baseUrl, `VM ${vm.name}: stop failed — ${e.message}`, 'warn'); }
+  }
+  const ids = new Set(running.map(v => v.id));
+  const deadline = Date.now() + VM_STOP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const still = (await queryVMs(baseUrl).catch(() => running)).filter(v => ids.has(v.id) && isRunning(v.state));   // unknown counts as running
+    if (!still.length) { step(baseUrl, `Stopped ${running.length} VM(s).`); return true; }
+    await sleep(VM_POLL_MS);
+  }
+  const left = (await queryVMs(baseUrl).catch(() => running)).filter(v => ids.has(v.id) && isRunning(v.state));
+  if (left.length) step(baseUrl, `Still running after ${VM_STOP_TIMEOUT_MS / 1000}s: ${left.map(v => v.name).join(', ')} — Unraid will stop them.`, 'warn');
+  return true;
+}
+
+async function stopContainers(baseUrl){
+  let running;
+  try { running = (await listContainers(baseUrl)).filter(c => isRunning(c.state)); }
+  catch (e) { step(baseUrl, `Could not list containers — ${e.message}`, 'warn'); return false; }
+  if (!running.length) { step(baseUrl, 'No running containers.'); return true; }
+  let stopped = 0;
+  for (const c of running) {
+    try { await containerAction(baseUrl, c.id, 'stop'); stopped++; step(baseUrl, `Stopped container ${c.name}.`); }
+    catch (e) { step(baseUrl, `Container ${c.name}: stop failed — ${e.message}`, 'warn'); }
+  }
+  step(baseUrl, `Stopped ${stopped}/${running.length} container(s).`);
+  return true;
+}
+
+/**
+ * Run a graceful reboot/shutdown in the background (throws if one is already
+ * running for the host); `onDone(err)` is called when it ends.
+ */
+export function startPowerSequence(baseUrl, action, onDone = () => {}){
+  if (jobs.get(baseUrl)?.finished === false) throw new Error('A power action is already running for this host.');
+  jobs.set(baseUrl, { action, startedAt: Date.now(), steps: [], finished: false, ok: null });
+  (async () => {
+    try {
+      step(baseUrl, `Preparing ${action}: stopping VMs…`);
+      const vmsListed = await stopVMs(baseUrl);
+      step(baseUrl, 'Stopping containers…');
+      const containersListed = await stopContainers(baseUrl);
+      // with neither list readable nothing was stopped: don't power off blind
+      if (!vmsListed && !containersListed) throw new Error('could not list VMs or containers, so nothing was stopped');
+      step(baseUrl, `Sending ${action}…`);
+      try { await powerAction(baseUrl, action); }
+      catch (e) {
+        // the host may drop the connection while going down
+        if (!e._transient) throw e;
+        log.warn('No response to power mutation', { host: baseUrl, action, error: e.message });
+      }
+      step(baseUrl, action === 'reboot' ? 'Reboot requested.' : 'Shutdown requested.', 'info', { finished: true, ok: true });
+      log.info(`Host ${action} requested`, { host: baseUrl });
+      onDone(null);
+    } catch (e) {
+      step(baseUrl, `${action} aborted — ${e.message}`, 'error', { finished: true, ok: false });
+      log.error(`Host ${action} failed`, { host: baseUrl, error: e.message });
+      onDone(e);
+    }
+  })();
+}
+
+/* "pinging": a TCP connect to the API port — ICMP needs privileges the container does not have */
+function tcpProbe(baseUrl, timeoutMs = 2000){
+  const u = new URL(baseUrl);
+  return new Promise(resolve=>{
+    const sock = net.connect({ host: u.hostname, port: Number(u.port) || (u.protocol === 'https:' ? 443 : 80) });
+    const end = ok => { sock.destroy(); resolve(ok); };
+    sock.setTimeout(timeoutMs, () => end(false));
+    sock.once('connect', () => end(true));
+    sock.once('error', () => end(false));
+  });
+}
+
+/**
+ * Wake and wait: send the magic packets, then poll until the host answers on the network,
+ * its API responds and the array is started, or `timeoutSeconds` pass. States go out on the
+ * bus with each step: sent → pinging → api → array. An API that is up with the array still
+ * stopped (auto-start off) ends as ok with a warning.
+ */
+export function startWakeSequence(host, { timeoutSeconds } = {}, onDone = () => {}){
+  const baseUrl = host.baseUrl;
+  if (jobs.get(baseUrl)?.finished === false) throw new Error('A power action is already running for this host.');
+  const timeoutMs = Number(timeoutSeconds) > 0 ? Math.min(1800, Math.max(30, Number(timeoutSeconds))) * 1000 : WAKE_TIMEOUT_MS;
+  jobs.set(baseUrl, { action: 'wake', startedAt: Date.now(), steps: [], finished: false, ok: null, state: null });
+  (async () => {
+    try {
+      const r = await sendWol(host.mac, host.wol);
+      step(baseUrl, `Magic packet sent (${r.count}× to ${r.address}:${r.port}${r.iface ? ` via ${r.iface}` : ''}).`, 'info', { state: 'sent' });
+      const deadline = Date.now() + timeoutMs;
+      step(baseUrl, 'Waiting for the host to answer…', 'info', { state: 'pinging' });
+      let reachable = false, up = false, array = '';
+      while (Date.now() < deadline) {
+        if (!reachable && await tcpProbe(baseUrl)) {
+          reachable = true;
+          step(baseUrl, 'Host answers on the network; waiting for the API…');
+        }
+        if (reachable) {
+          resetBreaker(baseUrl);   // opened while the host was down
+          const st = await getHostStatus(baseUrl);
+          if (st.ok && !up) { up = true; step(baseUrl, 'API is up.', 'info', { state: 'api' }); }
+          array = String(st.data?.system?.array?.status || '').toUpperCase();
+          if (up && array === 'STARTED') break;
+        }
+        await sleep(WAKE_POLL_MS);
+      }
+      const secs = Math.round((Date.now() - jobs.get(baseUrl).startedAt) / 1000);
+      if (!up) throw new Error(reachable ? `API did not respond within ${timeoutMs / 1000}s.` : `No answer within ${timeoutMs / 1000}s.`);
+      if (array === 'STARTED') step(baseUrl, `Array started — host ready after ${secs}s.`, 'info', { state: 'array', finished: true, ok: true });
+      else step(baseUrl, `Host is up after ${secs}s, but the array is ${array || 'not reported'} (auto-start off?).`, 'warn', { finished: true, ok: true });
+      log.info('Host woke up', { host: baseUrl, seconds: secs, array: array || null });
+      onDone(null);
+    } catch (e) {
+      step(baseUrl, `Wake failed — ${e.message}`, 'error', { finished: true, ok: false });
+      log.error('Wake failed', { host: baseUrl, error: e.message });
+      onDone(e);
+    }
+  })();
+}
+
+export function setPowerLogger(logger){ if (logger) log = logger; }
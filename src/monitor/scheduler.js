@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { listHosts, getGroup } from '../store/configStore.js';
+import {
+  initSchedules, listSchedules, getSchedule, saveSchedule, deleteSchedule, recordRun, setNextRun
+} from '../store/scheduleStore.js';
+import { listContainers, listVMs, containerAction, vmAction } from '../api/unraid.js';
+import { sendWol } from '../api/wol.js';
+import { startGroupRun } from './groups.js';
+import { refreshHost } from './poller.js';
+import { parseCron, nextRun } from './cron.js';
+import { recordAudit } from '../store/auditStore.js';
+import { bus } from './bus.js';
+
+/*
+ * Scheduled actions. Jobs carry a cron expression evaluated in the container's
+ * TZ and the time of their next run; a check every TICK_MS runs whatever is due.
+ * On start-up, runs missed while the app was down are run once if they are at
+ * most catchUpMinutes late, otherwise recorded as skipped.
+ */
+
+export const SCHEDULE_ACTIONS = {
+  wol: ['wake'],
+  docker: ['start', 'stop', 'restart'],
+  vm: ['start', 'stop', 'pause', 'resume', 'reboot', 'forceStop'],
+  group: ['start', 'stop', 'restart']
+};
+const TICK_MS = 15000;
+
+const running = new Set();   // job ids currently executing
+let timer = null;
+let log = { info(){}, warn(){}, error(){} };
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+const bare = n => String(n || '').replace(/^\//, '');
+
+export function schedulerTimezone(){ return Intl.DateTimeFormat().resolvedOptions().timeZone; }
+
+export function listJobs(){ return listSchedules().map(j=>({ ...j, running: running.has(j.id) })); }
+
+/** Validate and store a job; returns it with its next run time. */
+export function saveJob(input){
+  const j = input || {};
+  if (!j.name) throw new Error('Job name required.');
+  parseCron(j.cron);
+  const a = j.action || {};
+  if (!SCHEDULE_ACTIONS[a.type]) throw new Error('Action must be wol, docker, vm or group.');
+  if (!SCHEDULE_ACTIONS[a.type].includes(a.op)) throw new Error(`Unsupported ${a.type} action: ${a.op}`);
+  if (a.type === 'group' && !getGroup(a.groupId)) throw new Error('Unknown group.');
+  if (a.type !== 'group' && !listHosts().some(h=>h.baseUrl===a.baseUrl)) throw new Error('Unknown host.');
+  if ((a.type === 'docker' || a.type === 'vm') && !bare(a.target).trim()) throw new Error('Container or VM name required.');
+  const enabled = j.enabled !== false;
+  const catchUp = Number(j.catchUpMinutes);
+  return saveSchedule({
+    id: j.id || newId(),
+    name: String(j.name),
+    enabled,
+    cron: String(j.cron).trim(),
+    action: {
+      type: a.type, op: a.op,
+      baseUrl: a.type === 'group' ? null : a.baseUrl,
+      target: a.type === 'docker' || a.type === 'vm' ? bare(a.target).trim() : null,
+      groupId: a.type === 'group' ? a.groupId : null
+    },
+    catchUpMinutes: Number.isFinite(catchUp) ? Math.min(1440, Math.max(0, catchUp)) : 60,   // 0 = never catch up
+    nextRunAt: enabled ? nextRun(j.cron) : null
+  });
+}
+
+export function setJobEnabled(id, enabled){
+  const j = getSchedule(id);
+  if (!j) throw new Error('Unknown job.');
+  return saveSchedule({ id, enabled: !!enabled, nextRunAt: enabled ? nextRun(j.cron) : null });
+}
+
+export function deleteJob(id){ deleteSchedule(id); }
+
+/* ------------------------------- running ------------------------------- */
+
+function waitForGroup(groupId){
+  return new Promise(resolve=>{
+    const on = e => { if (e.groupId === groupId && e.run.finished) { bus.off('group', on); resolve(e.run); } };
+    bus.on('group', on);
+  });
+}
+
+async function execute(job){
+  const a = job.action;
+  if (a.type === 'group') {
+    startGroupRun(a.groupId, a.op, `schedule:${job.name}`);   // finishes after an await at the earliest
+    const run = await waitForGroup(a.groupId);
+    if (!run.ok) throw new Error(run.error);
+    return `Group ${run.name}: ${a.op} finished (${run.steps.length} steps)`;
+  }
+  const host = listHosts().find(h=>h.baseUrl===a.baseUrl);
+  if (!host) throw new Error('Host no longer configured.');
+  if (a.type === 'wol') {
+    await sendWol(host.mac, host.wol);
+    return `WOL packet sent to ${host.name}`;
+  }
+  const list = a.type === 'docker' ? await listContainers(a.baseUrl) : await listVMs(a.baseUrl);
+  const t = list.find(x=>bare(x.name).toLowerCase() === a.target.toLowerCase());
+  if (!t) throw new Error(`${a.type === 'docker' ? 'Container' : 'VM'} "${a.target}" not found on ${host.name}`);
+  if (a.type === 'docker') await containerAction(a.baseUrl, t.id, a.op);
+  else await vmAction(a.baseUrl, t.id, a.op);
+  refreshHost(a.baseUrl).catch(()=>{});
+  return `${host.name}: ${a.target} ${a.op} OK`;
+}
+
+/**
+ * Run a job now. trigger is 'schedule', 'catch-up' or 'manual'; manual runs leave
+ * the schedule alone.
+ */
+export async function runJob(id, trigger = 'manual', scheduledFor = null){
+  const job = getSchedule(id);
+  if (!job) throw new Error('Unknown job.');
+  if (running.has(id)) throw new Error('This job is already running.');
+  running.add(id);
+  const at = Date.now();
+  let entry;
+  try{
+    entry = { at, scheduledFor, trigger, ok:true, message: await execute(job) };
+    log.info('Scheduled job ran', { job:job.name, trigger, host:job.action.baseUrl, action:`${job.action.type}.${job.action.op}` });
+  }catch(e){
+    entry = { at, scheduledFor, trigger, ok:false, message:e.message };
+    log.error('Scheduled job failed', { job:job.name, trigger, host:job.action.baseUrl, action:`${job.action.type}.${job.action.op}`, error:e.message });
+  }finally{ running.delete(id); }
+  entry.durationMs = Date.now() - at;
+  const a = job.action;
+  if (a.type !== 'group') recordAudit({   // group runs are audited when they finish (server.js)
+    actor: `schedule:${job.name}`, host: a.baseUrl, target: a.target, action: a.type === 'wol' ? 'power.wake' : `${a.type}.${a.op}`,
+    params: { schedule: id, trigger, scheduledFor }, outcome: entry.ok ? 'ok' : 'failed', error: entry.ok ? null : entry.message
+  });
+  const current = getSchedule(id);   // may have been edited/disabled meanwhile
+  recordRun(id, entry, trigger === 'manual' || !current ? undefined : (current.enabled ? nextRun(current.cron) : null));
+  bus.emit('schedule', { id, entry });
+  return entry;
+}
+
+function tick(){
+  const now = Date.now();
+  for (const j of listSchedules()) {
+    if (!j.enabled || running.has(j.id)) continue;
+    if (j.nextRunAt == null) { setNextRun(j.id, nextRun(j.cron, now)); continue; }
+    if (j.nextRunAt <= now) runJob(j.id, 'schedule', j.nextRunAt).catch(()=>{});
+  }
+}
+
+/* runs that came due while the app was down (a tick late is not "missed") */
+function catchUp(){
+  const now = Date.now();
+  for (const j of listSchedules()) {
+    if (!j.enabled || j.nextRunAt == null || now - j.nextRunAt < TICK_MS * 2) continue;
+    const late = now - j.nextRunAt;
+    if (j.catchUpMinutes > 0 && late <= j.catchUpMinutes * 60e3) {
+      log.info('Catching up missed job', { job:j.name, lateMinutes:Math.round(late / 60e3) });
+      runJob(j.id, 'catch-up', j.nextRunAt).catch(()=>{});
+    } else {
+      recordRun(j.id, {
+        at: now, scheduledFor: j.nextRunAt, trigger: 'missed', ok: false,
+        message: `Missed while the app was down (${Math.round(late / 60e3)} min late); skipped.`
+      }, nextRun(j.cron, now));
+      log.warn('Skipped missed job', { job:j.name });
+    }
+  }
+}
+
+export function startScheduler(logger){
+  if (logger) log = logger;
+  initSchedules();
+  catchUp();
+  clearInterval(timer);
+  timer = setInterval(tick, TICK_MS);
+  log.info('Scheduler started', { jobs:listSchedules().length, tz:schedulerTimezone() });
+}
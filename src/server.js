@@ -6,24 +6,58 @@ import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import {
   initStore, listHosts, upsertHost, deleteHost,
-  setToken, tokensSummary, getAppSettings, setAppSettings
+  setToken, tokensSummary, getAppSettings, setAppSettings,
+  tokenKeyStatus, rotateTokenKey, appSettingsPatch,
+  listAlertRules, upsertAlertRule, deleteAlertRule, listChannels, upsertChannel, deleteChannel,
+  RULE_KINDS, CHANNEL_TYPES, listGroups, upsertGroup, deleteGroup, normalizeMac, getHostById
 } from './store/configStore.js';
 import {
-  getHostStatus, listContainers, listVMs,
-  containerAction, vmAction, powerAction
+  getHostStatus, listContainers, getContainer, getContainerLogs, listVMs,
+  containerAction, CONTAINER_ACTIONS, vmAction, powerAction, resetBreaker, withToken,
+  detectCapabilities, capabilitiesOf, listDisks, DISK_TEMP_WARN, DISK_TEMP_HOT,
+  getParityStatus, getParityHistory, parityAction, PARITY_ACTIONS,
+  arrayAction, ARRAY_ACTIONS, POWER_ACTIONS,
+  listNotifications, notificationAction, NOTIFY_LEVELS, NOTIFY_ACTIONS, listShares
 } from './api/unraid.js';
-import { sendWol } from './api/wol.js';
+import { VM_ACTIONS } from './api/schema.js';
+import { openapiDocument, ERROR_CODES } from './api/openapi.js';
+import { sendWol, normalizeWol } from './api/wol.js';
+import { discover, localSubnets, DISCOVERY_METHODS } from './api/discovery.js';
+import {
+  initUsers, bootstrapAdmin, hasUsers, listUsers, upsertUser, deleteUser, verifyUser, roleAtLeast, ROLES
+} from './store/userStore.js';
+import { initApiKeys, listApiKeys, createApiKey, revokeApiKey, verifyApiKey, API_KEY_SCOPES } from './store/apiKeyStore.js';
+import {
+  authenticate, requireRole, startSession, endSession, endUserSessions
+} from './auth/session.js';
+import { csrf } from './auth/csrf.js';
+import { startPoller, getServers, invalidate, refreshHost } from './monitor/poller.js';
+import { bus } from './monitor/bus.js';
+import { startPowerSequence, startWakeSequence, powerJob, setPowerLogger } from './monitor/power.js';
+import { startGroupRun, groupRuns, setGroupLogger, GROUP_ACTIONS } from './monitor/groups.js';
+import {
+  startScheduler, listJobs, saveJob, setJobEnabled, deleteJob, runJob, schedulerTimezone, SCHEDULE_ACTIONS
+} from './monitor/scheduler.js';
+import { nextRuns } from './monitor/cron.js';
+import { startAlerts, alertState, sendTest } from './monitor/alerts.js';
+import { renderMetrics } from './monitor/metrics.js';
+import { queryHistory, dropHistory, METRICS } from './store/historyStore.js';
+import { listParityResults, dropParityResults } from './store/parityStore.js';
+import { initLogs, writeLog, recentLogs, listLogFiles, logFilePath, logContext, LEVELS, LOG_LIMITS } from './store/logStore.js';
+import { initAudit, recordAudit, queryAudit, auditFacets, auditCsv } from './store/auditStore.js';
+import { exportConfig, planImport, applyImport } from './store/configBundle.js';
+import { isInside } from './store/tokenCrypto.js';
+import { startDemo } from './sim/demo.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 
 /* =============================== logging =============================== */
 
-const DATA_DIR = '/app/data';
-const LOG_PATH = path.join(DATA_DIR, 'app.log');
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
 fs.mkdirSync(DATA_DIR, { recursive: true });
+initLogs();
 
-const LV = { error: 0, warn: 1, info: 2, debug: 3 };
 function nowLocal() {
   return new Intl.DateTimeFormat(undefined, {
     year:'numeric', month:'2-digit', day:'2-digit',
@@ -31,13 +65,18 @@ function nowLocal() {
     hour12:false
   }).format(new Date());
 }
-function should(level){ return (LV[getAppSettings().logLevel] ?? 2) >= (LV[level] ?? 2); }
-function write(line){ console.log(line); try{ fs.appendFileSync(LOG_PATH, line+'\n'); }catch{} }
+function should(level){ return (LEVELS[getAppSettings().logLevel] ?? 2) >= (LEVELS[level] ?? 2); }
+
+/* every line carries its context (plus reqId/user inside a request); the file is JSON lines,
+   the console follows logFormat: readable text or the same JSON */
 function log(level, msg, ctx) {
   if (!should(level)) return;
-  const { debugHttp } = getAppSettings();
-  const tail = (debugHttp && ctx) ? ` | ${Object.entries(ctx).map(([k,v]) => `${k}=${typeof v==='string'?v:JSON.stringify(v)}`).join(' ')}` : '';
-  write(`[${nowLocal()}] ${level.toUpperCase()} ${msg}${tail}`);
+  const entry = { time:new Date().toISOString(), level, msg, ...logContext.getStore(), ...ctx };
+  writeLog(entry);
+  if (getAppSettings().logFormat === 'json') return console.log(JSON.stringify(entry));
+  const { time, level:_l, msg:_m, ...rest } = entry;
+  const tail = Object.keys(rest).length ? ` | ${Object.entries(rest).map(([k,v]) => `${k}=${typeof v==='string'?v:JSON.stringify(v)}`).join(' ')}` : '';
+  console.log(`[${nowLocal()}] ${level.toUpperCase()} ${msg}${tail}`);
 }
 const info=(m,c)=>log('info',m,c);
 const warn=(m,c)=>log('warn',m,c);
@@ -46,10 +85,92 @@ const debug=(m,c)=>log('debug',m,c);
 
 /* ================================ setup ================================ */
 
-initStore();
+let store;
+try{ store = initStore(); }
+catch(e){ error(`Cannot start: ${e.message}`); process.exit(1); }
+const { migratedTokens, schema } = store;
+initUsers();
+initApiKeys();
+initAudit();
+const bootstrapped = bootstrapAdmin(process.env.BASIC_AUTH_USER, process.env.BASIC_AUTH_PASS);
 app.use(express.json({ limit: '1mb' }));
 app.use(nocache());
 
+/* request ids: taken from X-Request-Id when it looks sane, echoed back, and attached to log lines */
+app.use((req,res,next)=>{
+  const given = req.get('x-request-id');
+  req.id = given && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomBytes(6).toString('hex');
+  res.set('x-request-id', req.id);
+  logContext.run({ reqId:req.id }, next);
+});
+app.use(authenticate);
+app.use((req,_res,next)=>{ if (req.user) logContext.getStore().user = req.user.username; next(); });
+app.use(csrf());
+
+/* ============================== audit trail ============================== */
+
+/* state-changing API calls are audited with a readable action name; unlisted ones fall back to "METHOD /path".
+   A route may name action/host/target itself in res.locals.audit (/api/v1 addresses hosts by id in the path). */
+const AUDIT_ACTIONS = {
+  'POST /api/auth/login': 'auth.login', 'POST /api/auth/logout': 'auth.logout',
+  'POST /api/auth/setup': 'auth.setup', 'POST /api/auth/password': 'auth.password',
+  'POST /api/host': r => `${r.query.action}.${r.body?.action}`,
+  'POST /api/host/docker/action': r => `docker.${r.body?.action}`,
+  'POST /api/host/vm/action': r => `vm.${r.body?.action}`,
+  'POST /api/host/parity/action': r => `parity.${r.body?.action}`,
+  'POST /api/notifications/action': r => `notification.${r.body?.action}`,
+  'POST /api/groups': 'group.save', 'DELETE /api/groups': 'group.delete',
+  'POST /api/groups/run': r => `group.${r.body?.action}`,
+  'POST /api/schedules': 'schedule.save', 'DELETE /api/schedules': 'schedule.delete',
+  'POST /api/schedules/enabled': r => r.body?.enabled ? 'schedule.enable' : 'schedule.disable',
+  'POST /api/schedules/run': 'schedule.run',
+  'POST /api/settings/host': 'host.save', 'DELETE /api/settings/host': 'host.delete',
+  'POST /api/settings/token': 'host.token', 'POST /api/settings/discover': 'host.discover', 'POST /api/settings/capabilities': 'host.capabilities',
+  'POST /api/settings/tokens/rotate': 'tokens.rotateKey',
+  'POST /api/settings/export': 'config.export',
+  'POST /api/settings/import': r => r.body?.dryRun ? 'config.import.preview' : 'config.import',
+  'POST /api/settings/alerts/rule': 'alert.rule.save', 'DELETE /api/settings/alerts/rule': 'alert.rule.delete',
+  'POST /api/settings/alerts/channel': 'alert.channel.save', 'DELETE /api/settings/alerts/channel': 'alert.channel.delete',
+  'POST /api/settings/alerts/test': 'alert.test',
+  'POST /api/settings/user': 'user.save', 'DELETE /api/settings/user': 'user.delete',
+  'POST /api/settings/apikeys': 'apikey.create', 'DELETE /api/settings/apikeys': 'apikey.revoke',
+  'POST /api/app': 'app.settings'
+};
+
+app.use('/api', (req,res,next)=>{
+  if (req.method === 'GET' || req.method === 'HEAD') return next();
+  const json = res.json.bind(res);
+  res.json = body => { res.locals.auditBody = body; return json(body); };
+  res.on('finish', ()=>{
+    const key = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, '');
+    const name = AUDIT_ACTIONS[key];
+    const b = res.locals.auditBody, q = req.query, body = req.body || {};
+    const { base, ...query } = q;
+    const { documents, ...fields } = /^auth\./.test(name) ? {} : body;   // auth.* bodies are credentials; imported files may hold tokens: only their names are kept
+    const failed = res.statusCode >= 400 || b?.ok === false || b?.entry?.ok === false;
+    const own = res.locals.audit || {};
+    recordAudit({
+      actor: req.user?.username || (key === 'POST /api/auth/login' ? body.username : null),
+      ip: req.ip,
+      host: own.host || base || body.baseUrl || null,
+      target: own.target ?? body.id ?? q.id ?? body.username ?? q.username ?? body.name ?? null,
+      action: own.action || (typeof name === 'function' ? name(req) : name || key),
+      params: { ...query, ...fields, ...(Array.isArray(documents) ? { documents:documents.map(d=>d?.name ?? '?') } : {}) },
+      outcome: res.statusCode === 401 || res.statusCode === 403 ? 'denied' : failed ? 'failed' : 'ok',
+      status: res.statusCode,
+      error: failed ? (b?.message || b?.entry?.message || `HTTP ${res.statusCode}`) : null
+    });
+  });
+  next();
+});
+
+/* results of actions that finish after the request (power sequences, group runs) */
+bus.on('group', ({ groupId, run })=>{
+  if (!run.finished) return;
+  recordAudit({ actor:run.actor, target:groupId, action:`group.${run.action}`, params:{ phase:'result', group:run.name },
+    outcome:run.ok ? 'ok' : 'failed', error:run.error });
+});
+
 /* optional HTTP access log (only in debug mode) */
 app.use((req,res,next)=>{
   if (!getAppSettings().debugHttp) return next();
@@ -65,72 +186,431 @@ app.get('/version', (_req,res)=>{
   res.json({ version });
 });
 
+/* Prometheus scrape target: cached poll results, never a fan-out to the hosts.
+   With METRICS_TOKEN set, `Authorization: Bearer <token>` is accepted; any signed-in user (e.g. Basic auth) always is. */
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const bearerOk = req => {
+  const sent = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1] || '';
+  const a = crypto.createHash('sha256').update(sent).digest(), b = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+  return !!METRICS_TOKEN && !!sent && crypto.timingSafeEqual(a, b);
+};
+app.get('/metrics', (req,res)=>{
+  if (!bearerOk(req) && !req.user) {
+    res.set('www-authenticate', METRICS_TOKEN ? 'Bearer realm="metrics"' : 'Basic realm="metrics"');
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  let version='0.0.0'; try{ version=JSON.parse(fs.readFileSync(path.join(__dirname,'..','package.json'),'utf8')).version||version; }catch{}
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics(version));
+});
+
+/* every page needs a session, at least viewer (PAGE_ROLES raises that); only the login page and
+   static assets (css/js/images, anything with an extension but .html) are public, so a new page fails closed */
+const PAGE_ROLES = { host:'operator', groups:'operator', schedules:'operator', settings:'admin', audit:'admin' };
+const PUBLIC_PAGES = new Set(['login']);
+app.use((req,res,next)=>{
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+  const m = /^\/(?:([\w-]+)(?:\.html)?)?$/.exec(req.path);   // "/", "/name", "/name.html"
+  const page = m && (m[1] || 'index');
+  if (!page || PUBLIC_PAGES.has(page)) return next();
+  if (!req.user) return res.redirect(302, `/login?next=${encodeURIComponent(req.originalUrl)}`);
+  if (!roleAtLeast(req.user.role, PAGE_ROLES[page] || 'viewer')) return res.redirect(302, '/');
+  next();
+});
+app.get('/login', (_req,res)=>res.sendFile(path.join(__dirname,'web','login.html')));
+
 /* static */
 app.use('/', express.static(path.join(__dirname, 'web')));
 
 /* helpers */
 const OK  = (res, payload) => Array.isArray(payload) ? res.json(payload) : res.json(Object.assign({ ok:true }, payload || {}));
-const FAIL= (res, code, message, details) => res.status(code).json({ ok:false, error:message, message, details });
+const FAIL= (res, code, message, details) => res.status(code).json({ ok:false, error:message, message, code:ERROR_CODES[code] || 'error', details });
+/* an error a route helper refuses with (bad input, conflict): e.status is the HTTP status */
+const refused = (status, message) => Object.assign(new Error(message), { status });
+/* a failed config write (atomicFile: "Could not save …") is a server error, not a bad request */
+const failCode = (e, code = 400) => e?._persist ? 500 : code;
+
+/* ================================ auth ================================ */
+
+app.post('/api/auth/login', (req,res)=>{
+  const { username, password } = req.body || {};
+  const user = verifyUser(username, password);
+  if (!user) { warn('Login failed', { username, ip:req.ip }); return FAIL(res,401,'Invalid username or password.'); }
+  startSession(req, res, user.username);
+  info('Login', { username:user.username, ip:req.ip });
+  OK(res, { user });
+});
+app.get('/api/auth/csrf', (req,res)=>OK(res, { token:req.csrfToken }));
+app.post('/api/auth/logout', (req,res)=>{ endSession(req,res); OK(res,{}); });
+
+/* first run without BASIC_AUTH_*: the login page creates the initial admin */
+app.post('/api/auth/setup', (req,res)=>{
+  if (hasUsers()) return FAIL(res,409,'Setup already completed.');
+  try{
+    const user = upsertUser({ username:req.body?.username, password:req.body?.password, role:'admin' });
+    startSession(req, res, user.username);
+    info('Initial admin created', { username:user.username });
+    OK(res, { user });
+  }catch(e){ FAIL(res,failCode(e),e.message); }
+});
+
+app.get('/api/auth/me', (req,res)=>{
+  if (!req.user) return res.status(401).json({ ok:false, error:'Authentication required.', message:'Authentication required.', setup:!hasUsers() });
+  OK(res, { user:req.user, ui:{ refreshSeconds:getAppSettings().refreshSeconds } });
+});
+app.post('/api/auth/password', requireRole('viewer'), (req,res)=>{
+  const { current, password } = req.body || {};
+  if (!verifyUser(req.user.username, current)) return FAIL(res,400,'Current password is incorrect.');
+  try{
+    upsertUser({ username:req.user.username, password });
+    endUserSessions(req.user.username, req);
+    OK(res,{});
+  }catch(e){ FAIL(res,failCode(e),e.message); }
+});
+
+/* role gates: viewer → /api/servers, operator → /api/host*, admin → settings/app */
+app.use('/api/servers', requireRole('viewer'));
+app.use('/api/history', requireRole('viewer'));
+app.use('/api/stream', requireRole('viewer'));
+app.use('/api/notifications', requireRole('viewer'));
+app.use('/api/shares', requireRole('viewer'));
+app.use('/api/host', requireRole('operator'));
+app.use('/api/groups', requireRole('operator'));
+app.use('/api/schedules', requireRole('operator'));
+app.use('/api/settings', requireRole('admin'));
+app.use('/api/app', requireRole('admin'));
+app.use('/api/audit', requireRole('admin'));
 
 /* ================================ API ================================= */
 
-/* Dashboard list with partial-success handling */
+/* Dashboard list with partial-success handling (served from the poller cache) */
 app.get('/api/servers', async (_req, res) => {
-  const hosts = listHosts();
-  const out = await Promise.all(hosts.map(async h => {
-    const st = await getHostStatus(h.baseUrl);
-    if (!st.ok) {
-      warn('Status check failed');
-      return { name:h.name, baseUrl:h.baseUrl, mac:h.mac, status:null, error:st.error };
-    }
-    if (st.warnings?.length) warn('Partial data received');
-    return { name:h.name, baseUrl:h.baseUrl, mac:h.mac, status:st.data, warnings:st.warnings||[] };
-  }));
-  OK(res, out);
+  OK(res, await getServers());
+});
+
+/* Live updates (Server-Sent Events): snapshot on connect, then per-host changes and action results */
+app.get('/api/stream', async (req,res)=>{
+  res.set({ 'content-type':'text/event-stream', 'cache-control':'no-cache', 'connection':'keep-alive', 'x-accel-buffering':'no' });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.write('retry: 5000\n\n');
+
+  const onHost = e => send('host', e);
+  const onRemoved = e => send('removed', e);
+  const onAction = e => send('action', e);
+  const onProgress = e => send('progress', e);
+  const onGroup = e => send('group', e);
+  const onSchedule = e => send('schedule', e);
+  bus.on('host', onHost); bus.on('removed', onRemoved); bus.on('action', onAction); bus.on('progress', onProgress);
+  bus.on('group', onGroup); bus.on('schedule', onSchedule);
+  const ping = setInterval(()=>res.write(': ping\n\n'), 25000);
+  req.on('close', ()=>{
+    clearInterval(ping);
+    bus.off('host', onHost); bus.off('removed', onRemoved); bus.off('action', onAction); bus.off('progress', onProgress);
+    bus.off('group', onGroup); bus.off('schedule', onSchedule);
+  });
+
+  try{ send('snapshot', await getServers()); }
+  catch(e){ send('error', { message:e.message }); }
+});
+
+/* publish an action result to live clients and refresh that host's row */
+function actionDone(kind, baseUrl, id, action, err){
+  bus.emit('action', { kind, baseUrl, id, action, ok:!err, error:err?.message || null, at:Date.now() });
+  refreshHost(baseUrl).catch(()=>{});
+}
+
+/* Metrics history: ?base=&metric=cpuPct[,ramPct…]&range=1h|24h|7d|30d */
+const RANGES = { '1h':3600e3, '6h':6*3600e3, '24h':86400e3, '7d':7*86400e3, '30d':30*86400e3, '90d':90*86400e3 };
+function historyOf(base, query){
+  const range = String(query.range||'24h');
+  if (!RANGES[range]) throw refused(400,`Unknown range. Use one of: ${Object.keys(RANGES).join(', ')}`);
+  const metrics = String(query.metric||'cpuPct').split(',').map(m=>m.trim()).filter(Boolean);
+  const bad = metrics.find(m=>!METRICS.includes(m));
+  if (bad) throw refused(400,`Unknown metric: ${bad}. Use one of: ${METRICS.join(', ')}`);
+  return { range, series:Object.fromEntries(metrics.map(m=>[m, queryHistory(base, m, RANGES[range])])) };
+}
+app.get('/api/history', (req,res)=>{
+  const base = String(req.query.base||'');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  try{ OK(res, { base, ...historyOf(base, req.query) }); }
+  catch(e){ FAIL(res,e.status,e.message); }
 });
 
 /* Containers */
 app.get('/api/host/docker', async (req,res)=>{
   try{ OK(res, await listContainers(String(req.query.base||''))); }
-  catch(e){ error('Container list failed'); FAIL(res,502,'Failed to list containers.'); }
+  catch(e){ error('Container list failed', { host:String(req.query.base||''), error:e.message }); FAIL(res,502,'Failed to list containers.'); }
+});
+app.get('/api/host/docker/container', async (req,res)=>{
+  const base = String(req.query.base||''), id = String(req.query.id||'');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  if (!id) return FAIL(res,400,'Missing container id.');
+  try{ OK(res, { container: await getContainer(base, id) }); }
+  catch(e){ error('Container detail failed', { host:base, id, error:e.message }); FAIL(res,502,`Failed to load container: ${e.message}`); }
+});
+/* last ?tail= lines (1–2000, default 200); { lines:null } when the host cannot serve logs */
+app.get('/api/host/docker/logs', async (req,res)=>{
+  const base = String(req.query.base||''), id = String(req.query.id||'');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  if (!id) return FAIL(res,400,'Missing container id.');
+  const tail = Math.min(2000, Math.max(1, Number(req.query.tail) || 200));
+  try{ OK(res, { lines: await getContainerLogs(base, id, tail) }); }
+  catch(e){ error('Container logs failed', { host:base, id, error:e.message }); FAIL(res,502,`Failed to load logs: ${e.message}`); }
 });
 app.post('/api/host/docker/action', async (req,res)=>{
   const base=String(req.query.base||''); const {id,action}=req.body||{};
-  try{ await containerAction(base,id,action); OK(res,{}); }
-  catch(e){ error(`Container ${action} failed`); FAIL(res,502,`Container ${action} failed: ${e.message}`);}
+  try{ await containerAction(base,id,action); info(`Container ${action}`, { host:base, action:`docker.${action}`, id }); actionDone('docker',base,id,action); OK(res,{}); }
+  catch(e){ error(`Container ${action} failed`, { host:base, action:`docker.${action}`, id, error:e.message }); actionDone('docker',base,id,action,e); FAIL(res,502,`Container ${action} failed: ${e.message}`);}
 });
 
 /* VMs */
 app.get('/api/host/vms', async (req,res)=>{
   try{ OK(res, await listVMs(String(req.query.base||''))); }
-  catch(e){ error('VM list failed'); FAIL(res,502,'Failed to list VMs.'); }
+  catch(e){ error('VM list failed', { host:String(req.query.base||''), error:e.message }); FAIL(res,502,'Failed to list VMs.'); }
 });
 app.post('/api/host/vm/action', async (req,res)=>{
   const base=String(req.query.base||''); const {id,action}=req.body||{};
-  try{ await vmAction(base,id,action); OK(res,{}); }
-  catch(e){ error(`VM ${action} failed`); FAIL(res,502,`VM ${action} failed: ${e.message}`); }
+  try{ await vmAction(base,id,action); info(`VM ${action}`, { host:base, action:`vm.${action}`, id }); actionDone('vm',base,id,action); OK(res,{}); }
+  catch(e){ error(`VM ${action} failed`, { host:base, action:`vm.${action}`, id, error:e.message }); actionDone('vm',base,id,action,e); FAIL(res,502,`VM ${action} failed: ${e.message}`); }
+});
+
+/* Storage: array, parity, cache/pool and unassigned disks with SMART/temperature */
+app.get('/api/host/disks', async (req,res)=>{
+  const base = String(req.query.base||'');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  try{ OK(res, { disks: await listDisks(base), thresholds:{ warnC:DISK_TEMP_WARN, hotC:DISK_TEMP_HOT } }); }
+  catch(e){ error('Disk list failed', { host:base, error:e.message }); FAIL(res,502,`Failed to list disks: ${e.message}`); }
+});
+
+/* User shares of one host, largest first */
+app.get('/api/host/shares', async (req,res)=>{
+  const base = String(req.query.base||'');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  try{ OK(res, { shares: await listShares(base) }); }
+  catch(e){ error('Share list failed', { host:base, error:e.message }); FAIL(res,502,`Failed to list shares: ${e.message}`); }
 });
 
-/* Power/WOL */
+/* Parity check: status + history (host-reported, else recorded by the poller) and control */
+async function parityOf(base){
+  const [status, hostHistory] = await Promise.all([
+    getParityStatus(base),
+    getParityHistory(base).catch(()=>null)
+  ]);
+  return {
+    status,
+    history: hostHistory || listParityResults(base),
+    historySource: hostHistory ? 'host' : 'local'
+  };
+}
+app.get('/api/host/parity', async (req,res)=>{
+  const base = String(req.query.base||'');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  try{ OK(res, await parityOf(base)); }
+  catch(e){ error('Parity status failed', { host:base, error:e.message }); FAIL(res,502,`Failed to read parity status: ${e.message}`); }
+});
+app.post('/api/host/parity/action', async (req,res)=>{
+  const base = String(req.query.base||''); const { action, correct } = req.body||{};
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  if (!PARITY_ACTIONS.includes(action)) return FAIL(res,400,'Unknown parity action.');
+  try{
+    await parityAction(base, action, { correct:!!correct });
+    info(`Parity ${action}`, { host:base, action:`parity.${action}`, correct:!!correct });
+    actionDone('parity',base,null,action); OK(res,{});
+  }catch(e){ error(`Parity ${action} failed`, { host:base, action:`parity.${action}`, error:e.message }); actionDone('parity',base,null,action,e); FAIL(res,502,`Parity ${action} failed: ${e.message}`); }
+});
+
+const NOTIFY_RANK = Object.fromEntries(NOTIFY_LEVELS.map((l,i)=>[l,i]));
+const bySeverity = (a,b)=> NOTIFY_RANK[a.importance]-NOTIFY_RANK[b.importance] || (b.timestamp||0)-(a.timestamp||0);
+
+/* Notifications inbox: every host's feed merged, most severe first, then newest.
+   ?archived=1 for the archive, ?host=<baseUrl> for one host. Hosts without a feed report supported:false. */
+app.get('/api/notifications', async (req,res)=>{
+  const archived = /^(1|true)$/.test(String(req.query.archived||''));
+  const only = String(req.query.host||'');
+  const hosts = listHosts().filter(h => !only || h.baseUrl === only);
+  if (only && !hosts.length) return FAIL(res,404,'Unknown host.');
+  const results = await Promise.all(hosts.map(async h => {
+    try{
+      const list = await listNotifications(h.baseUrl, { archived });
+      return { host:h, list, supported:list !== null, error:null };
+    }catch(e){ return { host:h, list:null, supported:null, error:e.message }; }
+  }));
+  const notifications = results.flatMap(r => (r.list || []).map(n => ({ ...n, baseUrl:r.host.baseUrl, host:r.host.name })))
+    .sort(bySeverity);
+  const counts = Object.fromEntries(NOTIFY_LEVELS.map(l=>[l, 0]));
+  for (const n of notifications) if (!n.acknowledged) counts[n.importance]++;
+  OK(res, {
+    notifications, counts, archived,
+    hosts: results.map(r => ({
+      baseUrl:r.host.baseUrl, name:r.host.name, supported:r.supported, error:r.error,
+      actions: capabilitiesOf(r.host.baseUrl)?.actions?.notifications || null
+    }))
+  });
+});
+/* { id | ids:[…], action:'archive'|'acknowledge' } for one host; per-id results so a partial failure is visible */
+app.post('/api/notifications/action', requireRole('operator'), async (req,res)=>{
+  const base = String(req.query.base||''); const { action } = req.body||{};
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  if (!NOTIFY_ACTIONS.includes(action)) return FAIL(res,400,'Unknown notification action.');
+  const ids = [].concat(req.body?.ids ?? req.body?.id ?? []).map(String).filter(Boolean);
+  if (!ids.length) return FAIL(res,400,'No notification id given.');
+  const failed = []; let done = 0;
+  for (const id of ids) {
+    try{ await notificationAction(base, id, action); done++; }
+    catch(e){ failed.push({ id, error:e.message }); if (/not supported/.test(e.message)) break; }   // same answer for the rest
+  }
+  const err = failed.length ? new Error(failed[0].error) : null;
+  if (err) error(`Notification ${action} failed`, { host:base, action:`notification.${action}`, ids, error:err.message });
+  else info(`Notification ${action}`, { host:base, action:`notification.${action}`, ids });
+  actionDone('notification', base, ids.length === 1 ? ids[0] : null, action, err);
+  if (!done) return FAIL(res,502,`Notification ${action} failed: ${err.message}`, { failed });
+  OK(res, { done, failed });
+});
+
+/* Shares across all hosts (?host=<baseUrl> for one), largest first; unreachable hosts are listed with their error */
+app.get('/api/shares', async (req,res)=>{
+  const only = String(req.query.host||'');
+  const hosts = listHosts().filter(h => !only || h.baseUrl === only);
+  if (only && !hosts.length) return FAIL(res,404,'Unknown host.');
+  const results = await Promise.all(hosts.map(async h => {
+    try{ return { host:h, shares:await listShares(h.baseUrl), error:null }; }
+    catch(e){ return { host:h, shares:[], error:e.message }; }
+  }));
+  OK(res, {
+    shares: results.flatMap(r => r.shares.map(s => ({ ...s, baseUrl:r.host.baseUrl, host:r.host.name })))
+      .sort((a,b)=>(b.usedBytes ?? -1)-(a.usedBytes ?? -1)),
+    hosts: results.map(r => ({ baseUrl:r.host.baseUrl, name:r.host.name, error:r.error }))
+  });
+});
+
+/* Power/WOL and array start/stop: ?action=power {action:'wake'|'reboot'|'shutdown'} | ?action=array {action:'start'|'stop'}.
+   Destructive ones need { confirm } equal to the host name. Wake with { wait:true, timeoutSeconds? } follows
+   the host until it is up (progress like reboot/shutdown). */
+const confirmed = (host, body) => String(body?.confirm ?? '').trim() === host.name;
+
+/* shared with /api/v1: resolves the OK payload; refusals throw with e.status (400/409), host failures are
+   logged and published here and rethrown */
+async function hostAction(host, kind, action, body, actor){
+  const base = host.baseUrl;
+  if (kind==='power' && action==='wake' && body?.wait){
+    if (powerJob(base)?.finished === false) throw refused(409,'A power action is already running for this host.');
+    startWakeSequence(host, { timeoutSeconds:body.timeoutSeconds }, err=>{
+      actionDone('power',base,null,'wake',err);
+      recordAudit({ actor, host:base, action:'power.wake', params:{ phase:'result', wait:true }, outcome:err ? 'failed' : 'ok', error:err?.message });
+      invalidate(base); refreshHost(base).catch(()=>{});
+    });
+    info('Wake and wait started', { host:base, action:'power.wake' }); return { started:true };
+  }
+  if (kind==='power' && POWER_ACTIONS.includes(action)){
+    if (!confirmed(host, body)) throw refused(400,'Type the host name to confirm.');
+    if (powerJob(base)?.finished === false) throw refused(409,'A power action is already running for this host.');
+    startPowerSequence(base, action, err=>{
+      actionDone('power',base,null,action,err);
+      recordAudit({ actor, host:base, action:`power.${action}`, params:{ phase:'result' }, outcome:err ? 'failed' : 'ok', error:err?.message });
+    });
+    info(`Host ${action} started`, { host:base, action:`power.${action}` }); return { started:true };
+  }
+  if (kind==='array' && action==='stop' && !confirmed(host, body)) throw refused(400,'Type the host name to confirm.');
+  if (!(kind==='power' && action==='wake') && !(kind==='array' && ARRAY_ACTIONS.includes(action))) throw refused(400,'Unsupported action.');
+  try{
+    if (kind==='power'){
+      const sent = await sendWol(host.mac, host.wol);
+      info('Sent WOL packet', { host:base, action:'power.wake', to:`${sent.address}:${sent.port}`, count:sent.count });
+      actionDone('power',base,null,'wake'); return { sent };
+    }
+    await arrayAction(base, action);
+    info(`Array ${action}`, { host:base, action:`array.${action}` }); actionDone('array',base,null,action); return {};
+  }catch(e){
+    error(`${kind} ${action} failed`, { host:base, action:`${kind}.${action}`, error:e.message }); actionDone(kind,base,null,action,e);
+    throw e;
+  }
+}
+
 app.post('/api/host', async (req,res)=>{
   const base = String(req.query.base || '');
   const kind = String(req.query.action || '');
-  const { action } = req.body || {};
   const host = listHosts().find(h => h.baseUrl === base);
   if (!host) return FAIL(res,404,'Unknown host.');
+  try{ OK(res, await hostAction(host, kind, req.body?.action, req.body, req.user?.username)); }
+  catch(e){ FAIL(res, e.status || 502, e.status ? e.message : `${kind==='array'?'Array':'Power'} action failed: ${e.message}`); }
+});
+
+/* Last reboot/shutdown sequence for a host (lets a reloaded page pick up its progress) */
+app.get('/api/host/power', (req,res)=>{
+  const base = String(req.query.base || '');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  OK(res, { job: powerJob(base) });
+});
+
+/* Groups: containers/VMs across hosts started in order, stopped in reverse.
+   Anyone who may run actions can run a group; defining groups is admin-only. */
+app.get('/api/groups', (_req,res)=>OK(res, { groups:listGroups(), runs:groupRuns(), actions:GROUP_ACTIONS }));
+app.post('/api/groups', requireRole('admin'), (req,res)=>{
+  try{ OK(res, { group:upsertGroup(req.body||{}) }); }
+  catch(e){ FAIL(res,failCode(e),e.message); }
+});
+app.delete('/api/groups', requireRole('admin'), (req,res)=>{
+  try{ deleteGroup(String(req.query.id||'')); OK(res,{}); }
+  catch(e){ FAIL(res,500,e.message); }
+});
+app.post('/api/groups/run', (req,res)=>{
+  const id = String(req.query.id||''); const { action } = req.body||{};
   try{
-    if (kind==='power' && action==='wake'){
-      await sendWol(host.mac, process.env.WOL_BROADCAST||'255.255.255.255', process.env.WOL_INTERFACE||'eth0');
-      info('Sent WOL packet'); return OK(res,{});
-    }
-    return FAIL(res,400,'Unsupported action.');
-  }catch(e){ error('Power action failed'); FAIL(res,502,`Power action failed: ${e.message}`); }
+    const run = startGroupRun(id, action, req.user?.username || null);
+    info(`Group ${action} started`, { group:run.name, action:`group.${action}` });
+    OK(res, { run });
+  }catch(e){ FAIL(res, /already running/.test(e.message) ? 409 : 400, e.message); }
+});
+
+/* Scheduled actions: cron in the container's TZ; editing is admin-only, running on demand is not */
+app.get('/api/schedules', (_req,res)=>OK(res, { schedules:listJobs(), tz:schedulerTimezone(), actions:SCHEDULE_ACTIONS }));
+app.get('/api/schedules/preview', (req,res)=>{
+  const count = Math.min(20, Math.max(1, Number(req.query.count) || 5));
+  try{ OK(res, { runs:nextRuns(String(req.query.cron||''), count), tz:schedulerTimezone() }); }
+  catch(e){ FAIL(res,400,e.message); }
+});
+app.post('/api/schedules', requireRole('admin'), (req,res)=>{
+  try{ OK(res, { schedule:saveJob(req.body||{}) }); }
+  catch(e){ FAIL(res,failCode(e),e.message); }
+});
+app.post('/api/schedules/enabled', requireRole('admin'), (req,res)=>{
+  try{ OK(res, { schedule:setJobEnabled(String(req.query.id||''), !!req.body?.enabled) }); }
+  catch(e){ FAIL(res,failCode(e,404),e.message); }
+});
+app.delete('/api/schedules', requireRole('admin'), (req,res)=>{
+  try{ deleteJob(String(req.query.id||'')); OK(res,{}); }
+  catch(e){ FAIL(res,500,e.message); }
+});
+app.post('/api/schedules/run', async (req,res)=>{
+  try{ OK(res, { entry:await runJob(String(req.query.id||''), 'manual') }); }
+  catch(e){ FAIL(res, /already running/.test(e.message) ? 409 : 404, e.message); }
+});
+
+/* Audit trail: newest first. ?from=&to= (ISO or ms) &actor=&host=&action= (prefix) &outcome=&q=&offset=&limit= ; &format=csv downloads */
+const when = v => v == null || v === '' ? null : (/^\d+$/.test(v) ? Number(v) : Date.parse(v));
+app.get('/api/audit', (req,res)=>{
+  const q = req.query;
+  const from = when(q.from), to = when(q.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) return FAIL(res,400,'Invalid from/to time.');
+  if (q.outcome && !['ok','failed','denied'].includes(q.outcome)) return FAIL(res,400,'outcome must be ok, failed or denied.');
+  const csv = q.format === 'csv';
+  const filters = {
+    from, to, actor:q.actor || null, host:q.base || q.host || null, action:q.action || null, outcome:q.outcome || null, q:q.q || null,
+    offset: Math.max(0, Number(q.offset) || 0),
+    limit: csv ? Infinity : Math.min(1000, Math.max(1, Number(q.limit) || 200))
+  };
+  const result = queryAudit(filters);
+  if (!csv) return OK(res, { ...result, facets:auditFacets() });
+  res.set('content-disposition', `attachment; filename="audit-${new Date().toISOString().slice(0,10)}.csv"`);
+  res.type('text/csv').send(auditCsv(result.entries));
 });
 
 /* Settings: hosts */
+/* the SecureOn password never goes back to the browser; the form gets secureOnSet instead */
+const publicWol = w => w ? { ...w, secureOn:undefined, secureOnSet:!!w.secureOn } : null;
 app.get('/api/settings/hosts', (_req,res)=>{
   const tokens=tokensSummary();
-  OK(res, listHosts().map(h=>({...h, tokenSet: !!tokens[h.baseUrl]})));
+  OK(res, listHosts().map(h=>({...h, tokenSet: !!tokens[h.baseUrl], capabilities: capabilitiesOf(h.baseUrl), wol: publicWol(h.wol)})));
 });
 
 /* Save or Edit host: test before commit; success returns warnings if any */
@@ -138,48 +618,340 @@ app.post('/api/settings/host', async (req,res)=>{
   const { name, baseUrl, mac, token, oldBaseUrl } = req.body || {};
   try{
     if (!name || !baseUrl || !mac || !token) throw new Error('Missing fields.');
-    setToken(baseUrl, token);
-    const test = await getHostStatus(baseUrl);
+    const prev = listHosts().find(h=>h.baseUrl===(oldBaseUrl || baseUrl));
+    const wol = normalizeWol(req.body.wol, prev?.wol);
+    if (!normalizeMac(mac)) throw new Error(`Invalid MAC address "${mac}"; use AA:BB:CC:DD:EE:FF.`);
+    resetBreaker(baseUrl);
+    // tested before it is stored: a wrong token never replaces a working one
+    const test = await withToken(baseUrl, token, ()=>getHostStatus(baseUrl));
     if (!test.ok) throw new Error(test.error || 'Validation failed.');
-    const saved = upsertHost({ name, baseUrl, mac });
-    if (oldBaseUrl && oldBaseUrl !== baseUrl) { try{ deleteHost(oldBaseUrl); }catch{} }
-    if (test.warnings?.length) warn('Partial data during save');
-    OK(res, { host:{...saved, tokenSet:true}, warnings:test.warnings||[] });
-  }catch(e){ error('Host save failed'); FAIL(res,400,e.message||'Invalid host data.'); }
+    setToken(baseUrl, token);
+    // a new address replaces the old entry but keeps its id (the host's /api/v1 address)
+    if (oldBaseUrl && oldBaseUrl !== baseUrl) { try{ deleteHost(oldBaseUrl); dropHistory(oldBaseUrl); }catch{} }
+    const saved = upsertHost({ name, baseUrl, mac, wol, id:prev?.id });
+    invalidate(baseUrl);
+    refreshHost(baseUrl).catch(()=>{});
+    if (test.warnings?.length) warn('Partial data during save', { host:baseUrl, warnings:test.warnings });
+    const capabilities = await detectCapabilities(baseUrl, test.data?.system?.osVersion || null)
+      .catch(e=>{ warn('Capability detection failed', { host:baseUrl, error:e.message }); return null; });
+    OK(res, { host:{...saved, wol:publicWol(wol), tokenSet:true, capabilities}, warnings:test.warnings||[] });
+  }catch(e){ error('Host save failed', { host:baseUrl, error:e.message }); FAIL(res,failCode(e),e.message||'Invalid host data.'); }
 });
 app.delete('/api/settings/host', (req,res)=>{
-  try{ deleteHost(String(req.query.base||'')); OK(res,{}); }
-  catch{ FAIL(res,400,'Failed to delete host.'); }
+  const base = String(req.query.base||'');
+  try{ deleteHost(base); dropHistory(base); dropParityResults(base); invalidate(base); OK(res,{}); }
+  catch(e){ FAIL(res,failCode(e),`Failed to delete host: ${e.message}`); }
+});
+/* LAN discovery: { subnets?:['192.168.1.0/24'], methods?:['scan','mdns','ssdp'] }; one run at a time */
+let discovering = false;
+app.get('/api/settings/discover', (_req,res)=>OK(res, { subnets:localSubnets(), methods:DISCOVERY_METHODS }));
+app.post('/api/settings/discover', async (req,res)=>{
+  if (discovering) return FAIL(res,409,'A discovery scan is already running.');
+  const { subnets, methods } = req.body || {};
+  discovering = true;
+  try{
+    const result = await discover({
+      subnets: Array.isArray(subnets) ? subnets.map(String).filter(Boolean) : null,
+      methods: Array.isArray(methods) ? methods : undefined
+    });
+    // already configured: same address, or same MAC when the host was added by name
+    const known = new Set(listHosts().flatMap(h=>{ try{ return [new URL(h.baseUrl).hostname, h.mac]; }catch{ return [h.mac]; } }).filter(Boolean));
+    result.hosts = result.hosts.map(h=>({ ...h, known:known.has(h.address) || known.has(h.mac) }));
+    info('Discovery finished', { found:result.hosts.length, subnets:result.subnets, ms:result.tookMs });
+    OK(res, result);
+  }catch(e){ FAIL(res,400,e.message); }
+  finally{ discovering = false; }
 });
 app.post('/api/settings/token', (req,res)=>{
   try{ setToken(req.body?.baseUrl, req.body?.token); OK(res,{}); }
-  catch(e){ FAIL(res,400,e.message||'Failed to save token.'); }
+  catch(e){ FAIL(res,failCode(e),e.message||'Failed to save token.'); }
 });
 app.get('/api/settings/test', async (req,res)=>{
+  resetBreaker(String(req.query.base||''));
   const r = await getHostStatus(String(req.query.base||''));
-  if (!r.ok) { warn('Connection test failed'); return FAIL(res,502,r.error); }
-  if (r.warnings?.length) warn('Connection test partial');
+  if (!r.ok) { warn('Connection test failed', { host:String(req.query.base||''), error:r.error }); return FAIL(res,502,r.error); }
+  if (r.warnings?.length) warn('Connection test partial', { host:String(req.query.base||''), warnings:r.warnings });
   OK(res, { system:r.data?.system||null, warnings:r.warnings||[] });
 });
 
+/* Settings: re-run schema introspection for a host */
+app.post('/api/settings/capabilities', async (req,res)=>{
+  const base = String(req.query.base||'');
+  if (!listHosts().some(h=>h.baseUrl===base)) return FAIL(res,404,'Unknown host.');
+  try{ const capabilities = await detectCapabilities(base); invalidate(base); OK(res, { capabilities }); }
+  catch(e){ FAIL(res,502,`Detection failed: ${e.message}`); }
+});
+
+/* Settings: token encryption key */
+app.get('/api/settings/tokens', (_req,res)=>OK(res, { key:tokenKeyStatus() }));
+app.post('/api/settings/tokens/rotate', (req,res)=>{
+  if (tokenKeyStatus().source === 'env') return FAIL(res,409,'TOKENS_KEY comes from the environment; rotate with `npm run rotate-key` while the container is stopped.');
+  try{ const key = rotateTokenKey(); info('Token key rotated', { keyId:key.keyId }); OK(res, { key }); }
+  catch(e){ error('Token key rotation failed', { error:e.message }); FAIL(res,500,e.message); }
+});
+
+/* Settings: configuration backup. Export is a POST so the passphrase stays out of URLs and logs. */
+app.post('/api/settings/export', (req,res)=>{
+  let appVersion=null; try{ appVersion=JSON.parse(fs.readFileSync(path.join(__dirname,'..','package.json'),'utf8')).version; }catch{}
+  try{
+    const bundle = exportConfig({ passphrase:req.body?.passphrase || null, appVersion });
+    info('Configuration exported', { secrets:!!bundle.secrets });
+    res.set('content-disposition', `attachment; filename="unraid-dashboard-config-${new Date().toISOString().slice(0,10)}.json"`);
+    res.json(bundle);
+  }catch(e){ FAIL(res,400,e.message); }
+});
+/* { documents:[{ name, data }], passphrase?, mode:'merge'|'replace', dryRun? } → { diff, warnings } */
+app.post('/api/settings/import', (req,res)=>{
+  const { documents, passphrase, mode, dryRun } = req.body || {};
+  try{
+    if (dryRun) { const { diff, warnings } = planImport({ documents, passphrase, mode }); return OK(res, { dryRun:true, diff, warnings }); }
+    const result = applyImport({ documents, passphrase, mode });
+    for (const base of result.removedHosts) { dropHistory(base); dropParityResults(base); invalidate(base); }
+    for (const base of result.changedHosts) { resetBreaker(base); invalidate(base); refreshHost(base).catch(()=>{}); }
+    info('Configuration imported', { mode:mode || 'merge', warnings:result.warnings.length });
+    OK(res, { dryRun:false, diff:result.diff, warnings:result.warnings });
+  }catch(e){ error('Configuration import failed', { error:e.message }); FAIL(res,failCode(e),e.message); }
+});
+
+/* Settings: alert rules and delivery channels */
+app.get('/api/settings/alerts', (_req,res)=>OK(res, {
+  rules:listAlertRules(), channels:listChannels(), state:alertState(), kinds:RULE_KINDS, channelTypes:CHANNEL_TYPES
+}));
+app.post('/api/settings/alerts/rule', (req,res)=>{
+  try{ const rule = upsertAlertRule(req.body||{}); info('Alert rule saved', { rule:rule.name }); OK(res, { rule }); }
+  catch(e){ FAIL(res,failCode(e),e.message); }
+});
+app.delete('/api/settings/alerts/rule', (req,res)=>{
+  try{ deleteAlertRule(String(req.query.id||'')); OK(res,{}); }
+  catch(e){ FAIL(res,500,e.message); }
+});
+app.post('/api/settings/alerts/channel', (req,res)=>{
+  try{ const channel = upsertChannel(req.body||{}); info('Alert channel saved', { channel:channel.name }); OK(res, { channel }); }
+  catch(e){ FAIL(res,failCode(e),e.message); }
+});
+app.delete('/api/settings/alerts/channel', (req,res)=>{
+  try{ deleteChannel(String(req.query.id||'')); OK(res,{}); }
+  catch(e){ FAIL(res,failCode(e),e.message); }
+});
+/* send test: { channelId } or { ruleId } (uses the rule's channel) */
+app.post('/api/settings/alerts/test', async (req,res)=>{
+  const rule = req.body?.ruleId ? listAlertRules().find(r=>r.id===req.body.ruleId) : null;
+  if (req.body?.ruleId && !rule) return FAIL(res,404,'Unknown rule.');
+  try{ await sendTest(rule ? rule.channelId : String(req.body?.channelId||''), rule); OK(res,{}); }
+  catch(e){ warn('Alert test failed', { error:e.message }); FAIL(res,502,`Test failed: ${e.message}`); }
+});
+
+/* Settings: users */
+app.get('/api/settings/users', (_req,res)=>OK(res, listUsers()));
+app.post('/api/settings/user', (req,res)=>{
+  const { username, password, role } = req.body || {};
+  try{
+    const user = upsertUser({ username, password: password || undefined, role });
+    if (password) endUserSessions(user.username, req);
+    info('User saved', { username:user.username, role:user.role });
+    OK(res, { user });
+  }catch(e){ FAIL(res,failCode(e),e.message); }
+});
+app.delete('/api/settings/user', (req,res)=>{
+  const username = String(req.query.username||'');
+  if (username === req.user.username) return FAIL(res,400,'You cannot delete your own account.');
+  try{ deleteUser(username); endUserSessions(username); info('User deleted', { username }); OK(res,{}); }
+  catch(e){ FAIL(res,failCode(e),e.message); }
+});
+app.get('/api/settings/roles', (_req,res)=>OK(res, ROLES));
+
+/* Settings: API keys for /api/v1; the key itself is only in the create response */
+app.get('/api/settings/apikeys', (_req,res)=>OK(res, { keys:listApiKeys(), scopes:API_KEY_SCOPES }));
+app.post('/api/settings/apikeys', (req,res)=>{
+  try{
+    const { key, token } = createApiKey({ name:req.body?.name, scope:req.body?.scope, createdBy:req.user.username });
+    info('API key created', { name:key.name, scope:key.scope });
+    OK(res, { key, token });
+  }catch(e){ FAIL(res,failCode(e),e.message); }
+});
+app.delete('/api/settings/apikeys', (req,res)=>{
+  const id = String(req.query.id||'');
+  try{ revokeApiKey(id); info('API key revoked', { id }); OK(res,{}); }
+  catch(e){ FAIL(res,failCode(e,404),e.message); }
+});
+
 /* App-level runtime settings (incl. refreshSeconds) */
 app.get('/api/app', (_req,res)=>OK(res, { settings:getAppSettings() }));
 app.post('/api/app', (req,res)=>{
-  const patch = {};
-  if (typeof req.body?.debugHttp === 'boolean') patch.debugHttp = req.body.debugHttp;
-  if (req.body?.logLevel) patch.logLevel = req.body.logLevel;
-  if (typeof req.body?.allowSelfSigned === 'boolean') patch.allowSelfSigned = req.body.allowSelfSigned;
-  if (Number.isFinite(+req.body?.refreshSeconds) && +req.body.refreshSeconds >= 5) patch.refreshSeconds = Math.floor(+req.body.refreshSeconds);
-  OK(res, { settings:setAppSettings(patch) });
+  const { patch } = appSettingsPatch(req.body);   // invalid values are left as they are
+  try{ OK(res, { settings:setAppSettings(patch) }); }
+  catch(e){ error('App settings save failed', { error:e.message }); FAIL(res,500,e.message); }
+});
+
+/* Logs tab: recent entries (?level= at most this verbose, &host=, &q=, &after=<seq> to tail) and file downloads */
+app.get('/api/app/logs', (req,res)=>{
+  const q = req.query;
+  if (q.level && !Object.hasOwn(LEVELS, q.level)) return FAIL(res,400,`Unknown level. Use one of: ${Object.keys(LEVELS).join(', ')}`);
+  const result = recentLogs({
+    level:q.level || null, host:q.host || null, q:q.q || null,
+    after:Math.max(0, Number(q.after) || 0), limit:Math.min(2000, Math.max(1, Number(q.limit) || 500))
+  });
+  OK(res, { ...result, files:listLogFiles(), limits:LOG_LIMITS });
+});
+app.get('/api/app/logs/download', (req,res)=>{
+  const file = logFilePath(String(req.query.file || 'app.log'));
+  if (!file) return FAIL(res,404,'Unknown log file.');
+  res.download(file, path.basename(file));
+});
+
+/* ============================ REST API (v1) ============================ */
+
+/* Versioned API for scripts and home automation; its contract is api/openapi.js. Hosts are addressed by id.
+   Only API keys are accepted here (no session, no Basic auth), which is why CSRF does not apply. */
+const v1 = express.Router();
+app.use('/api/v1', v1);
+
+v1.get('/', (_req,res)=>OK(res, { version:1, openapi:'/api/v1/openapi.json' }));
+v1.get('/openapi.json', (_req,res)=>{
+  let version='0.0.0'; try{ version=JSON.parse(fs.readFileSync(path.join(__dirname,'..','package.json'),'utf8')).version||version; }catch{}
+  res.json(openapiDocument({ version }));
 });
 
+/* `Authorization: Bearer <key>` or `X-API-Key: <key>`; the key's scope decides the role */
+v1.use((req,res,next)=>{
+  const sent = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1] || req.get('x-api-key') || '';
+  const key = verifyApiKey(sent.trim());
+  req.user = key && { username:`apikey:${key.name}`, role:key.role, apiKey:key.id };
+  logContext.getStore().user = req.user?.username;
+  if (!key) { res.set('www-authenticate', 'Bearer realm="api"'); return FAIL(res,401,'A valid API key is required.'); }
+  next();
+});
+const control = (req,res,next)=>roleAtLeast(req.user.role, API_KEY_SCOPES.control) ? next()
+  : FAIL(res,403,'This API key is read-only; actions need a control key.');
+
+v1.param('hostId', (_req,res,next,id)=>{
+  const host = getHostById(id);
+  if (!host) return FAIL(res,404,'Unknown host.');
+  res.locals.host = host;
+  res.locals.audit = { host:host.baseUrl };
+  next();
+});
+
+/* host failures by cause: skipped by the breaker 503, no answer 504, not in the host's API 501, unknown item 404, else 502 */
+function hostFail(res, what, e){
+  const status = e._breaker ? 503 : e._transient ? 504 : e._validation || /not supported/.test(e.message) ? 501 : /not found/i.test(e.message) ? 404 : 502;
+  FAIL(res, status, `${what}: ${e.message}`);
+}
+
+const hostView = r => ({
+  id:r.id, name:r.name, baseUrl:r.baseUrl, mac:r.mac || null,
+  online:!!r.status, error:r.error || null, status:r.status, capabilities:r.capabilities
+});
+v1.get('/hosts', async (_req,res)=>OK(res, { hosts:(await getServers()).map(hostView) }));
+v1.get('/hosts/:hostId', async (_req,res)=>{
+  const row = (await getServers()).find(r=>r.baseUrl===res.locals.host.baseUrl);
+  OK(res, { host:hostView(row) });
+});
+v1.get('/hosts/:hostId/history', (req,res)=>{
+  try{ OK(res, historyOf(res.locals.host.baseUrl, req.query)); }
+  catch(e){ FAIL(res,e.status,e.message); }
+});
+
+/* read-only views: the payload, or the host failure mapped to a status */
+const view = (what, load) => async (req,res)=>{
+  try{ OK(res, await load(res.locals.host.baseUrl, req)); }
+  catch(e){ error(`${what} failed`, { host:res.locals.host.baseUrl, error:e.message }); hostFail(res,`${what} failed`,e); }
+};
+v1.get('/hosts/:hostId/containers', view('Container list', async base=>({ containers:await listContainers(base) })));
+v1.get('/hosts/:hostId/containers/:containerId', view('Container detail', async (base,req)=>({ container:await getContainer(base, req.params.containerId) })));
+v1.get('/hosts/:hostId/vms', view('VM list', async base=>({ vms:await listVMs(base) })));
+v1.get('/hosts/:hostId/disks', view('Disk list', async base=>({ disks:await listDisks(base), thresholds:{ warnC:DISK_TEMP_WARN, hotC:DISK_TEMP_HOT } })));
+v1.get('/hosts/:hostId/shares', view('Share list', async base=>({ shares:await listShares(base) })));
+v1.get('/hosts/:hostId/parity', view('Parity status', parityOf));
+v1.get('/hosts/:hostId/power', (_req,res)=>OK(res, { job:powerJob(res.locals.host.baseUrl) }));
+v1.get('/hosts/:hostId/notifications', view('Notification list', async (base,req)=>{
+  const list = await listNotifications(base, { archived:/^(1|true)$/.test(String(req.query.archived||'')) });
+  if (!list) throw Object.assign(new Error('This host’s API has no notification feed.'), { _validation:true });
+  return { notifications:list.sort(bySeverity) };
+}));
+
+/* actions: validated against the known list, then logged, published to live clients and audited as kind.action */
+const ITEM_ID = /^[\w.:@-]{1,200}$/;   // container and VM ids as the hosts report them (hex, UUIDs, prefixed ids)
+const ACTION_LABELS = { docker:'Container', vm:'VM', parity:'Parity', notification:'Notification' };
+function act(kind, allowed, run){
+  return async (req,res)=>{
+    const base = res.locals.host.baseUrl, { action } = req.params, id = req.params.containerId ?? req.params.vmId ?? req.params.notificationId ?? null;
+    if (!allowed.includes(action)) return FAIL(res,400,`Unknown ${ACTION_LABELS[kind].toLowerCase()} action. Use one of: ${allowed.join(', ')}`);
+    if ((kind === 'docker' || kind === 'vm') && !ITEM_ID.test(id)) return FAIL(res,400,`Invalid ${ACTION_LABELS[kind].toLowerCase()} id.`);
+    Object.assign(res.locals.audit, { action:`${kind}.${action}`, target:id });
+    try{
+      await run(base, id, action, req.body || {});
+      info(`${ACTION_LABELS[kind]} ${action}`, { host:base, action:`${kind}.${action}`, id });
+      actionDone(kind,base,id,action); OK(res,{});
+    }catch(e){
+      error(`${ACTION_LABELS[kind]} ${action} failed`, { host:base, action:`${kind}.${action}`, id, error:e.message });
+      actionDone(kind,base,id,action,e); hostFail(res,`${ACTION_LABELS[kind]} ${action} failed`,e);
+    }
+  };
+}
+v1.post('/hosts/:hostId/containers/:containerId/:action', control, act('docker', CONTAINER_ACTIONS, containerAction));
+v1.post('/hosts/:hostId/vms/:vmId/:action', control, act('vm', VM_ACTIONS, vmAction));
+v1.post('/hosts/:hostId/parity/:action', control, act('parity', PARITY_ACTIONS, (base,_id,action,body)=>parityAction(base, action, { correct:!!body.correct })));
+v1.post('/hosts/:hostId/notifications/:notificationId/:action', control, act('notification', NOTIFY_ACTIONS, notificationAction));
+
+/* array and power share /api/host's checks (confirmation, one power job at a time) */
+v1.post('/hosts/:hostId/array/:action', control, async (req,res)=>{
+  const { action } = req.params;
+  if (!ARRAY_ACTIONS.includes(action)) return FAIL(res,400,`Unknown array action. Use one of: ${ARRAY_ACTIONS.join(', ')}`);
+  res.locals.audit.action = `array.${action}`;
+  try{ OK(res, await hostAction(res.locals.host, 'array', action, req.body, req.user.username)); }
+  catch(e){ if (e.status) FAIL(res,e.status,e.message); else hostFail(res,`Array ${action} failed`,e); }
+});
+v1.post('/hosts/:hostId/power/:action', control, async (req,res)=>{
+  const { action } = req.params, host = res.locals.host;
+  if (action !== 'wake' && !POWER_ACTIONS.includes(action)) return FAIL(res,400,`Unknown power action. Use one of: wake, ${POWER_ACTIONS.join(', ')}`);
+  res.locals.audit.action = `power.${action}`;
+  try{
+    const out = await hostAction(host, 'power', action, req.body, req.user.username);
+    res.status(202); OK(res, { ...out, started:true, job:out.started ? powerJob(host.baseUrl) : null });
+  }catch(e){ if (e.status) FAIL(res,e.status,e.message); else FAIL(res,502,`Power ${action} failed: ${e.message}`); }
+});
+
+v1.use((_req,res)=>FAIL(res,404,'Unknown endpoint; see /api/v1/openapi.json.'));
+/* malformed JSON bodies and anything thrown: the same error shape as every other v1 response */
+app.use('/api/v1', (err,_req,res,_next)=>FAIL(res, err.status >= 400 && err.status < 500 ? 400 : 500, err.expose ? err.message : 'Internal error.'));
+
 /* pages */
+app.get('/host', (_req,res)=>res.sendFile(path.join(__dirname,'web','host.html')));
+app.get('/groups', (_req,res)=>res.sendFile(path.join(__dirname,'web','groups.html')));
+app.get('/schedules', (_req,res)=>res.sendFile(path.join(__dirname,'web','schedules.html')));
+app.get('/shares', (_req,res)=>res.sendFile(path.join(__dirname,'web','shares.html')));
+app.get('/notifications', (_req,res)=>res.sendFile(path.join(__dirname,'web','notifications.html')));
+app.get('/audit', (_req,res)=>res.sendFile(path.join(__dirname,'web','audit.html')));
 app.get('/settings', (_req,res)=>res.sendFile(path.join(__dirname,'web','settings.html')));
 
 /* start */
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
+/* DEMO_MODE=true: simulated hosts, one per API dialect (src/sim), join the host list */
+const DEMO_MODE = /^(1|true|yes)$/i.test(process.env.DEMO_MODE || '');
+app.listen(PORT, async () => {
   let version='0.0.0'; try{ version=JSON.parse(fs.readFileSync(path.join(__dirname,'..','package.json'),'utf8')).version; }catch{}
-  info(`server.start | port=${PORT} version=${version}`);
+  info('server.start', { port:Number(PORT), version, logFormat:getAppSettings().logFormat });
+  if (schema.error) error(`Config schema migration failed: ${schema.error}`);
+  else if (schema.newer) warn(`Config was written by a newer version (schema v${schema.from}); it is used as is, not downgraded`);
+  else if (schema.applied.length) info(`Migrated config from schema v${schema.from} to v${schema.to}`, { steps:schema.applied });
+  if (migratedTokens) info(`Encrypted ${migratedTokens} plaintext API token(s) from an older tokens.json`);
+  if (tokenKeyStatus().mismatch) error('API tokens were encrypted with a different key; check TOKENS_KEY/TOKENS_KEY_FILE');
+  else if (tokenKeyStatus().file && isInside(DATA_DIR, tokenKeyStatus().file)) {
+    warn('The API token key is stored in the data directory (TOKENS_KEY_IN_DATA_DIR); backups of it can decrypt the tokens', { file:tokenKeyStatus().file });
+  }
+  if (bootstrapped) info(`Created admin "${bootstrapped}" from BASIC_AUTH_USER`);
+  else if (!hasUsers()) warn('No user accounts yet: open the WebUI to create the first admin');
   console.log(`Unraid Dashboard listening on :${PORT}`);
+  if (DEMO_MODE) {
+    try{
+      const sims = await startDemo({ portBase:Number(process.env.DEMO_PORT_BASE ?? 18500) });
+      info('Demo mode: simulated Unraid hosts', { hosts:sims.map(s=>`${s.name} ${s.baseUrl}`) });
+    }catch(e){ error(`Demo mode failed to start: ${e.message}`); }
+  }
+  startAlerts({ info, warn, error });
+  setPowerLogger({ info, warn, error });
+  setGroupLogger({ info, warn, error });
+  startScheduler({ info, warn, error });
+  startPoller({ info, warn, error });
 });
\ No newline at end of file
@@ -0,0 +1,23 @@
+import { startSimulator, DIALECTS } from './unraidSim.js';
+import { listHosts, upsertHost, deleteHost, setToken } from '../store/configStore.js';
+import { dropHistory } from '../store/historyStore.js';
+
+/*
+ * DEMO_MODE: one simulated host per dialect on 127.0.0.1 — ports DEMO_PORT_BASE, +1, … (0 picks
+ * free ports) — added to the host list as "demo-<dialect>". They are matched by name, so a
+ * restart re-points them (fresh token, maybe a new port) instead of adding duplicates.
+ * The MACs are locally administered placeholders; a wake only sends a harmless packet.
+ */
+export async function startDemo({ portBase = 18500 } = {}){
+  const sims = [];
+  for (const [i, dialect] of Object.keys(DIALECTS).entries()) {
+    const name = `demo-${dialect}`;
+    const sim = await startSimulator({ dialect, name, port: portBase ? portBase + i : 0, vmStopMs: 4000 });
+    const prev = listHosts().find(h => h.name === name);
+    if (prev && prev.baseUrl !== sim.baseUrl) { deleteHost(prev.baseUrl); dropHistory(prev.baseUrl); }
+    setToken(sim.baseUrl, sim.token);
+    upsertHost({ name, baseUrl: sim.baseUrl, mac: prev?.mac || `02:00:00:00:00:${String(i + 1).padStart(2, '0')}` });
+    sims.push(sim);
+  }
+  return sims;
+}
@@ -0,0 +1,166 @@
+/*
+ * The GraphQL subset the simulator needs: one operation per document, fields with
+ * arguments and (optional) aliases, literal or $variable values — no fragments or
+ * directives. Documents are validated against the schema before anything runs, with
+ * the messages graphql-js uses, so the client's "cannot query field" fallback and
+ * capability profiles behave as against a real host.
+ *
+ * Schema: { Query:{…}, Mutation:{…}, <Type>:{…} } where each field is 'Type', '[Type]'
+ * or { type, args:['name'], resolve(parent, args) }; without a resolver the parent's
+ * property of the same name is returned.
+ */
+
+const SCALARS = ['ID', 'String', 'Int', 'Float', 'Boolean', 'JSON'];
+
+const fieldDef = spec => typeof spec === 'string' ? { type: spec, args: [] } : { args: [], ...spec };
+const named = type => type.replace(/[[\]!]/g, '');
+const isList = type => type.startsWith('[');
+
+/* ------------------------------- parsing ------------------------------- */
+
+/** { op:'query'|'mutation', selections:[{ name, alias, args, selections|null }] }; throws "Syntax Error: …". */
+export function parse(text){
+  const tok = String(text).match(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?|\$?[A-Za-z_]\w*|\.\.\.|[{}():!\[\],=@]|\S/g) || [];
+  let i = 0;
+  const peek = () => tok[i];
+  const next = () => {
+    if (i >= tok.length) throw new Error('Syntax Error: Unexpected <EOF>.');
+    return tok[i++];
+  };
+  const expect = t => { const got = next(); if (got !== t) throw new Error(`Syntax Error: Expected "${t}", found "${got}".`); };
+
+  const value = () => {
+    const t = next();
+    if (t[0] === '$') return { $var: t.slice(1) };
+    if (t[0] === '"') return JSON.parse(t);
+    if (t === '[') { const a = []; while (peek() !== ']') { if (peek() === ',') { i++; continue; } a.push(value()); } i++; return a; }
+    if (t === '{') {
+      const o = {};
+      while (peek() !== '}') { if (peek() === ',') { i++; continue; } const k = next(); expect(':'); o[k] = value(); }
+      i++;
+      return o;
+    }
+    if (t === 'true' || t === 'false') return t === 'true';
+    if (t === 'null') return null;
+    if (/^-?\d/.test(t)) return Number(t);
+    if (/^[A-Za-z_]/.test(t)) return t;   // enum value
+    throw new Error(`Syntax Error: Unexpected "${t}".`);
+  };
+
+  const selectionSet = () => {
+    if (peek() !== '{') return null;
+    i++;
+    const out = [];
+    while (peek() !== '}') {
+      if (peek() === ',') { i++; continue; }
+      let name = next(), alias = null;
+      if (name === '...' || name === '@') throw new Error('Fragments and directives are not supported by the simulator.');
+      if (!/^[A-Za-z_]/.test(name)) throw new Error(`Syntax Error: Unexpected "${name}".`);
+      if (peek() === ':') { i++; alias = name; name = next(); }
+      const args = {};
+      if (peek() === '(') {
+        i++;
+        while (peek() !== ')') { if (peek() === ',') { i++; continue; } const k = next(); expect(':'); args[k] = value(); }
+        i++;
+      }
+      out.push({ name, alias, args, selections: selectionSet() });
+    }
+    i++;
+    return out;
+  };
+
+  let op = 'query';
+  if (peek() === 'query' || peek() === 'mutation') op = next();
+  if (peek() && /^[A-Za-z_]/.test(peek())) i++;                    // operation name
+  if (peek() === '(') { let d = 0; do { const t = next(); if (t === '(') d++; else if (t === ')') d--; } while (d); }
+  if (peek() !== '{') throw new Error(`Syntax Error: Unexpected "${peek() ?? '<EOF>'}".`);
+  const selections = selectionSet();
+  if (i < tok.length) throw new Error(`Syntax Error: Unexpected "${tok[i]}".`);
+  return { op, selections };
+}
+
+/* ------------------------------ validation ------------------------------ */
+
+function validate(schema, typeName, selections, errors){
+  const type = schema[typeName];
+  for (const s of selections) {
+    if (s.name === '__typename') continue;
+    if (!type || !(s.name in type)) { errors.push(`Cannot query field "${s.name}" on type "${typeName}".`); continue; }
+    const def = fieldDef(type[s.name]);
+    for (const a of Object.keys(s.args)) if (!def.args.includes(a)) errors.push(`Unknown argument "${a}" on field "${typeName}.${s.name}".`);
+    const inner = named(def.type);
+    if (SCALARS.includes(inner)) {
+      if (s.selections) errors.push(`Field "${s.name}" must not have a selection since type "${def.type}" has no subfields.`);
+    } else if (!s.selections) {
+      errors.push(`Field "${s.name}" of type "${def.type}" must have a selection of subfields.`);
+    } else validate(schema, inner, s.selections, errors);
+  }
+}
+
+/* ------------------------------ execution ------------------------------ */
+
+function argValues(args, variables){
+  const sub = v => v && typeof v === 'object'
+    ? ('$var' in v ? variables[v.$var] : Array.isArray(v) ? v.map(sub) : Object.fromEntries(Object.entries(v).map(([k, x]) => [k, sub(x)])))
+    : v;
+  return Object.fromEntries(Object.entries(args).map(([k, v]) => [k, sub(v)]));
+}
+
+function complete(schema, type, value, selections, variables){
+  if (value == null) return null;
+  if (isList(type)) return [].concat(value).map(v => complete(schema, type.slice(1, -1), v, selections, variables));
+  if (SCALARS.includes(named(type))) return value;
+  return select(schema, named(type), value, selections, variables);
+}
+
+function select(schema, typeName, parent, selections, variables){
+  const out = {};
+  for (const s of selections) {
+    const key = s.alias || s.name;
+    if (s.name === '__typename') { out[key] = typeName; continue; }
+    const def = fieldDef(schema[typeName][s.name]);
+    const value = def.resolve ? def.resolve(parent, argValues(s.args, variables)) : parent?.[s.name];
+    out[key] = complete(schema, def.type, value, s.selections, variables);
+  }
+  return out;
+}
+
+/**
+ * Run one document. Returns the response body: { data } or { errors:[{ message }] }
+ * (validation failures), or { data:null, errors } when a resolver throws.
+ */
+export function execute(schema, text, variables = {}){
+  let doc;
+  try { doc = parse(text); } catch (e) { return { errors: [{ message: e.message }] }; }
+  const root = doc.op === 'mutation' ? 'Mutation' : 'Query';
+  if (!schema[root]) return { errors: [{ message: `Schema is not configured for ${doc.op === 'mutation' ? 'mutations' : 'queries'}.` }] };
+  const errors = [];
+  validate(schema, root, doc.selections, errors);
+  if (errors.length) return { errors: errors.map(message => ({ message })) };
+  try { return { data: select(schema, root, {}, doc.selections, variables || {}) }; }
+  catch (e) { return { data: null, errors: [{ message: e.message }] }; }
+}
+
+/* ---------------------------- introspection ---------------------------- */
+
+function typeRef(type){
+  if (isList(type)) return { kind: 'LIST', name: null, ofType: typeRef(type.slice(1, -1)) };
+  const name = named(type);
+  return { kind: SCALARS.includes(name) ? 'SCALAR' : 'OBJECT', name, ofType: null };
+}
+
+/** The `__schema` answer for INTROSPECTION_QUERY (types, fields, argument names, field types). */
+export function introspect(schema){
+  const objects = Object.entries(schema).map(([name, fields]) => ({
+    kind: 'OBJECT', name,
+    fields: Object.entries(fields).map(([f, spec]) => {
+      const def = fieldDef(spec);
+      return { name: f, args: def.args.map(a => ({ name: a })), type: typeRef(def.type) };
+    })
+  }));
+  return {
+    queryType: { name: 'Query' },
+    mutationType: schema.Mutation ? { name: 'Mutation' } : null,
+    types: [...objects, ...SCALARS.map(name => ({ kind: 'SCALAR', name, fields: null }))]
+  };
+}
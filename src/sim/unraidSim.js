@@ -0,0 +1,608 @@
+import http from 'http';
+import crypto from 'crypto';
+import { execute, introspect } from './graphql.js';
+
+/*
+ * Simulated Unraid API. Each simulated host is an HTTP server on its own port with
+ * POST /graphql speaking one schema dialect — the variants the client in api/unraid.js
+ * falls back between. Containers, VMs, the array, parity checks and notifications keep state and
+ * follow the mutations; reboot and shutdown take the host off the network for a while.
+ *
+ * Dialect axes (one value each):
+ *   info      'info' → info { os { … } } + array { state }    'system' → system { … } + array { status }
+ *   capacity  'used' | 'free' | 'sizeUsed' (array.capacity fields next to total/sizeTotal)
+ *   docker    'containers' → docker.containers (+ container(id), stats, logs)   'list' → docker.list
+ *   vms       'domains' → vms.domains    'domain' → vms.domain(id:"*")
+ *   level     'current' | 'mid' | 'legacy': disk layout, parity fields, history, metrics,
+ *             shares, notifications and the shape of the mutations (see buildSchema)
+ */
+export const DIALECTS = {
+  current: { info: 'info', capacity: 'used', docker: 'containers', vms: 'domains', level: 'current', introspection: true,
+    describe: 'current API: info.os, capacity used/total, docker.containers, vms.domains, parityCheck mutations' },
+  free: { info: 'info', capacity: 'free', docker: 'containers', vms: 'domain', level: 'mid', introspection: true,
+    describe: 'capacity free/total, vms.domain(id), md vars for parity, array.* mutations' },
+  size: { info: 'info', capacity: 'sizeUsed', docker: 'list', vms: 'domains', level: 'mid', introspection: false,
+    describe: 'capacity sizeUsed/sizeTotal, docker.list, introspection disabled' },
+  legacy: { info: 'system', capacity: 'used', docker: 'list', vms: 'domain', level: 'legacy', introspection: false,
+    describe: 'older builds: system + array.status, docker.list, vms.domain(id), root-level mutations, no metrics' }
+};
+
+const VM_ACTIONS = ['start', 'stop', 'pause', 'resume', 'forceStop', 'reboot', 'reset'];
+const TIB = 1024 ** 3;   // KiB per TiB
+const nowSec = () => Math.floor(Date.now() / 1000);
+const id64 = () => crypto.randomBytes(32).toString('hex');
+
+/* ------------------------------ host state ------------------------------ */
+
+function seed(name){
+  const disk = (i, id, role, dev, sizeTiB, usedPct, temp, extra = {}) => ({
+    id, idx: i, name: id, role, device: dev, size: Math.round(sizeTiB * TIB),
+    usedPct, temp, errors: 0, status: 'DISK_OK', fsType: role === 'parity' ? null : role === 'cache' ? 'btrfs' : 'xfs',
+    model: extra.model || 'WDC_WD80EFZZ', serial: crypto.randomBytes(4).toString('hex').toUpperCase(), ...extra
+  });
+  const container = (n, image, port, { running = true, autoStart = true, cpu = 1, memMiB = 256 } = {}) => ({
+    id: id64(), name: n, image, autoStart, running, created: nowSec() - 86400 * 20, startedAt: Date.now() - 3600e3 * 30,
+    exitCode: 0, restartCount: 0, cpu, mem: memMiB * 1024 ** 2,
+    ports: port ? [{ ip: '0.0.0.0', privatePort: port, publicPort: port, type: 'tcp' }] : [],
+    networkMode: port ? 'bridge' : 'host',
+    labels: {
+      'net.unraid.docker.managed': 'dockerman',
+      ...(port ? { 'net.unraid.docker.webui': `http://[IP]:[PORT:${port}]/` } : {})
+    }
+  });
+  const share = (n, comment, usedTiB, cache, { include = [], exclude = [], smb = '-', security = 'public', nfs = '-' } = {}) => ({
+    name: n, comment, used: Math.round(usedTiB * TIB), cache, include, exclude,
+    smb: { export: smb, security }, nfs: { export: nfs, security: nfs === '-' ? null : 'secure' }
+  });
+  let seq = 0;
+  const notice = (title, subject, description, importance, hoursAgo, link = null, archived = false) => ({
+    id: `${Date.now().toString(36)}-${++seq}`, title, subject, description, importance, link,
+    archived, acknowledged: false, timestamp: Date.now() - hoursAgo * 3600e3
+  });
+  return {
+    name,
+    release: '6.12.10',
+    bootedAt: Date.now() - 86400e3 * 6,
+    arrayState: 'STARTED',
+    disks: [
+      disk(0, 'parity', 'parity', 'sdb', 8, null, 36),
+      disk(1, 'disk1', 'data', 'sdc', 8, 81, 38),
+      disk(2, 'disk2', 'data', 'sdd', 8, 64, 47),
+      disk(3, 'disk3', 'data', 'sde', 4, 22, 35, { model: 'ST4000VN008', spunDown: true }),
+      disk(0, 'cache', 'cache', 'nvme0n1', 1, 37, 44, { model: 'Samsung_SSD_980_1TB' })
+    ],
+    unassigned: [{ id: 'sdf', device: 'sdf', name: 'ST2000DM008', size: 2000398934016, temperature: 33, smartStatus: 'OK', spinning: false }],
+    containers: [
+      container('plex', 'plexinc/pms-docker:latest', 32400, { cpu: 6, memMiB: 1400 }),
+      container('sonarr', 'lscr.io/linuxserver/sonarr:latest', 8989, { cpu: 1.5, memMiB: 420 }),
+      container('radarr', 'lscr.io/linuxserver/radarr:latest', 7878, { cpu: 1.2, memMiB: 380 }),
+      container('homeassistant', 'ghcr.io/home-assistant/home-assistant:stable', null, { cpu: 3, memMiB: 900 }),
+      container('nextcloud', 'lscr.io/linuxserver/nextcloud:latest', 443, { running: false, autoStart: false, memMiB: 300 })
+    ],
+    vms: [
+      { id: crypto.randomUUID(), name: 'Windows 11', state: 'RUNNING', autoStart: true },
+      { id: crypto.randomUUID(), name: 'Ubuntu Server', state: 'RUNNING', autoStart: true },
+      { id: crypto.randomUUID(), name: 'pfSense (lab)', state: 'SHUTOFF', autoStart: false }
+    ],
+    shares: [
+      share('media', 'Movies and TV', 9.6, 'yes', { include: ['disk1', 'disk2'], smb: 'e' }),
+      share('backups', 'Machine backups', 2.1, 'no', { exclude: ['disk1'], smb: 'e', security: 'private', nfs: 'e' }),
+      share('domains', 'VM disk images', 0.3, 'prefer'),
+      share('isos', 'Installer images', 0.06, 'yes', { smb: 'eh', security: 'secure' }),
+      share('appdata', 'Container data', 0.12, 'only'),
+      share('system', 'docker.img and libvirt.img', 0.04, 'prefer')
+    ],
+    notifications: [
+      notice('Unraid Status', `Alert [${name.toUpperCase()}] - disk1 SMART health [5]`, 'Reallocated sector count: 8', 'alert', 2, '/Main'),
+      notice('Unraid disk2 temperature', `Warning [${name.toUpperCase()}] - disk2 is hot (47 C)`, 'WDC_WD80EFZZ (sdd)', 'warning', 5, '/Main'),
+      notice('Unraid Parity check', `Notice [${name.toUpperCase()}] - Parity check finished (0 errors)`, 'Duration: 14 hours, 26 minutes. Average speed: 154.0 MB/s', 'normal', 72),
+      notice('Plugin - Community Applications', `Notice [${name.toUpperCase()}] - Version update 2026.10.01`, 'A new version of Community Applications is available', 'normal', 30, '/Plugins'),
+      notice('Unraid Parity check', `Notice [${name.toUpperCase()}] - Parity check finished (0 errors)`, 'Duration: 14 hours, 44 minutes.', 'normal', 792, null, true)
+    ],
+    parity: { running: false, paused: false, correcting: false, doneKiB: 0, resumedAt: null, startedAt: null, errors: 0 },
+    history: [
+      { date: nowSec() - 86400 * 3, duration: 52000, errors: 0, exit: 0 },
+      { date: nowSec() - 86400 * 33, duration: 53110, errors: 0, exit: 0 },
+      { date: nowSec() - 86400 * 63, duration: 12000, errors: 0, exit: -4 }
+    ]
+  };
+}
+
+/* a gentle, repeatable wobble so sparklines move */
+const wobble = (base, spread, phase = 0) => Math.max(0, Math.round((base + spread * Math.sin(Date.now() / 60000 + phase)) * 10) / 10);
+
+function createHost(name, { paritySpeedKiB, vmStopMs }){
+  const s = seed(name);
+  const parityKiB = () => s.disks.find(d => d.role === 'parity').size;
+
+  const findContainer = id => {
+    const c = s.containers.find(x => x.id === id || x.name === id);
+    if (!c) throw new Error(`Container ${id} not found`);
+    return c;
+  };
+  const findVm = id => {
+    const v = s.vms.find(x => x.id === id || x.name === id);
+    if (!v) throw new Error(`Domain ${id} not found`);
+    return v;
+  };
+
+  /* ACPI shutdowns take vmStopMs; the state is settled lazily on read */
+  const vmState = v => {
+    if (v.stopAt && Date.now() >= v.stopAt) { v.state = 'SHUTOFF'; v.stopAt = null; }
+    return v.state;
+  };
+
+  function parityDone(){
+    const p = s.parity;
+    const done = p.doneKiB + (p.running && !p.paused ? (Date.now() - p.resumedAt) / 1000 * paritySpeedKiB : 0);
+    if (p.running && done >= parityKiB()) finishParity(0);
+    return Math.min(done, parityKiB());
+  }
+  function finishParity(exit){
+    const p = s.parity;
+    const elapsed = nowSec() - Math.floor(p.startedAt / 1000);
+    s.history.unshift({ date: nowSec(), duration: elapsed, errors: p.errors, exit });
+    s.parity = { running: false, paused: false, correcting: false, doneKiB: 0, resumedAt: null, startedAt: null, errors: p.errors };
+  }
+
+  const needArray = what => { if (s.arrayState !== 'STARTED') throw new Error(`The array must be started to ${what}.`); };
+
+  const host = {
+    state: s,
+
+    os: () => ({ distro: 'Unraid OS', release: s.release, hostname: s.name, uptime: new Date(s.bootedAt).toISOString() }),
+    uptimeSeconds: () => Math.floor((Date.now() - s.bootedAt) / 1000),
+
+    capacity(){
+      const data = s.disks.filter(d => d.role === 'data');
+      const total = data.reduce((n, d) => n + d.size, 0);
+      const used = data.reduce((n, d) => n + Math.round(d.size * d.usedPct / 100), 0);
+      return { total, used, free: total - used };
+    },
+    disks: () => s.disks.map(d => {
+      const fsUsed = d.usedPct == null ? null : Math.round(d.size * d.usedPct / 100);
+      return {
+        ...d, numErrors: d.errors, temp: d.spunDown ? null : d.temp,
+        fsSize: d.usedPct == null ? null : d.size, fsUsed, fsFree: fsUsed == null ? null : d.size - fsUsed,
+        color: d.status !== 'DISK_OK' ? 'red-on' : d.spunDown ? 'green-blink' : 'green-on',
+        type: { parity: 'Parity', data: 'Data', cache: 'Cache' }[d.role]
+      };
+    }),
+    /* free space is what is left on the share's disks: the pool for cache-only, else the included data disks */
+    shares: () => s.shares.map(sh => {
+      const disks = sh.cache === 'only'
+        ? s.disks.filter(d => d.role === 'cache')
+        : s.disks.filter(d => d.role === 'data' && (!sh.include.length || sh.include.includes(d.name)) && !sh.exclude.includes(d.name));
+      const free = disks.reduce((n, d) => n + Math.round(d.size * (100 - d.usedPct) / 100), 0);
+      return { ...sh, id: sh.name, free, cachePool: sh.cache === 'no' ? null : 'cache' };
+    }),
+    physical: () => [
+      ...s.disks.map(d => ({
+        id: d.serial, device: d.device, name: d.model, size: d.size * 1024,
+        temperature: d.spunDown ? null : d.temp, smartStatus: 'OK', spinning: !d.spunDown,
+        interfaceType: d.device.startsWith('nvme') ? 'PCIE' : 'SATA'
+      })),
+      ...s.unassigned.map(u => ({ ...u, interfaceType: 'USB' }))
+    ],
+
+    containers: () => s.containers.map(c => ({
+      ...c,
+      state: c.running ? 'RUNNING' : 'EXITED',
+      status: c.running
+        ? `Up ${Math.max(1, Math.round((Date.now() - c.startedAt) / 3600e3))} hours`
+        : `Exited (${c.exitCode}) ${Math.max(1, Math.round((Date.now() - (c.stoppedAt || s.bootedAt)) / 3600e3))} hours ago`,
+      stats: c.running
+        ? { id: c.id, cpuPercent: wobble(c.cpu, c.cpu / 2, c.mem), memoryUsage: Math.round(c.mem * (1 + Math.sin(Date.now() / 90000) / 20)), memoryLimit: 32 * 1024 ** 3 }
+        : { id: c.id, cpuPercent: 0, memoryUsage: 0, memoryLimit: 32 * 1024 ** 3 }
+    })),
+    container: id => host.containers().find(c => c.id === findContainer(id).id),
+    logs(id, tail = 100){
+      const c = findContainer(id);
+      const n = Math.max(1, Math.min(Number(tail) || 100, 500));
+      const end = c.running ? Date.now() : (c.stoppedAt || s.bootedAt);
+      return Array.from({ length: n }, (_, i) => ({
+        timestamp: new Date(end - (n - 1 - i) * 30000).toISOString(),
+        message: i === n - 1 && !c.running ? `[${c.name}] received SIGTERM, exiting` : `[${c.name}] ${['heartbeat ok', 'scheduled task finished', 'GET /api/v1/health 200'][i % 3]}`
+      }));
+    },
+    vms: () => s.vms.map(v => ({ id: v.id, name: v.name, state: vmState(v) })),
+
+    metrics: () => {
+      const running = s.containers.filter(c => c.running);
+      const vmsUp = s.vms.filter(v => vmState(v) === 'RUNNING').length;
+      return {
+        cpu: { percentTotal: Math.min(100, wobble(4 + running.reduce((n, c) => n + c.cpu, 0) + vmsUp * 5, 4)) },
+        memory: { percentTotal: Math.min(100, wobble(18 + running.reduce((n, c) => n + c.mem, 0) / (32 * 1024 ** 3) * 100 + vmsUp * 12, 2)) }
+      };
+    },
+
+    parityStatus(){
+      const p = s.parity, done = parityDone();
+      const elapsed = p.startedAt ? Math.floor((Date.now() - p.startedAt) / 1000) : null;
+      const speed = s.parity.running && !p.paused ? paritySpeedKiB * 1024 : 0;
+      return {
+        status: s.parity.running ? (p.paused ? 'PAUSED' : 'RUNNING') : 'IDLE',
+        running: s.parity.running, paused: s.parity.running && p.paused, correcting: s.parity.running && p.correcting,
+        progress: s.parity.running ? Math.round(done / parityKiB() * 1000) / 10 : 0,
+        speed: s.parity.running ? speed : null,
+        errors: p.errors,
+        elapsed: s.parity.running ? elapsed : null,
+        estimated: s.parity.running && speed ? Math.round((parityKiB() - done) * 1024 / speed) : null
+      };
+    },
+    /* the md driver's view (KiB, seconds) — mdResyncDt 0 while paused */
+    vars(){
+      const p = s.parity, done = Math.round(parityDone()), running = s.parity.running;
+      const last = s.history[0];
+      return {
+        mdResync: running ? parityKiB() : 0, mdResyncPos: running ? done : 0, mdResyncSize: parityKiB(),
+        mdResyncCorr: running && p.correcting ? 1 : 0,
+        mdResyncDt: running && !p.paused ? 10 : 0, mdResyncDb: running && !p.paused ? paritySpeedKiB * 10 : 0,
+        sbSyncErrs: p.errors,
+        sbSynced: running ? Math.floor(p.startedAt / 1000) : (last?.date ?? 0) - (last?.duration ?? 0),
+        sbSynced2: last?.date ?? 0, sbSyncExit: last?.exit ?? 0
+      };
+    },
+    history: () => s.history.map(h => ({
+      ...h,
+      speed: h.duration ? `${Math.round(parityKiB() * 1024 / h.duration / 1e6)} MB/s` : null,
+      status: h.exit === 0 ? 'OK' : 'Canceled'
+    })),
+
+    notifications: archived => s.notifications.filter(n => n.archived === archived).sort((a, b) => b.timestamp - a.timestamp),
+    notifyOverview(){
+      const unread = s.notifications.filter(n => !n.archived && !n.acknowledged);
+      const count = imp => unread.filter(n => n.importance === imp).length;
+      return { unread: { alert: count('alert'), warning: count('warning'), info: count('normal'), total: unread.length } };
+    },
+
+    /* ---------------------------- mutations ---------------------------- */
+
+    notify(action, id){
+      const n = s.notifications.find(x => x.id === id);
+      if (!n) throw new Error(`Notification ${id} not found`);
+      if (action === 'archive') n.archived = true; else n.acknowledged = true;
+      return n;
+    },
+
+    docker(action, id){
+      needArray(`${action} containers`);
+      const c = findContainer(id);
+      if (action === 'start') {
+        if (!c.running) { c.running = true; c.startedAt = Date.now(); c.restartCount++; }
+      } else if (c.running) { c.running = false; c.stoppedAt = Date.now(); c.exitCode = 0; }
+      return true;
+    },
+    vm(action, id){
+      if (!VM_ACTIONS.includes(action)) throw new Error(`Unknown VM action ${action}`);
+      needArray(`${action} VMs`);
+      const v = findVm(id), state = vmState(v);
+      const need = (ok, what) => { if (!ok) throw new Error(`Domain ${v.name} is ${state.toLowerCase()}; cannot ${what}.`); };
+      switch (action) {
+        case 'start': need(state === 'SHUTOFF', 'start'); v.state = 'RUNNING'; break;
+        case 'stop': need(state === 'RUNNING', 'stop'); if (vmStopMs) v.stopAt = Date.now() + vmStopMs; else v.state = 'SHUTOFF'; break;
+        case 'forceStop': need(state !== 'SHUTOFF', 'force stop'); v.state = 'SHUTOFF'; v.stopAt = null; break;
+        case 'pause': need(state === 'RUNNING', 'pause'); v.state = 'PAUSED'; break;
+        case 'resume': need(state === 'PAUSED', 'resume'); v.state = 'RUNNING'; break;
+        default: need(state === 'RUNNING', action);   // reboot/reset come back running
+      }
+      return true;
+    },
+    parity(action, { correct } = {}){
+      const p = s.parity;
+      if (action === 'start') {
+        needArray('check parity');
+        if (p.running) throw new Error('A parity check is already running.');
+        s.parity = { running: true, paused: false, correcting: !!correct, doneKiB: 0, resumedAt: Date.now(), startedAt: Date.now(), errors: 0 };
+      } else {
+        if (!p.running) throw new Error('No parity check is running.');
+        if (action === 'pause' && !p.paused) { p.doneKiB = parityDone(); p.paused = true; }
+        else if (action === 'resume' && p.paused) { p.paused = false; p.resumedAt = Date.now(); }
+        else if (action === 'cancel') { p.doneKiB = parityDone(); finishParity(-4); }
+      }
+      return true;
+    },
+    array(action){
+      if (action === 'start') {
+        if (s.arrayState === 'STARTED') return 'STARTED';
+        s.arrayState = 'STARTED';
+        s.containers.filter(c => c.autoStart).forEach(c => { c.running = true; c.startedAt = Date.now(); });
+        s.vms.filter(v => v.autoStart).forEach(v => { v.state = 'RUNNING'; });
+      } else {
+        if (s.parity.running) { s.parity.doneKiB = parityDone(); finishParity(-4); }
+        s.containers.filter(c => c.running).forEach(c => { c.running = false; c.stoppedAt = Date.now(); });
+        s.vms.forEach(v => { v.state = 'SHUTOFF'; v.stopAt = null; });
+        s.arrayState = 'STOPPED';
+      }
+      return s.arrayState;
+    },
+    /* what a fresh boot looks like: array started, autostart containers and VMs up */
+    boot(){
+      s.bootedAt = Date.now();
+      s.arrayState = 'STOPPED';
+      s.containers.forEach(c => { c.running = false; });
+      s.vms.forEach(v => { v.state = 'SHUTOFF'; v.stopAt = null; });
+      host.array('start');
+    }
+  };
+  return host;
+}
+
+/* ------------------------------ dialect schema ------------------------------ */
+
+function buildSchema(d, h){
+  const Query = {}, Mutation = {}, types = {};
+  const level = d.level;
+
+  /* system info + array summary */
+  if (d.info === 'info') {
+    Query.info = { type: 'Info', resolve: () => ({}) };
+    types.Info = { os: { type: 'InfoOs', resolve: () => h.os() }, versions: { type: 'InfoVersions', resolve: () => ({ id: 'versions', unraid: h.state.release }) } };
+    types.InfoOs = { distro: 'String', release: 'String', hostname: 'String', uptime: 'String' };
+    types.InfoVersions = { id: 'ID', unraid: 'String' };
+  } else {
+    Query.system = { type: 'System', resolve: () => ({ hostname: h.state.name, osVersion: h.state.release, uptime: h.uptimeSeconds() }) };
+    types.System = { hostname: 'String', osVersion: 'String', uptime: 'Int' };
+  }
+
+  const capacity = {
+    used: { used: 'Float', total: 'Float' },
+    free: { free: 'Float', total: 'Float' },
+    sizeUsed: { sizeUsed: 'Float', sizeTotal: 'Float', sizeFree: 'Float' }
+  }[d.capacity];
+  types.ArrayCapacity = capacity;
+
+  const Array_ = types.Array = {
+    capacity: { type: 'ArrayCapacity', resolve: () => { const c = h.capacity(); return { ...c, sizeUsed: c.used, sizeTotal: c.total, sizeFree: c.free }; } },
+    [d.info === 'info' ? 'state' : 'status']: { type: 'String', resolve: () => h.state.arrayState }
+  };
+  Query.array = { type: 'Array', resolve: () => ({}) };
+
+  /* disks: slot lists (current/mid) or one list with the role in "type" (legacy) */
+  const slot = { id: 'ID', idx: 'Int', name: 'String', device: 'String', size: 'Float', status: 'String', temp: 'Int', numErrors: 'Int', type: 'String' };
+  const fs = { fsType: 'String', fsSize: 'Float', fsFree: 'Float', fsUsed: 'Float' };
+  if (level === 'legacy') {
+    types.ArrayDisk = { ...slot, ...fs };
+    delete types.ArrayDisk.fsUsed;
+    Array_.disks = { type: '[ArrayDisk]', resolve: () => h.disks() };
+  } else {
+    const color = level === 'current' ? { color: 'String' } : {};
+    types.ArrayDisk = { ...slot, ...fs, ...color };
+    types.ParityDisk = { ...slot, ...color };
+    Array_.parities = { type: '[ParityDisk]', resolve: () => h.disks().filter(x => x.role === 'parity') };
+    Array_.disks = { type: '[ArrayDisk]', resolve: () => h.disks().filter(x => x.role === 'data') };
+    Array_.caches = { type: '[ArrayDisk]', resolve: () => h.disks().filter(x => x.role === 'cache') };
+    Query.disks = { type: '[Disk]', resolve: () => h.physical() };
+    types.Disk = { id: 'ID', device: 'String', name: 'String', size: 'Float', temperature: 'Int', smartStatus: 'String' };
+    if (level === 'current') Object.assign(types.Disk, { isSpinning: { type: 'Boolean', resolve: p => p.spinning }, interfaceType: 'String' });
+  }
+
+  /* parity: status object (current), md driver vars (mid: full, legacy: without sbSynced*) */
+  const history = { type: '[ParityHistoryEntry]', resolve: () => h.history().map(x => ({ ...x, date: level === 'current' ? new Date(x.date * 1000).toISOString() : x.date })) };
+  types.ParityHistoryEntry = { date: level === 'current' ? 'String' : 'Int', duration: 'Int', speed: 'String', status: 'String', errors: 'Int' };
+  if (level === 'current') {
+    Array_.parityCheckStatus = { type: 'ParityCheckStatus', resolve: () => h.parityStatus() };
+    types.ParityCheckStatus = { status: 'String', progress: 'Float', speed: 'Float', errors: 'Int', elapsed: 'Int', estimated: 'Int', correcting: 'Boolean', paused: 'Boolean', running: 'Boolean' };
+    Query.parityHistory = history;
+  } else {
+    Query.vars = { type: 'Vars', resolve: () => h.vars() };
+    types.Vars = Object.fromEntries(['mdResync', 'mdResyncPos', 'mdResyncSize', 'mdResyncCorr', 'mdResyncDt', 'mdResyncDb', 'sbSyncErrs',
+      ...(level === 'mid' ? ['sbSynced', 'sbSynced2', 'sbSyncExit'] : [])].map(k => [k, 'Float']));
+    if (level === 'mid') Array_.parityHistory = history;
+  }
+
+  /* docker */
+  const port = d.docker === 'containers' ? { ip: 'String', privatePort: 'Int', publicPort: 'Int', type: 'String' } : { privatePort: 'Int', publicPort: 'Int', type: 'String' };
+  types.ContainerPort = port;
+  types.ContainerStats = { id: 'ID', cpuPercent: 'Float', memoryUsage: 'Float', memoryLimit: 'Float' };
+  const Docker = types.Docker = {};
+  Query.docker = { type: 'Docker', resolve: () => ({}) };
+  if (d.docker === 'containers') {
+    types.Container = {
+      id: 'ID', names: { type: '[String]', resolve: c => [c.name] }, image: 'String', status: 'String', state: 'String',
+      autoStart: 'Boolean', created: 'Int', ports: '[ContainerPort]', labels: 'JSON',
+      hostConfig: { type: 'ContainerHostConfig', resolve: c => ({ networkMode: c.networkMode }) }
+    };
+    types.ContainerHostConfig = { networkMode: 'String' };
+    Docker.containers = { type: '[Container]', resolve: () => h.containers() };
+    if (level === 'current') {
+      Object.assign(types.Container, { restartCount: 'Int', stats: 'ContainerStats' });
+      Docker.container = { type: 'Container', args: ['id'], resolve: (_, a) => h.container(a.id) };
+      Docker.logs = { type: 'ContainerLogs', args: ['id', 'tail'], resolve: (_, a) => ({ lines: h.logs(a.id, a.tail) }) };
+      types.ContainerLogs = { lines: '[LogLine]' };
+      types.LogLine = { timestamp: 'String', message: 'String' };
+    }
+  } else {
+    types.ContainerListEntry = { id: 'ID', name: 'String', image: 'String', status: { type: 'String', resolve: c => c.status }, state: { type: 'String', resolve: c => c.state.toLowerCase() } };
+    if (level !== 'legacy') Object.assign(types.ContainerListEntry, { ports: '[ContainerPort]', networkMode: 'String', labels: { type: 'String', resolve: c => JSON.stringify(c.labels) } });
+    Docker.list = { type: '[ContainerListEntry]', resolve: () => h.containers() };
+  }
+  if (level === 'mid') {
+    Docker.containerLogs = { type: 'String', args: ['id', 'tail'], resolve: (_, a) => h.logs(a.id, a.tail).map(l => `${l.timestamp} ${l.message}`).join('\n') };
+    Docker.stats = { type: '[ContainerStats]', resolve: () => h.containers().map(c => c.stats) };
+  }
+
+  /* VMs */
+  types.VmDomain = { id: 'ID', name: 'String', state: 'String' };
+  const Vms = types.Vms = {};
+  Query.vms = { type: 'Vms', resolve: () => ({}) };
+  if (d.vms === 'domains') Vms.domains = { type: '[VmDomain]', resolve: () => h.vms() };
+  else Vms.domain = { type: '[VmDomain]', args: ['id'], resolve: (_, a) => h.vms().filter(v => a.id === '*' || v.id === a.id || v.name === a.id) };
+
+  /* metrics */
+  if (level !== 'legacy') {
+    Query.metrics = { type: 'Metrics', resolve: () => h.metrics() };
+    types.Metrics = { cpu: 'CpuUtilization', memory: 'MemoryUtilization' };
+    types.CpuUtilization = { percentTotal: 'Float' };
+    types.MemoryUtilization = { percentTotal: 'Float' };
+  }
+
+  /* shares: nested smb/nfs export settings (current), flat shares.ini/sec.ini fields (mid), cache flag only (legacy) */
+  if (level === 'current') {
+    Query.shares = { type: '[Share]', resolve: () => h.shares().map(x => ({ ...x, size: x.used + x.free, useCache: x.cache })) };
+    types.Share = { id: 'ID', name: 'String', comment: 'String', size: 'Float', used: 'Float', free: 'Float', include: '[String]', exclude: '[String]',
+      useCache: 'String', cachePool: 'String', smb: 'ShareExport', nfs: 'ShareExport' };
+    types.ShareExport = { export: 'String', security: 'String' };
+  } else if (level === 'mid') {
+    Query.shares = { type: '[Share]', resolve: () => h.shares().map(x => ({
+      name: x.name, comment: x.comment, size: x.used + x.free, used: x.used, free: x.free, include: x.include.join(','), exclude: x.exclude.join(','),
+      useCache: x.cache, export: x.smb.export, security: x.smb.security, nfsExport: x.nfs.export, nfsSecurity: x.nfs.security
+    })) };
+    types.Share = { name: 'String', comment: 'String', size: 'Float', used: 'Float', free: 'Float', include: 'String', exclude: 'String',
+      useCache: 'String', export: 'String', security: 'String', nfsExport: 'String', nfsSecurity: 'String' };
+  } else {
+    Query.shares = { type: '[Share]', resolve: () => h.shares().map(x => ({
+      name: x.name, comment: x.comment, size: x.used, free: x.free, include: x.include.join(','), exclude: x.exclude.join(','), cache: x.cache !== 'no'
+    })) };
+    types.Share = { name: 'String', comment: 'String', size: 'Float', free: 'Float', include: 'String', exclude: 'String', cache: 'Boolean' };
+  }
+
+  /* notifications: list(filter) + overview (current), list with acknowledged (mid), one flat list (legacy) */
+  const notification = n => ({
+    ...n, type: n.archived ? 'ARCHIVE' : 'UNREAD',
+    importance: level === 'current' ? (n.importance === 'normal' ? 'INFO' : n.importance.toUpperCase()) : n.importance,
+    timestamp: level === 'legacy' ? Math.floor(n.timestamp / 1000) : new Date(n.timestamp).toISOString()
+  });
+  types.Notification = { id: 'ID', title: 'String', subject: 'String', description: 'String', importance: 'String', link: 'String', type: 'String',
+    timestamp: level === 'legacy' ? 'Int' : 'String', ...(level === 'mid' ? { acknowledged: 'Boolean' } : {}) };
+  if (level === 'legacy') Query.notifications = { type: '[Notification]', resolve: () => [...h.notifications(false), ...h.notifications(true)].map(notification) };
+  else {
+    Query.notifications = { type: 'Notifications', resolve: () => ({}) };
+    types.Notifications = {
+      list: { type: '[Notification]', args: ['filter'], resolve: (_, a) => {
+        const f = a.filter || {};
+        return h.notifications(String(f.type).toUpperCase() === 'ARCHIVE').slice(f.offset || 0, (f.offset || 0) + (f.limit || 100)).map(notification);
+      } }
+    };
+    if (level === 'current') {
+      types.Notifications.overview = { type: 'NotificationOverview', resolve: () => h.notifyOverview() };
+      types.NotificationOverview = { unread: 'NotificationCounts' };
+      types.NotificationCounts = { info: 'Int', warning: 'Int', alert: 'Int', total: 'Int' };
+    }
+  }
+
+  /* mutations: argument names and nesting differ per level, as in containerAction/vmAction/parityAction/arrayAction */
+  const idArg = level === 'legacy' ? ['containerId', 'domainId'] : ['id', 'id'];
+  Mutation.docker = { type: 'DockerMutations', resolve: () => ({}) };
+  types.DockerMutations = Object.fromEntries(['start', 'stop'].map(a =>
+    [a, { type: 'Boolean', args: [idArg[0]], resolve: (_, x) => h.docker(a, x[idArg[0]]) }]));
+  Mutation.vm = { type: 'VmMutations', resolve: () => ({}) };
+  types.VmMutations = Object.fromEntries(VM_ACTIONS.map(a =>
+    [a, { type: 'Boolean', args: [idArg[1]], resolve: (_, x) => h.vm(a, x[idArg[1]]) }]));
+
+  const parityFields = Object.fromEntries(['start', 'pause', 'resume', 'cancel'].map(a => [
+    level === 'current' ? a : `${a}ParityCheck`,
+    { type: 'Boolean', args: a === 'start' ? ['correct'] : [], resolve: (_, x) => h.parity(a, x) }
+  ]));
+  if (level === 'current') Mutation.archiveNotification = { type: 'Notification', args: ['id'], resolve: (_, x) => notification(h.notify('archive', x.id)) };
+  else {
+    Mutation.notifications = { type: 'NotificationMutations', resolve: () => ({}) };
+    types.NotificationMutations = Object.fromEntries((level === 'mid' ? ['archive', 'acknowledge'] : ['archive'])
+      .map(a => [a, { type: 'Boolean', args: ['id'], resolve: (_, x) => !!h.notify(a, x.id) }]));
+  }
+
+  if (level === 'current') {
+    Mutation.parityCheck = { type: 'ParityCheckMutations', resolve: () => ({}) };
+    types.ParityCheckMutations = parityFields;
+    Mutation.array = { type: 'ArrayMutations', resolve: () => ({}) };
+    types.ArrayMutations = {
+      setState: { type: 'ArrayStateResult', args: ['input'], resolve: (_, x) => {
+        const want = String(x.input?.desiredState || '').toUpperCase();
+        if (!['START', 'STOP'].includes(want)) throw new Error('desiredState must be START or STOP');
+        return { state: h.array(want === 'START' ? 'start' : 'stop') };
+      } }
+    };
+    types.ArrayStateResult = { state: 'String' };
+    Mutation.reboot = { type: 'Boolean', resolve: () => h.power('reboot') };
+    Mutation.shutdown = { type: 'Boolean', resolve: () => h.power('shutdown') };
+  } else {
+    const arrayFields = Object.fromEntries(['start', 'stop'].map(a => [a, { type: 'String', resolve: () => h.array(a) }]));
+    if (level === 'mid') {
+      Mutation.array = { type: 'ArrayMutations', resolve: () => ({}) };
+      types.ArrayMutations = { ...arrayFields, ...parityFields };
+    } else {
+      Object.assign(Mutation, parityFields);
+      Mutation.startArray = arrayFields.start;
+      Mutation.stopArray = arrayFields.stop;
+    }
+    Mutation.system = { type: 'SystemMutations', resolve: () => ({}) };
+    types.SystemMutations = Object.fromEntries(['reboot', 'shutdown'].map(a => [a, { type: 'Boolean', resolve: () => h.power(a) }]));
+  }
+
+  return { Query, Mutation, ...types };
+}
+
+/* ------------------------------- server ------------------------------- */
+
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; if (data.length > 1e6) req.destroy(); });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start one simulated host. Options: { dialect (key of DIALECTS), name, token, port (0 = any),
+ * bind ('127.0.0.1'), rebootMs, shutdownMs (how long the host stays off; stands in for a
+ * Wake-on-LAN), paritySpeedMiB, vmStopMs }.
+ * Resolves { baseUrl, port, name, dialect, token, host, close() }; `host.state` is the live state.
+ */
+export async function startSimulator({
+  dialect = 'current', name = 'tower', token = crypto.randomBytes(16).toString('hex'), port = 0, bind = '127.0.0.1',
+  rebootMs = 8000, shutdownMs = 60000, paritySpeedMiB = 180, vmStopMs = 0
+} = {}){
+  const d = DIALECTS[dialect];
+  if (!d) throw new Error(`Unknown dialect ${dialect}; use one of: ${Object.keys(DIALECTS).join(', ')}.`);
+  const host = createHost(name, { paritySpeedKiB: paritySpeedMiB * 1024, vmStopMs });
+  const schema = buildSchema(d, host);
+  const schemaInfo = d.introspection ? introspect(schema) : null;
+
+  let offlineTimer = null, closed = false;
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => { res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' }); res.end(JSON.stringify(body)); };
+    if (new URL(req.url, 'http://x').pathname !== '/graphql') return send(404, { errors: [{ message: 'Not found' }] });
+    if (req.method !== 'POST') return send(405, { errors: [{ message: 'Use POST /graphql' }] });
+    let body;
+    try { body = JSON.parse(await readBody(req) || '{}'); } catch { return send(400, { errors: [{ message: 'Body is not valid JSON' }] }); }
+    if (req.headers['x-api-key'] !== token) return send(401, { errors: [{ message: 'Invalid API key' }] });
+    if (/\b__(schema|type)\b/.test(String(body.query))) {
+      return send(200, schemaInfo ? { data: { __schema: schemaInfo } }
+        : { errors: [{ message: 'GraphQL introspection is not allowed, but the query contained __schema or __type.' }] });
+    }
+    send(200, execute(schema, body.query, body.variables));
+  });
+
+  /* reboot/shutdown answer first, then drop off the network and boot again after a while */
+  host.power = action => {
+    setTimeout(() => {
+      if (closed) return;
+      server.close();
+      server.closeAllConnections();
+      offlineTimer = setTimeout(() => {
+        offlineTimer = null;
+        if (closed) return;
+        host.boot();
+        server.listen(actualPort, bind);
+      }, action === 'reboot' ? rebootMs : shutdownMs);
+    }, 200);
+    return true;
+  };
+
+  await new Promise((resolve, reject) => { server.once('error', reject); server.listen(port, bind, resolve); });
+  server.removeAllListeners('error');
+  server.on('error', () => {});   // a failed re-listen after a reboot leaves the host "off"
+  const actualPort = server.address().port;
+  return {
+    baseUrl: `http://${bind}:${actualPort}`, port: actualPort, name, dialect, token, host,
+    close: () => new Promise(resolve => {
+      closed = true;
+      clearTimeout(offlineTimer);
+      if (!server.listening) return resolve();
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
+const KEYS_PATH = path.join(DATA_DIR, 'apikeys.json');
+
+/* scope → the role a key acts with: read-only keys see what a viewer sees, control keys act like an operator */
+export const API_KEY_SCOPES = { read:'viewer', control:'operator' };
+
+const LAST_USED_PERSIST_MS = 10 * 60 * 1000;   // lastUsed is kept in memory and written at most this often
+
+let keys = [];   // [{ id, name, scope, hash, created, createdBy, lastUsed }]
+
+export function initApiKeys(){
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  try{ keys = JSON.parse(fs.readFileSync(KEYS_PATH,'utf8')); }catch{ keys=[]; }
+  if (!Array.isArray(keys)) keys = [];
+}
+function persist(next){ writeJsonAtomic(KEYS_PATH, next, { mode:0o600 }); keys = next; }
+
+/* only a SHA-256 of the key is stored: keys are 256 random bits, so a slow hash adds nothing */
+const digest = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const publicKey = k => k && ({ id:k.id, name:k.name, scope:k.scope, role:API_KEY_SCOPES[k.scope], created:k.created, createdBy:k.createdBy, lastUsed:k.lastUsed || null });
+
+export function listApiKeys(){ return keys.map(publicKey); }
+
+/** Create a key. Returns { key, token } — the token (ucp_<id>_<secret>) is only ever shown here. */
+export function createApiKey({ name, scope, createdBy }){
+  name = String(name || '').trim();
+  if (!name || name.length > 64) throw new Error('Name required (up to 64 characters).');
+  if (!API_KEY_SCOPES[scope]) throw new Error(`Scope must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+  if (keys.some(k=>k.name===name)) throw new Error(`An API key named "${name}" already exists.`);
+  const id = crypto.randomBytes(6).toString('hex');
+  const token = `ucp_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+  const rec = { id, name, scope, hash:digest(token), created:new Date().toISOString(), createdBy:createdBy || null, lastUsed:null };
+  persist([...keys, rec]);
+  return { key:publicKey(rec), token };
+}
+
+export function revokeApiKey(id){
+  if (!keys.some(k=>k.id===id)) throw new Error('Unknown API key.');
+  persist(keys.filter(k=>k.id!==id));
+}
+
+/** The public key record for a presented token, or null. */
+export function verifyApiKey(token){
+  const m = /^ucp_([0-9a-f]{12})_[\w-]{20,}$/.exec(String(token || ''));
+  const k = m && keys.find(x=>x.id===m[1]);
+  if (!k) return null;
+  const a = Buffer.from(k.hash, 'hex'), b = Buffer.from(digest(token), 'hex');
+  if (!crypto.timingSafeEqual(a, b)) return null;
+  const now = Date.now(), prev = Date.parse(k.lastUsed || 0) || 0;
+  k.lastUsed = new Date(now).toISOString();
+  if (now - prev > LAST_USED_PERSIST_MS) try{ writeJsonAtomic(KEYS_PATH, keys, { mode:0o600 }); }catch{}
+  return publicKey(k);
+}
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Write via a temp file in the same directory, fsync, then rename over the target,
+ * so readers see the old or the new content and never a truncated file.
+ * Throws "Could not save <name>: <reason>" (e.g. ENOSPC, EACCES) and leaves the old file.
+ */
+export function writeFileAtomic(file, data, { mode } = {}){
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+  try{
+    const fd = fs.openSync(tmp, 'w', mode);
+    try{ fs.writeFileSync(fd, data); fs.fsyncSync(fd); }
+    finally{ fs.closeSync(fd); }
+    fs.renameSync(tmp, file);
+  }catch(e){
+    try{ fs.unlinkSync(tmp); }catch{}
+    const err = new Error(`Could not save ${path.basename(file)}: ${e.code || e.message}`);
+    err._persist = true;
+    throw err;
+  }
+}
+
+export function writeJsonAtomic(file, obj, opts){ writeFileAtomic(file, JSON.stringify(obj, null, 2), opts); }
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
+const AUDIT_PATH = path.join(DATA_DIR, 'audit.jsonl');
+const KEEP = Math.max(1000, Number(process.env.AUDIT_KEEP) || 50000);   // newest entries kept
+
+/*
+ * Append-only audit trail of control and settings actions, one JSON line per entry:
+ * { t, actor, ip, host, target, action, params, outcome:'ok'|'failed'|'denied', status, error }
+ * actor is a username, or e.g. "schedule:Nightly backup" for unattended runs.
+ * Params are redacted before they are stored (see redact()).
+ */
+let entries = [];
+
+/* keys whose values never reach the audit file */
+const SECRET = /pass(word)?|token|secret|key|auth|cookie|secureon|^(pin|otp)$/i;
+
+/* credentials inside URLs: user:pass@host and ?token=… style query parameters */
+const scrub = s => s.replace(/(\/\/)[^/@\s]+@/g, '$1[redacted]@')
+  .replace(/([?&][^=&#\s]*(?:pass|token|secret|key|auth)[^=&#\s]*=)[^&#\s]+/gi, '$1[redacted]');
+
+/** Deep copy of params with secret-looking values replaced. */
+export function redact(v, depth = 0){
+  if (typeof v === 'string') return scrub(v.length > 500 ? `${v.slice(0, 500)}…` : v);
+  if (v == null || typeof v !== 'object') return v;
+  if (depth > 4) return '[…]';
+  if (Array.isArray(v)) return v.slice(0, 50).map(x=>redact(x, depth + 1));
+  return Object.fromEntries(Object.entries(v).map(([k, x])=>[k, SECRET.test(k) && x !== '' && x != null && typeof x !== 'boolean' ? '[redacted]' : redact(x, depth + 1)]));
+}
+
+function rewrite(){
+  try{ fs.writeFileSync(AUDIT_PATH, entries.map(e=>JSON.stringify(e)).join('\n') + (entries.length ? '\n' : '')); }catch{}
+}
+
+export function initAudit(){
+  try{
+    entries = fs.readFileSync(AUDIT_PATH,'utf8').split('\n').filter(Boolean)
+      .map(l=>{ try{ return JSON.parse(l); }catch{ return null; } }).filter(Boolean);
+  }catch{ entries = []; }
+  if (entries.length > KEEP) { entries = entries.slice(-KEEP); rewrite(); }
+}
+
+export function recordAudit(e){
+  const entry = {
+    t: Date.now(), actor: e.actor || null, ip: e.ip || null, host: e.host || null, target: e.target ?? null,
+    action: e.action, params: e.params ? redact(e.params) : null,
+    outcome: e.outcome || 'ok', status: e.status ?? null, error: e.error || null
+  };
+  entries.push(entry);
+  fs.appendFile(AUDIT_PATH, JSON.stringify(entry) + '\n', ()=>{});
+  if (entries.length > KEEP * 1.1) { entries = entries.slice(-KEEP); rewrite(); }
+  return entry;
+}
+
+/**
+ * Newest first. Filters: from/to (ms), actor, host, action (prefix), outcome,
+ * q (substring over target, params and error); offset/limit page the result.
+ */
+export function queryAudit(f = {}){
+  const q = f.q ? String(f.q).toLowerCase() : null;
+  const match = e =>
+    (!f.from || e.t >= f.from) && (!f.to || e.t <= f.to) &&
+    (!f.actor || e.actor === f.actor) && (!f.host || e.host === f.host) &&
+    (!f.action || String(e.action).startsWith(f.action)) && (!f.outcome || e.outcome === f.outcome) &&
+    (!q || [e.target, e.error, JSON.stringify(e.params)].some(x=>x && String(x).toLowerCase().includes(q)));
+  const out = [];
+  let total = 0;
+  const offset = f.offset || 0, limit = f.limit ?? 200;
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (!match(entries[i])) continue;
+    if (total >= offset && out.length < limit) out.push(entries[i]);
+    total++;
+  }
+  return { entries: out, total };
+}
+
+/** Distinct actors, hosts and actions (for the filter drop-downs). */
+export function auditFacets(){
+  const actors = new Set(), hosts = new Set(), actions = new Set();
+  for (const e of entries) { if (e.actor) actors.add(e.actor); if (e.host) hosts.add(e.host); actions.add(e.action); }
+  const sort = s => [...s].sort();
+  return { actors: sort(actors), hosts: sort(hosts), actions: sort(actions) };
+}
+
+const CSV_COLS = ['time', 'actor', 'ip', 'host', 'target', 'action', 'outcome', 'status', 'error', 'params'];
+/* quoted as needed; text that a spreadsheet would read as a formula gets a leading ' */
+const cell = v => {
+  let s = v == null ? '' : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** CSV with a header row; ISO timestamps, params as JSON. */
+export function auditCsv(list){
+  return [CSV_COLS.join(','), ...list.map(e=>[
+    new Date(e.t).toISOString(), e.actor, e.ip, e.host, e.target, e.action, e.outcome, e.status, e.error,
+    e.params ? JSON.stringify(e.params) : ''
+  ].map(cell).join(','))].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import {
+  listHosts, upsertHost, deleteHost, getToken, setToken, tokensSummary,
+  getAppSettings, setAppSettings, appSettingsPatch, listAlertRules, upsertAlertRule, deleteAlertRule,
+  listChannels, getChannel, upsertChannel, deleteChannel, listGroups, upsertGroup, deleteGroup,
+  RULE_KINDS, CHANNEL_TYPES, GROUP_KINDS, normalizeMac
+} from './configStore.js';
+import { exportUsers, restoreUser, listUsers } from './userStore.js';
+import { listSchedules } from './scheduleStore.js';
+import { saveJob, deleteJob, SCHEDULE_ACTIONS } from '../monitor/scheduler.js';
+import { parseCron } from '../monitor/cron.js';
+import { seal, open } from './tokenCrypto.js';
+import { normalizeWol } from '../api/wol.js';
+import { SCHEMA_VERSION, migrate } from './migrations.js';
+
+/*
+ * Whole-config export/import.
+ * Bundle: { format, schemaVersion, exportedAt, appVersion, hosts, app, alerts:{ rules, channels },
+ *           groups, schedules, secrets }
+ * secrets is null, or { kdf:'scrypt', salt, data } — AES-256-GCM over
+ * { tokens:{ baseUrl:token }, channels:{ id:{ token, smtpPass } }, wol:{ baseUrl:secureOn }, users:[records] } with a key
+ * derived from the export passphrase. Without a passphrase tokens, channel secrets and users stay out.
+ * Import also takes the files of older setups: a hosts array ([{ name, baseUrl, mac }]) and a
+ * token map ({ baseUrl:token }), as in config/hosts.json.example and secrets/unraid_tokens.json.example.
+ */
+export const BUNDLE_FORMAT = 'unraid-dashboard-config';
+const MIN_PASSPHRASE = 8;
+const SECTIONS = ['hosts', 'tokens', 'channels', 'rules', 'groups', 'schedules', 'app', 'users'];
+const CHANNEL_SECRETS = ['token', 'smtpPass'];
+const PLACEHOLDER = /^(REPLACE_|CHANGE_?ME|<)/i;
+
+const isUrl = s => { try{ return /^https?:$/.test(new URL(s).protocol); }catch{ return false; } };
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const changedFields = (cur, next, fields = Object.keys(next)) => fields.filter(k=>!same(cur[k], next[k]));
+
+/* ------------------------------- export ------------------------------- */
+
+function sealSecrets(secrets, passphrase){
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  return { kdf:'scrypt', salt:salt.toString('base64url'), data:seal(key, JSON.stringify(secrets)) };
+}
+function openSecrets(sealed, passphrase){
+  try{
+    const key = crypto.scryptSync(String(passphrase), Buffer.from(String(sealed.salt), 'base64url'), 32);
+    return JSON.parse(open(key, sealed.data));
+  }catch{ throw new Error('Wrong passphrase, or the secrets in the file are damaged.'); }
+}
+
+const scheduleDef = j => ({ id:j.id, name:j.name, enabled:j.enabled, cron:j.cron, action:{ ...j.action }, catchUpMinutes:j.catchUpMinutes });
+const hostDef = h => h.wol?.secureOn ? { ...h, wol:{ ...h.wol, secureOn:'' } } : h;
+const channelDef = c => { const out = { ...c }; for (const k of CHANNEL_SECRETS) { delete out[k]; delete out[`${k}Set`]; } return out; };
+
+/** Build an export bundle; with a passphrase (≥ 8 chars) tokens, channel secrets and users are included sealed. */
+export function exportConfig({ passphrase, appVersion } = {}){
+  if (passphrase && String(passphrase).length < MIN_PASSPHRASE) throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters.`);
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: appVersion || null,
+    hosts: listHosts().map(hostDef),
+    app: getAppSettings(),
+    alerts: { rules: listAlertRules(), channels: listChannels().map(channelDef) },
+    groups: listGroups(),
+    schedules: listSchedules().map(scheduleDef),
+    secrets: null
+  };
+  if (!passphrase) return bundle;
+  const tokens = {};
+  for (const b of Object.keys(tokensSummary())) { try{ tokens[b] = getToken(b); }catch{} }
+  const channels = {};
+  for (const c of bundle.alerts.channels) {
+    const full = getChannel(c.id);
+    const s = Object.fromEntries(CHANNEL_SECRETS.filter(k=>full?.[k]).map(k=>[k, full[k]]));
+    if (Object.keys(s).length) channels[c.id] = s;
+  }
+  const wol = Object.fromEntries(listHosts().filter(h=>h.wol?.secureOn).map(h=>[h.baseUrl, h.wol.secureOn]));
+  bundle.secrets = sealSecrets({ tokens, channels, wol, users: exportUsers() }, String(passphrase));
+  return bundle;
+}
+
+/* ------------------------------- import ------------------------------- */
+
+/**
+ * Turn uploaded documents ([{ name, data }]) into one incoming config:
+ * { hosts?, tokens?, channels?, channelSecrets?, rules?, groups?, schedules?, app?, users? } plus warnings.
+ */
+function readDocuments(documents, passphrase){
+  if (!Array.isArray(documents) || !documents.length) throw new Error('No files to import.');
+  const inc = { warnings: [] };
+  const add = (k, items) => { inc[k] = [...(inc[k] || []), ...items]; };
+  for (const { name = 'file', data } of documents) {
+    if (Array.isArray(data)) {
+      if (!data.every(h=>h && typeof h === 'object' && 'baseUrl' in h)) throw new Error(`${name}: expected an array of hosts with baseUrl.`);
+      add('hosts', data.map(({ token, ...h })=>h));
+      const inline = Object.fromEntries(data.filter(h=>typeof h.token === 'string').map(h=>[h.baseUrl, h.token]));
+      if (Object.keys(inline).length) inc.tokens = { ...inc.tokens, ...inline };
+    } else if (data?.format === BUNDLE_FORMAT) {
+      const from = Number(data.schemaVersion) || 0;
+      const state = { hosts:data.hosts, app:data.app, alerts:data.alerts, groups:data.groups, schedules:data.schedules };
+      const applied = migrate(state, from);   // throws for bundles from a newer build
+      if (applied.length) inc.warnings.push(`${name}: upgraded from schema v${from} (${applied.join('; ')}).`);
+      add('hosts', state.hosts);
+      add('channels', state.alerts.channels);
+      add('rules', state.alerts.rules);
+      add('groups', state.groups);
+      add('schedules', state.schedules);
+      inc.app = { ...inc.app, ...state.app };
+      if (data.secrets && passphrase) {
+        const s = openSecrets(data.secrets, passphrase);
+        inc.tokens = { ...inc.tokens, ...s.tokens };
+        inc.channelSecrets = { ...inc.channelSecrets, ...s.channels };
+        inc.wolSecrets = { ...inc.wolSecrets, ...s.wol };
+        add('users', Array.isArray(s.users) ? s.users : []);
+      } else if (data.secrets) {
+        inc.warnings.push(`${name}: contains protected tokens, channel secrets and users; enter the export passphrase to import them.`);
+      }
+    } else if (data?.alg && data?.tokens) {
+      throw new Error(`${name}: this is an encrypted tokens.json from a data directory; export from that dashboard instead.`);
+    } else if (data && typeof data === 'object' && Object.keys(data).length && Object.entries(data).every(([k, v])=>isUrl(k) && typeof v === 'string')) {
+      inc.tokens = { ...inc.tokens, ...data };
+    } else {
+      throw new Error(`${name}: not a configuration export, hosts list or token map.`);
+    }
+  }
+  return inc;
+}
+
+/* validation of incoming items against the config as it will be after the import */
+function validHost(h){
+  if (!String(h.name || '').trim()) return 'name required';
+  if (!isUrl(h.baseUrl)) return 'baseUrl must be an http(s) URL';
+  if (h.mac && !normalizeMac(h.mac)) return `invalid MAC address ${h.mac}`;
+  if (h.wol) try{ normalizeWol(h.wol); }catch(e){ return e.message; }
+  return null;
+}
+function validSchedule(j, hostSet, groupSet){
+  try{ parseCron(j.cron); }catch(e){ return e.message; }
+  const a = j.action || {};
+  if (!SCHEDULE_ACTIONS[a.type]?.includes(a.op)) return `unsupported action ${a.type}.${a.op}`;
+  if (a.type === 'group' ? !groupSet.has(a.groupId) : !hostSet.has(a.baseUrl)) return a.type === 'group' ? 'unknown group' : 'unknown host';
+  return null;
+}
+
+/*
+ * Per section: items keyed by id, the current items, and a label. Returns
+ * { added:[label], changed:[{ label, fields }], removed:[label], unchanged, skipped:[{ label, reason }] }
+ * and the list of items to write.
+ */
+function diffSection({ incoming = [], current, key, label, fields, validate, replace }){
+  const d = { added:[], changed:[], removed:[], unchanged:0, skipped:[] };
+  const write = [];
+  const seen = new Set();
+  for (const item of incoming) {
+    const k = key(item);
+    if (!k || seen.has(k)) { d.skipped.push({ label:label(item) || '?', reason: k ? 'duplicate in import' : 'missing id' }); continue; }
+    seen.add(k);
+    const reason = validate?.(item);
+    if (reason) { d.skipped.push({ label:label(item), reason }); continue; }
+    const cur = current.find(c=>key(c) === k);
+    if (!cur) { d.added.push(label(item)); write.push(item); continue; }
+    const f = changedFields(cur, item, fields?.(item));
+    if (f.length) { d.changed.push({ label:label(item), fields:f }); write.push(item); }
+    else d.unchanged++;
+  }
+  const remove = replace ? current.filter(c=>!seen.has(key(c))) : [];
+  d.removed = remove.map(label);
+  return { diff:d, write, remove };
+}
+
+/**
+ * Compare the documents with the running config. mode 'merge' adds and updates,
+ * 'replace' also removes hosts, channels, rules, groups and schedules missing from the import
+ * (users are only ever added). Returns { diff, warnings, plan }.
+ */
+export function planImport({ documents, passphrase, mode = 'merge' }){
+  if (!['merge', 'replace'].includes(mode)) throw new Error('mode must be merge or replace.');
+  const replace = mode === 'replace';
+  const inc = readDocuments(documents, passphrase);
+  const warnings = inc.warnings;
+  const plan = {}, diff = {};
+  const section = (name, opts) => { const r = diffSection({ ...opts, replace: replace && opts.replaceable !== false }); diff[name] = r.diff; plan[name] = r; return r; };
+
+  // only the fields POST /api/settings/host stores; a SecureOn password left out of the file keeps the stored one.
+  // An invalid wol block stays as it came so validHost can name the problem.
+  const incomingHost = h => {
+    const out = { ...(h.id != null ? { id:h.id } : {}), name: String(h.name || '').trim(), baseUrl: h.baseUrl, mac: normalizeMac(h.mac) || h.mac || '' };
+    if (!h.wol) return out;
+    const wol = { ...h.wol, secureOn: h.wol.secureOn || inc.wolSecrets?.[h.baseUrl] || listHosts().find(x=>x.baseUrl===h.baseUrl)?.wol?.secureOn || '' };
+    try{ return { ...out, wol:normalizeWol(wol) }; }catch{ return { ...out, wol }; }
+  };
+  const hosts = section('hosts', {
+    incoming: inc.hosts?.map(incomingHost), current: listHosts(),
+    key: h=>h.baseUrl, label: h=>h.name ? `${h.name} (${h.baseUrl})` : h.baseUrl, validate: validHost,
+    fields: h=>Object.keys(h).filter(k=>k !== 'id'),   // a host keeps its own id
+    replaceable: !!inc.hosts
+  });
+  const kept = (list, removed, key) => list.filter(x=>!removed.some(r=>key(r) === key(x))).map(key);
+  const hostSet = new Set([...kept(listHosts(), hosts.remove, h=>h.baseUrl), ...hosts.write.map(h=>h.baseUrl)]);
+
+  // tokens: compared without revealing them; placeholders from the example file are skipped
+  const have = tokensSummary();
+  const tokenItems = Object.entries(inc.tokens || {}).map(([baseUrl, token])=>({ baseUrl, token }));
+  section('tokens', {
+    incoming: tokenItems, key: t=>t.baseUrl, label: t=>t.baseUrl, replaceable: false,
+    current: tokenItems.filter(t=>have[t.baseUrl]).map(t=>{ try{ return { baseUrl:t.baseUrl, token:getToken(t.baseUrl) }; }catch{ return { baseUrl:t.baseUrl, token:null }; } }),
+    fields: ()=>['token'],
+    validate: t=>!t.token || PLACEHOLDER.test(t.token) ? 'placeholder or empty token' : !hostSet.has(t.baseUrl) ? 'no such host' : null
+  });
+  diff.tokens.changed = diff.tokens.changed.map(c=>({ ...c, fields:[] }));   // only "replaced", never what
+
+  // secrets only take part in the comparison when the import carries them
+  const withSecrets = c => { try{ const full = getChannel(c.id); return { ...channelDef(c), ...Object.fromEntries(CHANNEL_SECRETS.map(k=>[k, full?.[k] || ''])) }; }catch{ return channelDef(c); } };
+  const channels = section('channels', {
+    incoming: inc.channels?.map(c=>({ ...c, ...inc.channelSecrets?.[c.id] })), current: listChannels().map(withSecrets),
+    key: c=>c.id, label: c=>c.name || c.id, replaceable: !!inc.channels,
+    validate: c=>!CHANNEL_TYPES.includes(c.type) ? `unknown channel type ${c.type}`
+      : c.type === 'gotify' && !c.token && !listChannels().find(x=>x.id===c.id)?.tokenSet ? 'Gotify token missing (export with a passphrase)' : null
+  });
+  const channelSet = new Set([...kept(listChannels(), channels.remove, c=>c.id), ...channels.write.map(c=>c.id)]);
+
+  section('rules', {
+    incoming: inc.rules, current: listAlertRules(), key: r=>r.id, label: r=>r.name || r.id, replaceable: !!inc.rules,
+    validate: r=>!RULE_KINDS.includes(r.kind) ? `unknown rule kind ${r.kind}` : !channelSet.has(r.channelId) ? 'its channel is not imported' : null
+  });
+
+  const groups = section('groups', {
+    incoming: inc.groups, current: listGroups(), key: g=>g.id, label: g=>g.name || g.id, replaceable: !!inc.groups,
+    validate: g=>{
+      const bad = (g.steps || []).find(st=>!hostSet.has(st.baseUrl) || !GROUP_KINDS.includes(st.kind));
+      return !g.steps?.length ? 'no steps' : bad ? `step on unknown host ${bad.baseUrl}` : null;
+    }
+  });
+  const groupSet = new Set([...kept(listGroups(), groups.remove, g=>g.id), ...groups.write.map(g=>g.id)]);
+
+  section('schedules', {
+    incoming: inc.schedules?.map(scheduleDef), current: listSchedules().map(scheduleDef),
+    key: j=>j.id, label: j=>j.name || j.id, replaceable: !!inc.schedules,
+    validate: j=>validSchedule(j, hostSet, groupSet)
+  });
+
+  // app settings: the same checks as the App Settings form; invalid values are skipped with a warning
+  const cur = getAppSettings();
+  const checked = appSettingsPatch(inc.app);
+  for (const k of checked.rejected) warnings.push(`app: skipped ${k} — invalid value ${JSON.stringify(inc.app[k])}`);
+  const patch = Object.fromEntries(Object.entries(checked.patch).filter(([k, v])=>!same(cur[k], v)));
+  diff.app = { changed: Object.entries(patch).map(([k, v])=>({ label:k, from:cur[k], to:v })) };
+  plan.app = patch;
+
+  section('users', {
+    incoming: inc.users, current: listUsers(), key: u=>u.username, label: u=>u.username, replaceable: false,
+    fields: ()=>[],   // existing accounts are kept as they are
+    validate: u=>!u.hash ? 'no password hash' : null
+  });
+
+  for (const s of SECTIONS) for (const x of diff[s]?.skipped || []) warnings.push(`${s}: skipped ${x.label} — ${x.reason}`);
+  return { diff, warnings, plan };
+}
+
+/**
+ * Apply a plan from planImport. Items are written one by one through the normal
+ * store functions, so their validation still applies; a rejected item becomes a
+ * warning, a failed write (disk full, read-only volume) aborts with that error.
+ * Returns { diff, warnings, removedHosts, changedHosts }.
+ */
+export function applyImport(opts){
+  const { diff, warnings, plan } = planImport(opts);
+  const attempt = (what, fn) => { try{ fn(); }catch(e){ if (e._persist) throw e; warnings.push(`${what}: ${e.message}`); } };
+
+  // removals first, dependents before what they depend on
+  for (const j of plan.schedules.remove) attempt(`schedule ${j.name}`, ()=>deleteJob(j.id));
+  for (const g of plan.groups.remove) attempt(`group ${g.name}`, ()=>deleteGroup(g.id));
+  for (const r of plan.rules.remove) attempt(`rule ${r.name}`, ()=>deleteAlertRule(r.id));
+  for (const c of plan.channels.remove) attempt(`channel ${c.name}`, ()=>deleteChannel(c.id));
+  for (const h of plan.hosts.remove) attempt(`host ${h.name}`, ()=>deleteHost(h.baseUrl));
+
+  for (const h of plan.hosts.write) attempt(`host ${h.name}`, ()=>upsertHost(h));
+  for (const t of plan.tokens.write) attempt(`token for ${t.baseUrl}`, ()=>setToken(t.baseUrl, t.token));
+  for (const c of plan.channels.write) attempt(`channel ${c.name}`, ()=>upsertChannel(c));
+  for (const r of plan.rules.write) attempt(`rule ${r.name}`, ()=>upsertAlertRule(r));
+  for (const g of plan.groups.write) attempt(`group ${g.name}`, ()=>upsertGroup(g));
+  for (const j of plan.schedules.write) attempt(`schedule ${j.name}`, ()=>saveJob(j));
+  if (Object.keys(plan.app).length) setAppSettings(plan.app);
+  for (const u of plan.users.write) attempt(`user ${u.username}`, ()=>restoreUser(u));
+
+  return {
+    diff, warnings,
+    removedHosts: plan.hosts.remove.map(h=>h.baseUrl),
+    changedHosts: [...new Set([...plan.hosts.write, ...plan.tokens.write].map(h=>h.baseUrl))]
+  };
+}
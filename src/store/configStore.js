@@ -1,45 +1,346 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { loadKey, deriveKey, generateKeyMaterial, keyId, seal, open } from './tokenCrypto.js';
+import { writeFileAtomic, writeJsonAtomic } from './atomicFile.js';
+import { migrateDataDir } from './migrations.js';
+import { LEVELS } from './logStore.js';
 
-const DATA_DIR = '/app/data';
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
 const HOSTS_PATH = path.join(DATA_DIR, 'hosts.json');
 const TOKENS_PATH = path.join(DATA_DIR, 'tokens.json');
 const APP_PATH = path.join(DATA_DIR, 'app.json');
+const ALERTS_PATH = path.join(DATA_DIR, 'alerts.json');
+const CAPS_PATH = path.join(DATA_DIR, 'capabilities.json');
+const GROUPS_PATH = path.join(DATA_DIR, 'groups.json');
 
 let hosts = [];
-let tokens = {};
+let tokens = {};              // baseUrl -> sealed token (never plaintext in memory)
+let tokenKey = null;          // { key, source, file? } from tokenCrypto.loadKey
+let tokenKeyMismatch = false; // tokens.json was sealed with a different key
+let capabilities = {};        // baseUrl -> schema capability profile (see api/schema.js)
+let alerts = { rules: [], channels: [] };   // channel secrets are sealed like API tokens
+let groups = [];              // cross-host container/VM groups (see monitor/groups.js)
 let appSettings = {
   debugHttp: false,
   logLevel: 'info',           // error|warn|info|debug
+  logFormat: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',   // console output; the log file is always JSON lines
   allowSelfSigned: false,
-  refreshSeconds: 30          // dashboard auto-refresh period
+  refreshSeconds: 30,         // dashboard auto-refresh + background poll period
+  historyRetentionDays: 30    // metrics history kept by the poller
 };
 
+/**
+ * Migrate and load all config. Returns { migratedTokens, schema } so the caller can log
+ * a plaintext token migration and the schema upgrade (schema.error when it could not be written).
+ */
 export function initStore(){
   fs.mkdirSync(DATA_DIR, { recursive: true });
+  let schema;
+  try{ schema = migrateDataDir(DATA_DIR); }catch(e){ schema = { error: e.message }; }
   try{ hosts = JSON.parse(fs.readFileSync(HOSTS_PATH,'utf8')); }catch{ hosts=[]; }
-  try{ tokens = JSON.parse(fs.readFileSync(TOKENS_PATH,'utf8')); }catch{ tokens={}; }
   try{ appSettings = { ...appSettings, ...JSON.parse(fs.readFileSync(APP_PATH,'utf8')) }; }catch{}
+  try{ alerts = { rules: [], channels: [], ...JSON.parse(fs.readFileSync(ALERTS_PATH,'utf8')) }; }catch{}
+  try{ capabilities = JSON.parse(fs.readFileSync(CAPS_PATH,'utf8')) || {}; }catch{ capabilities={}; }
+  try{ groups = JSON.parse(fs.readFileSync(GROUPS_PATH,'utf8')) || []; }catch{ groups=[]; }
+
+  tokenKey = loadKey(DATA_DIR);
+  let raw = {};
+  try{ raw = JSON.parse(fs.readFileSync(TOKENS_PATH,'utf8')); }catch{}
+  let migratedTokens = 0;
+  if (raw && raw.alg && raw.tokens) {
+    tokens = { ...raw.tokens };
+    tokenKeyMismatch = !!raw.keyId && raw.keyId !== keyId(tokenKey.key) && !finishRotation(raw.keyId);
+  } else {
+    // pre-encryption format: { baseUrl: "plaintext token" }
+    tokens = {};
+    for (const [base, t] of Object.entries(raw || {})) {
+      if (typeof t === 'string' && t) { tokens[base] = seal(tokenKey.key, t); migratedTokens++; }
+    }
+    if (migratedTokens) try{ persistTokens(tokens); }catch{}   // sealed in memory; retried on the next token write
+  }
+  return { migratedTokens, schema };
+}
+
+/* a rotation that stopped after re-sealing: the staged key is the one tokens.json names, so move it into place */
+function finishRotation(wantedId){
+  if (tokenKey.source !== 'file') return false;
+  const staged = `${tokenKey.file}.new`;
+  try{
+    const key = deriveKey(fs.readFileSync(staged, 'utf8'));
+    if (keyId(key) !== wantedId) return false;
+    fs.renameSync(staged, tokenKey.file);
+    tokenKey = { ...tokenKey, key };
+    return true;
+  }catch{ return false; }
+}
+
+/*
+ * Writes are atomic and throw "Could not save <file>: <code>". Mutators build the next
+ * state, persist it and only then swap it in, so a failed write changes nothing.
+ */
+function persist(file, obj){ writeJsonAtomic(file, obj); }
+function persistTokens(next, key = tokenKey.key){
+  persist(TOKENS_PATH, { alg:'aes-256-gcm', keyId:keyId(key), tokens:next });
 }
-function persist(file, obj){ try{ fs.writeFileSync(file, JSON.stringify(obj,null,2)); }catch{} }
 
 export function listHosts(){ return hosts.slice(); }
+
+/**
+ * AA:BB:CC:DD:EE:FF from the usual spellings (aa-bb-…, aabb.ccdd.eeff, aabbccddeeff);
+ * null for anything else, and for all-zero or multicast/broadcast addresses WOL cannot target.
+ */
+export function normalizeMac(mac){
+  const s = String(mac || '').trim();
+  if (!/^([0-9a-f]{2}([:-])[0-9a-f]{2}(\2[0-9a-f]{2}){4}|[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}|[0-9a-f]{12})$/i.test(s)) return null;
+  const hex = s.replace(/[:.-]/g, '').toUpperCase();
+  if (/^0{12}$/.test(hex) || parseInt(hex.slice(0, 2), 16) & 1) return null;
+  return hex.match(/../g).join(':');
+}
+
+export function getHostById(id){ return hosts.find(h=>h.id===id) || null; }
+
+/**
+ * An empty MAC is allowed (no WOL); anything else must normalize. A host keeps its id
+ * (the /api/v1 address) for life; new hosts get one, or keep a given one that is free (imports).
+ */
 export function upsertHost(h){
-  const i = hosts.findIndex(x=>x.baseUrl===h.baseUrl);
-  if (i>=0) hosts[i] = {...hosts[i], ...h}; else hosts.push(h);
-  persist(HOSTS_PATH, hosts); return h;
+  if (h.mac != null && h.mac !== '') {
+    const mac = normalizeMac(h.mac);
+    if (!mac) throw new Error(`Invalid MAC address "${h.mac}"; use AA:BB:CC:DD:EE:FF.`);
+    h = { ...h, mac };
+  }
+  const next = hosts.slice();
+  const i = next.findIndex(x=>x.baseUrl===h.baseUrl);
+  const taken = id => next.some((x, j)=>j !== i && x.id === id);
+  const id = next[i]?.id || (typeof h.id === 'string' && /^[\w-]{1,40}$/.test(h.id) && !taken(h.id) ? h.id : newId());
+  h = { ...h, id };
+  if (i>=0) next[i] = {...next[i], ...h}; else next.push(h);
+  persist(HOSTS_PATH, next); hosts = next;
+  return h;
 }
 export function deleteHost(baseUrl){
-  hosts = hosts.filter(h=>h.baseUrl!==baseUrl); persist(HOSTS_PATH, hosts);
-  delete tokens[baseUrl]; persist(TOKENS_PATH, tokens);
+  const next = hosts.filter(h=>h.baseUrl!==baseUrl);
+  persist(HOSTS_PATH, next); hosts = next;
+  if (tokens[baseUrl]) {
+    const { [baseUrl]:_gone, ...rest } = tokens;
+    persistTokens(rest); tokens = rest;
+  }
+  if (capabilities[baseUrl]) { const { [baseUrl]:_c, ...rest } = capabilities; capabilities = rest; try{ persist(CAPS_PATH, rest); }catch{} }
+}
+
+export function getCapabilities(baseUrl){ return capabilities[baseUrl] || null; }
+export function setCapabilities(baseUrl, profile){
+  if (profile) capabilities[baseUrl] = profile; else delete capabilities[baseUrl];
+  try{ persist(CAPS_PATH, capabilities); }catch{}   // a cache: re-probed when missing
+}
+
+/* ------------------------------- tokens ------------------------------- */
+
+export function setToken(baseUrl, token){
+  if (!baseUrl || !token) throw new Error('Missing baseUrl or token.');
+  if (tokenKeyMismatch) throw new Error('Token key does not match tokens.json; fix TOKENS_KEY or rotate first.');
+  const next = { ...tokens, [baseUrl]: seal(tokenKey.key, token) };
+  persistTokens(next); tokens = next;
+}
+/** Plaintext token — only for the GraphQL client (gql). */
+export function getToken(baseUrl){
+  if (!tokens[baseUrl]) return undefined;
+  try{ return open(tokenKey.key, tokens[baseUrl]); }
+  catch{ throw new Error(`Cannot decrypt API token for ${baseUrl}; check TOKENS_KEY.`); }
+}
+/** baseUrl -> true for every stored token (no secrets). */
+export function tokensSummary(){
+  return Object.fromEntries(Object.keys(tokens).map(b=>[b, true]));
+}
+export function tokenKeyStatus(){
+  return { source:tokenKey.source, file:tokenKey.file || null, keyId:keyId(tokenKey.key), mismatch:tokenKeyMismatch, count:Object.keys(tokens).length };
+}
+
+/**
+ * Re-seal every token (and alert channel secret) under a new key. With a file-backed key the new key is
+ * generated (or taken from newMaterial) and written to the key file; with
+ * TOKENS_KEY the caller must pass newMaterial and update the env afterwards.
+ */
+export function rotateTokenKey(newMaterial){
+  if (tokenKeyMismatch) throw new Error('Current key cannot decrypt tokens.json; nothing to rotate from.');
+  if (tokenKey.source === 'env' && !newMaterial) throw new Error('TOKENS_KEY is set from the environment; supply the new key material.');
+  const material = newMaterial || generateKeyMaterial();
+  const next = deriveKey(material);
+  const resealed = {};
+  for (const [base, sealed] of Object.entries(tokens)) resealed[base] = seal(next, open(tokenKey.key, sealed));
+
+  const channels = alerts.channels.map(c=>{
+    const out = { ...c };
+    for (const k of CHANNEL_SECRETS) if (c[k]) out[k] = seal(next, open(tokenKey.key, c[k]));
+    return out;
+  });
+
+  // the new key is staged next to the key file and only renamed into place after tokens.json and
+  // alerts.json are written; a failed step rolls the files back, a crash in between is finished by initStore
+  const staged = tokenKey.source === 'file' ? `${tokenKey.file}.new` : null;
+  if (staged) writeFileAtomic(staged, material + '\n', { mode:0o600 });
+  try{
+    persistTokens(resealed, next);
+    persist(ALERTS_PATH, { ...alerts, channels });
+    if (staged) fs.renameSync(staged, tokenKey.file);
+  }catch(e){
+    try{ persistTokens(tokens); if (staged) fs.rmSync(staged, { force:true }); persist(ALERTS_PATH, alerts); }catch{}
+    throw e;
+  }
+  tokenKey = { ...tokenKey, key:next };
+  tokens = resealed;
+  alerts = { ...alerts, channels };
+  return tokenKeyStatus();
 }
-export function setToken(baseUrl, token){ tokens[baseUrl]=token; persist(TOKENS_PATH,tokens); }
-export function getToken(baseUrl){ return tokens[baseUrl]; }
-export function tokensSummary(){ return {...tokens}; }
 
 export function getAppSettings(){ return { ...appSettings }; }
+
+/* accepted values per app setting: the normalized value, or undefined to reject */
+const APP_RULES = {
+  debugHttp: v => typeof v === 'boolean' ? v : undefined,
+  logLevel: v => Object.hasOwn(LEVELS, v ?? '') ? v : undefined,
+  logFormat: v => ['text','json'].includes(v) ? v : undefined,
+  allowSelfSigned: v => typeof v === 'boolean' ? v : undefined,
+  refreshSeconds: v => Number.isFinite(+v) && v !== '' && v != null && +v >= 5 ? Math.floor(+v) : undefined,
+  historyRetentionDays: v => Number.isFinite(+v) && v !== '' && v != null && +v >= 1 ? Math.min(365, Math.floor(+v)) : undefined
+};
+/** Validate app settings from the form or an import: { patch, rejected:[key] } (unknown keys are ignored). */
+export function appSettingsPatch(input){
+  const patch = {}, rejected = [];
+  for (const [k, v] of Object.entries(input || {})) {
+    if (!Object.hasOwn(APP_RULES, k)) continue;
+    const ok = APP_RULES[k](v);
+    if (ok === undefined) rejected.push(k); else patch[k] = ok;
+  }
+  return { patch, rejected };
+}
 export function setAppSettings(patch){
-  appSettings = { ...appSettings, ...patch };
-  persist(APP_PATH, appSettings);
+  const next = { ...appSettings, ...patch };
+  persist(APP_PATH, next); appSettings = next;
   return getAppSettings();
-}
\ No newline at end of file
+}
+
+/* ------------------------------- alerts ------------------------------- */
+
+export const RULE_KINDS = ['unreachable', 'arrayNotStarted', 'storageAbove', 'cpuAbove', 'ramAbove', 'containerNotRunning'];
+export const CHANNEL_TYPES = ['webhook', 'ntfy', 'gotify', 'smtp'];
+const CHANNEL_SECRETS = ['token', 'smtpPass'];
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+const num = (v, d) => Number.isFinite(+v) && v !== '' && v != null ? +v : d;
+
+export function listAlertRules(){ return alerts.rules.map(r=>({ ...r })); }
+
+export function upsertAlertRule(r){
+  if (!r?.name) throw new Error('Rule name required.');
+  if (!RULE_KINDS.includes(r.kind)) throw new Error(`Unknown rule kind: ${r.kind}`);
+  if (!alerts.channels.some(c=>c.id===r.channelId)) throw new Error('Unknown delivery channel.');
+  if (r.kind === 'containerNotRunning' && !r.container) throw new Error('Container name required.');
+  const rule = {
+    id: r.id || newId(),
+    name: String(r.name),
+    enabled: r.enabled !== false,
+    host: r.host || '*',                          // baseUrl or '*' for every host
+    kind: r.kind,
+    threshold: /Above$/.test(r.kind) ? Math.min(100, Math.max(0, num(r.threshold, 90))) : null,
+    container: r.kind === 'containerNotRunning' ? String(r.container) : null,
+    forMinutes: Math.max(0, num(r.forMinutes, 0)),        // condition must hold this long before firing
+    cooldownMinutes: Math.max(0, num(r.cooldownMinutes, 60)), // re-notify interval while still firing (0 = once)
+    notifyResolved: r.notifyResolved !== false,
+    channelId: r.channelId
+  };
+  const rules = alerts.rules.slice();
+  const i = rules.findIndex(x=>x.id===rule.id);
+  if (i>=0) rules[i] = rule; else rules.push(rule);
+  saveAlerts({ ...alerts, rules });
+  return { ...rule };
+}
+export function deleteAlertRule(id){
+  saveAlerts({ ...alerts, rules: alerts.rules.filter(r=>r.id!==id) });
+}
+function saveAlerts(next){ persist(ALERTS_PATH, next); alerts = next; }
+
+/** Channels without secrets (tokenSet/smtpPassSet flags instead). */
+export function listChannels(){
+  return alerts.channels.map(c=>{
+    const out = { ...c };
+    for (const k of CHANNEL_SECRETS) { out[`${k}Set`] = !!c[k]; delete out[k]; }
+    return out;
+  });
+}
+/** Channel with decrypted secrets — only for delivery. */
+export function getChannel(id){
+  const c = alerts.channels.find(x=>x.id===id);
+  if (!c) return null;
+  const out = { ...c };
+  for (const k of CHANNEL_SECRETS) if (c[k]) out[k] = open(tokenKey.key, c[k]);
+  return out;
+}
+/** Secrets left empty on update keep their stored value. */
+export function upsertChannel(c){
+  if (!c?.name) throw new Error('Channel name required.');
+  if (!CHANNEL_TYPES.includes(c.type)) throw new Error(`Unknown channel type: ${c.type}`);
+  if (c.type !== 'smtp' && !/^https?:\/\//i.test(c.url || '')) throw new Error('Channel URL must start with http(s)://');
+  if (c.type === 'ntfy' && !c.topic) throw new Error('ntfy topic required.');
+  if (c.type === 'gotify' && !c.token && !alerts.channels.find(x=>x.id===c.id)?.token) throw new Error('Gotify app token required.');
+  if (c.type === 'smtp' && (!c.smtpHost || !c.to)) throw new Error('SMTP host and recipient required.');
+
+  const prev = alerts.channels.find(x=>x.id===c.id) || {};
+  const ch = {
+    id: c.id || newId(),   // a given id is kept so imported rules still point at their channel
+    name: String(c.name), type: c.type,
+    url: c.url || '', topic: c.topic || '',
+    priority: c.priority != null && c.priority !== '' ? num(c.priority, null) : null,
+    smtpHost: c.smtpHost || '', smtpPort: num(c.smtpPort, 587), smtpSecure: !!c.smtpSecure,
+    smtpUser: c.smtpUser || '', from: c.from || '', to: c.to || ''
+  };
+  for (const k of CHANNEL_SECRETS) ch[k] = c[k] ? seal(tokenKey.key, c[k]) : (prev[k] || '');
+  const channels = alerts.channels.slice();
+  const i = channels.findIndex(x=>x.id===ch.id);
+  if (i>=0) channels[i] = ch; else channels.push(ch);
+  saveAlerts({ ...alerts, channels });
+  return listChannels().find(x=>x.id===ch.id);
+}
+export function deleteChannel(id){
+  if (alerts.rules.some(r=>r.channelId===id)) throw new Error('Channel is used by a rule.');
+  saveAlerts({ ...alerts, channels: alerts.channels.filter(c=>c.id!==id) });
+}
+
+/* ------------------------------- groups ------------------------------- */
+
+export const GROUP_KINDS = ['docker', 'vm'];
+
+export function listGroups(){ return groups.map(g=>({ ...g, steps:g.steps.map(st=>({ ...st })) })); }
+export function getGroup(id){ return listGroups().find(g=>g.id===id) || null; }
+
+/**
+ * Steps run in array order on start and in reverse on stop. Targets are container/VM
+ * names (ids change when a container is recreated).
+ */
+export function upsertGroup(g){
+  if (!g?.name) throw new Error('Group name required.');
+  if (!Array.isArray(g.steps) || !g.steps.length) throw new Error('A group needs at least one step.');
+  const steps = g.steps.map((st, i)=>{
+    if (!hosts.some(h=>h.baseUrl===st.baseUrl)) throw new Error(`Step ${i+1}: unknown host.`);
+    if (!GROUP_KINDS.includes(st.kind)) throw new Error(`Step ${i+1}: kind must be docker or vm.`);
+    if (!String(st.target||'').trim()) throw new Error(`Step ${i+1}: container or VM name required.`);
+    return {
+      baseUrl: st.baseUrl, kind: st.kind,
+      target: String(st.target).trim().replace(/^\//, ''),
+      delaySeconds: Math.min(3600, Math.max(0, num(st.delaySeconds, 0))),  // pause after this step
+      waitRunning: !!st.waitRunning,                                        // start: until running, stop: until stopped
+      waitTimeoutSeconds: Math.min(3600, Math.max(5, num(st.waitTimeoutSeconds, 120)))
+    };
+  });
+  const group = { id: g.id || newId(), name: String(g.name), steps };
+  const next = groups.slice();
+  const i = next.findIndex(x=>x.id===group.id);
+  if (i>=0) next[i] = group; else next.push(group);
+  persist(GROUPS_PATH, next); groups = next;
+  return getGroup(group.id);
+}
+export function deleteGroup(id){
+  const next = groups.filter(g=>g.id!==id);
+  persist(GROUPS_PATH, next); groups = next;
+}
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
+const HIST_DIR = path.join(DATA_DIR, 'history');
+
+/*
+ * Append-only metrics history, one JSONL file per host.
+ * A line is a sample { t, n, cpuPct, ramPct, storagePct, ... } where n is how
+ * many raw samples it averages. compactHistory() downsamples older data:
+ *   < 24h  raw      < 7d  5-minute buckets      older  1-hour buckets
+ * and drops anything past the retention window.
+ */
+
+export const METRICS = ['cpuPct', 'ramPct', 'storagePct', 'dockerRunning', 'dockerTotal', 'vmsRunning', 'vmsTotal', 'up'];
+
+const TIERS = [
+  { olderThan: 7 * 86400e3, bucket: 3600e3 },
+  { olderThan: 86400e3, bucket: 300e3 }
+];
+
+const series = new Map();   // baseUrl -> samples sorted by t
+
+const fileFor = baseUrl => path.join(HIST_DIR, crypto.createHash('sha1').update(baseUrl).digest('hex').slice(0, 16) + '.jsonl');
+
+function load(baseUrl){
+  if (series.has(baseUrl)) return series.get(baseUrl);
+  let arr = [];
+  try{
+    arr = fs.readFileSync(fileFor(baseUrl), 'utf8').split('\n')
+      .filter(Boolean).map(l=>{ try{ return JSON.parse(l); }catch{ return null; } }).filter(Boolean);
+  }catch{}
+  series.set(baseUrl, arr);
+  return arr;
+}
+
+export function initHistory(){ fs.mkdirSync(HIST_DIR, { recursive: true }); }
+
+/** Record one poll result (status = getHostStatus().data, or null when the host was down). */
+export function recordSample(baseUrl, status, t = Date.now()){
+  const s = { t, n: 1, up: status ? 1 : 0 };
+  if (status) {
+    s.cpuPct = status.metrics?.cpuPct ?? null;
+    s.ramPct = status.metrics?.ramPct ?? null;
+    s.storagePct = status.system?.array?.storagePct ?? null;
+    s.dockerRunning = status.docker?.running ?? null;
+    s.dockerTotal = status.docker?.total ?? null;
+    s.vmsRunning = status.vms?.running ?? null;
+    s.vmsTotal = status.vms?.total ?? null;
+  }
+  load(baseUrl).push(s);
+  fs.appendFile(fileFor(baseUrl), JSON.stringify(s) + '\n', ()=>{});
+}
+
+/* average every metric of a group of samples, weighted by n */
+function merge(group, t){
+  const out = { t, n: group.reduce((a, s) => a + (s.n || 1), 0) };
+  for (const m of METRICS) {
+    let sum = 0, w = 0;
+    for (const s of group) if (s[m] != null) { sum += s[m] * (s.n || 1); w += (s.n || 1); }
+    out[m] = w ? Math.round((sum / w) * 10) / 10 : null;
+  }
+  return out;
+}
+
+function bucketize(samples, bucket){
+  const groups = new Map();
+  for (const s of samples) {
+    const k = Math.floor(s.t / bucket) * bucket;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(s);
+  }
+  return [...groups.entries()].map(([k, g]) => g.length === 1 ? g[0] : merge(g, k));
+}
+
+/** Downsample and apply retention for every known host; rewrites the files. */
+export function compactHistory(baseUrls, retentionDays, now = Date.now()){
+  const cutoff = now - retentionDays * 86400e3;
+  for (const baseUrl of baseUrls) {
+    let arr = load(baseUrl).filter(s => s.t >= cutoff);
+    let rest = arr;
+    const parts = [];
+    for (const tier of TIERS) {
+      const edge = now - tier.olderThan;
+      parts.push(bucketize(rest.filter(s => s.t < edge), tier.bucket));
+      rest = rest.filter(s => s.t >= edge);
+    }
+    arr = [...parts.flat(), ...rest].sort((a, b) => a.t - b.t);
+    series.set(baseUrl, arr);
+    const file = fileFor(baseUrl), tmp = file + '.tmp';
+    try{
+      fs.writeFileSync(tmp, arr.map(s => JSON.stringify(s)).join('\n') + (arr.length ? '\n' : ''));
+      fs.renameSync(tmp, file);
+    }catch{}
+  }
+}
+
+export function dropHistory(baseUrl){
+  series.delete(baseUrl);
+  try{ fs.unlinkSync(fileFor(baseUrl)); }catch{}
+}
+
+/**
+ * Points [[t, value], ...] of one metric over the last rangeMs, averaged down
+ * to at most maxPoints so sparklines stay cheap.
+ */
+export function queryHistory(baseUrl, metric, rangeMs, maxPoints = 120, now = Date.now()){
+  if (!METRICS.includes(metric)) throw new Error(`Unknown metric: ${metric}`);
+  const from = now - rangeMs;
+  const samples = load(baseUrl).filter(s => s.t >= from);
+  const bucket = Math.max(1, Math.ceil(rangeMs / maxPoints));
+  return bucketize(samples, bucket)
+    .filter(s => s[metric] != null)
+    .map(s => [s.t, s[metric]]);
+}
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
+const LOG_DIR = path.join(DATA_DIR, 'logs');
+const CURRENT = path.join(LOG_DIR, 'app.log');
+const LEGACY = path.join(DATA_DIR, 'app.log');   // unrotated text log of older versions
+const RECENT = 5000;                               // entries kept in memory for the Logs tab
+
+/*
+ * Application log: JSON lines in /app/data/logs/app.log, written through a stream
+ * (no sync I/O per line). The file is rotated to app-YYYYMMDD-HHMMSS.log when it
+ * passes LOG_MAX_SIZE_MB or is older than LOG_ROTATE_HOURS; rotated files beyond
+ * LOG_MAX_FILES or older than LOG_MAX_AGE_DAYS are deleted.
+ * Entry: { time, level, msg, reqId?, user?, host?, action?, ...context }
+ */
+export const LOG_LIMITS = {
+  maxSizeMB: Math.max(1, Number(process.env.LOG_MAX_SIZE_MB) || 10),
+  rotateHours: Math.max(1, Number(process.env.LOG_ROTATE_HOURS) || 24),
+  maxFiles: Math.max(1, Number(process.env.LOG_MAX_FILES) || 5),
+  maxAgeDays: Math.max(1, Number(process.env.LOG_MAX_AGE_DAYS) || 14)
+};
+export const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/** Per-request context (reqId, user) picked up by every log line written while handling it. */
+export const logContext = new AsyncLocalStorage();
+
+let stream = null;
+let size = 0;
+let openedAt = Date.now();
+let seq = 0;
+let recent = [];
+
+const stamp = d => d.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+/* rotated files, newest first */
+const rotatedFiles = () => {
+  try{
+    return fs.readdirSync(LOG_DIR).filter(f=>/^app-.+\.log$/.test(f))
+      .map(f=>({ f, m: fs.statSync(path.join(LOG_DIR, f)).mtimeMs })).sort((a, b)=>b.m - a.m).map(x=>x.f);
+  }catch{ return []; }
+};
+
+/* opened synchronously so a rotation right after cannot rename the file before the stream has it */
+function open(){
+  try{ stream = fs.createWriteStream(null, { fd: fs.openSync(CURRENT, 'a') }); }
+  catch{ stream = null; return; }
+  stream.on('error', ()=>{});   // a full or read-only volume must not take the app down
+}
+
+function prune(){
+  const now = Date.now();
+  rotatedFiles().forEach((f, i)=>{
+    const file = path.join(LOG_DIR, f);
+    try{
+      if (i >= LOG_LIMITS.maxFiles || now - fs.statSync(file).mtimeMs > LOG_LIMITS.maxAgeDays * 86400e3) fs.unlinkSync(file);
+    }catch{}
+  });
+}
+
+/* the open stream keeps writing to the renamed file until it ends, so nothing is lost */
+function rotate(){
+  const old = stream;
+  let name = `app-${stamp(new Date())}`;
+  for (let i = 1; fs.existsSync(path.join(LOG_DIR, `${name}.log`)); i++) name = `app-${stamp(new Date())}-${i}`;
+  try{ fs.renameSync(CURRENT, path.join(LOG_DIR, `${name}.log`)); }catch{}
+  open(); old?.end();
+  size = 0; openedAt = Date.now();
+  prune();
+}
+
+export function initLogs(){
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+  try{ fs.renameSync(LEGACY, path.join(LOG_DIR, 'app-legacy.log')); }catch{}
+  try{
+    const st = fs.statSync(CURRENT);
+    size = st.size;
+    // reload the tail of the current file so the Logs tab has history after a restart
+    const fd = fs.openSync(CURRENT, 'r');
+    const len = Math.min(st.size, 1024 * 1024);
+    const buf = Buffer.alloc(len);
+    fs.readSync(fd, buf, 0, len, st.size - len);
+    fs.closeSync(fd);
+    recent = buf.toString('utf8').split('\n').slice(len < st.size ? 1 : 0).filter(Boolean)
+      .map(l=>{ try{ return JSON.parse(l); }catch{ return null; } }).filter(Boolean).slice(-RECENT)
+      .map(e=>({ ...e, seq: ++seq }));
+    openedAt = recent[0] ? Date.parse(recent[0].time) || st.mtimeMs : st.mtimeMs;
+  }catch{}
+  open();
+  if (size > LOG_LIMITS.maxSizeMB * 1024 * 1024 || Date.now() - openedAt > LOG_LIMITS.rotateHours * 3600e3) rotate();
+  else prune();
+}
+
+export function writeLog(entry){
+  recent.push({ ...entry, seq: ++seq });
+  if (recent.length > RECENT * 1.2) recent = recent.slice(-RECENT);
+  if (!stream) return;
+  const line = JSON.stringify(entry) + '\n';
+  stream.write(line);
+  size += Buffer.byteLength(line);
+  if (size > LOG_LIMITS.maxSizeMB * 1024 * 1024 || Date.now() - openedAt > LOG_LIMITS.rotateHours * 3600e3) rotate();
+}
+
+/**
+ * Newest `limit` entries after `after` (a seq from an earlier call), filtered by
+ * level (that level and more severe), host and text. Returns the latest seq for tailing.
+ */
+export function recentLogs({ level, host, q, after = 0, limit = 500 } = {}){
+  const max = LEVELS[level] ?? 3;
+  const text = q ? String(q).toLowerCase() : null;
+  const out = [];
+  for (let i = recent.length - 1; i >= 0 && out.length < limit; i--) {
+    const e = recent[i];
+    if (e.seq <= after) break;
+    if ((LEVELS[e.level] ?? 2) > max || (host && e.host !== host)) continue;
+    if (text && !JSON.stringify(e).toLowerCase().includes(text)) continue;
+    out.push(e);
+  }
+  return { entries: out.reverse(), seq };
+}
+
+export function listLogFiles(){
+  return ['app.log', ...rotatedFiles()].map(name=>{
+    try{ const st = fs.statSync(path.join(LOG_DIR, name)); return { name, size: st.size, modified: st.mtimeMs, current: name === 'app.log' }; }
+    catch{ return null; }
+  }).filter(Boolean);
+}
+
+/** Path of a log file by name (only files listed by listLogFiles). */
+export function logFilePath(name){
+  return listLogFiles().some(f=>f.name === name) ? path.join(LOG_DIR, name) : null;
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { writeJsonAtomic } from './atomicFile.js';
+
+/*
+ * Schema version of the config files in /app/data (recorded in version.json) and of
+ * exported bundles. Migrations run in order on a state object
+ * { hosts, app, alerts, groups, schedules } — the same code upgrades the data
+ * directory on startup and an older bundle on import.
+ * To change a file layout: bump SCHEMA_VERSION and append { version, describe, up(state) }.
+ */
+export const SCHEMA_VERSION = 3;
+
+const FILES = { hosts:'hosts.json', app:'app.json', alerts:'alerts.json', groups:'groups.json', schedules:'schedules.json' };
+const VERSION_FILE = 'version.json';
+
+const list = v => Array.isArray(v) ? v : [];
+const obj = v => v && typeof v === 'object' && !Array.isArray(v) ? v : {};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    describe: 'first versioned layout: drop malformed hosts, default alert/group/schedule shapes',
+    up(s){
+      s.hosts = list(s.hosts).filter(h=>h && typeof h.baseUrl === 'string' && h.baseUrl)
+        .map(h=>({ ...h, name: String(h.name || h.baseUrl) }));
+      s.app = obj(s.app);
+      const a = obj(s.alerts);
+      s.alerts = { ...a, rules: list(a.rules), channels: list(a.channels) };
+      s.groups = list(s.groups).filter(g=>g && g.id && Array.isArray(g.steps));
+      s.schedules = list(s.schedules).filter(j=>j && j.id && j.cron && j.action);
+    }
+  },
+  {
+    version: 2,
+    describe: 'MAC addresses as AA:BB:CC:DD:EE:FF',
+    up(s){
+      // unrecognisable values are left for the host form to flag
+      s.hosts = list(s.hosts).map(h=>{
+        const hex = String(h.mac || '').trim().replace(/[:.-]/g, '');
+        return /^[0-9a-f]{12}$/i.test(hex) ? { ...h, mac: hex.toUpperCase().match(/../g).join(':') } : h;
+      });
+    }
+  },
+  {
+    version: 3,
+    describe: 'stable host ids (for /api/v1)',
+    up(s){
+      const seen = new Set();
+      s.hosts = list(s.hosts).map(h=>{
+        const id = typeof h.id === 'string' && /^[\w-]{1,40}$/.test(h.id) && !seen.has(h.id) ? h.id : crypto.randomBytes(6).toString('hex');
+        seen.add(id);
+        return { ...h, id };
+      });
+    }
+  }
+];
+
+/** Run the migrations after `from` on `state` (mutated). Returns the applied descriptions. */
+export function migrate(state, from){
+  if (from > SCHEMA_VERSION) throw new Error(`Schema version ${from} is newer than this build supports (${SCHEMA_VERSION}).`);
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    m.up(state);
+    applied.push(`v${m.version}: ${m.describe}`);
+  }
+  return applied;
+}
+
+/**
+ * Upgrade the files in `dir` to SCHEMA_VERSION before the stores load them.
+ * Returns { from, to, applied, newer }; data written by a newer build is left untouched.
+ */
+export function migrateDataDir(dir){
+  let from = 0;
+  try{ from = Number(JSON.parse(fs.readFileSync(path.join(dir, VERSION_FILE), 'utf8')).schemaVersion) || 0; }catch{}
+  if (from > SCHEMA_VERSION) return { from, to: from, applied: [], newer: true };
+  if (from === SCHEMA_VERSION) return { from, to: from, applied: [], newer: false };
+
+  const state = {}, present = {};
+  for (const [k, f] of Object.entries(FILES)) {
+    try{ state[k] = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')); present[k] = true; }catch{}
+  }
+  const applied = migrate(state, from);
+  // only files that exist are rewritten; a fresh install just gets version.json
+  for (const [k, f] of Object.entries(FILES)) if (present[k]) writeJsonAtomic(path.join(dir, f), state[k]);
+  writeJsonAtomic(path.join(dir, VERSION_FILE), { schemaVersion: SCHEMA_VERSION, migratedAt: new Date().toISOString() });
+  return { from, to: SCHEMA_VERSION, applied, newer: false };
+}
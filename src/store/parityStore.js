@@ -0,0 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
+const PARITY_PATH = path.join(DATA_DIR, 'parity.json');
+const KEEP = 50;   // results kept per host
+
+/*
+ * Parity-check results observed by the poller, for hosts whose API has no
+ * parityHistory query. { baseUrl: [{ date, durationSeconds, status, errors, correcting }] }
+ */
+let history = {};
+
+export function initParity(){
+  try{ history = JSON.parse(fs.readFileSync(PARITY_PATH,'utf8')) || {}; }catch{ history = {}; }
+}
+function persist(){ try{ fs.writeFileSync(PARITY_PATH, JSON.stringify(history,null,2)); }catch{} }
+
+export function recordParityResult(baseUrl, result){
+  const list = history[baseUrl] || [];
+  list.unshift(result);
+  history[baseUrl] = list.slice(0, KEEP);
+  persist();
+}
+
+export function listParityResults(baseUrl){ return (history[baseUrl] || []).slice(); }
+
+export function dropParityResults(baseUrl){
+  if (!history[baseUrl]) return;
+  delete history[baseUrl]; persist();
+}
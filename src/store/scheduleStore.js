@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
+const SCHEDULES_PATH = path.join(DATA_DIR, 'schedules.json');
+const HISTORY_KEEP = 20;   // runs kept per job
+
+/*
+ * Scheduled jobs (see monitor/scheduler.js):
+ * [{ id, name, enabled, cron, action:{ type, baseUrl, target, op, groupId }, catchUpMinutes,
+ *    nextRunAt, lastRunAt, history:[{ at, scheduledFor, trigger, ok, message }] }]
+ * nextRunAt is persisted so runs missed while the app was down can be detected on start.
+ */
+let schedules = [];
+
+export function initSchedules(){
+  try{ schedules = JSON.parse(fs.readFileSync(SCHEDULES_PATH,'utf8')) || []; }catch{ schedules = []; }
+}
+/* throws on a failed write; saves and deletes leave memory untouched then, run bookkeeping is best effort */
+function persist(next = schedules){ writeJsonAtomic(SCHEDULES_PATH, next); schedules = next; }
+function persistQuietly(){ try{ persist(); }catch{} }
+
+const copy = j => ({ ...j, action:{ ...j.action }, history:j.history.map(h=>({ ...h })) });
+
+export function listSchedules(){ return schedules.map(copy); }
+export function getSchedule(id){ const j = schedules.find(x=>x.id===id); return j ? copy(j) : null; }
+
+export function saveSchedule(job){
+  const i = schedules.findIndex(x=>x.id===job.id);
+  const prev = i >= 0 ? schedules[i] : null;
+  const next = { history:[], lastRunAt:null, ...prev, ...job };
+  persist(i >= 0 ? schedules.map((j, k)=>k===i ? next : j) : [...schedules, next]);
+  return copy(next);
+}
+
+export function deleteSchedule(id){
+  persist(schedules.filter(x=>x.id!==id));
+}
+
+/** Append a run result and move the job's next run time. */
+export function recordRun(id, entry, nextRunAt){
+  const j = schedules.find(x=>x.id===id);
+  if (!j) return;
+  j.history = [entry, ...(j.history || [])].slice(0, HISTORY_KEEP);
+  if (entry.trigger !== 'missed') j.lastRunAt = entry.at;
+  if (nextRunAt !== undefined) j.nextRunAt = nextRunAt;
+  persistQuietly();
+}
+
+export function setNextRun(id, nextRunAt){
+  const j = schedules.find(x=>x.id===id);
+  if (j) { j.nextRunAt = nextRunAt; persistQuietly(); }
+}
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/*
+ * AES-256-GCM sealing for Unraid API tokens at rest.
+ * Key source, in order: TOKENS_KEY (env), TOKENS_KEY_FILE (path), /app/keys/tokens.key (generated
+ * when that directory is mounted). Key material is either 64 hex chars or a passphrase (stretched with scrypt).
+ * A key file inside the data directory would be backed up with the tokens, so it is refused unless
+ * TOKENS_KEY_IN_DATA_DIR is set.
+ */
+
+const ALG = 'aes-256-gcm';
+const KDF_SALT = 'unraid-dashboard/tokens/v1';
+const DEFAULT_KEY_FILE = '/app/keys/tokens.key';
+
+export function deriveKey(material){
+  const s = String(material || '').trim();
+  if (!s) throw new Error('Empty token encryption key.');
+  if (/^[0-9a-f]{64}$/i.test(s)) return Buffer.from(s, 'hex');
+  return crypto.scryptSync(s, KDF_SALT, 32);
+}
+
+export function generateKeyMaterial(){ return crypto.randomBytes(32).toString('hex'); }
+
+/** Short fingerprint stored next to the ciphertexts so a wrong key is detected up front. */
+export function keyId(key){ return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12); }
+
+/** True when `file` resolves to a path inside `dir`. */
+export function isInside(dir, file){
+  const rel = path.relative(path.resolve(dir), path.resolve(file));
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Resolve the key and where it came from: { key, source:'env'|'file', file? }.
+ * Creates the default key file (0600) when its directory exists and nothing is configured;
+ * throws when there is no key, or when the key file lies inside dataDir without the opt-in.
+ */
+export function loadKey(dataDir){
+  if (process.env.TOKENS_KEY) return { key: deriveKey(process.env.TOKENS_KEY), source:'env' };
+  const file = process.env.TOKENS_KEY_FILE || DEFAULT_KEY_FILE;
+  if (isInside(dataDir, file) && !/^(1|true|yes)$/i.test(process.env.TOKENS_KEY_IN_DATA_DIR || '')) {
+    throw new Error(`The token key file ${file} is inside the data directory, so backups would hold it next to the tokens; `
+      + 'move it elsewhere and point TOKENS_KEY_FILE at it, or set TOKENS_KEY_IN_DATA_DIR=true to accept that.');
+  }
+  if (!fs.existsSync(file)) {
+    if (process.env.TOKENS_KEY_FILE) throw new Error(`TOKENS_KEY_FILE not found: ${file}`);
+    if (fs.existsSync(path.join(dataDir, 'tokens.key'))) {
+      throw new Error(`Found ${path.join(dataDir, 'tokens.key')} from an older version; move it to ${file} (mount ${path.dirname(file)} `
+        + 'outside the data volume) or set TOKENS_KEY_FILE to it with TOKENS_KEY_IN_DATA_DIR=true.');
+    }
+    if (!fs.existsSync(path.dirname(file))) {
+      throw new Error(`No token encryption key: set TOKENS_KEY or TOKENS_KEY_FILE, or mount a directory outside the data volume at ${path.dirname(file)}.`);
+    }
+    fs.writeFileSync(file, generateKeyMaterial() + '\n', { mode:0o600 });
+  }
+  return { key: deriveKey(fs.readFileSync(file, 'utf8')), source:'file', file };
+}
+
+export function seal(key, plaintext){
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv(ALG, key, iv);
+  const ct = Buffer.concat([c.update(String(plaintext), 'utf8'), c.final()]);
+  return [iv, c.getAuthTag(), ct].map(b=>b.toString('base64url')).join('.');
+}
+
+export function open(key, sealed){
+  const [iv, tag, ct] = String(sealed || '').split('.').map(p=>Buffer.from(p, 'base64url'));
+  if (!iv || !tag || !ct) throw new Error('Malformed sealed token.');
+  const d = crypto.createDecipheriv(ALG, key, iv);
+  d.setAuthTag(tag);
+  return Buffer.concat([d.update(ct), d.final()]).toString('utf8');
+}
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { writeJsonAtomic } from './atomicFile.js';
+
+const DATA_DIR = process.env.DATA_DIR || '/app/data';
+const USERS_PATH = path.join(DATA_DIR, 'users.json');
+
+export const ROLES = ['viewer', 'operator', 'admin'];   // ordered: each role includes the ones before it
+
+let users = [];   // [{ username, role, hash, created }]
+
+export function initUsers(){
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  try{ users = JSON.parse(fs.readFileSync(USERS_PATH,'utf8')); }catch{ users=[]; }
+  if (!Array.isArray(users)) users = [];
+}
+/* atomic; throws so the caller sees a failed save (the in-memory list is only replaced after it) */
+function persist(next){ writeJsonAtomic(USERS_PATH, next, { mode:0o600 }); users = next; }
+
+/* ----------------------------- passwords ----------------------------- */
+
+function hashPassword(password){
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+function checkPassword(password, stored){
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/* ------------------------------ accounts ------------------------------ */
+
+const publicUser = u => u && ({ username:u.username, role:u.role, created:u.created });
+
+export function hasUsers(){ return users.length > 0; }
+export function listUsers(){ return users.map(publicUser); }
+export function getUser(username){ return publicUser(users.find(u=>u.username===username)); }
+
+export function roleAtLeast(role, min){ return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(min); }
+
+/** Returns the public user record when the credentials match, otherwise null. */
+export function verifyUser(username, password){
+  const u = users.find(x=>x.username===String(username||''));
+  if (!u || !checkPassword(password, u.hash)) return null;
+  return publicUser(u);
+}
+
+/** Create or update an account. Password is optional on update. */
+export function upsertUser({ username, password, role }){
+  username = String(username || '').trim();
+  if (!/^[A-Za-z0-9._@-]{1,64}$/.test(username)) throw new Error('Invalid username.');
+  const i = users.findIndex(u=>u.username===username);
+  if (role != null && !ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+  if (password != null && String(password).length < 8) throw new Error('Password must be at least 8 characters.');
+  if (i < 0 && !password) throw new Error('Password required for new users.');
+  if (i >= 0 && role && role !== 'admin' && users[i].role === 'admin' && adminCount() === 1) {
+    throw new Error('Cannot demote the last admin.');
+  }
+
+  const prev = i >= 0 ? users[i] : { username, role:'viewer', created:new Date().toISOString() };
+  const next = { ...prev, role: role || prev.role };
+  if (password) next.hash = hashPassword(password);
+  persist(i >= 0 ? users.map((u, j)=>j===i ? next : u) : [...users, next]);
+  return publicUser(next);
+}
+
+export function deleteUser(username){
+  const u = users.find(x=>x.username===username);
+  if (!u) throw new Error('Unknown user.');
+  if (u.role === 'admin' && adminCount() === 1) throw new Error('Cannot delete the last admin.');
+  persist(users.filter(x=>x.username!==username));
+}
+
+function adminCount(){ return users.filter(u=>u.role==='admin').length; }
+
+/**
+ * First start: create an admin from BASIC_AUTH_USER/BASIC_AUTH_PASS when no
+ * accounts exist yet. Returns the created username, or null.
+ */
+export function bootstrapAdmin(user, pass){
+  if (hasUsers() || !user || !pass) return null;
+  persist([...users, { username:String(user), role:'admin', hash:hashPassword(pass), created:new Date().toISOString() }]);
+  return String(user);
+}
+
+/** Raw records (password hashes included) — only for passphrase-protected config exports. */
+export function exportUsers(){ return users.map(u=>({ ...u })); }
+
+/** Add an exported account as-is; existing usernames are never overwritten. Returns false when skipped. */
+export function restoreUser(u){
+  if (!/^[A-Za-z0-9._@-]{1,64}$/.test(String(u?.username || '')) || !ROLES.includes(u.role) || !/^scrypt\$/.test(u.hash || '')) {
+    throw new Error(`Invalid user record: ${u?.username || '?'}`);
+  }
+  if (users.some(x=>x.username===u.username)) return false;
+  persist([...users, { username:u.username, role:u.role, hash:u.hash, created:u.created || new Date().toISOString() }]);
+  return true;
+}
@@ -0,0 +1,20 @@
+/*
+ * Re-encrypt stored Unraid API tokens under a new key.
+ * Run while the dashboard is stopped (it keeps tokens in memory and would write the old ones back).
+ *
+ *   key file (default):   node src/tools/rotateTokenKey.js
+ *   TOKENS_KEY from env:  TOKENS_KEY=<old> NEW_TOKENS_KEY=<new> node src/tools/rotateTokenKey.js
+ *                         …then set TOKENS_KEY=<new> for the container.
+ */
+import { initStore, rotateTokenKey, tokenKeyStatus } from '../store/configStore.js';
+
+try {
+  initStore();
+  const before = tokenKeyStatus();
+  const after = rotateTokenKey(process.env.NEW_TOKENS_KEY);
+  console.log(`Rotated ${after.count} token(s): key ${before.keyId} -> ${after.keyId} (${after.source}${after.file ? ` ${after.file}` : ''})`);
+  if (after.source === 'env') console.log('Now update TOKENS_KEY to the value of NEW_TOKENS_KEY before starting the dashboard.');
+} catch (e) {
+  console.error(`Key rotation failed: ${e.message}`);
+  process.exit(1);
+}
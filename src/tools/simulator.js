@@ -0,0 +1,26 @@
+/*
+ * Run simulated Unraid hosts outside the dashboard, e.g. to point a dev instance at them.
+ *
+ *   all dialects:   node src/tools/simulator.js
+ *   some:           node src/tools/simulator.js legacy size
+ *   ports/token:    SIM_PORT=18500 SIM_BIND=0.0.0.0 SIM_TOKEN=secret node src/tools/simulator.js
+ *
+ * Ports are SIM_PORT, SIM_PORT+1, … in argument order; without SIM_TOKEN each host gets a random one.
+ */
+import { startSimulator, DIALECTS } from '../sim/unraidSim.js';
+
+const dialects = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(DIALECTS);
+const portBase = Number(process.env.SIM_PORT ?? 18500);
+
+try {
+  for (const [i, dialect] of dialects.entries()) {
+    const sim = await startSimulator({
+      dialect, name: `sim-${dialect}`, port: portBase ? portBase + i : 0,
+      bind: process.env.SIM_BIND || '127.0.0.1', token: process.env.SIM_TOKEN || undefined, vmStopMs: 4000
+    });
+    console.log(`${dialect.padEnd(8)} ${sim.baseUrl}  token ${sim.token}  — ${DIALECTS[dialect].describe}`);
+  }
+} catch (e) {
+  console.error(`Simulator failed: ${e.message}`);
+  process.exit(1);
+}
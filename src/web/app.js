@@ -1,123 +0,0 @@
-function getCookie(name){
-  return document.cookie.split('; ').find(r=>r.startsWith(name+'='))?.split('=')[1] || '';
-}
-async function getJSON(url, opts = {}) {
-  const csrf = getCookie('ucp_csrf');
-  opts.headers = Object.assign({}, opts.headers||{}, { 'X-CSRF-Token': csrf });
-  const res = await fetch(url, opts);
-  const text = await res.text();
-  let json; try { json = text ? JSON.parse(text) : {}; } catch { json = { raw:text }; }
-  if (!res.ok) {
-    const msg = json.message || json.error || `HTTP ${res.status}`;
-    console.error('API error', { url, status: res.status, body: json });
-    throw new Error(msg);
-  }
-  return json;
-}
-
-async function refreshAll() {
-  const servers = await getJSON('/api/servers');
-  const g = document.getElementById('grid');
-  g.innerHTML = '';
-  for (const s of servers) g.append(renderServer(s));
-}
-
-function renderServer(s) {
-  const el = document.createElement('div');
-  el.className = 'card';
-  el.innerHTML = `
-    <div class="title">${s.name}</div>
-    <div class="muted mono">${s.baseUrl}</div>
-    <div class="section row">
-      <span class="pill">OS: ${s.status?.system?.osVersion ?? 'n/a'}</span>
-      <span class="pill">Uptime: ${s.status?.system?.uptime ?? 'n/a'}</span>
-      <span class="pill">Array: ${s.status?.system?.array?.status ?? 'n/a'}</span>
-      <span class="pill">Docker: ${s.status?.docker?.running ?? '0'}/${s.status?.docker?.total ?? '0'}</span>
-      <span class="pill">VMs: ${s.status?.vms?.running ?? '0'}/${s.status?.vms?.total ?? '0'}</span>
-    </div>
-    <div class="row" style="margin-top:8px">
-      <button onclick="act('${s.baseUrl}','power','wake')">WOL</button>
-      <button onclick="loadDetails('${s.baseUrl}','docker')">Load Containers</button>
-      <button onclick="loadDetails('${s.baseUrl}','vms')">Load VMs</button>
-    </div>
-    <div class="section"><div id="list-${btoa(s.baseUrl)}" class="list"></div></div>
-  `;
-  return el;
-}
-
-async function act(baseUrl, kind, what) {
-  const res = await getJSON(`/api/host?action=${kind}&base=${encodeURIComponent(baseUrl)}`, {
-    method: 'POST',
-    headers: { 'Content-Type':'application/json' },
-    body: JSON.stringify({ action: what })
-  });
-  alert(`${kind} ${what}: ${res.ok ? 'OK' : 'Failed'}`);
-}
-
-async function loadDetails(baseUrl, type) {
-  const list = document.getElementById(`list-${btoa(baseUrl)}`);
-  list.textContent = 'Loading…';
-  if (type === 'docker') {
-    const data = await getJSON(`/api/host/docker?base=${encodeURIComponent(baseUrl)}`);
-    list.innerHTML = '';
-    for (const c of data) {
-      const row = document.createElement('div');
-      row.className = 'item';
-      row.innerHTML = `
-        <div><b>${c.name}</b><div class="muted mono">${c.image}</div></div>
-        <div class="row">
-          <span class="pill">${c.state}</span>
-          <button onclick="containerAction('${baseUrl}','${c.id}','start')">Start</button>
-          <button onclick="containerAction('${baseUrl}','${c.id}','stop')">Stop</button>
-          <button onclick="containerAction('${baseUrl}','${c.id}','restart')">Restart</button>
-        </div>`;
-      list.append(row);
-    }
-  } else {
-    const data = await getJSON(`/api/host/vms?base=${encodeURIComponent(baseUrl)}`);
-    list.innerHTML = '';
-    if (!data.length) { list.textContent = 'No VMs or VM API not available on this host.'; return; }
-    for (const v of data) {
-      const row = document.createElement('div');
-      row.className = 'item';
-      row.innerHTML = `
-        <div><b>${v.name}</b><div class="muted mono">${v.id}</div></div>
-        <div class="row">
-          <span class="pill">${v.state}</span>
-          <button onclick="vmAction('${baseUrl}','${v.id}','start')">Start</button>
-          <button onclick="vmAction('${baseUrl}','${v.id}','stop')">Stop</button>
-          <button onclick="vmAction('${baseUrl}','${v.id}','reboot')">Reboot</button>
-          <button onclick="vmAction('${baseUrl}','${v.id}','reset')">Reset</button>
-        </div>`;
-      list.append(row);
-    }
-  }
-}
-
-async function containerAction(baseUrl, id, action) {
-  try {
-    const res = await getJSON(`/api/host/docker/action?base=${encodeURIComponent(baseUrl)}`, {
-      method: 'POST',
-      headers: { 'Content-Type':'application/json' },
-      body: JSON.stringify({ id, action })
-    });
-    alert(`Container ${action}: ${res.ok ? 'OK' : 'Failed'}`);
-  } catch (e) {
-    alert(`Container ${action}: ${e.message}`);
-  }
-}
-
-async function vmAction(baseUrl, id, action) {
-  try {
-    const res = await getJSON(`/api/host/vm/action?base=${encodeURIComponent(baseUrl)}`, {
-      method: 'POST',
-      headers: { 'Content-Type':'application/json' },
-      body: JSON.stringify({ id, action })
-    });
-    alert(`VM ${action}: ${res.ok ? 'OK' : 'Failed'}`);
-  } catch (e) {
-    alert(`VM ${action}: ${e.message}`);
-  }
-}
-
-refreshAll().catch(console.error);
@@ -0,0 +1,79 @@
+import { q, qa, toast, buildShell, api, escapeHtml } from './common.js';
+
+/* ===== audit.js: who did what, when, from where ===== */
+
+const PAGE = 200;
+let shown = 0;
+let hostNames = {};   // baseUrl -> name
+
+const OUTCOME_PILL = { ok:'ok', failed:'bad', denied:'warn' };
+
+function filters(){
+  const p = new URLSearchParams();
+  const set = (k, v) => { if (v) p.set(k, v); };
+  set('q', q('#f-q').value.trim());
+  set('from', q('#f-from').value && new Date(q('#f-from').value).toISOString());
+  set('to', q('#f-to').value && new Date(q('#f-to').value).toISOString());
+  set('actor', q('#f-actor').value);
+  set('host', q('#f-host').value);
+  set('action', q('#f-action').value);
+  set('outcome', q('#f-outcome').value);
+  return p;
+}
+
+function rowHTML(e){
+  const params = e.params && Object.keys(e.params).length ? JSON.stringify(e.params) : '';
+  return `<tr>
+    <td data-label="Time">${new Date(e.t).toLocaleString()}</td>
+    <td data-label="User">${escapeHtml(e.actor || '—')}</td>
+    <td data-label="IP">${escapeHtml(e.ip || '—')}</td>
+    <td data-label="Host">${e.host ? escapeHtml(hostNames[e.host] || e.host) : '—'}</td>
+    <td data-label="Target">${escapeHtml(e.target ?? '—')}</td>
+    <td data-label="Action"><code>${escapeHtml(e.action)}</code></td>
+    <td data-label="Outcome"><span class="pill ${OUTCOME_PILL[e.outcome] || ''}">${e.outcome}</span>${e.status ? ` <span class="muted">${e.status}</span>` : ''}</td>
+    <td data-label="Details" class="details">${e.error ? `<div>${escapeHtml(e.error)}</div>` : ''}${params ? `<div class="muted">${escapeHtml(params)}</div>` : ''}</td>
+  </tr>`;
+}
+
+/* keep the current choice when the option list is rebuilt */
+function fillSelect(sel, values, label = v => v){
+  const cur = q(sel).value;
+  q(sel).innerHTML = `<option value="">All</option>${values.map(v=>`<option value="${escapeHtml(v)}">${escapeHtml(label(v))}</option>`).join('')}`;
+  q(sel).value = values.includes(cur) ? cur : '';
+}
+
+async function load(append = false){
+  const p = filters();
+  q('#csv').href = `/api/audit?${p}${p.toString() ? '&' : ''}format=csv`;
+  p.set('offset', append ? shown : 0);
+  p.set('limit', PAGE);
+  try{
+    const j = await api(`/api/audit?${p}`).then(r=>r.json());
+    if (!j.ok) throw new Error(j.message);
+    const html = j.entries.map(rowHTML).join('');
+    if (append) q('#audit-body').insertAdjacentHTML('beforeend', html);
+    else q('#audit-body').innerHTML = html || '<tr><td colspan="8" class="muted">No matching entries.</td></tr>';
+    shown = (append ? shown : 0) + j.entries.length;
+    q('#count').textContent = `${shown} of ${j.total} entries`;
+    q('#more').hidden = shown >= j.total;
+    fillSelect('#f-actor', j.facets.actors);
+    fillSelect('#f-host', j.facets.hosts, b=>hostNames[b] || b);
+    fillSelect('#f-action', j.facets.actions);
+  }catch(e){ toast(`Failed to load audit trail: ${e.message}`,'bad'); }
+}
+
+let timer = null;
+const reload = () => { clearTimeout(timer); timer = setTimeout(()=>load(), 250); };
+
+window.addEventListener('DOMContentLoaded', async ()=>{
+  await buildShell('audit');
+  try{
+    const s = await api('/api/servers').then(r=>r.json());
+    if (Array.isArray(s)) hostNames = Object.fromEntries(s.map(h=>[h.baseUrl, h.name]));
+  }catch{}
+  qa('#filters input, #filters select').forEach(el=>el.addEventListener(el.type === 'search' ? 'input' : 'change', reload));
+  q('#filters').addEventListener('submit', e=>{ e.preventDefault(); load(); });
+  q('#filters').addEventListener('reset', ()=>setTimeout(()=>load()));
+  q('#more').onclick = ()=>load(true);
+  await load();
+});
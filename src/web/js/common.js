@@ -5,6 +5,42 @@ export const qa = (s, r=document) => Array.from(r.querySelectorAll(s));
 export const val = s => q(s)?.value ?? '';
 export const setVal = (s,v) => { const el=q(s); if(el) el.value=v; };
 
+export const escapeHtml = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
+/* links that come from hosts or container labels: the absolute http(s) URL, else null (never javascript: and co.) */
+export function safeUrl(url, base){
+  try{ const u = new URL(url, base); return /^https?:$/.test(u.protocol) ? u.href : null; }catch{ return null; }
+}
+
+/* fetch() that sends the CSRF token from the ucp_csrf cookie; retries once when the token was rotated */
+export function csrfToken(){
+  return document.cookie.split('; ').find(r=>r.startsWith('ucp_csrf='))?.split('=')[1] || '';
+}
+export async function api(url, opts={}, retried=false){
+  const headers = Object.assign({}, opts.headers||{}, { 'X-CSRF-Token': csrfToken() });
+  const r = await fetch(url, { ...opts, headers });
+  if (r.status === 403 && !retried) {
+    const j = await r.clone().json().catch(()=>null);
+    if (j?.error === 'csrf') return api(url, opts, true);   // response carried a fresh cookie
+  }
+  return r;
+}
+
+export function fmtBytes(b){
+  if (b == null) return '—';
+  const u = ['B','KB','MB','GB','TB','PB']; let i = 0; let v = Number(b);
+  while (v >= 1000 && i < u.length-1) { v /= 1000; i++; }
+  return `${v >= 100 || i === 0 ? Math.round(v) : v.toFixed(1)} ${u[i]}`;
+}
+
+function pct(v){ if (v == null || isNaN(v)) return 0; return Math.max(0, Math.min(100, Math.round(Number(v)))); }
+export function meterHTML(label, value){
+  const p = pct(value);
+  return `<div class="meter" aria-label="${label}" aria-valuenow="${p}" aria-valuemin="0" aria-valuemax="100">
+            <div class="fill" style="width:${p}%"></div>
+            <span class="val">${p}%</span>
+          </div>`;
+}
+
 let toastTimer=null;
 export function toast(msg, kind='ok'){
   let t = q('#toast'); if(!t){ t=document.createElement('div'); t.id='toast'; t.className='toast'; document.body.appendChild(t); }
@@ -14,15 +50,64 @@ export function toast(msg, kind='ok'){
   clearTimeout(toastTimer); toastTimer = setTimeout(()=>t.classList.remove('show'), 2500);
 }
 
+/* Modal for destructive actions: the user has to re-type `expect` (the host name).
+   Resolves to the typed text, or null when cancelled. */
+export function confirmTyped({ title, message, expect, okLabel='Confirm' }){
+  return new Promise(resolve=>{
+    const wrap = document.createElement('div');
+    wrap.className = 'modal-backdrop';
+    wrap.innerHTML = `
+      <div class="modal card stack" role="dialog" aria-modal="true">
+        <div class="h2">${escapeHtml(title)}</div>
+        <div>${escapeHtml(message)}</div>
+        <label>Type <b>${escapeHtml(expect)}</b> to confirm<input autocomplete="off" spellcheck="false"/></label>
+        <div class="actions">
+          <button class="btn danger" data-x="ok" disabled>${escapeHtml(okLabel)}</button>
+          <button class="btn" data-x="cancel">Cancel</button>
+        </div>
+      </div>`;
+    document.body.append(wrap);
+    const input = q('input', wrap), ok = q('[data-x="ok"]', wrap);
+    const close = v => { wrap.remove(); resolve(v); };
+    input.oninput = ()=>{ ok.disabled = input.value.trim() !== expect; };
+    input.onkeydown = e=>{ if (e.key==='Enter' && !ok.disabled) close(input.value.trim()); if (e.key==='Escape') close(null); };
+    ok.onclick = ()=>close(input.value.trim());
+    q('[data-x="cancel"]', wrap).onclick = ()=>close(null);
+    wrap.onclick = e=>{ if (e.target===wrap) close(null); };
+    input.focus();
+  });
+}
+
+/* Signed-in user ({ username, role }) and UI hints; filled by buildShell */
+export const session = { user:null, ui:{} };
+const ROLE_RANK = { viewer:0, operator:1, admin:2 };
+export const can = role => (ROLE_RANK[session.user?.role] ?? -1) >= ROLE_RANK[role];
+
+async function loadSession(){
+  const r = await fetch('/api/auth/me');
+  if (r.status === 401) { location.href = `/login?next=${encodeURIComponent(location.pathname)}`; return false; }
+  const j = await r.json();
+  session.user = j.user; session.ui = j.ui || {};
+  return true;
+}
+
+export async function logout(){
+  try{ await api('/api/auth/logout', { method:'POST' }); }catch{}
+  location.href = '/login';
+}
+
 /* Build sticky header + drawer + footer (no top links) */
 export async function buildShell(active){
+  if (!await loadSession()) return new Promise(()=>{});   // redirecting to /login
+
   // Header (hamburger + title)
   const h = document.createElement('div');
   h.className = 'header';
   h.innerHTML = `
     <div class="hamburger" id="hamb"><span></span></div>
     <div class="title">Unraid Control</div>
-    <div class="spacer"></div>`;
+    <div class="spacer"></div>
+    <div class="user">${escapeHtml(session.user.username)} <span class="pill">${session.user.role}</span></div>`;
   document.body.prepend(h);
 
   // Drawer
@@ -33,12 +118,20 @@ export async function buildShell(active){
     <div class="brand">Unraid Control</div>
     <div class="section">Pages</div>
     <a href="/" ${active==='dash'?'class="active"':''}>Dashboard</a>
-    <a href="/settings" ${active==='settings'?'class="active"':''}>Settings</a>`;
+    <a href="/notifications" ${active==='notifications'?'class="active"':''}>Notifications</a>
+    <a href="/shares" ${active==='shares'?'class="active"':''}>Shares</a>
+    ${can('operator') ? `<a href="/groups" ${active==='groups'?'class="active"':''}>Groups</a>` : ''}
+    ${can('operator') ? `<a href="/schedules" ${active==='schedules'?'class="active"':''}>Schedules</a>` : ''}
+    ${can('admin') ? `<a href="/settings" ${active==='settings'?'class="active"':''}>Settings</a>` : ''}
+    ${can('admin') ? `<a href="/audit" ${active==='audit'?'class="active"':''}>Audit</a>` : ''}
+    <div class="section">Account</div>
+    <a href="#" id="logout">Sign out</a>`;
   document.body.append(backdrop, drawer);
 
   const toggle = (open)=>{ drawer.classList.toggle('open', open); backdrop.classList.toggle('open', open); };
   q('#hamb').onclick = ()=>toggle(true);
   backdrop.onclick = ()=>toggle(false);
+  q('#logout').onclick = (e)=>{ e.preventDefault(); logout(); };
 
   // Footer with version
   try {
@@ -1,54 +1,476 @@
-import { q, toast, buildShell } from './common.js';
+import { q, toast, buildShell, session, api, escapeHtml, safeUrl, can, fmtBytes, confirmTyped, meterHTML } from './common.js';
 
-function pct(v){ if (v == null || isNaN(v)) return 0; return Math.max(0, Math.min(100, Math.round(Number(v)))); }
-function meterHTML(label, value){
-  const p = pct(value);
-  return `<div class="meter" aria-label="${label}" aria-valuenow="${p}" aria-valuemin="0" aria-valuemax="100">
-            <div class="fill" style="width:${p}%"></div>
-            <span class="val">${p}%</span>
-          </div>`;
+/* ---------------------------- sparklines ---------------------------- */
+
+const TREND_METRICS = ['cpuPct','ramPct','storagePct'];
+let range = localStorage.getItem('ucp.range') || '24h';
+
+function sparkSVG(points, label){
+  if (!points?.length) return `<svg class="spark" viewBox="0 0 100 24" aria-label="${label}: no history"></svg>`;
+  const t0 = points[0][0], t1 = points[points.length-1][0] || t0 + 1;
+  const x = t => ((t - t0) / Math.max(1, t1 - t0)) * 100;
+  const y = v => 23 - (Math.max(0, Math.min(100, v)) / 100) * 22;
+  const d = points.map(([t,v],i)=>`${i?'L':'M'}${x(t).toFixed(1)},${y(v).toFixed(1)}`).join('');
+  const vals = points.map(p=>p[1]);
+  const title = `${label} ${range}: min ${Math.min(...vals)}% · max ${Math.max(...vals)}% · now ${vals[vals.length-1]}%`;
+  return `<svg class="spark" viewBox="0 0 100 24" preserveAspectRatio="none"><title>${title}</title><path d="${d}"/></svg>`;
+}
+
+async function loadTrends(servers){
+  await Promise.all(servers.map(async s=>{
+    try{
+      const r = await api(`/api/history?base=${encodeURIComponent(s.baseUrl)}&metric=${TREND_METRICS.join(',')}&range=${range}`);
+      const j = await r.json();
+      if (!j.ok) return;
+      for (const m of TREND_METRICS) {
+        const el = q(`[data-spark="${CSS.escape(s.baseUrl)}|${m}"]`);
+        if (el) el.innerHTML = sparkSVG(j.series[m], m.replace('Pct','').toUpperCase());
+      }
+    }catch{}
+  }));
+}
+
+function trendCell(s, metric, value, label){
+  return `${meterHTML(label, value)}<div class="trend" data-spark="${s.baseUrl}|${metric}"></div>`;
+}
+
+function fmtDuration(sec){
+  if (sec == null) return '—';
+  const h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+const fmtSpeed = (p) => p.speed != null ? `${fmtBytes(p.speed)}/s` : (p.speedText || '');
+
+function arrayCell(s){
+  const st = s?.status?.system?.array?.status || '—';
+  const p = s?.status?.parity;
+  if (!p?.running) return escapeHtml(st);
+  const what = p.correcting ? 'Parity sync' : 'Parity check';
+  const info = [p.paused ? 'paused' : fmtSpeed(p), p.etaSeconds != null && !p.paused ? `ETA ${fmtDuration(p.etaSeconds)}` : '', p.errors ? `${p.errors} errors` : '']
+    .filter(Boolean).join(' · ');
+  return `${escapeHtml(st)}<div class="muted">${what}</div>${meterHTML(what, p.progress)}<div class="muted">${escapeHtml(info)}</div>`;
+}
+
+/* unread host notifications, coloured by the most severe one; links to the inbox filtered to this host */
+function notifyBadge(s){
+  const n = s?.status?.notifications;
+  if (!n?.total) return '';
+  const cls = n.alert ? 'bad' : (n.warning ? 'warn' : '');
+  const tip = [['alert', n.alert], ['warning', n.warning], ['info', n.info]].filter(([,c])=>c).map(([l,c])=>`${c} ${l}`).join(', ');
+  return ` <a class="pill cap ${cls}" href="/notifications?host=${encodeURIComponent(s.baseUrl)}" title="Unread notifications: ${tip}">${n.total}</a>`;
 }
 
 function rowToHtml(s){
   const addr = s.baseUrl || '';
-  const array = s?.status?.system?.array?.status || '—';
   const cpu = s?.status?.metrics?.cpuPct ?? s?.status?.cpuPct;
   const ram = s?.status?.metrics?.ramPct ?? s?.status?.ramPct;
   const sto = s?.status?.metrics?.storagePct ?? s?.status?.storagePct;
-  const ok = s?.status ? 'OK' : '—';
+  const offline = s?.breaker?.state === 'open';
+  const ok = s?.status ? 'OK' : (offline ? 'Offline' : '—');
+  const tip = offline
+    ? `Skipped until ${new Date(s.breaker.retryAt).toLocaleTimeString()}: ${s.breaker.lastError || ''}`
+    : (s?.error || '');
 
   return `
-    <tr>
-      <td data-label="Name">${s.name || '—'}</td>
+    <tr data-base="${addr}"${can('operator') ? ' class="clickable" title="Open containers and VMs"' : ''}>
+      <td data-label="Name">${s.name || '—'}${notifyBadge(s)}${can('operator') ? ` <button class="btn sm link" data-open="disks" data-base="${addr}" title="Disks, parity check and cache">Disks</button><button class="btn sm link" data-open="docker" data-base="${addr}" title="Containers, logs and resource usage">Containers</button><button class="btn sm link" data-open="power" data-base="${addr}" title="Wake, array start/stop, reboot, shutdown">Power</button>` : ''}</td>
       <td data-label="Server Address"><a href="${addr}" target="_blank" rel="noreferrer">${addr}</a></td>
-      <td data-label="Array">${array}</td>
-      <td data-label="CPU%">${meterHTML('CPU', cpu)}</td>
-      <td data-label="RAM%">${meterHTML('RAM', ram)}</td>
-      <td data-label="Storage%">${meterHTML('Storage', sto)}</td>
-      <td data-label="Status"><span class="pill ${s.status ? 'ok':'bad'}">${ok}</span></td>
+      <td data-label="Array">${arrayCell(s)}</td>
+      <td data-label="CPU%">${trendCell(s, 'cpuPct', cpu, 'CPU')}</td>
+      <td data-label="RAM%">${trendCell(s, 'ramPct', ram, 'RAM')}</td>
+      <td data-label="Storage%">${trendCell(s, 'storagePct', sto, 'Storage')}</td>
+      <td data-label="Status"><span class="pill ${s.status ? 'ok':'bad'}" title="${escapeHtml(tip)}">${ok}</span></td>
     </tr>`;
 }
 
+/* ----------------------------- disk panel ----------------------------- */
+
+const openPanels = new Map();   // baseUrl -> { kind:'disks'|'power'|'docker', html }
+
+function disksHTML(j){
+  if (!j.ok) return `<div class="tip">${escapeHtml(j.message || 'Failed to load disks')}</div>`;
+  const disks = j.disks || [];
+  if (!disks.length) return '<div class="tip">No disks reported by this host.</div>';
+  const bad = disks.filter(d=>d.level==='bad').length, warn = disks.filter(d=>d.level==='warn').length;
+  const summary = bad || warn
+    ? `${bad ? `<span class="pill bad">${bad} failing/critical</span> ` : ''}${warn ? `<span class="pill warn">${warn} hot (≥ ${j.thresholds.warnC}°C)</span>` : ''}`
+    : '<span class="pill ok">All disks healthy</span>';
+  const rows = disks.map(d=>`
+    <tr class="disk ${d.level}">
+      <td data-label="Disk">${escapeHtml(d.name)}<div class="muted">${escapeHtml(d.device || '')}</div></td>
+      <td data-label="Role">${d.role}</td>
+      <td data-label="Size">${fmtBytes(d.sizeBytes)}</td>
+      <td data-label="Used">${d.usedPct != null ? `${meterHTML('Used', d.usedPct)}<div class="muted">${fmtBytes(d.usedBytes)}</div>` : '—'}</td>
+      <td data-label="FS">${escapeHtml(d.fsType || '—')}</td>
+      <td data-label="Temp">${d.tempC != null ? `${d.tempC}°C` : (d.spin === 'standby' ? '*' : '—')}</td>
+      <td data-label="Spin">${d.spin ? `<span class="pill ${d.spin==='active'?'ok':''}">${d.spin}</span>` : '—'}</td>
+      <td data-label="Errors">${d.errors}</td>
+      <td data-label="SMART">${d.smart ? `<span class="pill ${String(d.smart).toUpperCase()==='OK'?'ok':'bad'}">${escapeHtml(d.smart)}</span>` : '—'}</td>
+    </tr>`).join('');
+  return `<div class="panel-head">${summary}</div>
+    <table class="table disks">
+      <thead><tr><th>Disk</th><th>Role</th><th>Size</th><th>Used</th><th>FS</th><th>Temp</th><th>Spin</th><th>Errors</th><th>SMART</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/* parity check controls + past results; buttons limited to what the host's API supports when detected */
+function parityHTML(base, j){
+  if (!j.ok) return `<div class="tip">${escapeHtml(j.message || 'Parity status unavailable')}</div>`;
+  const p = j.status;
+  if (!p) return '<div class="tip">This host does not report parity-check status.</div>';
+  const caps = servers.find(s=>s.baseUrl===base)?.capabilities;
+  const allowed = a => !caps?.detected || caps.actions?.parity?.includes(a);
+  const btn = (action, label, extra='') => allowed(action)
+    ? `<button class="btn sm" data-parity="${action}" data-base="${escapeHtml(base)}" ${extra}>${label}</button>` : '';
+  const controls = p.running
+    ? `${p.paused ? btn('resume','Resume') : btn('pause','Pause')} ${btn('cancel','Cancel')}`
+    : `${btn('start','Start check')} ${btn('start','Start correcting check','data-correct="1"')}`;
+  const state = p.running
+    ? `<span class="pill warn">${p.paused ? 'Paused' : 'Running'}</span> ${p.correcting ? 'correcting' : 'read-only'} · ${p.progress ?? '?'}%${p.paused ? '' : ` · ${escapeHtml(fmtSpeed(p))}`} · elapsed ${fmtDuration(p.elapsedSeconds)}${p.etaSeconds != null ? ` · ETA ${fmtDuration(p.etaSeconds)}` : ''} · ${p.errors} errors`
+    : `<span class="pill">Idle</span>${p.last ? ` last finished ${new Date(p.last.date).toLocaleString()}` : ''}`;
+  const hist = (j.history || []).slice(0, 10).map(h=>`
+    <tr>
+      <td data-label="Date">${h.date ? new Date(h.date).toLocaleString() : '—'}</td>
+      <td data-label="Duration">${fmtDuration(h.durationSeconds)}</td>
+      <td data-label="Result">${escapeHtml(h.status || '—')}${h.correcting ? ' (correcting)' : ''}</td>
+      <td data-label="Errors">${h.errors}</td>
+    </tr>`).join('');
+  return `<div class="panel-head"><strong>Parity check</strong> ${state} <span class="spacer"></span>${controls}</div>
+    ${hist ? `<table class="table disks">
+      <thead><tr><th>Date</th><th>Duration</th><th>Result</th><th>Errors</th></tr></thead>
+      <tbody>${hist}</tbody>
+    </table>${j.historySource === 'local' ? '<div class="muted">History recorded by Unraid Control while it was watching this host.</div>' : ''}`
+    : '<div class="muted">No parity checks recorded yet.</div>'}`;
+}
+
+async function loadPanel(base){
+  const get = url => api(url).then(r=>r.json()).catch(e=>({ ok:false, message:e.message }));
+  const enc = encodeURIComponent(base);
+  const [disks, parity] = await Promise.all([get(`/api/host/disks?base=${enc}`), get(`/api/host/parity?base=${enc}`)]);
+  if (openPanels.get(base)?.kind !== 'disks') return;
+  openPanels.set(base, { kind:'disks', html:`${disksHTML(disks)}<div class="panel-sep"></div>${parityHTML(base, parity)}` });
+  placePanel(base);
+}
+
+async function parityAction(base, action, correct){
+  if (action === 'cancel' && !confirm('Cancel the running parity check?')) return;
+  try{
+    const r = await api(`/api/host/parity/action?base=${encodeURIComponent(base)}`, {
+      method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify({ action, correct })
+    });
+    const j = await r.json();
+    if (!j.ok) return toast(j.message || `Parity ${action} failed`,'bad');
+  }catch(e){ return toast(`Parity ${action} failed — ${e.message}`,'bad'); }
+  if (openPanels.get(base)?.kind === 'disks') loadPanel(base);
+}
+
+/* ----------------------------- power panel ----------------------------- */
+
+const powerJobs = new Map();   // baseUrl -> { action, steps:[{ message, level }], finished, ok, state? }
+const WAKE_STATES = [['sent','Packet sent'], ['pinging','Pinging'], ['api','API up'], ['array','Array started']];
+const CONFIRM = {
+  reboot: ['Reboot', 'Running VMs and containers are stopped first, then the host reboots.'],
+  shutdown: ['Shut down', 'Running VMs and containers are stopped first, then the host powers off. It can only be woken again with WOL.'],
+  stop: ['Stop array', 'Containers, VMs and shares on the array become unavailable until it is started again.']
+};
+
+function powerHTML(base){
+  const s = servers.find(x=>x.baseUrl===base);
+  const caps = s?.capabilities;
+  const allowed = (kind, a) => !caps?.detected || caps.actions?.[kind]?.includes(a);
+  const job = powerJobs.get(base);
+  const busy = job && !job.finished ? 'disabled' : '';
+  const btn = (kind, action, label, cls='', wait=false) => kind === 'wol' || allowed(kind, action)
+    ? `<button class="btn sm ${cls}" data-power="${action}" data-kind="${kind === 'wol' ? 'power' : kind}" data-base="${escapeHtml(base)}"${wait ? ' data-wait="1"' : ''} ${busy}>${label}</button>` : '';
+  const array = String(s?.status?.system?.array?.status || '').toUpperCase();
+  const controls = [
+    btn('wol','wake','Wake (WOL)'),
+    !s?.status ? btn('wol','wake','Wake & wait','',true) : '',
+    array !== 'STARTED' ? btn('array','start','Start array') : '',
+    array !== 'STOPPED' && s?.status ? btn('array','stop','Stop array','danger') : '',
+    s?.status ? btn('power','reboot','Reboot','danger') : '',
+    s?.status ? btn('power','shutdown','Shut down','danger') : ''
+  ].filter(Boolean).join(' ');
+  const reached = WAKE_STATES.findIndex(([k])=>k===job?.state);
+  const states = job?.action === 'wake'
+    ? `<div class="wake-states">${WAKE_STATES.map(([, label], i)=>`<span class="pill ${i <= reached ? 'ok' : ''}">${label}</span>`).join(' → ')}</div>` : '';
+  const progress = job ? `
+    <div class="muted">${job.action} ${job.finished ? (job.ok ? (job.action === 'wake' ? 'done' : 'sent') : 'failed') : 'in progress…'}</div>${states}
+    <ol class="steps">${job.steps.map(st=>`<li class="${st.level}">${escapeHtml(st.message)}</li>`).join('')}</ol>` : '';
+  return `<div class="panel-head"><strong>Power</strong> <span class="pill">${escapeHtml(array || (s?.status ? 'unknown' : 'unreachable'))}</span><span class="spacer"></span>${controls}</div>${progress}`;
+}
+
+async function loadPower(base){
+  const j = await api(`/api/host/power?base=${encodeURIComponent(base)}`).then(r=>r.json()).catch(()=>null);
+  if (j?.ok && j.job && !powerJobs.has(base)) powerJobs.set(base, j.job);
+  if (openPanels.get(base)?.kind === 'power') placePanel(base);
+}
+
+async function hostAction(base, kind, action, wait = false){
+  const name = servers.find(s=>s.baseUrl===base)?.name || base;
+  let confirm = null;
+  if (CONFIRM[action] && (kind === 'power' || action === 'stop')) {
+    const [label, message] = CONFIRM[action];
+    confirm = await confirmTyped({ title:`${label} ${name}?`, message, expect:name, okLabel:label });
+    if (confirm == null) return;
+  }
+  try{
+    const r = await api(`/api/host?base=${encodeURIComponent(base)}&action=${kind}`, {
+      method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify({ action, confirm, wait: wait || undefined })
+    });
+    const j = await r.json();
+    if (!j.ok) toast(j.message || `${action} failed`,'bad');
+  }catch(e){ toast(`${action} failed — ${e.message}`,'bad'); }
+}
+
+function onProgress(d){
+  let job = powerJobs.get(d.baseUrl);
+  if (!job || (job.finished && !d.finished)) { job = { action:d.action, steps:[], finished:false, ok:null }; powerJobs.set(d.baseUrl, job); }
+  job.steps.push({ message:d.message, level:d.level });
+  job.finished = d.finished; job.ok = d.ok; job.state = d.state;
+  if (openPanels.get(d.baseUrl)?.kind === 'power') placePanel(d.baseUrl);
+}
+
+/* --------------------------- containers panel --------------------------- */
+
+const openContainer = new Map();   // baseUrl -> { id, follow, timer }
+
+function portsText(c){
+  if (!c.ports?.length) return '—';
+  return c.ports.map(p=>p.publicPort ? `${p.publicPort}→${p.privatePort}/${p.type}` : `${p.privatePort}/${p.type}`).join(', ');
+}
+
+function containersHTML(base, j){
+  if (!j.ok) return `<div class="tip">${escapeHtml(j.message || 'Failed to load containers')}</div>`;
+  const list = j.containers;
+  if (!list.length) return '<div class="tip">No containers on this host.</div>';
+  const caps = servers.find(s=>s.baseUrl===base)?.capabilities;
+  const allowed = a => !caps?.detected || caps.actions?.docker?.includes(a);
+  const btn = (c, action, label) => allowed(action)
+    ? `<button class="btn sm" data-ctr-act="${action}" data-id="${escapeHtml(c.id)}" data-base="${escapeHtml(base)}">${label}</button>` : '';
+  const rows = list.map(c=>{
+    const running = String(c.state).toLowerCase() === 'running', web = safeUrl(c.webUi);
+    return `
+    <tr${openContainer.get(base)?.id === c.id ? ' class="selected"' : ''}>
+      <td data-label="Container">${escapeHtml(c.name.replace(/^\//,''))}<div class="muted">${escapeHtml(c.image)}</div></td>
+      <td data-label="State"><span class="pill ${running ? 'ok' : ''}">${escapeHtml(c.state)}</span></td>
+      <td data-label="Ports">${escapeHtml(portsText(c))}</td>
+      <td data-label="Network">${escapeHtml(c.networkMode || '—')}</td>
+      <td data-label="WebUI">${web && running ? `<a href="${escapeHtml(web)}" target="_blank" rel="noreferrer">Open</a>` : '—'}</td>
+      <td data-label="Actions" class="act">
+        ${running ? `${btn(c,'stop','Stop')} ${btn(c,'restart','Restart')}` : btn(c,'start','Start')}
+        <button class="btn sm link" data-ctr="${escapeHtml(c.id)}" data-base="${escapeHtml(base)}">Details</button>
+      </td>
+    </tr>`;
+  }).join('');
+  return `<table class="table disks">
+      <thead><tr><th>Container</th><th>State</th><th>Ports</th><th>Network</th><th>WebUI</th><th>Actions</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function containerDetailHTML(base, j){
+  if (!j.ok) return `<div class="tip">${escapeHtml(j.message || 'Failed to load container')}</div>`;
+  const c = j.container;
+  const mem = c.memBytes != null ? `${fmtBytes(c.memBytes)}${c.memLimitBytes ? ` / ${fmtBytes(c.memLimitBytes)}` : ''}` : '—';
+  const sel = openContainer.get(base), web = safeUrl(c.webUi);
+  return `<div class="panel-head"><strong>${escapeHtml(c.name.replace(/^\//,''))}</strong>
+      <span class="pill ${String(c.state).toLowerCase()==='running' ? 'ok' : ''}">${escapeHtml(c.status || c.state)}</span>
+      <span class="spacer"></span><button class="btn sm link" data-ctr-close="${escapeHtml(base)}">Close</button></div>
+    <div class="grid detail">
+      <div><div class="muted">CPU</div>${c.cpuPct != null ? meterHTML('CPU', c.cpuPct) : '—'}</div>
+      <div><div class="muted">Memory</div>${c.memPct != null ? meterHTML('Memory', c.memPct) : ''}<div>${mem}</div></div>
+      <div><div class="muted">Restart count</div>${c.restartCount ?? '—'}</div>
+      <div><div class="muted">Autostart</div>${c.autoStart == null ? '—' : (c.autoStart ? 'yes' : 'no')}</div>
+      <div><div class="muted">Network mode</div>${escapeHtml(c.networkMode || '—')}</div>
+      <div><div class="muted">Ports</div>${escapeHtml(portsText(c))}</div>
+      <div><div class="muted">Image</div>${escapeHtml(c.image)}</div>
+      <div><div class="muted">WebUI</div>${web ? `<a href="${escapeHtml(web)}" target="_blank" rel="noreferrer">${escapeHtml(web)}</a>` : '—'}</div>
+    </div>
+    <div class="panel-head logs-head"><strong>Logs</strong><span class="spacer"></span>
+      <label class="inline">Lines <select data-logs-tail="${escapeHtml(base)}">${[100,200,500,1000].map(n=>`<option ${n===(sel?.tail||200)?'selected':''}>${n}</option>`).join('')}</select></label>
+      <label class="inline chk"><input type="checkbox" data-logs-follow="${escapeHtml(base)}" ${sel?.follow ? 'checked' : ''}/> Follow</label>
+    </div>
+    <pre class="logs" data-logs="${escapeHtml(base)}">Loading…</pre>`;
+}
+
+async function loadContainers(base){
+  const get = url => api(url).then(r=>r.json()).catch(e=>({ ok:false, message:e.message }));
+  const enc = encodeURIComponent(base);
+  const sel = openContainer.get(base);
+  const [list, detail] = await Promise.all([
+    get(`/api/host/docker?base=${enc}`).then(j=>Array.isArray(j) ? { ok:true, containers:j } : j),
+    sel ? get(`/api/host/docker/container?base=${enc}&id=${encodeURIComponent(sel.id)}`) : null
+  ]);
+  if (openPanels.get(base)?.kind !== 'docker') return;
+  openPanels.set(base, { kind:'docker', html:`${containersHTML(base, list)}${detail ? `<div class="panel-sep"></div>${containerDetailHTML(base, detail)}` : ''}` });
+  placePanel(base);
+  if (detail?.ok) loadLogs(base);
+}
+
+async function loadLogs(base){
+  const sel = openContainer.get(base);
+  if (!sel) return;
+  const j = await api(`/api/host/docker/logs?base=${encodeURIComponent(base)}&id=${encodeURIComponent(sel.id)}&tail=${sel.tail || 200}`)
+    .then(r=>r.json()).catch(e=>({ ok:false, message:e.message }));
+  const pre = q(`pre[data-logs="${CSS.escape(base)}"]`);
+  if (!pre || openContainer.get(base)?.id !== sel.id) return;
+  const atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 8;
+  pre.textContent = !j.ok ? (j.message || 'Failed to load logs')
+    : j.lines == null ? 'This host’s API does not provide container logs.'
+    : j.lines.map(l=>`${l.ts ? `${l.ts} ` : ''}${l.text}`).join('\n') || '(no output)';
+  if (atBottom || !sel.scrolled) { pre.scrollTop = pre.scrollHeight; sel.scrolled = true; }
+}
+
+function setFollow(base, on){
+  const sel = openContainer.get(base);
+  if (!sel) return;
+  clearInterval(sel.timer); sel.timer = null; sel.follow = on;
+  if (on) sel.timer = setInterval(()=>{
+    if (openPanels.get(base)?.kind !== 'docker' || openContainer.get(base) !== sel) return clearInterval(sel.timer);
+    loadLogs(base);
+  }, 3000);
+}
+
+function closeContainer(base){
+  clearInterval(openContainer.get(base)?.timer);
+  openContainer.delete(base);
+}
+
+async function containerAction(base, id, action){
+  try{
+    const r = await api(`/api/host/docker/action?base=${encodeURIComponent(base)}`, {
+      method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify({ id, action })
+    });
+    const j = await r.json();
+    if (!j.ok) toast(j.message || `Container ${action} failed`,'bad');
+  }catch(e){ toast(`Container ${action} failed — ${e.message}`,'bad'); }
+  if (openPanels.get(base)?.kind === 'docker') loadContainers(base);
+}
+
+function placePanel(base){
+  const host = q(`#servers-body tr[data-base="${CSS.escape(base)}"]`);
+  if (!host) return;
+  let tr = q(`#servers-body tr[data-panel="${CSS.escape(base)}"]`);
+  if (!tr) {
+    tr = document.createElement('tr');
+    tr.className = 'panel-row'; tr.dataset.panel = base;
+    tr.innerHTML = '<td colspan="7"></td>';
+  }
+  host.after(tr);
+  const p = openPanels.get(base);
+  tr.firstElementChild.innerHTML = p.kind === 'power' ? powerHTML(base) : p.html;
+}
+
+/* one panel per host: the same button closes it, the other one switches */
+async function togglePanel(base, kind){
+  const open = openPanels.get(base)?.kind;
+  if (open) q(`#servers-body tr[data-panel="${CSS.escape(base)}"]`)?.remove();
+  if (open === 'docker') closeContainer(base);
+  if (open === kind) return openPanels.delete(base);
+  if (kind === 'power') {
+    openPanels.set(base, { kind });
+    placePanel(base);
+    return loadPower(base);
+  }
+  openPanels.set(base, { kind, html:`<div class="tip">Loading ${kind === 'docker' ? 'containers' : 'disks'}…</div>` });
+  placePanel(base);
+  await (kind === 'docker' ? loadContainers(base) : loadPanel(base));
+}
+
+/* ---------------------------- live updates ---------------------------- */
+
+let servers = [];
+const trendAt = new Map();   // baseUrl -> last sparkline fetch (ms)
+
+function render(){
+  q('#servers-body').innerHTML = servers.map(rowToHtml).join('');
+  for (const [base, p] of openPanels) { placePanel(base); if (p.kind === 'docker') loadLogs(base); }
+  trendAt.clear();
+  loadTrends(servers);
+  servers.forEach(s=>trendAt.set(s.baseUrl, Date.now()));
+}
+
+function updateRow(row){
+  const i = servers.findIndex(s=>s.baseUrl===row.baseUrl);
+  if (i < 0) { servers.push(row); return render(); }
+  servers[i] = row;
+  const tr = q(`#servers-body tr[data-base="${CSS.escape(row.baseUrl)}"]`);
+  if (!tr) return render();
+  // keep current sparklines while the new row renders, refresh them at most once a minute
+  const sparks = Object.fromEntries([...tr.querySelectorAll('[data-spark]')].map(el=>[el.dataset.spark, el.innerHTML]));
+  tr.outerHTML = rowToHtml(row);
+  if (openPanels.get(row.baseUrl)?.kind === 'power') placePanel(row.baseUrl);
+  q(`#servers-body tr[data-base="${CSS.escape(row.baseUrl)}"]`)?.querySelectorAll('[data-spark]').forEach(el=>{ el.innerHTML = sparks[el.dataset.spark] || ''; });
+  if (Date.now() - (trendAt.get(row.baseUrl) || 0) > 60000) { trendAt.set(row.baseUrl, Date.now()); loadTrends([row]); }
+}
+
 async function load(){
   try{
-    const r = await fetch('/api/servers');
+    const r = await api('/api/servers');
     const arr = await r.json();
-    const tbody = q('#servers-body');
-    if (!Array.isArray(arr)) { tbody.innerHTML=''; return; }
-    tbody.innerHTML = arr.map(rowToHtml).join('');
+    servers = Array.isArray(arr) ? arr : [];
+    render();
   }catch{ toast('Failed to load servers','bad'); }
 }
 
-async function schedule(){
-  try{
-    const r = await fetch('/api/app'); const j = await r.json();
-    const sec = Math.max(5, Number(j?.settings?.refreshSeconds) || 5);
-    setInterval(load, sec*1000);
-  }catch{ setInterval(load, 5000); }
+/* SSE stream; EventSource reconnects by itself (server sends retry: 5000) */
+function connect(){
+  if (!window.EventSource) return fallbackPolling();
+  const es = new EventSource('/api/stream');
+  const data = e => { try{ return JSON.parse(e.data); }catch{ return null; } };
+  es.addEventListener('snapshot', e=>{ const arr = data(e); if (Array.isArray(arr)) { servers = arr; render(); } });
+  es.addEventListener('host', e=>{ const d = data(e); if (d?.row) updateRow(d.row); });
+  es.addEventListener('removed', e=>{ const d = data(e); servers = servers.filter(s=>s.baseUrl!==d?.baseUrl); render(); });
+  es.addEventListener('action', e=>{
+    const d = data(e); if (!d) return;
+    const host = servers.find(s=>s.baseUrl===d.baseUrl)?.name || d.baseUrl;
+    const what = `${({ vm:'VM', docker:'Container', parity:'Parity check', array:'Array', notification:'Notification' })[d.kind] || 'Power'} ${d.action}`;
+    d.ok ? toast(`${host}: ${what} OK`,'ok') : toast(`${host}: ${what} failed — ${d.error}`,'bad');
+  });
+  es.addEventListener('progress', e=>{ const d = data(e); if (d) onProgress(d); });
+  es.onerror = async ()=>{
+    if (es.readyState !== EventSource.CLOSED) return;   // browser is retrying on its own
+    const r = await api('/api/auth/me').catch(()=>null);
+    if (r?.status === 401) location.href = '/login';
+    else setTimeout(connect, 5000);
+  };
+}
+
+function fallbackPolling(){
+  const sec = Math.max(5, Number(session.ui?.refreshSeconds) || 5);
+  load();
+  setInterval(load, sec*1000);
 }
 
 window.addEventListener('DOMContentLoaded', async ()=>{
   await buildShell('dash');
-  await load();
-  await schedule();
-});
\ No newline at end of file
+  const sel = q('#trend-range');
+  sel.value = range;
+  sel.onchange = ()=>{ range = sel.value; localStorage.setItem('ucp.range', range); render(); };
+  q('#servers-body').addEventListener('click', e=>{
+    const b = e.target.closest('[data-open]');
+    if (b) return togglePanel(b.dataset.base, b.dataset.open);
+    const pw = e.target.closest('[data-power]');
+    if (pw) return hostAction(pw.dataset.base, pw.dataset.kind, pw.dataset.power, !!pw.dataset.wait);
+    const ca = e.target.closest('[data-ctr-act]');
+    if (ca) return containerAction(ca.dataset.base, ca.dataset.id, ca.dataset.ctrAct);
+    const cd = e.target.closest('[data-ctr]');
+    if (cd) { closeContainer(cd.dataset.base); openContainer.set(cd.dataset.base, { id:cd.dataset.ctr, tail:200 }); return loadContainers(cd.dataset.base); }
+    const cc = e.target.closest('[data-ctr-close]');
+    if (cc) { closeContainer(cc.dataset.ctrClose); return loadContainers(cc.dataset.ctrClose); }
+    // anywhere else on a host row (not its links/buttons) opens the host page
+    const tr = e.target.closest('tr.clickable');
+    if (tr && !e.target.closest('a,button,input,select')) location.href = `/host?base=${encodeURIComponent(tr.dataset.base)}`;
+    const pb = e.target.closest('[data-parity]');
+    if (pb) parityAction(pb.dataset.base, pb.dataset.parity, !!pb.dataset.correct);
+  });
+  q('#servers-body').addEventListener('change', e=>{
+    const f = e.target.closest('[data-logs-follow]');
+    if (f) return setFollow(f.dataset.logsFollow, f.checked);
+    const t = e.target.closest('[data-logs-tail]');
+    if (t) { const sel = openContainer.get(t.dataset.logsTail); if (sel) { sel.tail = Number(t.value); sel.scrolled = false; loadLogs(t.dataset.logsTail); } }
+  });
+  connect();
+});
@@ -0,0 +1,205 @@
+import { q, qa, toast, buildShell, api, escapeHtml, can } from './common.js';
+
+/* ===== groups.js: cross-host container/VM groups ===== */
+
+let groups = [];
+let runs = {};        // groupId -> last run (from /api/groups, then live 'group' events)
+let hosts = [];       // [{ name, baseUrl }] for the step editor
+const targets = new Map();   // `${baseUrl}|${kind}` -> Promise<names[]> for the editor's suggestions
+
+const hostName = base => hosts.find(h=>h.baseUrl===base)?.name || base;
+const STATUS_PILL = { pending:'', running:'warn', ok:'ok', failed:'bad', skipped:'' };
+
+function runHTML(run){
+  if (!run) return '';
+  const head = run.finished
+    ? (run.ok ? `<span class="pill ok">${run.action} finished</span>` : `<span class="pill bad">${run.action} failed</span> ${escapeHtml(run.error || '')}`)
+    : `<span class="pill warn">${run.action} running…</span>`;
+  return `<div class="run">
+    <div>${head} <span class="muted">${new Date(run.startedAt).toLocaleString()}${run.actor ? ` · ${escapeHtml(run.actor)}` : ''}</span></div>
+    <ol class="steps">${run.steps.map(s=>`
+      <li><span class="pill ${STATUS_PILL[s.status]}">${s.status}</span> ${escapeHtml(s.host)}: ${escapeHtml(s.label)}${s.message ? ` <span class="muted">— ${escapeHtml(s.message)}</span>` : ''}</li>`).join('')}
+    </ol>
+  </div>`;
+}
+
+function groupHTML(g){
+  const run = runs[g.id];
+  const busy = run && !run.finished ? 'disabled' : '';
+  const steps = g.steps.map((st, i)=>`
+    <tr>
+      <td data-label="#">${i+1}</td>
+      <td data-label="Host">${escapeHtml(hostName(st.baseUrl))}</td>
+      <td data-label="Type">${st.kind === 'docker' ? 'Container' : 'VM'}</td>
+      <td data-label="Target">${escapeHtml(st.target)}</td>
+      <td data-label="Delay">${st.delaySeconds ? `${st.delaySeconds}s` : '—'}</td>
+      <td data-label="Wait">${st.waitRunning ? `yes (≤ ${st.waitTimeoutSeconds}s)` : 'no'}</td>
+    </tr>`).join('');
+  return `<div class="group" data-group="${g.id}">
+    <div class="panel-head"><strong>${escapeHtml(g.name)}</strong><span class="spacer"></span>
+      <button class="btn sm" data-run="start" ${busy}>Start</button>
+      <button class="btn sm" data-run="stop" ${busy}>Stop</button>
+      <button class="btn sm" data-run="restart" ${busy}>Restart</button>
+      ${can('admin') ? `<button class="btn sm link" data-edit>Edit</button><button class="btn sm danger" data-del ${busy}>Delete</button>` : ''}
+    </div>
+    <div class="table-wrap"><table class="table disks">
+      <thead><tr><th>#</th><th>Host</th><th>Type</th><th>Container / VM</th><th>Delay after</th><th>Wait until running</th></tr></thead>
+      <tbody>${steps}</tbody>
+    </table></div>
+    <div data-run-view>${runHTML(run)}</div>
+  </div>`;
+}
+
+function render(){
+  q('#groups').innerHTML = groups.length ? groups.map(groupHTML).join('<div class="panel-sep"></div>')
+    : `<div class="muted">No groups yet.${can('admin') ? ' Use “New group” to define one.' : ''}</div>`;
+}
+
+async function load(){
+  try{
+    const [g, s] = await Promise.all([api('/api/groups').then(r=>r.json()), api('/api/servers').then(r=>r.json())]);
+    if (!g.ok) throw new Error(g.message);
+    groups = g.groups; runs = g.runs || {};
+    hosts = (Array.isArray(s) ? s : []).map(({ name, baseUrl })=>({ name, baseUrl }));
+    render();
+  }catch(e){ toast(`Failed to load groups: ${e.message}`,'bad'); }
+}
+
+async function run(id, action){
+  const g = groups.find(x=>x.id===id);
+  if (action !== 'start' && !confirm(`${action === 'stop' ? 'Stop' : 'Restart'} every step of "${g?.name}"?`)) return;
+  try{
+    const r = await api(`/api/groups/run?id=${encodeURIComponent(id)}`, {
+      method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify({ action })
+    });
+    const j = await r.json();
+    if (!j.ok) return toast(j.message || 'Failed to start the run','bad');
+    runs[id] = j.run; render();
+  }catch(e){ toast(e.message,'bad'); }
+}
+
+/* ------------------------------- editor ------------------------------- */
+
+function suggest(base, kind){
+  const key = `${base}|${kind}`;
+  if (!targets.has(key)) {
+    const url = kind === 'docker' ? `/api/host/docker?base=${encodeURIComponent(base)}` : `/api/host/vms?base=${encodeURIComponent(base)}`;
+    targets.set(key, api(url).then(r=>r.json()).then(a=>Array.isArray(a) ? a.map(x=>x.name.replace(/^\//,'')) : []).catch(()=>[]));
+  }
+  return targets.get(key);
+}
+
+function stepRow(st = {}){
+  const tr = document.createElement('tr');
+  const id = `dl-${Math.random().toString(36).slice(2)}`;
+  tr.innerHTML = `
+    <td data-label="#" class="idx"></td>
+    <td data-label="Host"><select data-f="baseUrl">${hosts.map(h=>`<option value="${escapeHtml(h.baseUrl)}" ${h.baseUrl===st.baseUrl?'selected':''}>${escapeHtml(h.name)}</option>`).join('')}</select></td>
+    <td data-label="Type"><select data-f="kind"><option value="docker">Container</option><option value="vm" ${st.kind==='vm'?'selected':''}>VM</option></select></td>
+    <td data-label="Container / VM"><input data-f="target" list="${id}" value="${escapeHtml(st.target || '')}" required/><datalist id="${id}"></datalist></td>
+    <td data-label="Delay after (s)"><input data-f="delaySeconds" type="number" min="0" max="3600" value="${st.delaySeconds ?? 0}"/></td>
+    <td data-label="Wait"><input data-f="waitRunning" type="checkbox" ${st.waitRunning?'checked':''} title="Wait until running (stop: until stopped)"/></td>
+    <td data-label="Timeout (s)"><input data-f="waitTimeoutSeconds" type="number" min="5" max="3600" value="${st.waitTimeoutSeconds ?? 120}"/></td>
+    <td class="act">
+      <button class="btn sm" type="button" data-move="-1" title="Move up">↑</button>
+      <button class="btn sm" type="button" data-move="1" title="Move down">↓</button>
+      <button class="btn sm danger" type="button" data-remove title="Remove">✕</button>
+    </td>`;
+  const fill = async ()=>{
+    const names = await suggest(q('[data-f="baseUrl"]', tr).value, q('[data-f="kind"]', tr).value);
+    q('datalist', tr).innerHTML = names.map(n=>`<option value="${escapeHtml(n)}">`).join('');
+  };
+  q('[data-f="target"]', tr).addEventListener('focus', fill);
+  return tr;
+}
+
+function renumber(){ qa('#steps-body tr').forEach((tr, i)=>{ q('.idx', tr).textContent = i + 1; }); }
+
+function openEditor(g){
+  q('#editor').hidden = false;
+  q('#editor-title').textContent = g ? `Edit “${g.name}”` : 'New group';
+  q('#g-id').value = g?.id || '';
+  q('#g-name').value = g?.name || '';
+  q('#steps-body').innerHTML = '';
+  (g?.steps?.length ? g.steps : [{}]).forEach(st=>q('#steps-body').append(stepRow(st)));
+  renumber();
+  q('#editor').scrollIntoView({ behavior:'smooth', block:'start' });
+}
+
+function readSteps(){
+  return qa('#steps-body tr').map(tr=>({
+    baseUrl: q('[data-f="baseUrl"]', tr).value,
+    kind: q('[data-f="kind"]', tr).value,
+    target: q('[data-f="target"]', tr).value.trim(),
+    delaySeconds: Number(q('[data-f="delaySeconds"]', tr).value) || 0,
+    waitRunning: q('[data-f="waitRunning"]', tr).checked,
+    waitTimeoutSeconds: Number(q('[data-f="waitTimeoutSeconds"]', tr).value) || 120
+  }));
+}
+
+async function save(e){
+  e.preventDefault();
+  const body = { id: q('#g-id').value || undefined, name: q('#g-name').value.trim(), steps: readSteps() };
+  const r = await api('/api/groups', { method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify(body) });
+  const j = await r.json();
+  if (!j.ok) return toast(j.message || 'Save failed','bad');
+  toast('Group saved','ok');
+  q('#editor').hidden = true;
+  load();
+}
+
+async function remove(id){
+  const g = groups.find(x=>x.id===id);
+  if (!confirm(`Delete group "${g?.name}"? Its containers and VMs are not touched.`)) return;
+  const j = await api(`/api/groups?id=${encodeURIComponent(id)}`, { method:'DELETE' }).then(r=>r.json()).catch(e=>({ ok:false, message:e.message }));
+  j.ok ? toast('Group deleted','ok') : toast(j.message || 'Delete failed','bad');
+  load();
+}
+
+/* ---------------------------- live updates ---------------------------- */
+
+function connect(){
+  if (!window.EventSource) return;
+  const es = new EventSource('/api/stream');
+  es.addEventListener('group', e=>{
+    let d; try{ d = JSON.parse(e.data); }catch{ return; }
+    if (!d?.run) return;
+    const was = runs[d.groupId];
+    runs[d.groupId] = d.run;
+    const el = q(`[data-group="${CSS.escape(d.groupId)}"]`);
+    if (!el) return;
+    el.outerHTML = groupHTML(groups.find(g=>g.id===d.groupId));
+    if (d.run.finished && was && !was.finished) {
+      d.run.ok ? toast(`${d.run.name}: ${d.run.action} finished`,'ok') : toast(`${d.run.name}: ${d.run.error}`,'bad');
+    }
+  });
+}
+
+window.addEventListener('DOMContentLoaded', async ()=>{
+  await buildShell('groups');
+  q('#new-group').hidden = !can('admin');
+  q('#new-group').onclick = ()=>openEditor(null);
+  q('#cancel-edit').onclick = ()=>{ q('#editor').hidden = true; };
+  q('#add-step').onclick = ()=>{ q('#steps-body').append(stepRow()); renumber(); };
+  q('#groupForm').addEventListener('submit', save);
+  q('#steps-body').addEventListener('click', e=>{
+    const tr = e.target.closest('tr');
+    if (e.target.closest('[data-remove]')) { if (qa('#steps-body tr').length > 1) tr.remove(); renumber(); }
+    const mv = e.target.closest('[data-move]');
+    if (mv) {
+      const sib = mv.dataset.move === '-1' ? tr.previousElementSibling : tr.nextElementSibling;
+      if (sib) mv.dataset.move === '-1' ? sib.before(tr) : sib.after(tr);
+      renumber();
+    }
+  });
+  q('#groups').addEventListener('click', e=>{
+    const id = e.target.closest('[data-group]')?.dataset.group;
+    if (!id) return;
+    const b = e.target.closest('[data-run]');
+    if (b) return run(id, b.dataset.run);
+    if (e.target.closest('[data-edit]')) return openEditor(groups.find(g=>g.id===id));
+    if (e.target.closest('[data-del]')) return remove(id);
+  });
+  await load();
+  connect();
+});
@@ -0,0 +1,223 @@
+import { q, qa, toast, buildShell, api, escapeHtml, safeUrl } from './common.js';
+
+/* ===== host.js: one host's containers and VMs (/host?base=…) ===== */
+
+const base = new URLSearchParams(location.search).get('base') || '';
+const enc = encodeURIComponent(base);
+
+let row = null;           // this host's /api/servers row
+let tab = 'docker';
+let items = { docker:[], vms:[] };
+const selected = { docker:new Set(), vms:new Set() };
+
+/* state buckets used by the filter; Unraid reports RUNNING / EXITED / SHUTOFF / PAUSED … */
+function bucket(state){
+  const s = String(state || '').toLowerCase();
+  if (s === 'running') return 'running';
+  if (s === 'paused' || s === 'pmsuspended') return 'paused';
+  return 'stopped';
+}
+
+/* which actions apply to an item in a given bucket */
+const ACTIONS = {
+  docker: {
+    start:   { label:'Start',   when:['stopped'] },
+    stop:    { label:'Stop',    when:['running', 'paused'] },
+    restart: { label:'Restart', when:['running'] }
+  },
+  vms: {
+    start:     { label:'Start',      when:['stopped'] },
+    stop:      { label:'Stop',       when:['running'] },
+    pause:     { label:'Pause',      when:['running'] },
+    resume:    { label:'Resume',     when:['paused'] },
+    reboot:    { label:'Reboot',     when:['running'] },
+    forceStop: { label:'Force stop', when:['running', 'paused'], confirm:'Force stop (like pulling the plug)' },
+    reset:     { label:'Reset',      when:['running'], confirm:'Hard reset' }
+  }
+};
+
+/* actions the host's schema supports (all when capabilities were never detected) */
+function supported(kind){
+  const caps = row?.capabilities;
+  const key = kind === 'docker' ? 'docker' : 'vm';
+  return Object.keys(ACTIONS[kind]).filter(a => !caps?.detected || caps.actions?.[key]?.includes(a));
+}
+
+/* ------------------------------ rendering ------------------------------ */
+
+function renderSummary(){
+  q('#host-name').textContent = row?.name || base;
+  q('#host-addr').innerHTML = `<a href="${escapeHtml(base)}" target="_blank" rel="noreferrer">${escapeHtml(base)}</a>`;
+  document.title = `${row?.name || 'Host'} • Unraid Control`;
+  const st = row?.status;
+  q('#host-summary').innerHTML = st
+    ? `<span class="pill">Array: ${escapeHtml(st.system?.array?.status || '—')}</span>
+       <span class="pill">Containers: ${st.docker?.running ?? 0}/${st.docker?.total ?? 0}</span>
+       <span class="pill">VMs: ${st.vms?.running ?? 0}/${st.vms?.total ?? 0}</span>
+       ${st.system?.osVersion ? `<span class="pill">Unraid ${escapeHtml(st.system.osVersion)}</span>` : ''}`
+    : `<span class="pill bad">${escapeHtml(row?.error || 'Unreachable')}</span>`;
+}
+
+function visible(){
+  const term = q('#search').value.trim().toLowerCase();
+  const filter = q('#filter').value;
+  const sort = q('#sort').value;
+  const key = i => sort === 'state' ? bucket(i.state) : sort === 'image' ? (i.image || '') : i.name;
+  return items[tab]
+    .filter(i => !filter || bucket(i.state) === filter)
+    .filter(i => !term || i.name.toLowerCase().includes(term) || (i.image || '').toLowerCase().includes(term))
+    .sort((a, b) => key(a).localeCompare(key(b)) || a.name.localeCompare(b.name));
+}
+
+function actionButtons(kind, item){
+  const b = bucket(item.state);
+  return supported(kind).filter(a => ACTIONS[kind][a].when.includes(b))
+    .map(a => `<button class="btn sm ${ACTIONS[kind][a].confirm ? 'danger' : ''}" data-act="${a}" data-id="${escapeHtml(item.id)}">${ACTIONS[kind][a].label}</button>`)
+    .join(' ');
+}
+
+function render(){
+  const list = visible();
+  const sel = selected[tab];
+  const all = list.length && list.every(i => sel.has(i.id));
+  const docker = tab === 'docker';
+  q('#sort option[value="image"]').hidden = !docker;
+  if (!docker && q('#sort').value === 'image') q('#sort').value = 'name';
+
+  q('#items-head').innerHTML = `<tr>
+    <th class="chk-col"><input type="checkbox" id="select-all" ${all ? 'checked' : ''} aria-label="Select all"/></th>
+    <th>Name</th><th>State</th>${docker ? '<th>Ports</th><th>WebUI</th>' : ''}<th>Actions</th></tr>`;
+  q('#items-body').innerHTML = list.length ? list.map(i => `
+    <tr class="${sel.has(i.id) ? 'selected' : ''}">
+      <td class="chk-col"><input type="checkbox" data-sel="${escapeHtml(i.id)}" ${sel.has(i.id) ? 'checked' : ''} aria-label="Select ${escapeHtml(i.name)}"/></td>
+      <td data-label="Name">${escapeHtml(i.name.replace(/^\//, ''))}${i.image ? `<div class="muted">${escapeHtml(i.image)}</div>` : ''}</td>
+      <td data-label="State"><span class="pill ${bucket(i.state) === 'running' ? 'ok' : (bucket(i.state) === 'paused' ? 'warn' : '')}">${escapeHtml(String(i.state).toLowerCase())}</span></td>
+      ${docker ? `<td data-label="Ports">${escapeHtml((i.ports || []).map(p => p.publicPort ? `${p.publicPort}→${p.privatePort}/${p.type}` : `${p.privatePort}/${p.type}`).join(', ') || '—')}</td>
+      <td data-label="WebUI">${safeUrl(i.webUi) && bucket(i.state) === 'running' ? `<a href="${escapeHtml(safeUrl(i.webUi))}" target="_blank" rel="noreferrer">Open</a>` : '—'}</td>` : ''}
+      <td data-label="Actions" class="act">${actionButtons(tab, i) || '—'}</td>
+    </tr>`).join('')
+    : `<tr><td colspan="${docker ? 6 : 4}" class="muted">${items[tab].length ? 'Nothing matches the filter.' : (docker ? 'No containers.' : 'No VMs, or the VM API is not available on this host.')}</td></tr>`;
+  renderBulk();
+}
+
+function renderBulk(){
+  const ids = [...selected[tab]];
+  q('#bulk').hidden = !ids.length;
+  if (!ids.length) return;
+  q('#bulk-count').textContent = `${ids.length} selected`;
+  q('#bulk-actions').innerHTML = supported(tab)
+    .map(a => `<button class="btn sm ${ACTIONS[tab][a].confirm ? 'danger' : ''}" data-bulk="${a}">${ACTIONS[tab][a].label}</button>`).join(' ');
+}
+
+/* -------------------------------- data -------------------------------- */
+
+async function loadRow(){
+  const arr = await api('/api/servers').then(r => r.json()).catch(() => []);
+  row = (Array.isArray(arr) ? arr : []).find(s => s.baseUrl === base) || null;
+  if (!row) { toast('Unknown host', 'bad'); return false; }
+  renderSummary();
+  return true;
+}
+
+async function loadItems(kind = tab){
+  const url = kind === 'docker' ? `/api/host/docker?base=${enc}` : `/api/host/vms?base=${enc}`;
+  try{
+    const r = await api(url);
+    const j = await r.json();
+    if (!Array.isArray(j)) throw new Error(j.message || 'Failed to load');
+    items[kind] = j;
+    const ids = new Set(j.map(i => i.id));
+    for (const id of selected[kind]) if (!ids.has(id)) selected[kind].delete(id);
+  }catch(e){ toast(`${kind === 'docker' ? 'Containers' : 'VMs'}: ${e.message}`, 'bad'); }
+  if (kind === tab) render();
+}
+
+/* ------------------------------- actions ------------------------------- */
+
+async function send(kind, id, action){
+  const url = kind === 'docker' ? `/api/host/docker/action?base=${enc}` : `/api/host/vm/action?base=${enc}`;
+  const r = await api(url, { method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify({ id, action }) });
+  const j = await r.json().catch(() => ({}));
+  if (!j.ok) throw new Error(j.message || `HTTP ${r.status}`);
+}
+
+const noun = (kind, n = 1) => kind === 'docker' ? (n === 1 ? 'Container' : 'containers') : (n === 1 ? 'VM' : 'VMs');
+
+async function runOne(kind, id, action){
+  const item = items[kind].find(i => i.id === id);
+  const spec = ACTIONS[kind][action];
+  if (spec.confirm && !confirm(`${spec.confirm}: ${item?.name || id}?`)) return;
+  try{ await send(kind, id, action); toast(`${noun(kind)} ${item?.name.replace(/^\//, '') || id}: ${spec.label.toLowerCase()} OK`, 'ok'); }
+  catch(e){ toast(`${noun(kind)} ${item?.name.replace(/^\//, '') || id}: ${spec.label.toLowerCase()} failed — ${e.message}`, 'bad'); }
+  loadItems(kind);
+}
+
+/* one at a time, so the host is not hit with N mutations at once; items the action does not apply to are skipped */
+async function runBulk(kind, action){
+  const spec = ACTIONS[kind][action];
+  const targets = items[kind].filter(i => selected[kind].has(i.id) && spec.when.includes(bucket(i.state)));
+  const skipped = selected[kind].size - targets.length;
+  if (!targets.length) return toast(`Nothing to ${spec.label.toLowerCase()} in the selection`, 'warn');
+  if (spec.confirm && !confirm(`${spec.confirm}: ${targets.length} ${noun(kind, targets.length)}?`)) return;
+  qa('[data-bulk]').forEach(b => b.disabled = true);
+  const failed = [];
+  for (const i of targets) {
+    try{ await send(kind, i.id, action); }
+    catch(e){ failed.push(`${i.name.replace(/^\//, '')} (${e.message})`); }
+  }
+  const done = targets.length - failed.length;
+  const msg = `${spec.label}: ${done}/${targets.length} ${noun(kind, targets.length)} OK${skipped ? `, ${skipped} skipped` : ''}`;
+  failed.length ? toast(`${msg} — failed: ${failed.join(', ')}`, 'bad') : toast(msg, 'ok');
+  loadItems(kind);
+}
+
+/* ---------------------------- live updates ---------------------------- */
+
+/* row changes for this host refresh the summary and the open list (at most every 5 s) */
+let reloadAt = 0;
+function connect(){
+  if (!window.EventSource) return;
+  const es = new EventSource('/api/stream');
+  es.addEventListener('host', e => {
+    let d; try{ d = JSON.parse(e.data); }catch{ return; }
+    if (d?.row?.baseUrl !== base) return;
+    row = d.row; renderSummary();
+    if (Date.now() - reloadAt > 5000) { reloadAt = Date.now(); loadItems(); }
+  });
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+  await buildShell('host');
+  if (!base || !await loadRow()) { q('#items-body').innerHTML = '<tr><td class="muted">Unknown host.</td></tr>'; return; }
+
+  qa('.tab').forEach(b => b.onclick = () => {
+    tab = b.dataset.tab;
+    qa('.tab').forEach(x => x.classList.toggle('active', x === b));
+    render(); loadItems();
+  });
+  ['#search', '#filter', '#sort'].forEach(s => q(s).addEventListener('input', render));
+  q('#bulk-clear').onclick = () => { selected[tab].clear(); render(); };
+
+  q('#items-head').addEventListener('change', e => {
+    if (e.target.id !== 'select-all') return;
+    visible().forEach(i => e.target.checked ? selected[tab].add(i.id) : selected[tab].delete(i.id));
+    render();
+  });
+  q('#items-body').addEventListener('change', e => {
+    const id = e.target.dataset.sel;
+    if (id == null) return;
+    e.target.checked ? selected[tab].add(id) : selected[tab].delete(id);
+    render();
+  });
+  q('#items-body').addEventListener('click', e => {
+    const b = e.target.closest('[data-act]');
+    if (b) runOne(tab, b.dataset.id, b.dataset.act);
+  });
+  q('#bulk-actions').addEventListener('click', e => {
+    const b = e.target.closest('[data-bulk]');
+    if (b) runBulk(tab, b.dataset.bulk);
+  });
+
+  loadItems('docker'); loadItems('vms');
+  connect();
+});
@@ -0,0 +1,40 @@
+import { q, val, toast, api } from './common.js';
+
+let setup = false;
+
+async function detectSetup(){
+  try{
+    const r = await api('/api/auth/me');
+    const j = await r.json();
+    if (r.ok) { location.href = nextUrl(); return; }
+    setup = !!j.setup;
+  }catch{}
+  if (setup) {
+    q('#login-title').textContent = 'Create admin account';
+    q('#setup-tip').hidden = false;
+    q('#password').autocomplete = 'new-password';
+    q('#loginBtn').textContent = 'Create account';
+  }
+}
+
+function nextUrl(){
+  const n = new URLSearchParams(location.search).get('next') || '/';
+  return n.startsWith('/') && !n.startsWith('//') ? n : '/';
+}
+
+async function submit(ev){
+  ev.preventDefault();
+  const r = await api(setup ? '/api/auth/setup' : '/api/auth/login', {
+    method:'POST', headers:{'content-type':'application/json'},
+    body:JSON.stringify({ username: val('#username').trim(), password: val('#password') })
+  });
+  const j = await r.json().catch(()=>({}));
+  if (j.ok) location.href = nextUrl();
+  else toast(j.message || 'Sign in failed','bad');
+}
+
+window.addEventListener('DOMContentLoaded', async ()=>{
+  await detectSetup();
+  q('#loginForm').addEventListener('submit', submit);
+  q('#username').focus();
+});
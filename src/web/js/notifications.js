@@ -0,0 +1,122 @@
+import { q, toast, buildShell, api, escapeHtml, safeUrl, can } from './common.js';
+
+/* ===== notifications.js: every host's Unraid notifications in one inbox ===== */
+
+let data = { notifications:[], counts:{}, hosts:[] };
+let actions = {};   // baseUrl -> ['archive','acknowledge'] (null: not detected, try anyway)
+
+const LEVEL_PILL = { alert:'bad', warning:'warn', info:'' };
+const LEVEL_NAME = { alert:'Alert', warning:'Warning', info:'Info' };
+
+const archivedView = () => q('#f-archived').checked;
+const canDo = (base, action) => can('operator') && !archivedView() && (actions[base] == null || actions[base].includes(action));
+
+function shown(){
+  const level = q('#f-level').value;
+  return data.notifications.filter(n => !level || n.importance === level);
+}
+
+function hostLink(n){
+  const href = n.link && safeUrl(n.link, n.baseUrl);
+  return href ? ` <a href="${escapeHtml(href)}" target="_blank" rel="noreferrer">Open</a>` : '';
+}
+
+function rowHTML(n){
+  const key = `data-base="${escapeHtml(n.baseUrl)}" data-id="${escapeHtml(n.id)}"`;
+  return `<tr class="${n.acknowledged ? 'acked' : ''}">
+    <td data-label="Severity"><span class="pill ${LEVEL_PILL[n.importance]}">${LEVEL_NAME[n.importance]}</span></td>
+    <td data-label="Host">${escapeHtml(n.host)}</td>
+    <td data-label="Time">${n.timestamp ? new Date(n.timestamp).toLocaleString() : '—'}</td>
+    <td data-label="Notification" class="subject">
+      <div>${escapeHtml(n.subject || n.title)}${n.acknowledged ? ' <span class="muted">(acknowledged)</span>' : ''}</div>
+      <div class="muted">${escapeHtml(n.title)}${n.description ? ` — ${escapeHtml(n.description)}` : ''}${hostLink(n)}</div>
+    </td>
+    <td class="act">
+      ${canDo(n.baseUrl, 'acknowledge') && !n.acknowledged ? `<button class="btn sm" data-action="acknowledge" ${key}>Acknowledge</button>` : ''}
+      ${canDo(n.baseUrl, 'archive') ? `<button class="btn sm" data-action="archive" ${key}>Archive</button>` : ''}
+    </td>
+  </tr>`;
+}
+
+function render(){
+  const list = shown();
+  q('#notify-body').innerHTML = list.map(rowHTML).join('')
+    || `<tr><td colspan="5" class="muted">${archivedView() ? 'No archived notifications.' : 'No unread notifications.'}</td></tr>`;
+  const c = data.counts;
+  q('#summary').textContent = archivedView()
+    ? `${list.length} archived`
+    : `${list.length} shown · ${c.alert || 0} alert, ${c.warning || 0} warning, ${c.info || 0} info unread`;
+  const notes = data.hosts.filter(h => h.error || h.supported === false)
+    .map(h => `${h.name}: ${h.error ? `unreachable (${h.error})` : 'no notification feed in this API version'}`);
+  q('#host-notes').textContent = notes.join(' · ');
+  q('#archive-all').hidden = !list.some(n => canDo(n.baseUrl, 'archive'));
+}
+
+async function load(){
+  const p = new URLSearchParams();
+  if (q('#f-host').value) p.set('host', q('#f-host').value);
+  if (archivedView()) p.set('archived', '1');
+  try{
+    const j = await api(`/api/notifications?${p}`).then(r=>r.json());
+    if (!j.ok) throw new Error(j.message);
+    data = j;
+    for (const h of j.hosts) actions[h.baseUrl] = h.actions;
+    render();
+  }catch(e){ toast(`Failed to load notifications: ${e.message}`,'bad'); }
+}
+
+/* one request per host; ids of the same host go together */
+async function act(action, items){
+  const byHost = {};
+  for (const n of items) (byHost[n.baseUrl] ||= []).push(n.id);
+  let done = 0;
+  for (const [base, ids] of Object.entries(byHost)) {
+    const j = await api(`/api/notifications/action?base=${encodeURIComponent(base)}`, {
+      method:'POST', headers:{ 'content-type':'application/json' }, body:JSON.stringify({ action, ids })
+    }).then(r=>r.json()).catch(e=>({ ok:false, message:e.message }));
+    if (!j.ok) toast(j.message || `${action} failed`,'bad');
+    else { done += j.done; if (j.failed.length) toast(`${j.failed.length} could not be ${action}d: ${j.failed[0].error}`,'bad'); }
+  }
+  if (done) toast(`${done} notification${done === 1 ? '' : 's'} ${action === 'archive' ? 'archived' : 'acknowledged'}`,'ok');
+  load();
+}
+
+/* reload when a notification was handled elsewhere (another tab, another user) */
+function connect(){
+  if (!window.EventSource) return;
+  const es = new EventSource('/api/stream');
+  let timer = null;
+  es.addEventListener('action', e=>{
+    let d; try{ d = JSON.parse(e.data); }catch{ return; }
+    if (d?.kind !== 'notification') return;
+    clearTimeout(timer); timer = setTimeout(load, 300);
+  });
+}
+
+window.addEventListener('DOMContentLoaded', async ()=>{
+  await buildShell('notifications');
+  try{
+    const s = await api('/api/servers').then(r=>r.json());
+    if (Array.isArray(s)) {
+      q('#f-host').innerHTML = `<option value="">All</option>${s.map(h=>`<option value="${escapeHtml(h.baseUrl)}">${escapeHtml(h.name)}</option>`).join('')}`;
+    }
+  }catch{}
+  q('#f-host').value = new URLSearchParams(location.search).get('host') || '';
+  q('#f-host').onchange = load;
+  q('#f-archived').onchange = load;
+  q('#f-level').onchange = render;
+  q('#filters').addEventListener('submit', e=>e.preventDefault());
+  q('#refresh').onclick = load;
+  q('#archive-all').onclick = ()=>{
+    const list = shown().filter(n => canDo(n.baseUrl, 'archive'));
+    if (list.length && confirm(`Archive ${list.length} notification${list.length === 1 ? '' : 's'}?`)) act('archive', list);
+  };
+  q('#notify-body').addEventListener('click', e=>{
+    const b = e.target.closest('[data-action]');
+    if (!b) return;
+    b.disabled = true;
+    act(b.dataset.action, [{ baseUrl:b.dataset.base, id:b.dataset.id }]);
+  });
+  await load();
+  connect();
+});
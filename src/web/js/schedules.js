@@ -0,0 +1,236 @@
+import { q, qa, toast, buildShell, api, escapeHtml, can } from './common.js';
+
+/* ===== schedules.js: cron-style jobs for WOL, containers, VMs and groups ===== */
+
+let jobs = [];
+let hosts = [];       // [{ name, baseUrl }]
+let groups = [];      // [{ id, name }]
+let actions = {};     // type -> ops, from /api/schedules
+const openHistory = new Set();
+
+const DAYS = [['1','Mon'],['2','Tue'],['3','Wed'],['4','Thu'],['5','Fri'],['6','Sat'],['0','Sun']];
+const OP_LABEL = { wake:'Wake', start:'Start', stop:'Stop', restart:'Restart', pause:'Pause', resume:'Resume', reboot:'Reboot', forceStop:'Force stop' };
+const when = t => t ? new Date(t).toLocaleString([], { dateStyle:'medium', timeStyle:'short' }) : '—';
+
+function describeAction(a){
+  const host = hosts.find(h=>h.baseUrl===a.baseUrl)?.name || a.baseUrl;
+  switch (a.type) {
+    case 'wol': return `Wake ${escapeHtml(host)}`;
+    case 'group': return `${OP_LABEL[a.op]} group ${escapeHtml(groups.find(g=>g.id===a.groupId)?.name || '(deleted)')}`;
+    default: return `${OP_LABEL[a.op]} ${a.type === 'docker' ? 'container' : 'VM'} ${escapeHtml(a.target)} on ${escapeHtml(host)}`;
+  }
+}
+
+/* "M H * * days" built by the simple editor reads back as a sentence */
+function describeCron(cron){
+  const m = /^(\d{1,2}) (\d{1,2}) \* \* (\*|[0-6](?:,[0-6])*)$/.exec(cron);
+  if (!m) return `<code>${escapeHtml(cron)}</code>`;
+  const time = `${m[2].padStart(2,'0')}:${m[1].padStart(2,'0')}`;
+  if (m[3] === '*') return `Daily at ${time}`;
+  const days = m[3].split(',');
+  const label = days.sort().join(',') === '1,2,3,4,5' ? 'Weekdays' : DAYS.filter(([d])=>days.includes(d)).map(([,n])=>n).join(', ');
+  return `${label} at ${time}`;
+}
+
+function historyHTML(j){
+  if (!j.history?.length) return '<div class="muted">No runs yet.</div>';
+  return `<ol class="steps">${j.history.map(h=>`
+    <li class="${h.ok ? '' : (h.trigger === 'missed' ? 'warn' : 'error')}">${when(h.at)} · ${h.trigger}${h.scheduledFor && h.trigger !== 'schedule' ? ` (due ${when(h.scheduledFor)})` : ''} —
+      ${h.ok ? 'OK' : 'failed'}: ${escapeHtml(h.message)}${h.durationMs != null ? ` <span class="muted">${Math.round(h.durationMs / 100) / 10}s</span>` : ''}</li>`).join('')}</ol>`;
+}
+
+function render(){
+  const admin = can('admin');
+  q('#jobs-body').innerHTML = jobs.length ? jobs.map(j=>{
+    const last = j.history?.[0];
+    return `
+    <tr data-job="${j.id}">
+      <td data-label="Job">${escapeHtml(j.name)}</td>
+      <td data-label="Schedule">${describeCron(j.cron)}</td>
+      <td data-label="Action">${describeAction(j.action)}</td>
+      <td data-label="Next run">${j.enabled ? when(j.nextRunAt) : '<span class="muted">disabled</span>'}</td>
+      <td data-label="Last result">${j.running ? '<span class="pill warn">running…</span>' : last ? `<span class="pill ${last.ok ? 'ok' : 'bad'}" title="${escapeHtml(last.message)}">${last.ok ? 'OK' : (last.trigger === 'missed' ? 'missed' : 'failed')}</span> <span class="muted">${when(last.at)}</span>` : '—'}</td>
+      <td data-label="Enabled"><input type="checkbox" data-toggle ${j.enabled ? 'checked' : ''} ${admin ? '' : 'disabled'} aria-label="Enabled"/></td>
+      <td data-label="Actions" class="act">
+        <button class="btn sm" data-run ${j.running ? 'disabled' : ''}>Run now</button>
+        <button class="btn sm link" data-history>History</button>
+        ${admin ? '<button class="btn sm link" data-edit>Edit</button><button class="btn sm danger" data-del>Delete</button>' : ''}
+      </td>
+    </tr>
+    ${openHistory.has(j.id) ? `<tr class="panel-row"><td colspan="7">${historyHTML(j)}</td></tr>` : ''}`;
+  }).join('') : `<tr><td colspan="7" class="muted">No scheduled jobs.${admin ? ' Use “New job” to add one.' : ''}</td></tr>`;
+}
+
+async function load(){
+  try{
+    const [sj, srv, gj] = await Promise.all([
+      api('/api/schedules').then(r=>r.json()),
+      api('/api/servers').then(r=>r.json()),
+      api('/api/groups').then(r=>r.json())
+    ]);
+    if (!sj.ok) throw new Error(sj.message);
+    jobs = sj.schedules; actions = sj.actions;
+    q('#tz').textContent = sj.tz;
+    hosts = (Array.isArray(srv) ? srv : []).map(({ name, baseUrl })=>({ name, baseUrl }));
+    groups = gj.ok ? gj.groups.map(({ id, name })=>({ id, name })) : [];
+    render();
+  }catch(e){ toast(`Failed to load schedules: ${e.message}`,'bad'); }
+}
+
+async function post(url, body, method='POST'){
+  const r = await api(url, { method, headers:{ 'Content-Type':'application/json' }, body: body ? JSON.stringify(body) : undefined });
+  return r.json().catch(()=>({ ok:false, message:`HTTP ${r.status}` }));
+}
+
+/* ------------------------------- editor ------------------------------- */
+
+function cronFromSimple(){
+  const [h, m] = (q('#j-time').value || '00:00').split(':').map(Number);
+  const days = qa('#j-days input:checked').map(i=>i.value);
+  return `${m} ${h} * * ${days.length === 7 || !days.length ? '*' : days.join(',')}`;
+}
+const currentCron = () => q('#j-mode').value === 'simple' ? cronFromSimple() : q('#j-cron').value.trim();
+
+function showMode(){
+  const mode = q('#j-mode').value;
+  qa('[data-mode]').forEach(el=>{ el.hidden = el.dataset.mode !== mode; });
+  preview();
+}
+
+function showType(){
+  const type = q('#j-type').value;
+  q('[data-type="host"]').hidden = type === 'group';
+  q('[data-type="group"]').hidden = type !== 'group';
+  q('[data-type="target"]').hidden = type !== 'docker' && type !== 'vm';
+  q('[data-type="op"]').hidden = type === 'wol';
+  const op = q('#j-op').value;
+  q('#j-op').innerHTML = (actions[type] || []).map(o=>`<option value="${o}" ${o===op?'selected':''}>${OP_LABEL[o] || o}</option>`).join('');
+  suggestTargets();
+}
+
+async function suggestTargets(){
+  const type = q('#j-type').value, base = q('#j-host').value;
+  q('#j-targets').innerHTML = '';
+  if ((type !== 'docker' && type !== 'vm') || !base) return;
+  const url = type === 'docker' ? `/api/host/docker?base=${encodeURIComponent(base)}` : `/api/host/vms?base=${encodeURIComponent(base)}`;
+  const list = await api(url).then(r=>r.json()).catch(()=>[]);
+  if (Array.isArray(list)) q('#j-targets').innerHTML = list.map(x=>`<option value="${escapeHtml(x.name.replace(/^\//,''))}">`).join('');
+}
+
+let previewTimer = null;
+function preview(){
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(async ()=>{
+    const cron = currentCron();
+    if (!cron) { q('#j-preview').innerHTML = ''; return; }
+    const j = await api(`/api/schedules/preview?cron=${encodeURIComponent(cron)}&count=5`).then(r=>r.json()).catch(e=>({ ok:false, message:e.message }));
+    q('#j-preview').innerHTML = j.ok
+      ? (j.runs.length ? j.runs.map(t=>`<li>${when(t)}</li>`).join('') : '<li class="warn">Never runs.</li>')
+      : `<li class="error">${escapeHtml(j.message)}</li>`;
+  }, 250);
+}
+
+function openEditor(job){
+  q('#editor').hidden = false;
+  q('#editor-title').textContent = job ? `Edit “${job.name}”` : 'New job';
+  q('#j-id').value = job?.id || '';
+  q('#j-name').value = job?.name || '';
+  q('#j-host').innerHTML = hosts.map(h=>`<option value="${escapeHtml(h.baseUrl)}">${escapeHtml(h.name)}</option>`).join('');
+  q('#j-group').innerHTML = groups.map(g=>`<option value="${g.id}">${escapeHtml(g.name)}</option>`).join('');
+
+  const simple = /^(\d{1,2}) (\d{1,2}) \* \* (\*|[0-6](?:,[0-6])*)$/.exec(job?.cron || '0 2 * * *');
+  q('#j-mode').value = simple ? 'simple' : 'cron';
+  q('#j-cron').value = job?.cron || '';
+  if (simple) {
+    q('#j-time').value = `${simple[2].padStart(2,'0')}:${simple[1].padStart(2,'0')}`;
+    qa('#j-days input').forEach(i=>{ i.checked = simple[3] === '*' || simple[3].split(',').includes(i.value); });
+  }
+
+  const a = job?.action || { type:'wol' };
+  q('#j-type').value = a.type;
+  if (a.baseUrl) q('#j-host').value = a.baseUrl;
+  if (a.groupId) q('#j-group').value = a.groupId;
+  q('#j-target').value = a.target || '';
+  showType();
+  if (a.op) q('#j-op').value = a.op;
+  q('#j-catchup').value = job?.catchUpMinutes ?? 60;
+  q('#j-enabled').checked = job ? job.enabled : true;
+  showMode();
+  q('#editor').scrollIntoView({ behavior:'smooth', block:'start' });
+}
+
+async function save(e){
+  e.preventDefault();
+  const type = q('#j-type').value;
+  const body = {
+    id: q('#j-id').value || undefined,
+    name: q('#j-name').value.trim(),
+    cron: currentCron(),
+    enabled: q('#j-enabled').checked,
+    catchUpMinutes: Number(q('#j-catchup').value),
+    action: { type, op: type === 'wol' ? 'wake' : q('#j-op').value, baseUrl: q('#j-host').value, target: q('#j-target').value.trim(), groupId: q('#j-group').value }
+  };
+  const j = await post('/api/schedules', body);
+  if (!j.ok) return toast(j.message || 'Save failed','bad');
+  toast('Job saved','ok');
+  q('#editor').hidden = true;
+  load();
+}
+
+/* ------------------------------- actions ------------------------------- */
+
+async function onClick(e){
+  const tr = e.target.closest('[data-job]');
+  if (!tr) return;
+  const job = jobs.find(j=>j.id===tr.dataset.job);
+  const id = encodeURIComponent(job.id);
+  if (e.target.closest('[data-run]')) {
+    job.running = true; render();
+    const j = await post(`/api/schedules/run?id=${id}`);
+    j.ok ? (j.entry.ok ? toast(`${job.name}: ${j.entry.message}`,'ok') : toast(`${job.name} failed — ${j.entry.message}`,'bad'))
+      : toast(j.message || 'Run failed','bad');
+    return load();
+  }
+  if (e.target.closest('[data-history]')) { openHistory.has(job.id) ? openHistory.delete(job.id) : openHistory.add(job.id); return render(); }
+  if (e.target.closest('[data-edit]')) return openEditor(job);
+  if (e.target.closest('[data-del]')) {
+    if (!confirm(`Delete job "${job.name}"?`)) return;
+    const j = await post(`/api/schedules?id=${id}`, null, 'DELETE');
+    j.ok ? toast('Job deleted','ok') : toast(j.message || 'Delete failed','bad');
+    return load();
+  }
+}
+
+async function onToggle(e){
+  const cb = e.target.closest('[data-toggle]');
+  if (!cb) return;
+  const id = cb.closest('[data-job]').dataset.job;
+  const j = await post(`/api/schedules/enabled?id=${encodeURIComponent(id)}`, { enabled:cb.checked });
+  if (!j.ok) { cb.checked = !cb.checked; return toast(j.message || 'Update failed','bad'); }
+  load();
+}
+
+/* history/last result follow runs as they happen */
+function connect(){
+  if (!window.EventSource) return;
+  const es = new EventSource('/api/stream');
+  es.addEventListener('schedule', ()=>load());
+}
+
+window.addEventListener('DOMContentLoaded', async ()=>{
+  await buildShell('schedules');
+  q('#j-days').innerHTML = DAYS.map(([v, n])=>`<label class="chk"><input type="checkbox" value="${v}" checked/> ${n}</label>`).join('');
+  q('#new-job').hidden = !can('admin');
+  q('#new-job').onclick = ()=>openEditor(null);
+  q('#cancel-edit').onclick = ()=>{ q('#editor').hidden = true; };
+  q('#j-mode').onchange = showMode;
+  q('#j-type').onchange = showType;
+  q('#j-host').onchange = suggestTargets;
+  ['#j-time', '#j-cron'].forEach(s=>q(s).addEventListener('input', preview));
+  q('#j-days').addEventListener('change', preview);
+  q('#jobForm').addEventListener('submit', save);
+  q('#jobs-body').addEventListener('click', onClick);
+  q('#jobs-body').addEventListener('change', onToggle);
+  await load();
+  connect();
+});
@@ -1,4 +1,4 @@
-import { q, qa, val, setVal, toast, buildShell } from './common.js';
+import { q, qa, val, setVal, toast, buildShell, escapeHtml, session, api, fmtBytes } from './common.js';
 
 function initTabs(){
   const buttons = qa('[data-tab]');
@@ -10,35 +10,64 @@ function initTabs(){
   buttons.forEach(b=>b.onclick = () => show(b.dataset.tab));
 }
 
+/* detected schema capabilities: supported sections and actions, unsupported ones struck out */
+function capsHTML(c){
+  if (!c) return '<span class="pill">Not detected</span>';
+  if (!c.detected) return `<span class="pill warn" title="${escapeHtml(c.error || '')}">Introspection unavailable</span>`;
+  const pill = (ok, label) => `<span class="pill cap ${ok ? 'ok' : 'off'}">${label}</span>`;
+  const sections = Object.entries(c.sections).map(([k, ok])=>pill(ok, k)).join('');
+  const all = { docker:['start','stop','restart'], vm:['start','stop','pause','resume','forceStop','reboot','reset'], parity:['start','pause','resume','cancel'], array:['start','stop'], power:['reboot','shutdown'] };
+  const acts = Object.entries(all).map(([k, list])=>
+    `<div class="caps-acts"><b>${k}</b> ${list.map(a=>pill((c.actions[k] || []).includes(a), a)).join('')}</div>`).join('');
+  return `<div class="caps">${sections}${c.stale ? ' <span class="pill warn">stale</span>' : ''}</div>${acts}`;
+}
+
+function wolText(w){
+  return [w.broadcast || null, w.iface ? `via ${w.iface}` : null, `port ${w.port}`, `${w.repeat}×`, w.secureOnSet ? 'SecureOn' : null].filter(Boolean).join(' · ');
+}
+const WOL_FIELDS = ['broadcast','iface','port','repeat','secureOn'];
+
 async function refreshHosts(){
-  const r = await fetch('/api/settings/hosts');
+  const r = await api('/api/settings/hosts');
   const arr = await r.json();
   const tbody = q('#hosts-body'); tbody.innerHTML = '';
   (arr || []).forEach(h=>{
     const tr = document.createElement('tr');
     tr.innerHTML = `
-      <td data-label="Name">${h.name}</td>
-      <td data-label="Server Address">${h.baseUrl}</td>
-      <td data-label="MAC">${h.mac}</td>
+      <td data-label="Name">${escapeHtml(h.name)}<div class="muted" title="Host id in /api/v1">id ${escapeHtml(h.id || '—')}</div></td>
+      <td data-label="Server Address">${escapeHtml(h.baseUrl)}</td>
+      <td data-label="MAC">${escapeHtml(h.mac)}${h.wol ? `<div class="muted">${escapeHtml(wolText(h.wol))}</div>` : ''}</td>
       <td data-label="Token">${h.tokenSet ? '<span class="pill ok">Validated</span>' : '<span class="pill bad">Not Set</span>'}</td>
+      <td data-label="Capabilities">${capsHTML(h.capabilities)}</td>
       <td data-label="Actions" class="act">
         <button class="btn sm" data-act="edit">Edit</button>
         <button class="btn sm" data-act="test">Test</button>
+        <button class="btn sm" data-act="detect">Detect</button>
         <button class="btn sm danger" data-act="del">Delete</button>
       </td>`;
     tr.querySelector('[data-act="test"]').onclick = async()=>{
-      const r = await fetch(`/api/settings/test?base=${encodeURIComponent(h.baseUrl)}`);
+      const r = await api(`/api/settings/test?base=${encodeURIComponent(h.baseUrl)}`);
       const j = await r.json();
       j.ok ? toast('Connection OK','ok') : toast(j.message || 'Test failed','bad');
       refreshHosts();
     };
+    tr.querySelector('[data-act="detect"]').onclick = async()=>{
+      const r = await api(`/api/settings/capabilities?base=${encodeURIComponent(h.baseUrl)}`, { method:'POST' });
+      const j = await r.json();
+      j.ok ? toast(j.capabilities?.detected ? 'Capabilities detected' : 'Introspection unavailable on this host', j.capabilities?.detected ? 'ok' : 'warn')
+           : toast(j.message || 'Detection failed','bad');
+      refreshHosts();
+    };
     tr.querySelector('[data-act="del"]').onclick = async()=>{
-      await fetch(`/api/settings/host?base=${encodeURIComponent(h.baseUrl)}`, { method:'DELETE' });
+      await api(`/api/settings/host?base=${encodeURIComponent(h.baseUrl)}`, { method:'DELETE' });
       toast('Deleted','ok'); refreshHosts();
     };
     tr.querySelector('[data-act="edit"]').onclick = ()=>{
       setVal('#name', h.name); setVal('#baseUrl', h.baseUrl);
       setVal('#mac', h.mac); setVal('#oldBaseUrl', h.baseUrl);
+      WOL_FIELDS.forEach(k=>setVal(`#wol-${k}`, h.wol?.[k] ?? (k === 'port' ? 9 : k === 'repeat' ? 3 : '')));
+      q('#wol-secureOn').placeholder = h.wol?.secureOnSet ? '•••••• (leave empty to keep)' : '01:23:45:67:89:AB (optional)';
+      q('#wol-clearSecureOn').checked = false;
       q('#name').focus(); q('#tab-hosts').scrollIntoView({ behavior:'smooth', block:'start' });
     };
     tbody.appendChild(tr);
@@ -47,9 +76,11 @@ async function refreshHosts(){
 
 async function loadAppSettings(){
   try{
-    const r = await fetch('/api/app'); const j = await r.json();
+    const r = await api('/api/app'); const j = await r.json();
     setVal('#refreshSeconds', Math.max(5, Number(j?.settings?.refreshSeconds) || 5));
+    setVal('#historyRetentionDays', Number(j?.settings?.historyRetentionDays) || 30);
     setVal('#logLevel', j?.settings?.logLevel ?? 'info');
+    setVal('#logFormat', j?.settings?.logFormat ?? 'text');
     q('#debugHttp').checked = !!j?.settings?.debugHttp;
     q('#allowSelfSigned').checked = !!j?.settings?.allowSelfSigned;
   }catch{
@@ -61,11 +92,13 @@ async function loadAppSettings(){
 async function saveAppSettings(){
   const body = {
     refreshSeconds: Math.max(5, Number(val('#refreshSeconds')) || 5),
+    historyRetentionDays: Math.max(1, Number(val('#historyRetentionDays')) || 30),
     logLevel: val('#logLevel'),
+    logFormat: val('#logFormat'),
     debugHttp: q('#debugHttp').checked,
     allowSelfSigned: q('#allowSelfSigned').checked
   };
-  const r = await fetch('/api/app', {
+  const r = await api('/api/app', {
     method:'POST', headers:{'content-type':'application/json'},
     body:JSON.stringify(body)
   });
@@ -73,6 +106,114 @@ async function saveAppSettings(){
   j.ok ? toast('Settings saved','ok') : toast(j.message || 'Save failed','bad');
 }
 
+async function loadTokenKey(){
+  try{
+    const r = await api('/api/settings/tokens'); const j = await r.json();
+    const k = j.key || {};
+    q('#tokenKeyInfo').innerHTML = k.mismatch
+      ? '<span class="pill bad">Key mismatch</span> Stored tokens cannot be decrypted with the configured key.'
+      : `${k.count} token(s) encrypted (AES-256-GCM), key <code>${k.keyId}</code> from ${k.source === 'env' ? '<code>TOKENS_KEY</code>' : `<code>${escapeHtml(k.file)}</code>`}.`;
+    q('#rotateKey').disabled = k.source === 'env' || k.mismatch;
+  }catch{ q('#tokenKeyInfo').textContent = 'Unavailable'; }
+}
+async function rotateKey(){
+  if (!confirm('Re-encrypt all stored API tokens with a new key?')) return;
+  const r = await api('/api/settings/tokens/rotate', { method:'POST' });
+  const j = await r.json();
+  j.ok ? toast('Token key rotated','ok') : toast(j.message || 'Rotation failed','bad');
+  loadTokenKey();
+}
+
+/* ===== configuration backup ===== */
+
+async function exportConfig(){
+  const passphrase = val('#exportPass');
+  if (!passphrase && !confirm('Export without a passphrase? API tokens, channel secrets and users are left out.')) return;
+  const r = await api('/api/settings/export', {
+    method:'POST', headers:{'content-type':'application/json'}, body:JSON.stringify({ passphrase })
+  });
+  if (!r.ok) { const j = await r.json().catch(()=>({})); return toast(j.message || 'Export failed','bad'); }
+  const name = /filename="([^"]+)"/.exec(r.headers.get('content-disposition') || '')?.[1] || 'unraid-dashboard-config.json';
+  const a = Object.assign(document.createElement('a'), { href:URL.createObjectURL(await r.blob()), download:name });
+  a.click(); URL.revokeObjectURL(a.href);
+  setVal('#exportPass', '');
+}
+
+async function readImportFiles(){
+  const files = [...q('#importFiles').files];
+  if (!files.length) throw new Error('Choose one or more files.');
+  return Promise.all(files.map(async f=>{
+    try{ return { name:f.name, data:JSON.parse(await f.text()) }; }
+    catch{ throw new Error(`${f.name} is not valid JSON.`); }
+  }));
+}
+
+const SECTION_LABELS = { hosts:'Hosts', tokens:'API tokens', channels:'Alert channels', rules:'Alert rules',
+  groups:'Groups', schedules:'Schedules', app:'App settings', users:'Users' };
+
+function diffHTML({ diff, warnings }){
+  const li = (cls, text) => `<li class="${cls}">${escapeHtml(text)}</li>`;
+  const rows = Object.entries(diff).map(([k, d])=>{
+    const items = [
+      ...(d.added || []).map(l=>li('add', `+ ${l}`)),
+      ...(d.changed || []).map(c=>li('chg', `~ ${c.label}${c.fields?.length ? ` (${c.fields.join(', ')})` : ''}${'to' in c ? `: ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}` : ''}`)),
+      ...(d.removed || []).map(l=>li('del', `− ${l}`))
+    ];
+    if (!items.length && !d.unchanged) return '';
+    return `<div><b>${SECTION_LABELS[k] || k}</b>${d.unchanged ? ` <span class="muted">${d.unchanged} unchanged</span>` : ''}<ul>${items.join('')}</ul></div>`;
+  }).join('');
+  return (rows || '<p class="muted">Nothing to change.</p>')
+    + (warnings.length ? `<ul class="warnings">${warnings.map(w=>li('', w)).join('')}</ul>` : '');
+}
+
+async function importConfig(dryRun){
+  try{
+    const mode = val('#importMode');
+    if (!dryRun && mode === 'replace' && !confirm('Replace mode removes hosts, alerts, groups and schedules that are not in the files. Continue?')) return;
+    const body = { documents: await readImportFiles(), passphrase: val('#importPass') || undefined, mode, dryRun };
+    const r = await api('/api/settings/import', { method:'POST', headers:{'content-type':'application/json'}, body:JSON.stringify(body) });
+    const j = await r.json();
+    if (!j.ok) throw new Error(j.message || 'Import failed');
+    q('#importDiff').innerHTML = diffHTML(j);
+    q('#importApply').disabled = !dryRun;
+    if (dryRun) return;
+    toast(j.warnings.length ? `Imported with ${j.warnings.length} warning(s)` : 'Configuration imported', j.warnings.length ? 'warn' : 'ok');
+    setVal('#importPass', '');
+    await Promise.all([loadAppSettings(), loadTokenKey(), refreshHosts(), refreshUsers(), refreshAlerts()]);
+  }catch(e){ toast(e.message,'bad'); }
+}
+
+/* ------------------------------ discovery ------------------------------ */
+
+async function discoverHosts(ev){
+  ev.preventDefault();
+  const body = {
+    subnets: val('#disc-subnets').split(',').map(s=>s.trim()).filter(Boolean),
+    methods: qa('[name="disc-method"]:checked').map(c=>c.value)
+  };
+  q('#discoverBtn').disabled = true; q('#discoverBtn').textContent = 'Scanning…';
+  try{
+    const r = await api('/api/settings/discover', { method:'POST', headers:{'content-type':'application/json'}, body:JSON.stringify(body) });
+    const j = await r.json();
+    if (!j.ok) throw new Error(j.message || 'Discovery failed');
+    q('#discover-wrap').hidden = false;
+    q('#discover-body').innerHTML = j.hosts.map((h, i)=>`<tr>
+      <td data-label="Name">${escapeHtml(h.name || '—')}</td>
+      <td data-label="Address">${escapeHtml(h.baseUrl)}</td>
+      <td data-label="MAC">${h.mac ? escapeHtml(h.mac) : '<span class="muted">unknown (other subnet?)</span>'}</td>
+      <td data-label="Found by">${h.via.join(', ')}</td>
+      <td data-label="">${h.known ? '<span class="pill">Added</span>' : `<button class="btn sm" data-disc="${i}">Add</button>`}</td>
+    </tr>`).join('') || `<tr><td colspan="5" class="muted">Nothing found in ${escapeHtml(j.subnets.join(', ') || 'mDNS/SSDP replies')}.</td></tr>`;
+    q('#discover-body').querySelectorAll('[data-disc]').forEach(b=>b.onclick = ()=>{
+      const h = j.hosts[b.dataset.disc];
+      setVal('#name', h.name || ''); setVal('#baseUrl', h.baseUrl); setVal('#mac', h.mac || ''); setVal('#oldBaseUrl', '');
+      q(h.name ? (h.mac ? '#token' : '#mac') : '#name').focus();
+      q('#tab-hosts').scrollIntoView({ behavior:'smooth', block:'start' });
+    });
+  }catch(e){ toast(e.message,'bad'); }
+  finally{ q('#discoverBtn').disabled = false; q('#discoverBtn').textContent = 'Scan'; }
+}
+
 async function saveHost(ev){
   ev.preventDefault();
   const payload = {
@@ -80,27 +221,334 @@ async function saveHost(ev){
     baseUrl: val('#baseUrl').trim(),
     mac: val('#mac').trim(),
     token: val('#token').trim(),
-    oldBaseUrl: val('#oldBaseUrl').trim() || undefined
+    oldBaseUrl: val('#oldBaseUrl').trim() || undefined,
+    wol: {
+      ...Object.fromEntries(WOL_FIELDS.map(k=>[k, val(`#wol-${k}`).trim()])),
+      clearSecureOn: q('#wol-clearSecureOn').checked
+    }
   };
-  const r = await fetch('/api/settings/host', {
+  const r = await api('/api/settings/host', {
     method:'POST', headers:{'content-type':'application/json'},
     body:JSON.stringify(payload)
   });
   const j = await r.json();
   if (j.ok) {
     toast('Host saved','ok');
-    ['#name','#baseUrl','#mac','#token','#oldBaseUrl'].forEach(s=>setVal(s,''));
+    ['#name','#baseUrl','#mac','#token','#oldBaseUrl','#wol-broadcast','#wol-iface','#wol-secureOn'].forEach(s=>setVal(s,''));
+    setVal('#wol-port', 9); setVal('#wol-repeat', 3); q('#wol-clearSecureOn').checked = false;
     await refreshHosts();
   } else {
     toast(j.message || 'Save failed','bad');
   }
 }
 
+/* ------------------------------ alerts ------------------------------ */
+
+const CH_FIELDS = ['name','type','url','topic','token','priority','smtpHost','smtpPort','smtpUser','smtpPass','from','to'];
+const RULE_FIELDS = ['name','host','kind','threshold','container','forMinutes','cooldownMinutes'];
+
+/* show only the form fields relevant to the selected type/kind */
+function toggleFields(attr, value){
+  qa(`[data-${attr}]`).forEach(el=>{ el.hidden = !el.dataset[attr].split(' ').includes(value); });
+}
+
+function ruleText(r){
+  if (r.kind === 'containerNotRunning') return `Container "${escapeHtml(r.container)}" not running`;
+  if (r.threshold != null) return `${r.kind.replace('Above','')} > ${r.threshold}%`;
+  return r.kind === 'unreachable' ? 'Unreachable' : 'Array not STARTED';
+}
+
+async function refreshAlerts(){
+  const [a, h] = await Promise.all([
+    api('/api/settings/alerts').then(r=>r.json()),
+    api('/api/settings/hosts').then(r=>r.json())
+  ]);
+  const hosts = Array.isArray(h) ? h : [];
+  const hostName = b => b === '*' ? 'All hosts' : escapeHtml(hosts.find(x=>x.baseUrl===b)?.name || b);
+
+  const hostSel = q('#r-host'), chSel = q('#r-channel');
+  const keepHost = hostSel.value, keepCh = chSel.value;
+  hostSel.innerHTML = '<option value="*">All hosts</option>' + hosts.map(x=>`<option value="${escapeHtml(x.baseUrl)}">${escapeHtml(x.name)}</option>`).join('');
+  chSel.innerHTML = (a.channels||[]).map(c=>`<option value="${c.id}">${escapeHtml(c.name)} (${c.type})</option>`).join('');
+  if (keepHost) hostSel.value = keepHost;
+  if (keepCh) chSel.value = keepCh;
+
+  const cbody = q('#channels-body'); cbody.innerHTML = '';
+  (a.channels||[]).forEach(c=>{
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Name">${escapeHtml(c.name)}</td>
+      <td data-label="Type">${c.type}</td>
+      <td data-label="Target">${escapeHtml(c.type === 'smtp' ? c.to : (c.topic ? `${c.url}/${c.topic}` : c.url))}</td>
+      <td data-label="Actions" class="act">
+        <button class="btn sm" data-act="edit">Edit</button>
+        <button class="btn sm" data-act="test">Send test</button>
+        <button class="btn sm danger" data-act="del">Delete</button>
+      </td>`;
+    tr.querySelector('[data-act="edit"]').onclick = ()=>{
+      setVal('#ch-id', c.id);
+      CH_FIELDS.forEach(k=>setVal(`#ch-${k}`, c[k] ?? ''));
+      q('#ch-smtpSecure').checked = !!c.smtpSecure;
+      toggleFields('ch', c.type);
+      q('#ch-name').focus();
+    };
+    tr.querySelector('[data-act="test"]').onclick = ()=>alertTest({ channelId:c.id });
+    tr.querySelector('[data-act="del"]').onclick = async()=>{
+      if (!confirm(`Delete channel ${c.name}?`)) return;
+      const j = await api(`/api/settings/alerts/channel?id=${c.id}`, { method:'DELETE' }).then(r=>r.json());
+      j.ok ? toast('Channel deleted','ok') : toast(j.message || 'Delete failed','bad');
+      refreshAlerts();
+    };
+    cbody.appendChild(tr);
+  });
+
+  const rbody = q('#rules-body'); rbody.innerHTML = '';
+  (a.rules||[]).forEach(r=>{
+    const active = (a.state||[]).filter(s=>s.ruleId===r.id);
+    const firing = active.filter(s=>s.firing);
+    const stateHtml = !r.enabled ? '<span class="pill">Disabled</span>'
+      : firing.length ? `<span class="pill bad" title="${escapeHtml(firing.map(s=>s.detail).join('\n'))}">Firing (${firing.length})</span>`
+      : active.length ? '<span class="pill warn">Pending</span>' : '<span class="pill ok">OK</span>';
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Name">${escapeHtml(r.name)}</td>
+      <td data-label="Condition">${ruleText(r)}${r.forMinutes ? ` for ${r.forMinutes}m` : ''}</td>
+      <td data-label="Host">${hostName(r.host)}</td>
+      <td data-label="State">${stateHtml}</td>
+      <td data-label="Actions" class="act">
+        <button class="btn sm" data-act="edit">Edit</button>
+        <button class="btn sm" data-act="test">Send test</button>
+        <button class="btn sm danger" data-act="del">Delete</button>
+      </td>`;
+    tr.querySelector('[data-act="edit"]').onclick = ()=>{
+      setVal('#r-id', r.id);
+      RULE_FIELDS.forEach(k=>setVal(`#r-${k}`, r[k] ?? ''));
+      setVal('#r-channel', r.channelId);
+      q('#r-enabled').checked = r.enabled; q('#r-notifyResolved').checked = r.notifyResolved;
+      toggleFields('kind', r.kind);
+      q('#r-name').focus();
+    };
+    tr.querySelector('[data-act="test"]').onclick = ()=>alertTest({ ruleId:r.id });
+    tr.querySelector('[data-act="del"]').onclick = async()=>{
+      if (!confirm(`Delete rule ${r.name}?`)) return;
+      await api(`/api/settings/alerts/rule?id=${r.id}`, { method:'DELETE' });
+      toast('Rule deleted','ok'); refreshAlerts();
+    };
+    rbody.appendChild(tr);
+  });
+}
+
+async function alertTest(body){
+  const j = await api('/api/settings/alerts/test', {
+    method:'POST', headers:{'content-type':'application/json'}, body:JSON.stringify(body)
+  }).then(r=>r.json());
+  j.ok ? toast('Test notification sent','ok') : toast(j.message || 'Test failed','bad');
+}
+
+async function saveChannel(ev){
+  ev.preventDefault();
+  const body = { id: val('#ch-id') || undefined, smtpSecure: q('#ch-smtpSecure').checked };
+  CH_FIELDS.forEach(k=>{ body[k] = val(`#ch-${k}`).trim(); });
+  const j = await api('/api/settings/alerts/channel', {
+    method:'POST', headers:{'content-type':'application/json'}, body:JSON.stringify(body)
+  }).then(r=>r.json());
+  if (j.ok) {
+    toast('Channel saved','ok');
+    ['#ch-id','#ch-name','#ch-url','#ch-topic','#ch-token','#ch-priority','#ch-smtpHost','#ch-smtpUser','#ch-smtpPass','#ch-from','#ch-to'].forEach(s=>setVal(s,''));
+    await refreshAlerts();
+  } else toast(j.message || 'Save failed','bad');
+}
+
+async function saveRule(ev){
+  ev.preventDefault();
+  const body = {
+    id: val('#r-id') || undefined, channelId: val('#r-channel'),
+    enabled: q('#r-enabled').checked, notifyResolved: q('#r-notifyResolved').checked
+  };
+  RULE_FIELDS.forEach(k=>{ body[k] = val(`#r-${k}`).trim(); });
+  const j = await api('/api/settings/alerts/rule', {
+    method:'POST', headers:{'content-type':'application/json'}, body:JSON.stringify(body)
+  }).then(r=>r.json());
+  if (j.ok) {
+    toast('Rule saved','ok');
+    ['#r-id','#r-name','#r-container'].forEach(s=>setVal(s,''));
+    await refreshAlerts();
+  } else toast(j.message || 'Save failed','bad');
+}
+
+async function refreshUsers(){
+  const r = await api('/api/settings/users');
+  const arr = await r.json();
+  const tbody = q('#users-body'); tbody.innerHTML = '';
+  (Array.isArray(arr) ? arr : []).forEach(u=>{
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td data-label="Username">${escapeHtml(u.username)}</td>
+      <td data-label="Role"><span class="pill">${u.role}</span></td>
+      <td data-label="Created">${u.created ? new Date(u.created).toLocaleString() : '—'}</td>
+      <td data-label="Actions" class="act">
+        <button class="btn sm" data-act="edit">Edit</button>
+        ${u.username === session.user?.username ? '' : '<button class="btn sm danger" data-act="del">Delete</button>'}
+      </td>`;
+    tr.querySelector('[data-act="edit"]').onclick = ()=>{
+      setVal('#u-username', u.username); setVal('#u-role', u.role); setVal('#u-password', '');
+      q('#u-password').focus();
+    };
+    const del = tr.querySelector('[data-act="del"]');
+    if (del) del.onclick = async()=>{
+      if (!confirm(`Delete user ${u.username}?`)) return;
+      const r = await api(`/api/settings/user?username=${encodeURIComponent(u.username)}`, { method:'DELETE' });
+      const j = await r.json();
+      j.ok ? toast('User deleted','ok') : toast(j.message || 'Delete failed','bad');
+      refreshUsers();
+    };
+    tbody.appendChild(tr);
+  });
+}
+
+async function saveUser(ev){
+  ev.preventDefault();
+  const r = await api('/api/settings/user', {
+    method:'POST', headers:{'content-type':'application/json'},
+    body:JSON.stringify({ username: val('#u-username').trim(), role: val('#u-role'), password: val('#u-password') })
+  });
+  const j = await r.json();
+  if (j.ok) {
+    toast('User saved','ok');
+    ['#u-username','#u-password'].forEach(s=>setVal(s,''));
+    await refreshUsers();
+  } else {
+    toast(j.message || 'Save failed','bad');
+  }
+}
+
+/* ----------------------------- API keys tab ----------------------------- */
+
+async function refreshApiKeys(){
+  const j = await api('/api/settings/apikeys').then(r=>r.json()).catch(()=>null);
+  const tbody = q('#keys-body');
+  if (!j?.ok) { tbody.innerHTML = `<tr><td colspan="6" class="muted">${escapeHtml(j?.message || 'Failed to load API keys.')}</td></tr>`; return; }
+  const when = t => t ? new Date(t).toLocaleString() : '—';
+  tbody.innerHTML = j.keys.map(k=>`<tr>
+    <td data-label="Name">${escapeHtml(k.name)}</td>
+    <td data-label="Scope"><span class="pill">${escapeHtml(k.scope)}</span> <span class="muted">as ${escapeHtml(k.role)}</span></td>
+    <td data-label="Created">${when(k.created)}${k.createdBy ? ` <span class="muted">by ${escapeHtml(k.createdBy)}</span>` : ''}</td>
+    <td data-label="Last used">${when(k.lastUsed)}</td>
+    <td data-label="Key id"><code>${escapeHtml(k.id)}</code></td>
+    <td data-label="Actions" class="act"><button class="btn sm danger" data-revoke="${escapeHtml(k.id)}" data-name="${escapeHtml(k.name)}">Revoke</button></td>
+  </tr>`).join('') || '<tr><td colspan="6" class="muted">No API keys yet.</td></tr>';
+}
+
+async function createKey(ev){
+  ev.preventDefault();
+  const r = await api('/api/settings/apikeys', {
+    method:'POST', headers:{'content-type':'application/json'},
+    body:JSON.stringify({ name: val('#k-name').trim(), scope: val('#k-scope') })
+  });
+  const j = await r.json();
+  if (!j.ok) return toast(j.message || 'Create failed','bad');
+  setVal('#k-name', '');
+  setVal('#k-token', j.token); q('#k-new').hidden = false; q('#k-token').select();
+  toast('API key created','ok');
+  await refreshApiKeys();
+}
+
+async function revokeKey(ev){
+  const b = ev.target.closest('[data-revoke]');
+  if (!b || !confirm(`Revoke API key ${b.dataset.name}? Scripts using it stop working.`)) return;
+  const j = await api(`/api/settings/apikeys?id=${encodeURIComponent(b.dataset.revoke)}`, { method:'DELETE' }).then(r=>r.json());
+  j.ok ? toast('API key revoked','ok') : toast(j.message || 'Revoke failed','bad');
+  refreshApiKeys();
+}
+
+/* ------------------------------- logs tab ------------------------------- */
+
+const MAX_LOG_LINES = 2000;
+let logSeq = 0;
+let logTimer = null;
+
+function logLine(e){
+  const { time, level, msg, seq, ...ctx } = e;
+  const fields = Object.entries(ctx).map(([k,v])=>`${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(' ');
+  return `<span class="lv-${escapeHtml(level)}">${escapeHtml(new Date(time).toLocaleString())} ${escapeHtml(level.toUpperCase().padEnd(5))} ${escapeHtml(msg)}</span>${fields ? ` <span class="muted">${escapeHtml(fields)}</span>` : ''}\n`;
+}
+
+/* full reload when a filter changes; with `tail` only entries after the last seen seq are appended */
+async function loadLogs(tail = false){
+  const p = new URLSearchParams({ level: val('#log-level'), after: tail ? logSeq : 0, limit: MAX_LOG_LINES });
+  if (val('#log-host')) p.set('host', val('#log-host'));
+  if (val('#log-q').trim()) p.set('q', val('#log-q').trim());
+  try{
+    const j = await api(`/api/app/logs?${p}`).then(r=>r.json());
+    if (!j.ok) throw new Error(j.message);
+    if (tail && j.seq < logSeq) return loadLogs(false);   // server restarted
+    const pre = q('#log-lines');
+    const atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 20;
+    const html = j.entries.map(logLine).join('');
+    if (tail) pre.insertAdjacentHTML('beforeend', html); else pre.innerHTML = html || '<span class="muted">No matching entries.</span>\n';
+    while (pre.childNodes.length > MAX_LOG_LINES * 4) pre.removeChild(pre.firstChild);
+    if (!tail || atBottom) pre.scrollTop = pre.scrollHeight;
+    logSeq = j.seq;
+    const l = j.limits;
+    q('#log-limits').textContent = `Rotated at ${l.maxSizeMB} MB or after ${l.rotateHours} h; ${l.maxFiles} rotated file(s) kept for up to ${l.maxAgeDays} days.`;
+    q('#log-files').innerHTML = j.files.map(f=>`
+      <tr>
+        <td data-label="File">${escapeHtml(f.name)}${f.current ? ' <span class="pill">current</span>' : ''}</td>
+        <td data-label="Size">${fmtBytes(f.size)}</td>
+        <td data-label="Last written">${new Date(f.modified).toLocaleString()}</td>
+        <td data-label="Actions" class="act"><a class="btn sm" href="/api/app/logs/download?file=${encodeURIComponent(f.name)}" download>Download</a></td>
+      </tr>`).join('');
+  }catch(e){ if (!tail) toast(`Failed to load logs: ${e.message}`,'bad'); }
+}
+
+function followLogs(){
+  clearInterval(logTimer);
+  logTimer = setInterval(()=>{
+    if (q('#tab-logs').classList.contains('active') && q('#log-follow').checked && !document.hidden) loadLogs(true);
+  }, 3000);
+}
+
+async function initLogs(){
+  try{
+    const hosts = await api('/api/settings/hosts').then(r=>r.json());
+    q('#log-host').innerHTML += (Array.isArray(hosts) ? hosts : []).map(h=>`<option value="${escapeHtml(h.baseUrl)}">${escapeHtml(h.name)}</option>`).join('');
+  }catch{}
+  let t = null;
+  q('#log-q').addEventListener('input', ()=>{ clearTimeout(t); t = setTimeout(()=>loadLogs(), 300); });
+  ['#log-level', '#log-host'].forEach(s=>q(s).addEventListener('change', ()=>loadLogs()));
+  q('[data-tab="logs"]').addEventListener('click', ()=>loadLogs());
+  followLogs();
+}
+
 window.addEventListener('DOMContentLoaded', async ()=>{
   await buildShell('settings');
   initTabs();
   await loadAppSettings();
+  await loadTokenKey();
   await refreshHosts();
+  await refreshUsers();
+  await refreshApiKeys();
+  await refreshAlerts();
+  toggleFields('ch', val('#ch-type')); toggleFields('kind', val('#r-kind'));
+  q('#ch-type').addEventListener('change', ()=>toggleFields('ch', val('#ch-type')));
+  q('#r-kind').addEventListener('change', ()=>toggleFields('kind', val('#r-kind')));
+  q('#channelForm').addEventListener('submit', saveChannel);
+  q('#ruleForm').addEventListener('submit', saveRule);
   q('#hostForm').addEventListener('submit', saveHost);
+  q('#discoverForm').addEventListener('submit', discoverHosts);
+  api('/api/settings/discover').then(r=>r.json())
+    .then(j=>{ if (j.ok && j.subnets.length) q('#disc-subnets').placeholder = j.subnets.join(', '); }).catch(()=>{});
+  q('#userForm').addEventListener('submit', saveUser);
+  q('#keyForm').addEventListener('submit', createKey);
+  q('#keys-body').addEventListener('click', revokeKey);
+  q('#k-copy').addEventListener('click', ()=>{
+    navigator.clipboard?.writeText(val('#k-token')).then(()=>toast('Copied','ok'), ()=>q('#k-token').select());
+  });
   q('#saveApp').addEventListener('click', saveAppSettings);
+  q('#rotateKey').addEventListener('click', rotateKey);
+  q('#exportConfig').addEventListener('click', exportConfig);
+  q('#importPreview').addEventListener('click', ()=>importConfig(true));
+  q('#importApply').addEventListener('click', ()=>importConfig(false));
+  ['#importFiles','#importPass','#importMode'].forEach(s=>q(s).addEventListener('change', ()=>{ q('#importApply').disabled = true; }));
+  initLogs();
 });
\ No newline at end of file
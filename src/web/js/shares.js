@@ -0,0 +1,89 @@
+import { q, qa, toast, buildShell, api, escapeHtml, fmtBytes, meterHTML } from './common.js';
+
+/* ===== shares.js: user shares of every host in one table, sortable by usage ===== */
+
+let shares = [];
+let hosts = [];
+let sort = { key:'usedBytes', dir:-1 };   // largest first: which share filled the array
+
+const TEXT_KEYS = ['name', 'host', 'cache'];
+
+function exportCell(x){
+  if (!x) return '—';
+  const pill = { yes:'ok', hidden:'warn', no:'' }[x.export];
+  return `<span class="pill cap ${pill}">${x.export === 'no' ? 'off' : x.export}</span>${x.security && x.export !== 'no' ? ` <span class="muted">${escapeHtml(x.security)}</span>` : ''}`;
+}
+
+function disksCell(s){
+  if (s.cache === 'only') return `<span class="muted">${escapeHtml(s.cachePool || 'pool')} only</span>`;
+  const parts = [s.include.length ? escapeHtml(s.include.join(', ')) : 'all'];
+  if (s.exclude.length) parts.push(`<span class="muted">except ${escapeHtml(s.exclude.join(', '))}</span>`);
+  return parts.join(' ');
+}
+
+function rowHTML(s){
+  return `<tr>
+    <td data-label="Share">${escapeHtml(s.name)}${s.comment ? `<div class="muted">${escapeHtml(s.comment)}</div>` : ''}</td>
+    <td data-label="Host">${escapeHtml(s.host)}</td>
+    <td data-label="Used">${fmtBytes(s.usedBytes)}</td>
+    <td data-label="Used %">${s.usedPct != null ? meterHTML('Used', s.usedPct) : '—'}</td>
+    <td data-label="Free">${fmtBytes(s.freeBytes)}</td>
+    <td data-label="Disks">${disksCell(s)}</td>
+    <td data-label="Cache">${s.cache ? `${s.cache}${s.cachePool && s.cache !== 'no' && s.cache !== 'only' ? ` <span class="muted">${escapeHtml(s.cachePool)}</span>` : ''}` : '—'}</td>
+    <td data-label="SMB">${exportCell(s.smb)}</td>
+    <td data-label="NFS">${exportCell(s.nfs)}</td>
+  </tr>`;
+}
+
+function render(){
+  const text = q('#f-q').value.trim().toLowerCase();
+  const cache = q('#f-cache').value;
+  const { key, dir } = sort;
+  const list = shares
+    .filter(s => !text || `${s.name} ${s.comment}`.toLowerCase().includes(text))
+    .filter(s => !cache || s.cache === cache)
+    .sort((a, b) => {
+      if (TEXT_KEYS.includes(key)) return dir * String(a[key] ?? '').localeCompare(String(b[key] ?? '')) || a.name.localeCompare(b.name);
+      return dir * ((a[key] ?? -1) - (b[key] ?? -1)) || a.name.localeCompare(b.name);   // unknown sizes sort as smallest
+    });
+  q('#shares-body').innerHTML = list.map(rowHTML).join('') || '<tr><td colspan="9" class="muted">No shares.</td></tr>';
+  const used = list.reduce((n, s) => n + (s.usedBytes || 0), 0);
+  q('#summary').textContent = `${list.length} share${list.length === 1 ? '' : 's'} · ${fmtBytes(used)} used`;
+  q('#host-notes').textContent = hosts.filter(h => h.error).map(h => `${h.name}: ${h.error}`).join(' · ');
+  qa('th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted', th.dataset.sort === key);
+    th.dataset.dir = th.dataset.sort === key ? (dir > 0 ? 'asc' : 'desc') : '';
+  });
+}
+
+async function load(){
+  const host = q('#f-host').value;
+  try{
+    const j = await api(`/api/shares${host ? `?host=${encodeURIComponent(host)}` : ''}`).then(r=>r.json());
+    if (!j.ok) throw new Error(j.message);
+    shares = j.shares; hosts = j.hosts;
+    render();
+  }catch(e){ toast(`Failed to load shares: ${e.message}`,'bad'); }
+}
+
+window.addEventListener('DOMContentLoaded', async ()=>{
+  await buildShell('shares');
+  try{
+    const s = await api('/api/servers').then(r=>r.json());
+    if (Array.isArray(s)) {
+      q('#f-host').innerHTML = `<option value="">All</option>${s.map(h=>`<option value="${escapeHtml(h.baseUrl)}">${escapeHtml(h.name)}</option>`).join('')}`;
+    }
+  }catch{}
+  q('#f-host').value = new URLSearchParams(location.search).get('host') || '';
+  q('#f-host').onchange = load;
+  q('#f-cache').onchange = render;
+  q('#f-q').addEventListener('input', render);
+  q('#filters').addEventListener('submit', e=>e.preventDefault());
+  q('#refresh').onclick = load;
+  qa('th[data-sort]').forEach(th => th.addEventListener('click', ()=>{
+    const key = th.dataset.sort;
+    sort = sort.key === key ? { key, dir:-sort.dir } : { key, dir:TEXT_KEYS.includes(key) ? 1 : -1 };
+    render();
+  }));
+  await load();
+});
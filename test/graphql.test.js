@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, execute, introspect } from '../src/sim/graphql.js';
+import { buildProfile, compatible } from '../src/api/schema.js';
+
+const schema = {
+  Query: {
+    docker: { type: 'Docker', resolve: () => ({}) },
+    version: { type: 'String', resolve: () => '6.12' }
+  },
+  Docker: {
+    containers: { type: '[Container]', resolve: () => [{ id: 'a', name: 'plex' }, { id: 'b', name: 'sonarr' }] },
+    container: { type: 'Container', args: ['id'], resolve: (_, { id }) => ({ id, name: `c-${id}` }) }
+  },
+  Container: { id: 'ID', name: 'String' },
+  Mutation: {
+    docker: { type: 'DockerMutations', resolve: () => ({}) }
+  },
+  DockerMutations: {
+    start: { type: 'Boolean', args: ['id'], resolve: (_, { id }) => { if (id !== 'a') throw new Error(`Container ${id} not found`); return true; } }
+  }
+};
+
+test('parses operations with variables, literals and aliases', () => {
+  const doc = parse('query($id:ID!){ docker { first: container(id:$id) { id } list: containers { name } } }');
+  assert.equal(doc.op, 'query');
+  const [docker] = doc.selections;
+  assert.deepEqual(docker.selections.map(s => [s.alias, s.name]), [['first', 'container'], ['list', 'containers']]);
+  assert.deepEqual(docker.selections[0].args, { id: { $var: 'id' } });
+  assert.deepEqual(parse('mutation{ a(input:{ desiredState: START, n: 2, ok: true }) }').selections[0].args,
+    { input: { desiredState: 'START', n: 2, ok: true } });
+  assert.throws(() => parse('query { docker { id }'), /Syntax Error/);
+});
+
+test('executes queries with variables and __typename', () => {
+  assert.deepEqual(execute(schema, 'query($id:ID!){ docker { container(id:$id) { id name __typename } } }', { id: 'x' }),
+    { data: { docker: { container: { id: 'x', name: 'c-x', __typename: 'Container' } } } });
+  assert.deepEqual(execute(schema, '{ docker { containers { name } } version }'),
+    { data: { docker: { containers: [{ name: 'plex' }, { name: 'sonarr' }] }, version: '6.12' } });
+});
+
+test('rejects unknown fields and arguments the way graphql-js words it', () => {
+  assert.deepEqual(execute(schema, '{ docker { list { id } } }').errors, [{ message: 'Cannot query field "list" on type "Docker".' }]);
+  assert.deepEqual(execute(schema, 'mutation{ docker { start(containerId:"a") } }').errors,
+    [{ message: 'Unknown argument "containerId" on field "DockerMutations.start".' }]);
+  assert.match(execute(schema, '{ docker }').errors[0].message, /must have a selection of subfields/);
+  assert.match(execute(schema, '{ version { x } }').errors[0].message, /must not have a selection/);
+});
+
+test('resolver errors come back as data:null with the message', () => {
+  assert.deepEqual(execute(schema, 'mutation{ docker { start(id:"zz") } }'), { data: null, errors: [{ message: 'Container zz not found' }] });
+  assert.deepEqual(execute(schema, 'mutation{ docker { start(id:"a") } }'), { data: { docker: { start: true } } });
+});
+
+test('introspection feeds capability profiles', () => {
+  const profile = buildProfile(introspect(schema));
+  assert.deepEqual(profile.queries['docker.container'], ['id']);
+  assert.deepEqual(profile.mutations['docker.start'], ['id']);
+  assert.equal(compatible(profile, 'query { docker { containers { id name } } }'), true);
+  assert.equal(compatible(profile, 'query { docker { list { id name } } }'), false);
+  assert.equal(compatible(profile, 'mutation($id:String!){ docker { start(containerId:$id) } }'), false);
+});
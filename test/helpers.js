@@ -0,0 +1,90 @@
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const USER = 'admin', PASS = 'test-password';
+
+export const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function freePort(){
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().once('error', reject);
+    srv.listen(0, '127.0.0.1', () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+  });
+}
+
+/** Poll `fn` until it returns a truthy value (returned) or `ms` pass (throws with the last error). */
+export async function waitFor(fn, { ms = 10000, every = 150, what = 'condition' } = {}){
+  const end = Date.now() + ms;
+  let last;
+  while (Date.now() < end) {
+    try { const v = await fn(); if (v) return v; } catch (e) { last = e; }
+    await sleep(every);
+  }
+  throw new Error(`Timed out waiting for ${what}${last ? `: ${last.message}` : ''}`);
+}
+
+/**
+ * Run src/server.js in a child process on a free port with a scratch DATA_DIR, seeded with
+ * `files` ({ 'alerts.json': {…} }, written as JSON), and a token key file in a directory of its own. Resolves { base, get, post, del, output(), stop() };
+ * requests use Basic auth plus the CSRF token and resolve { status, body }.
+ */
+export async function startServer(env = {}, files = {}){
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unraid-dashboard-test-'));
+  for (const [name, data] of Object.entries(files)) fs.writeFileSync(path.join(dataDir, name), JSON.stringify(data));
+  const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unraid-dashboard-key-'));
+  fs.writeFileSync(path.join(keyDir, 'tokens.key'), 'c'.repeat(64));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['src/server.js'], {
+    cwd: ROOT,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env, PORT: String(port), DATA_DIR: dataDir, TOKENS_KEY_FILE: path.join(keyDir, 'tokens.key'), BASIC_AUTH_USER: USER, BASIC_AUTH_PASS: PASS,
+      REQUEST_RETRIES: '0', REQUEST_TIMEOUT_MS: '3000', WOL_INTERFACE: '', DEMO_MODE: '', ...env
+    }
+  });
+  let out = '';
+  child.stdout.on('data', d => { out += d; });
+  child.stderr.on('data', d => { out += d; });
+  await new Promise((resolve, reject) => {
+    const t = setTimeout(() => reject(new Error(`Server did not start:\n${out}`)), 15000);
+    child.stdout.on('data', () => { if (out.includes('listening on')) { clearTimeout(t); resolve(); } });
+    child.once('exit', code => {
+      clearTimeout(t);
+      for (const dir of [dataDir, keyDir]) fs.rmSync(dir, { recursive: true, force: true });
+      reject(new Error(`Server exited (${code}):\n${out}`));
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  const auth = `Basic ${Buffer.from(`${USER}:${PASS}`).toString('base64')}`;
+  const { token } = await (await fetch(`${base}/api/auth/csrf`, { headers: { authorization: auth } })).json();
+  const request = async (method, url, body) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: { authorization: auth, cookie: `ucp_csrf=${token}`, 'x-csrf-token': token, 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json; try { json = JSON.parse(text); } catch { json = text; }
+    return { status: res.status, body: json };
+  };
+
+  return {
+    base,
+    get: url => request('GET', url),
+    post: (url, body = {}) => request('POST', url, body),
+    del: url => request('DELETE', url),
+    output: () => out,
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return done();
+      child.once('exit', done);
+      child.kill('SIGTERM');
+      function done(){ for (const dir of [dataDir, keyDir]) fs.rmSync(dir, { recursive: true, force: true }); resolve(); }
+    })
+  };
+}
@@ -0,0 +1,483 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { startSimulator, DIALECTS } from '../src/sim/unraidSim.js';
+import { seal, deriveKey } from '../src/store/tokenCrypto.js';
+import { startServer, waitFor, USER, PASS } from './helpers.js';
+
+/*
+ * The dashboard's routes against one simulated host per dialect: the server runs as a child
+ * process, the simulators in this process so their state can be checked after each action.
+ */
+
+let server;
+const sims = {};
+
+before(async () => {
+  server = await startServer();
+  for (const dialect of Object.keys(DIALECTS)) sims[dialect] = await startSimulator({ dialect, name: `sim-${dialect}`, rebootMs: 300 });
+});
+after(async () => {
+  await server?.stop();
+  await Promise.all(Object.values(sims).map(s => s.close()));
+});
+
+for (const [dialect, d] of Object.entries(DIALECTS)) {
+  describe(`dialect ${dialect}`, () => {
+    let sim, q, state;
+    const hostStatus = async () => (await server.get(`/api/settings/test?${q}`)).body;
+    const byName = (list, name) => list.find(x => x.name === name);
+
+    before(() => { sim = sims[dialect]; q = `base=${encodeURIComponent(sim.baseUrl)}`; state = sim.host.state; });
+
+    test('host is added after a connection test, capabilities per introspection', async () => {
+      const r = await server.post('/api/settings/host', { name: sim.name, baseUrl: sim.baseUrl, mac: '02-00-00-aa-bb-01', token: sim.token });
+      assert.equal(r.status, 200, r.body.message);
+      assert.equal(r.body.host.mac, '02:00:00:AA:BB:01');
+      assert.equal(r.body.host.capabilities.detected, d.introspection);
+      assert.deepEqual(r.body.warnings, d.level === 'legacy' ? ['Metrics: Cannot query field "info" on type "Query".'] : []);
+    });
+
+    test('a wrong token is refused and the saved one keeps working', async () => {
+      const r = await server.post('/api/settings/host', { name: 'x', baseUrl: sim.baseUrl, mac: '02:00:00:aa:bb:02', token: 'nope' });
+      assert.equal(r.status, 400);
+      assert.match(r.body.message, /401/);
+      const status = await hostStatus();
+      assert.equal(status.ok, true, status.message);
+      assert.equal((await server.get('/api/settings/hosts')).body.find(h => h.baseUrl === sim.baseUrl).name, sim.name);
+    });
+
+    test('status: system, array capacity, docker, VMs, metrics', async () => {
+      const row = await waitFor(async () => (await server.get('/api/servers')).body.find(h => h.baseUrl === sim.baseUrl && h.status),
+        { what: 'poller row' });
+      const cap = sim.host.capacity();
+      assert.equal(row.status.system.osVersion, state.release);
+      assert.deepEqual(row.status.system.array, { status: 'STARTED', storagePct: Math.round(cap.used / cap.total * 100) });
+      assert.deepEqual([row.status.docker.running, row.status.docker.total], [4, 5]);
+      assert.deepEqual(row.status.vms, { running: 2, total: 3 });
+      if (d.level === 'legacy') assert.equal(row.status.metrics, null);
+      else assert.ok(row.status.metrics.cpuPct > 0 && row.status.metrics.ramPct > 0);
+    });
+
+    test('containers: list, detail, logs', async () => {
+      const list = (await server.get(`/api/host/docker?${q}`)).body;
+      assert.deepEqual(list.map(c => c.name).sort(), ['homeassistant', 'nextcloud', 'plex', 'radarr', 'sonarr']);
+      const plex = byName(list, 'plex');
+      assert.equal(plex.state.toLowerCase(), 'running');
+      if (d.level === 'legacy') assert.deepEqual(plex.ports, []);
+      else {
+        assert.equal(plex.ports[0].publicPort, 32400);
+        assert.equal(plex.webUi, `http://127.0.0.1:32400/`);
+      }
+
+      const detail = await server.get(`/api/host/docker/container?${q}&id=${plex.id}`);
+      assert.equal(detail.status, 200, detail.body.message);
+      assert.equal(detail.body.container.name, 'plex');
+      assert.equal(detail.body.container.cpuPct == null, d.level === 'legacy');
+
+      const logs = (await server.get(`/api/host/docker/logs?${q}&id=${plex.id}&tail=5`)).body;
+      if (d.level === 'legacy') assert.equal(logs.lines, null);
+      else { assert.equal(logs.lines.length, 5); assert.match(logs.lines[4].text, /\[plex\]/); }
+    });
+
+    test('container stop, start and restart change simulator state', async () => {
+      const plex = byName(state.containers, 'plex');
+      let r = await server.post(`/api/host/docker/action?${q}`, { id: plex.id, action: 'stop' });
+      assert.equal(r.status, 200, r.body.message);
+      assert.equal(plex.running, false);
+      assert.equal(byName((await server.get(`/api/host/docker?${q}`)).body, 'plex').state.toLowerCase(), 'exited');
+
+      r = await server.post(`/api/host/docker/action?${q}`, { id: plex.id, action: 'start' });
+      assert.equal(r.status, 200, r.body.message);
+      assert.equal(plex.running, true);
+      const restarts = plex.restartCount;
+      await server.post(`/api/host/docker/action?${q}`, { id: plex.id, action: 'restart' });
+      assert.equal(plex.restartCount, restarts + 1);
+
+      r = await server.post(`/api/host/docker/action?${q}`, { id: 'missing', action: 'stop' });
+      assert.equal(r.status, 502);
+      assert.match(r.body.message, /not found/);
+    });
+
+    test('VM actions', async () => {
+      const vm = byName(state.vms, 'Ubuntu Server');
+      const vmState = async () => byName((await server.get(`/api/host/vms?${q}`)).body, 'Ubuntu Server').state;
+      for (const [action, want] of [['pause', 'PAUSED'], ['resume', 'RUNNING'], ['stop', 'SHUTOFF'], ['start', 'RUNNING']]) {
+        const r = await server.post(`/api/host/vm/action?${q}`, { id: vm.id, action });
+        assert.equal(r.status, 200, `${action}: ${r.body.message}`);
+        assert.equal(await vmState(), want, action);
+      }
+      const r = await server.post(`/api/host/vm/action?${q}`, { id: vm.id, action: 'resume' });
+      assert.equal(r.status, 502);
+      assert.match(r.body.message, /cannot resume/);
+    });
+
+    test('disks: parity, data, cache and unassigned devices', async () => {
+      const { disks } = (await server.get(`/api/host/disks?${q}`)).body;
+      const roles = [...new Set(disks.map(x => x.role))];
+      assert.deepEqual(roles, d.level === 'legacy' ? ['parity', 'data', 'cache'] : ['parity', 'data', 'cache', 'unassigned']);
+      const disk1 = byName(disks, 'disk1');
+      assert.equal(disk1.usedPct, 81);
+      assert.equal(disk1.sizeBytes, 8 * 1024 ** 4);
+      assert.equal(byName(disks, 'disk2').level, 'warn');   // 47 °C
+      assert.equal(byName(disks, 'disk3').tempC, null);     // spun down
+    });
+
+    test('shares: usage, disks, cache mode and exports', async () => {
+      const r = await server.get(`/api/host/shares?${q}`);
+      assert.equal(r.status, 200, r.body.message);
+      const { shares } = r.body;
+      assert.deepEqual(shares.map(x => x.name), ['media', 'backups', 'domains', 'appdata', 'isos', 'system']);
+      const media = byName(shares, 'media');
+      const tibKiB = 1024 ** 3;   // the simulator counts in KiB like Unraid
+      assert.equal(media.usedBytes, Math.round(9.6 * tibKiB) * 1024);
+      assert.equal(media.freeBytes, (Math.round(8 * tibKiB * 19 / 100) + Math.round(8 * tibKiB * 36 / 100)) * 1024);   // disk1 + disk2
+      assert.equal(media.usedPct, Math.round(media.usedBytes / (media.usedBytes + media.freeBytes) * 100));
+      assert.deepEqual([media.include, byName(shares, 'backups').exclude], [['disk1', 'disk2'], ['disk1']]);
+      assert.deepEqual(shares.map(x => x.cache), d.level === 'legacy'
+        ? ['yes', 'no', 'yes', 'yes', 'yes', 'yes']
+        : ['yes', 'no', 'prefer', 'only', 'yes', 'prefer']);
+      if (d.level === 'legacy') assert.deepEqual([media.smb, media.nfs], [null, null]);
+      else {
+        assert.deepEqual(media.smb, { export: 'yes', security: 'public' });
+        assert.equal(byName(shares, 'isos').smb.export, 'hidden');
+        assert.deepEqual(byName(shares, 'backups').nfs, { export: 'yes', security: 'secure' });
+        assert.equal(media.nfs.export, 'no');
+      }
+
+      const fleet = (await server.get('/api/shares')).body;
+      assert.deepEqual(fleet.hosts.map(h => [h.name, h.error]), [[sim.name, null]]);
+      assert.deepEqual(fleet.shares.map(x => [x.host, x.name]), shares.map(x => [sim.name, x.name]));
+    });
+
+    test('notifications: unread counts on the row, inbox, acknowledge and archive', async () => {
+      const unread = async () => (await server.get('/api/servers')).body.find(h => h.baseUrl === sim.baseUrl)?.status?.notifications;
+      const counts = await waitFor(unread, { what: 'notification counts' });
+      assert.deepEqual(counts, { alert: 1, warning: 1, info: 2, total: 4 });
+      const inbox = async (archived = false) =>
+        (await server.get(`/api/notifications?host=${encodeURIComponent(sim.baseUrl)}${archived ? '&archived=1' : ''}`)).body;
+      let box = await inbox();
+      assert.deepEqual(box.hosts.map(h => [h.name, h.supported]), [[sim.name, true]]);
+      assert.deepEqual(box.notifications.map(n => n.importance), ['alert', 'warning', 'info', 'info']);
+      assert.equal(box.notifications[0].host, sim.name);
+      assert.match(box.notifications[1].subject, /disk2 is hot/);
+
+      const warning = box.notifications[1];
+      const act = (action, ids) => server.post(`/api/notifications/action?${q}`, { action, ids });
+      let r = await act('acknowledge', [warning.id]);
+      if (d.level === 'mid') {
+        assert.equal(r.status, 200, r.body.message);
+        assert.equal(state.notifications.find(n => n.id === warning.id).acknowledged, true);
+        await waitFor(async () => (await unread())?.total === 3, { what: 'acknowledged count' });
+      } else assert.equal(r.status, 502);
+
+      r = await act('archive', [warning.id, 'missing']);
+      assert.equal(r.status, 200, r.body.message);
+      assert.deepEqual([r.body.done, r.body.failed.map(f => f.id)], [1, ['missing']]);
+      box = await inbox();
+      assert.ok(!box.notifications.some(n => n.id === warning.id));
+      assert.deepEqual((await inbox(true)).notifications.map(n => [n.importance, n.archived]), [['warning', true], ['info', true]]);
+      assert.equal((await act('dismiss', [warning.id])).status, 400);
+    });
+
+    test('parity check start, pause, resume, cancel', async () => {
+      const parity = async () => (await server.get(`/api/host/parity?${q}`)).body;
+      const before = await parity();
+      assert.equal(before.status.running, false);
+      assert.equal(before.historySource, d.level === 'legacy' ? 'local' : 'host');
+
+      const act = async (action, body = {}) => {
+        const r = await server.post(`/api/host/parity/action?${q}`, { action, ...body });
+        assert.equal(r.status, 200, `${action}: ${r.body.message}`);
+        return (await parity()).status;
+      };
+      let st = await act('start', { correct: true });
+      assert.deepEqual([st.running, st.paused, st.correcting], [true, false, true]);
+      st = await act('pause');
+      assert.deepEqual([st.running, st.paused], [true, true]);
+      st = await act('resume');
+      assert.deepEqual([st.running, st.paused], [true, false]);
+      st = await act('cancel');
+      assert.equal(st.running, false);
+      const after = await parity();
+      if (d.level !== 'legacy') assert.equal(after.history.length, before.history.length + 1);
+    });
+
+    test('array stop needs confirmation, stops everything; start brings autostart back', async () => {
+      let r = await server.post(`/api/host?${q}&action=array`, { action: 'stop' });
+      assert.equal(r.status, 400);
+      r = await server.post(`/api/host?${q}&action=array`, { action: 'stop', confirm: sim.name });
+      assert.equal(r.status, 200, r.body.message);
+      assert.equal((await hostStatus()).system.array.status, 'STOPPED');
+      assert.equal(state.containers.filter(c => c.running).length, 0);
+
+      r = await server.post(`/api/host?${q}&action=array`, { action: 'start' });
+      assert.equal(r.status, 200, r.body.message);
+      assert.equal((await hostStatus()).system.array.status, 'STARTED');
+      assert.deepEqual(state.containers.filter(c => c.running).map(c => c.name).sort(), ['homeassistant', 'plex', 'radarr', 'sonarr']);
+    });
+
+    test('graceful reboot: host goes away and comes back', async () => {
+      const bootedAt = state.bootedAt;
+      const r = await server.post(`/api/host?${q}&action=power`, { action: 'reboot', confirm: sim.name });
+      assert.equal(r.status, 200, r.body.message);
+      const job = await waitFor(async () => { const j = (await server.get(`/api/host/power?${q}`)).body.job; return j?.finished && j; },
+        { what: 'reboot sequence' });
+      assert.equal(job.ok, true, JSON.stringify(job.steps));
+      await waitFor(async () => state.bootedAt !== bootedAt && (await hostStatus()).ok, { what: 'host back after reboot' });
+      assert.equal(state.vms.filter(v => v.state === 'RUNNING').length, 2);
+    });
+
+    test('host delete', async () => {
+      assert.equal((await server.del(`/api/settings/host?${q}`)).status, 200);
+      assert.ok(!(await server.get('/api/settings/hosts')).body.some(h => h.baseUrl === sim.baseUrl));
+    });
+  });
+}
+
+test('a graceful reboot warns about an unreadable VM list and aborts when nothing can be listed', async () => {
+  const sim = await startSimulator({ dialect: 'current', name: 'sim-blind', rebootMs: 300 });
+  const q = `base=${encodeURIComponent(sim.baseUrl)}`, { state } = sim.host;
+  const reboot = async () => {
+    const r = await server.post(`/api/host?${q}&action=power`, { action: 'reboot', confirm: sim.name });
+    assert.equal(r.status, 200, r.body.message);
+    return waitFor(async () => { const j = (await server.get(`/api/host/power?${q}`)).body.job; return j?.finished && j; }, { what: 'reboot sequence' });
+  };
+  try {
+    assert.equal((await server.post('/api/settings/host', { name: sim.name, baseUrl: sim.baseUrl, mac: '02:00:00:aa:bb:40', token: sim.token })).status, 200);
+    const { vms, containers } = sim.host;
+    sim.host.vms = () => { throw new Error('libvirt is not running'); };
+    let bootedAt = state.bootedAt, job = await reboot();
+    assert.equal(job.ok, true, JSON.stringify(job.steps));
+    assert.ok(job.steps.some(s => s.level === 'warn' && s.message === 'Could not list VMs — libvirt is not running'));
+    await waitFor(() => state.bootedAt !== bootedAt && state.containers.some(c => c.running), { what: 'host back after reboot' });
+
+    sim.host.containers = () => { throw new Error('docker is not running'); };
+    bootedAt = state.bootedAt;
+    job = await reboot();
+    assert.equal(job.ok, false);
+    assert.match(job.steps.at(-1).message, /^reboot aborted — could not list VMs or containers/);
+    assert.equal(state.bootedAt, bootedAt);
+    Object.assign(sim.host, { vms, containers });
+  } finally {
+    await server.del(`/api/settings/host?${q}`);
+    await sim.close();
+  }
+});
+
+test('pages need a session unless public; roles above viewer are listed', async () => {
+  const page = async (url, auth) => {
+    const r = await fetch(server.base + url, { redirect: 'manual', headers: auth ? { authorization: `Basic ${Buffer.from(auth).toString('base64')}` } : {} });
+    return r.status === 302 ? r.headers.get('location') : r.status;
+  };
+  for (const url of ['/', '/index.html', '/notifications', '/shares.html', '/settings', '/not-a-page']) {
+    assert.equal(await page(url), `/login?next=${encodeURIComponent(url)}`, url);
+  }
+  for (const url of ['/login', '/login.html', '/css/styles.css', '/health']) assert.equal(await page(url), 200, url);
+
+  await server.post('/api/settings/user', { username: 'watcher', password: 'watcher-password', role: 'viewer' });
+  assert.equal(await page('/shares', 'watcher:watcher-password'), 200);
+  assert.equal(await page('/settings.html', 'watcher:watcher-password'), '/');
+  assert.equal(await page('/host', 'watcher:watcher-password'), '/');
+  await server.del('/api/settings/user?username=watcher');
+});
+
+test('a SecureOn password never reaches the audit trail', async () => {
+  const sim = sims.current, secret = '01:02:03:04:05:06';
+  const r = await server.post('/api/settings/host', { name: sim.name, baseUrl: sim.baseUrl, mac: '02:00:00:aa:bb:20', token: sim.token, wol: { secureOn: secret } });
+  assert.equal(r.status, 200, r.body.message);
+  const { entries } = (await server.get('/api/audit?action=host.save')).body;
+  assert.equal(entries[0].params.wol.secureOn, '[redacted]');
+  assert.ok(!JSON.stringify(entries).includes(secret));
+  const csv = await fetch(`${server.base}/api/audit?format=csv`, { headers: { authorization: `Basic ${Buffer.from(`${USER}:${PASS}`).toString('base64')}` } });
+  assert.ok(!(await csv.text()).includes(secret));
+  await server.del(`/api/settings/host?base=${encodeURIComponent(sim.baseUrl)}`);
+});
+
+test('passwords sent to /api/auth never reach the audit trail', async () => {
+  const r = await server.post('/api/auth/password', { current: 'my-real-old-secret', password: 'brand-new-secret' });
+  assert.equal(r.status, 400);
+  const { entries } = (await server.get('/api/audit?action=auth.password')).body;
+  assert.deepEqual([entries.length, entries[0].params], [1, {}]);
+  const csv = await fetch(`${server.base}/api/audit?format=csv`, { headers: { authorization: `Basic ${Buffer.from(`${USER}:${PASS}`).toString('base64')}` } });
+  const text = JSON.stringify(entries) + await csv.text();
+  assert.ok(!text.includes('my-real-old-secret') && !text.includes('brand-new-secret'));
+});
+
+test('imported app settings are checked like the App Settings form', async () => {
+  const bundle = (await server.post('/api/settings/export', {})).body;
+  const before = (await server.get('/api/app')).body.settings;
+  bundle.app = { ...bundle.app, historyRetentionDays: -5, refreshSeconds: 0, logLevel: 'bogus', allowSelfSigned: 'yes', debugHttp: !before.debugHttp };
+  const r = await server.post('/api/settings/import', { documents: [{ name: 'config.json', data: bundle }] });
+  assert.equal(r.status, 200, r.body.message);
+  assert.deepEqual(r.body.warnings.filter(w => w.startsWith('app:')).map(w => w.split(' ')[2]),
+    ['logLevel', 'allowSelfSigned', 'refreshSeconds', 'historyRetentionDays']);
+  const after = (await server.get('/api/app')).body.settings;
+  assert.deepEqual(after, { ...before, debugHttp: !before.debugHttp });
+  await server.post('/api/app', { debugHttp: before.debugHttp });
+});
+
+test('imported hosts are stored with the host form fields only, wol normalized', async () => {
+  const baseUrl = 'http://127.0.0.1:9/imported';
+  const host = { name: ' imported ', baseUrl, mac: '02-00-00-aa-bb-50', tokenSet: true, capabilities: { detected: true }, token: 'leak', extra: 1,
+    wol: { broadcast: ' 192.168.1.255 ', port: '7', secureOn: 'aa-bb-cc-dd-ee-ff', note: 'x' } };
+  const documents = [{ name: 'hosts.json', data: [host] }];
+  const r = await server.post('/api/settings/import', { documents });
+  assert.equal(r.status, 200, r.body.message);
+  const { id, ...stored } = (await server.post('/api/settings/export', {})).body.hosts.find(h => h.baseUrl === baseUrl);
+  assert.deepEqual(stored, { name: 'imported', baseUrl, mac: '02:00:00:AA:BB:50',
+    wol: { broadcast: '192.168.1.255', iface: '', port: 7, repeat: 3, secureOn: '' } });
+  assert.ok(id);
+  assert.equal((await server.get('/api/settings/hosts')).body.find(h => h.baseUrl === baseUrl).wol.secureOnSet, true);
+  const preview = (await server.post('/api/settings/import', { documents, dryRun: true })).body.diff.hosts;
+  assert.deepEqual([preview.changed, preview.unchanged], [[], 1]);
+  await server.del(`/api/settings/host?base=${encodeURIComponent(baseUrl)}`);
+});
+
+test('an alert channel whose secret cannot be decrypted is logged, not fatal', async () => {
+  const channel = { id: 'ch1', name: 'gotify', type: 'gotify', url: 'http://127.0.0.1:9', token: seal(deriveKey('b'.repeat(64)), 'app-token') };
+  const rule = { id: 'r1', name: 'down', enabled: true, host: '*', kind: 'unreachable', forMinutes: 0, cooldownMinutes: 60, notifyResolved: true, channelId: 'ch1' };
+  const srv = await startServer({ TOKENS_KEY: 'a'.repeat(64) }, {
+    'hosts.json': [{ name: 'gone', baseUrl: 'http://127.0.0.1:9', mac: '02:00:00:aa:bb:30' }],
+    'alerts.json': { rules: [rule], channels: [channel] }
+  });
+  try {
+    await waitFor(() => srv.output().includes('Alert delivery failed'), { what: 'delivery failure logged' });
+    assert.equal((await fetch(`${srv.base}/health`)).status, 200);
+  } finally { await srv.stop(); }
+});
+
+test('a token key left in the data directory by an older version stops the server', async () => {
+  await assert.rejects(startServer({ TOKENS_KEY_FILE: '' }, { 'tokens.key': 'c'.repeat(64) }),
+    /Server exited \(1\)[\s\S]*tokens\.key from an older version/);
+});
+
+test('ntfy alerts with non-ASCII rule names keep their title', async () => {
+  const received = [];
+  const ntfy = http.createServer((req, res) => { received.push(req.headers.title); req.resume().on('end', () => res.end('{}')); });
+  await new Promise(resolve => ntfy.listen(0, '127.0.0.1', resolve));
+  try {
+    const name = 'CPU ≥ 90% on “tower” — 東京 🔥';
+    const { channel } = (await server.post('/api/settings/alerts/channel',
+      { name: 'ntfy', type: 'ntfy', url: `http://127.0.0.1:${ntfy.address().port}`, topic: 'alerts' })).body;
+    const { rule } = (await server.post('/api/settings/alerts/rule',
+      { name, enabled: false, host: '*', kind: 'cpuAbove', threshold: 90, channelId: channel.id })).body;
+    const r = await server.post('/api/settings/alerts/test', { ruleId: rule.id });
+    assert.equal(r.status, 200, r.body.message);
+    const [, b64] = received[0].match(/^=\?UTF-8\?B\?(.+)\?=$/);
+    assert.equal(Buffer.from(b64, 'base64').toString('utf8'), `Test: ${name}`);
+    await server.del(`/api/settings/alerts/rule?id=${rule.id}`);
+    await server.del(`/api/settings/alerts/channel?id=${channel.id}`);
+  } finally { ntfy.close(); }
+});
+
+describe('DEMO_MODE', () => {
+  let demo;
+  before(async () => { demo = await startServer({ DEMO_MODE: 'true', DEMO_PORT_BASE: '0' }); });
+  after(() => demo?.stop());
+
+  test('adds one simulated host per dialect and polls them', async () => {
+    const rows = await waitFor(async () => {
+      const list = (await demo.get('/api/servers')).body;
+      return list.length === Object.keys(DIALECTS).length && list.every(h => h.status) && list;
+    }, { what: 'demo hosts' });
+    assert.deepEqual(rows.map(h => h.name).sort(), Object.keys(DIALECTS).map(k => `demo-${k}`).sort());
+    for (const h of rows) assert.equal(h.status.system.array.status, 'STARTED', h.name);
+  });
+
+  test('the notifications inbox merges every host, most severe first', async () => {
+    const box = (await demo.get('/api/notifications')).body;
+    assert.equal(box.hosts.filter(h => h.supported).length, Object.keys(DIALECTS).length);
+    assert.equal(box.notifications.length, 4 * Object.keys(DIALECTS).length);
+    assert.deepEqual(box.counts, { alert: 4, warning: 4, info: 8 });
+    assert.deepEqual([...new Set(box.notifications.map(n => n.importance))], ['alert', 'warning', 'info']);
+  });
+});
+
+describe('REST API v1', () => {
+  let srv, sim, id, read, control;
+  const v1 = async (method, url, key, body) => {
+    const res = await fetch(`${srv.base}/api/v1${url}`, {
+      method, headers: { ...(key ? { authorization: `Bearer ${key}` } : {}), 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  before(async () => {
+    srv = await startServer();
+    sim = await startSimulator({ dialect: 'current', name: 'sim-v1' });
+    await srv.post('/api/settings/host', { name: sim.name, baseUrl: sim.baseUrl, mac: '02:00:00:aa:bb:10', token: sim.token });
+    read = (await srv.post('/api/settings/apikeys', { name: 'dash', scope: 'read' })).body.token;
+    control = (await srv.post('/api/settings/apikeys', { name: 'automation', scope: 'control' })).body.token;
+  });
+  after(async () => { await srv?.stop(); await sim?.close(); });
+
+  test('keys: created by an admin, listed without the secret; no key, a session or Basic auth is a 401', async () => {
+    assert.match(read, /^ucp_[0-9a-f]{12}_/);
+    const { keys } = (await srv.get('/api/settings/apikeys')).body;
+    assert.deepEqual(keys.map(k => [k.name, k.scope, k.role]), [['dash', 'read', 'viewer'], ['automation', 'control', 'operator']]);
+    assert.ok(!JSON.stringify(keys).includes(read.split('_')[2]));
+    assert.equal((await srv.post('/api/settings/apikeys', { name: 'dash', scope: 'read' })).status, 400);
+
+    const r = await v1('GET', '/hosts');
+    assert.deepEqual([r.status, r.body.code], [401, 'unauthorized']);
+    assert.equal((await srv.get('/api/v1/hosts')).status, 401);
+    assert.equal((await v1('GET', '/hosts', `${read}x`)).status, 401);
+  });
+
+  test('hosts by stable id; unknown ids and paths are 404 not_found', async () => {
+    const { hosts } = (await v1('GET', '/hosts', read)).body;
+    id = hosts[0].id;
+    assert.match(id, /^[0-9a-f]{12}$/);
+    const one = await waitFor(async () => { const r = await v1('GET', `/hosts/${id}`, read); return r.body.host?.online && r; }, { what: 'polled host' });
+    assert.deepEqual([one.body.host.name, one.body.host.baseUrl], [sim.name, sim.baseUrl]);
+    assert.deepEqual((await v1('GET', '/hosts/nope/containers', read)).body.code, 'not_found');
+    assert.equal((await v1('GET', '/nothing', read)).status, 404);
+
+    await srv.post('/api/settings/host', { name: 'renamed', baseUrl: sim.baseUrl, mac: '02:00:00:aa:bb:10', token: sim.token });
+    assert.equal((await v1('GET', `/hosts/${id}`, read)).body.host.name, 'renamed');
+  });
+
+  test('every documented GET answers', async () => {
+    const doc = (await v1('GET', '/openapi.json')).body;
+    assert.equal(doc.openapi, '3.0.3');
+    const gets = Object.keys(doc.paths).filter(p => doc.paths[p].get);
+    assert.ok(gets.length >= 10);
+    const plex = sim.host.state.containers.find(c => c.name === 'plex');
+    for (const p of gets) {
+      const r = await v1('GET', p.replace('{hostId}', id).replace('{containerId}', plex.id), read);
+      assert.equal(r.status, 200, `${p}: ${r.body.message}`);
+    }
+  });
+
+  test('actions need a control key, without CSRF; errors carry a code', async () => {
+    const plex = sim.host.state.containers.find(c => c.name === 'plex');
+    let r = await v1('POST', `/hosts/${id}/containers/${plex.id}/stop`, read);
+    assert.deepEqual([r.status, r.body.code], [403, 'forbidden']);
+    assert.equal(plex.running, true);
+
+    r = await v1('POST', `/hosts/${id}/containers/${plex.id}/stop`, control);
+    assert.equal(r.status, 200, r.body.message);
+    assert.equal(plex.running, false);
+    await v1('POST', `/hosts/${id}/containers/${plex.id}/start`, control);
+    assert.equal(plex.running, true);
+
+    assert.deepEqual((await v1('POST', `/hosts/${id}/containers/${plex.id}/explode`, control)).body.code, 'bad_request');
+    assert.deepEqual((await v1('POST', `/hosts/${id}/containers/missing/stop`, control)).body.code, 'not_found');
+    r = await v1('POST', `/hosts/${id}/containers/${encodeURIComponent('x") } } mutation{ docker { stop(id:"y')}/stop`, control);
+    assert.deepEqual([r.status, r.body.message], [400, 'Invalid container id.']);
+    r = await v1('POST', `/hosts/${id}/power/reboot`, control, {});
+    assert.deepEqual([r.status, r.body.code], [400, 'bad_request']);
+
+    const audit = (await srv.get('/api/audit?action=docker.stop')).body;
+    assert.deepEqual(audit.entries.filter(e => e.actor === 'apikey:automation').map(e => [e.host, e.target, e.outcome]),
+      [[sim.baseUrl, 'missing', 'failed'], [sim.baseUrl, plex.id, 'ok']]);
+  });
+
+  test('revoked keys stop working', async () => {
+    const { keys } = (await srv.get('/api/settings/apikeys')).body;
+    assert.equal((await srv.del(`/api/settings/apikeys?id=${keys[0].id}`)).status, 200);
+    assert.equal((await v1('GET', '/hosts', read)).status, 401);
+    assert.equal((await v1('GET', '/hosts', control)).status, 200);
+  });
+});